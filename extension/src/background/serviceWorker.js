@@ -0,0 +1,12 @@
+/**
+ * FolderLM - Service Worker Entry Point
+ *
+ * 拡張機能のサービスワーカー。データの読み書きの窓口（storageService）を起動する。
+ *
+ * @module background/serviceWorker
+ */
+
+import { storageService } from './storageService.js';
+
+// リスナーはサービスワーカーの起動時に同期的に登録する
+storageService.start();
@@ -0,0 +1,283 @@
+/**
+ * FolderLM - Storage Service
+ *
+ * サービスワーカーで動作する保存の窓口。
+ * chrome.storage の読み書き・容量チェック・マイグレーションはここで動く storageManager（owner）だけが行い、
+ * タブや拡張機能のページの storageManager（client）とは STORAGE_MESSAGE_TYPES のメッセージでやり取りする。
+ *
+ * - 依頼は1つずつ順に処理する（タブごとの保存が競合しないようにする）
+ * - 保存・保存先の切り替え・他の端末からの変更のたびに、リビジョン付きの状態をすべてのタブに通知する
+ * - サービスワーカーは停止・再起動されることがあるため、起動後の最初の依頼で読み込む
+ *
+ * @module background/storageService
+ */
+
+import { storageManager } from '../storage/storageManager.js';
+import { STORAGE_MESSAGE_TYPES, isStorageRequest } from '../content/utils/messages.js';
+
+/**
+ * 通知を送る NotebookLM のタブの URL パターン
+ */
+const NOTEBOOKLM_TAB_URL = 'https://notebooklm.google.com/*';
+
+/**
+ * StorageService クラス
+ */
+class StorageService {
+  constructor() {
+    this._started = false;
+
+    /** @type {Promise<boolean>|null} 読み込み（成功で true） */
+    this._loadPromise = null;
+
+    /** @type {Promise} 処理中の依頼（依頼はこの後ろにつなげて順に処理する） */
+    this._queue = Promise.resolve();
+
+    /** 最後に通知した状態のリビジョン */
+    this._revision = 0;
+
+    /** @type {{ errors: Object[], events: Object[] }|null} 依頼の処理中に発生したエラー・イベント */
+    this._collecting = null;
+
+    /** @type {Object|null} 読み取り専用になった原因のエラー（後から読み込んだタブにも伝える） */
+    this._readOnlyError = null;
+  }
+
+  /**
+   * メッセージの受信を開始
+   * サービスワーカーの起動時に同期的に呼ぶ（リスナーの登録が遅れるとメッセージを取りこぼす）
+   */
+  start() {
+    if (this._started) {
+      return;
+    }
+    this._started = true;
+
+    storageManager.onError((error) => this._handleStorageError(error));
+    storageManager.onChange((event) => this._handleStorageChange(event));
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!isStorageRequest(message)) {
+        return false;
+      }
+
+      this._enqueue(() => this._handleRequest(message))
+        .then(sendResponse)
+        .catch((error) => {
+          console.error('[FolderLM StorageService] Request failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+
+      // 非同期で応答する
+      return true;
+    });
+
+    console.log('[FolderLM StorageService] Started');
+  }
+
+  /**
+   * 依頼を処理
+   * @param {Object} message - STORAGE_MESSAGE_TYPES の依頼
+   * @returns {Promise<Object>} 応答
+   * @private
+   */
+  async _handleRequest(message) {
+    this._collecting = { errors: [], events: [] };
+
+    try {
+      if (!await this._ensureLoaded()) {
+        // 読み込み失敗はタブ側でも通知するため、エラーは付けない
+        return { success: false, error: 'データの読み込みに失敗しました' };
+      }
+
+      let result;
+      switch (message.type) {
+        case STORAGE_MESSAGE_TYPES.LOAD:
+          result = { success: true };
+          break;
+
+        case STORAGE_MESSAGE_TYPES.COMMIT:
+          result = await storageManager.commitState(message.base, message.state);
+          if (result.success) {
+            this._broadcastState(message.sessionId);
+          }
+          break;
+
+        case STORAGE_MESSAGE_TYPES.SET_BACKEND:
+          result = await storageManager.setBackendMode(message.mode);
+          if (result.success) {
+            this._broadcastState(message.sessionId);
+          }
+          break;
+
+        case STORAGE_MESSAGE_TYPES.MARK_SEEN:
+          result = await storageManager.markNotesSeen(message.notes);
+          break;
+
+        case STORAGE_MESSAGE_TYPES.GET_ACTIVITY:
+          result = await storageManager.getNoteActivity();
+          break;
+
+        default:
+          result = { success: false, error: '不明な依頼です' };
+      }
+
+      return {
+        ...result,
+        ...this._createPayload(),
+        errors: this._getNoticeErrors(message),
+        events: this._collecting.events,
+      };
+    } finally {
+      this._collecting = null;
+    }
+  }
+
+  /**
+   * 未読み込みなら読み込む（失敗した場合は次の依頼で再試行する）
+   * @returns {Promise<boolean>} 読み込めたか
+   * @private
+   */
+  _ensureLoaded() {
+    if (!this._loadPromise) {
+      this._loadPromise = storageManager.load().then(
+        () => true,
+        () => {
+          this._loadPromise = null;
+          return false;
+        }
+      );
+    }
+    return this._loadPromise;
+  }
+
+  /**
+   * 依頼を順番待ちに加える
+   * @param {Function} task - 依頼の処理
+   * @returns {Promise<Object>}
+   * @private
+   */
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 応答に付けるエラーを取得
+   * 読み込みの応答には、以前に読み取り専用になった原因のエラーも付ける
+   * @param {Object} message - 依頼
+   * @returns {Object[]}
+   * @private
+   */
+  _getNoticeErrors(message) {
+    const errors = this._collecting.errors;
+    if (message.type === STORAGE_MESSAGE_TYPES.LOAD && this._readOnlyError && !errors.includes(this._readOnlyError)) {
+      return [this._readOnlyError, ...errors];
+    }
+    return errors;
+  }
+
+  /**
+   * storageManager のエラーを処理
+   * 依頼の処理中なら依頼元に、それ以外（他の端末の変更の取り込み中など）はすべてのタブに伝える
+   * @param {{ type: string, message: string, data: Object }} error
+   * @private
+   */
+  _handleStorageError(error) {
+    const notice = { type: error.type, message: error.message, data: this._toCloneable(error.data) };
+
+    if (error.type === storageManager.ERROR_TYPES.VERSION_MISMATCH ||
+        error.type === storageManager.ERROR_TYPES.MIGRATION_FAILED) {
+      this._readOnlyError = notice;
+    }
+
+    if (this._collecting) {
+      this._collecting.errors.push(notice);
+    } else {
+      this._broadcast({
+        type: STORAGE_MESSAGE_TYPES.ERROR,
+        error: notice,
+        readOnly: storageManager.isReadOnly(),
+      });
+    }
+  }
+
+  /**
+   * storageManager の変更イベントを処理
+   * @param {Object} event - 変更イベント
+   * @private
+   */
+  _handleStorageChange(event) {
+    if (event.type === 'migrated' && this._collecting) {
+      this._collecting.events.push(event);
+    } else if (event.type === 'remote_changed') {
+      // 他の端末（chrome.storage.sync）の変更
+      this._broadcastState(null);
+    }
+  }
+
+  /**
+   * 応答・通知に付ける状態
+   * @returns {{ state: Object, revision: number, backendMode: string, readOnly: boolean }}
+   * @private
+   */
+  _createPayload() {
+    return {
+      state: storageManager.getSnapshot(),
+      revision: this._revision,
+      backendMode: storageManager.getBackendMode(),
+      readOnly: storageManager.isReadOnly(),
+    };
+  }
+
+  /**
+   * リビジョンを進めて現在の状態をすべてのタブに通知
+   * （再起動後もリビジョンが戻らないよう時刻を基準にする）
+   * @param {string|null} writer - 依頼元の sessionId
+   * @private
+   */
+  _broadcastState(writer) {
+    this._revision = Math.max(Date.now(), this._revision + 1);
+    this._broadcast({ type: STORAGE_MESSAGE_TYPES.CHANGED, writer, ...this._createPayload() });
+  }
+
+  /**
+   * 拡張機能のページと NotebookLM のタブにメッセージを送る
+   * （受信側がない場合のエラーは無視する）
+   * @param {Object} message - メッセージ
+   * @private
+   */
+  _broadcast(message) {
+    chrome.runtime.sendMessage(message, () => void chrome.runtime.lastError);
+
+    chrome.tabs.query({ url: NOTEBOOKLM_TAB_URL }, (tabs) => {
+      if (chrome.runtime.lastError) {
+        return;
+      }
+      for (const tab of tabs || []) {
+        chrome.tabs.sendMessage(tab.id, message, () => void chrome.runtime.lastError);
+      }
+    });
+  }
+
+  /**
+   * メッセージで送れる値に変換（Error などは送れないため落とす）
+   * @param {*} value
+   * @returns {*}
+   * @private
+   */
+  _toCloneable(value) {
+    try {
+      return JSON.parse(JSON.stringify(value ?? {}));
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+// シングルトンインスタンス
+export const storageService = new StorageService();
+
+// デフォルトエクスポート
+export default storageService;
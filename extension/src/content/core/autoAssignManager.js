@@ -0,0 +1,133 @@
+/**
+ * FolderLM - Auto Assign Manager
+ *
+ * 自動割り当てルール（タイトルのキーワード・正規表現 → フォルダ）をノートに適用する。
+ * 新しく検出されたノートのうち、まだ割り当てのないノートだけを対象にする。
+ * 「未分類にルールを適用」では、どのフォルダにも所属していないノート（未分類）すべての移動先をプレビューしてから移動する。
+ *
+ * ルールの判定は autoAssignRules.js、保存は storageManager が担当する。
+ * 適用は1つの操作として記録するため、元に戻すことができる。
+ *
+ * @module content/core/autoAssignManager
+ */
+
+import { findNoteTitleElement } from '../utils/selectors.js';
+import { storageManager } from '../../storage/storageManager.js';
+import { noteDetector } from './noteDetector.js';
+import { compileRules, findMatchingRule } from '../utils/autoAssignRules.js';
+
+/**
+ * AutoAssignManager クラス
+ * 自動割り当てルールの評価と適用を管理
+ */
+class AutoAssignManager {
+  /**
+   * 新しく検出されたノートにルールを適用する（まだ割り当てのないノートのみ）
+   * @param {string[]} noteIds - 新しく検出されたノートID
+   * @returns {{ success: boolean, count: number, error?: string }}
+   */
+  applyToNewNotes(noteIds) {
+    const targets = (noteIds || []).filter(noteId => this._isUnassigned(noteId));
+    return this.apply(this.preview(targets));
+  }
+
+  /**
+   * 未分類のノートすべてについて、ルールを適用した場合の移動先を返す（ドライラン）
+   * @returns {Array<{ noteId: string, title: string, folderId: string, ruleId: string }>}
+   */
+  previewUncategorized() {
+    const targets = noteDetector.getAllNoteIds()
+      .filter(noteId => storageManager.getNoteFolderIds(noteId).length === 0);
+    return this.preview(targets);
+  }
+
+  /**
+   * 指定したノートについて、ルールを適用した場合の移動先を返す（ドライラン）
+   * @param {string[]} noteIds - 対象のノートID
+   * @returns {Array<{ noteId: string, title: string, folderId: string, ruleId: string }>}
+   */
+  preview(noteIds) {
+    const compiled = this._compile();
+    if (compiled.length === 0 || !Array.isArray(noteIds)) {
+      return [];
+    }
+
+    const matches = [];
+    for (const noteId of noteIds) {
+      const title = this._getNoteTitle(noteId);
+      const rule = findMatchingRule(compiled, title);
+      if (rule) {
+        matches.push({ noteId, title, folderId: rule.folderId, ruleId: rule.id });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * プレビューの結果のとおりにノートを移動する
+   * プレビューの後に他の操作（他のタブを含む）でフォルダに所属したノートは移動しない
+   * @param {Array<{ noteId: string, folderId: string }>} matches - preview / previewUncategorized の戻り値
+   * @returns {{ success: boolean, count: number, error?: string }}
+   */
+  apply(matches) {
+    const assignments = {};
+    for (const { noteId, folderId } of matches || []) {
+      if (storageManager.getNoteFolderIds(noteId).length === 0 && storageManager.getFolder(folderId)) {
+        assignments[noteId] = folderId;
+      }
+    }
+
+    if (Object.keys(assignments).length === 0) {
+      return { success: true, count: 0 };
+    }
+
+    const result = storageManager.assignNotesToFolders(assignments);
+    if (!result.success) {
+      return { success: false, count: 0, error: result.error };
+    }
+
+    console.log('[FolderLM AutoAssign] Notes assigned by rules:', result.count);
+    return { success: true, count: result.count };
+  }
+
+  /**
+   * 保存済みのルールを評価できる形に変換する（割り当て先のフォルダが削除されたルールは除く）
+   * @returns {Array}
+   * @private
+   */
+  _compile() {
+    return compileRules(storageManager.getAutoAssignRules(), {
+      isFolderAvailable: (folderId) => {
+        const folder = storageManager.getFolder(folderId);
+        return !!folder && !folder.isDefault;
+      },
+    });
+  }
+
+  /**
+   * まだ割り当てのない（未分類に移動したこともない）ノートか
+   * @param {string} noteId
+   * @returns {boolean}
+   * @private
+   */
+  _isUnassigned(noteId) {
+    return !storageManager.getNoteFolder(noteId) && storageManager.getNoteLabels(noteId).length === 0;
+  }
+
+  /**
+   * ノートのタイトルを取得
+   * @param {string} noteId
+   * @returns {string}
+   * @private
+   */
+  _getNoteTitle(noteId) {
+    const card = noteDetector.getCardByNoteId(noteId);
+    return findNoteTitleElement(card, noteId)?.textContent?.trim() || '';
+  }
+}
+
+// シングルトンインスタンス
+export const autoAssignManager = new AutoAssignManager();
+
+// デフォルトエクスポート
+export default autoAssignManager;
@@ -246,6 +246,15 @@ class DOMRecoveryManager {
     // ノートカードが存在する場合、割り当てボタンの状態をチェック
     const noteCards = document.querySelectorAll(NOTE_SELECTORS.CARD);
     if (noteCards.length > 0) {
+      // サイドバーを表示する設定なら、ノート一覧の横にあるかチェック
+      if (document.body.classList.contains(FOLDERLM_CLASSES.SIDEBAR_ENABLED)) {
+        const sidebar = document.querySelector(`.${FOLDERLM_CLASSES.SIDEBAR}`);
+        if (!sidebar || !sidebar.isConnected) {
+          console.log('[FolderLM DOMRecoveryManager] Folder sidebar missing');
+          return true;
+        }
+      }
+
       // 少なくとも1つのカードに初期化済みマークがあるかチェック
       const initializedCards = document.querySelectorAll(`[data-folderlm-initialized="true"]`);
       if (initializedCards.length === 0) {
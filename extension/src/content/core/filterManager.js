@@ -7,15 +7,34 @@
  * @module content/core/filterManager
  */
 
-import { FOLDERLM_CLASSES, FILTER_SELECTORS, NOTE_SELECTORS } from '../utils/selectors.js';
+import { FOLDERLM_CLASSES, FILTER_SELECTORS, findNoteTitleElement } from '../utils/selectors.js';
 import { storageManager } from '../../storage/storageManager.js';
 import { noteDetector } from './noteDetector.js';
+import { sortManager } from './sortManager.js';
 import { batchWithRAF } from '../utils/debounce.js';
+import { parseSearchQuery, evaluateSearchQuery, isEmptyQuery, hasTermType, TERM_TYPES } from '../utils/searchQuery.js';
+import { foldText } from '../utils/textMatch.js';
+import { setSearchHighlights, clearSearchHighlights } from '../utils/searchHighlight.js';
+
+/**
+ * ラベルフィルタの一致条件
+ */
+export const LABEL_MATCH = {
+  /** 選択したラベルのいずれかを持つ */
+  ANY: 'any',
+  /** 選択したラベルをすべて持つ */
+  ALL: 'all',
+};
 
 /**
  * フィルタ状態の型定義
+ * フォルダ条件は「選択したフォルダのいずれかに含まれる（OR）」かつ「除外したフォルダのどれにも含まれない」。
  * @typedef {Object} FilterState
- * @property {string|null} selectedFolderId - 選択中のフォルダID（null = すべて表示）
+ * @property {string|null} selectedFolderId - 選択中の先頭のフォルダID（null = フォルダ未選択、後方互換用）
+ * @property {string[]} selectedFolderIds - 選択中のフォルダID（いずれかに含まれるノートを表示）
+ * @property {string[]} excludedFolderIds - 除外中のフォルダID（いずれかに含まれるノートを非表示）
+ * @property {string[]} labelIds - ラベルフィルタで選択中のフォルダID
+ * @property {string} labelMatch - ラベルフィルタの一致条件（LABEL_MATCH）
  * @property {boolean} isActive - FolderLM フィルタが有効かどうか
  */
 
@@ -26,11 +45,29 @@ import { batchWithRAF } from '../utils/debounce.js';
 class FilterManager {
   constructor() {
     /**
-     * 現在選択中のフォルダID
-     * null の場合は「すべて」（FolderLM フィルタ無効）
-     * @type {string|null}
+     * 現在選択中のフォルダID（OR 条件）
+     * 空の場合はフォルダで絞り込まない
+     * @type {string[]}
+     */
+    this._selectedFolderIds = [];
+
+    /**
+     * 除外中のフォルダID（これらのフォルダに含まれるノートを非表示）
+     * @type {string[]}
+     */
+    this._excludedFolderIds = [];
+
+    /**
+     * ラベルフィルタで選択中のフォルダID（複数フォルダモード時のみ有効）
+     * @type {string[]}
      */
-    this._selectedFolderId = null;
+    this._labelIds = [];
+
+    /**
+     * ラベルフィルタの一致条件
+     * @type {string}
+     */
+    this._labelMatch = LABEL_MATCH.ANY;
 
     /**
      * フィルタ変更リスナー
@@ -60,6 +97,19 @@ class FilterManager {
      * @type {string}
      */
     this._searchQuery = '';
+
+    /**
+     * 解析済みの検索クエリ
+     * 構文エラーの間は入力途中で一覧が揺れないよう、最後に解析できたクエリを使い続ける
+     * @type {Object|null}
+     */
+    this._parsedQuery = null;
+
+    /**
+     * 検索クエリの構文エラー（エラーがない場合は null）
+     * @type {{ message: string, start: number, end: number }|null}
+     */
+    this._searchError = null;
   }
 
   // ==========================================================================
@@ -77,26 +127,45 @@ class FilterManager {
   }
 
   /**
-   * 現在選択中のフォルダIDを取得
-   * @returns {string|null}
+   * 現在選択中の先頭のフォルダIDを取得
+   * @returns {string|null} フォルダ未選択の場合は null
    */
   getSelectedFolderId() {
-    return this._selectedFolderId;
+    return this._selectedFolderIds[0] ?? null;
   }
 
   /**
-   * フォルダを選択してフィルタを適用
-   * @param {string|null} folderId - フォルダID（null で「すべて」= フィルタ解除）
+   * フォルダ条件（選択・除外）を取得
+   * @returns {{ folderIds: string[], excludedFolderIds: string[] }}
    */
-  selectFolder(folderId) {
-    const previousId = this._selectedFolderId;
+  getFolderFilter() {
+    return {
+      folderIds: [...this._selectedFolderIds],
+      excludedFolderIds: [...this._excludedFolderIds],
+    };
+  }
 
-    // 同じフォルダの場合は何もしない
-    if (previousId === folderId) {
+  /**
+   * フォルダ条件（選択・除外）を設定してフィルタを適用
+   * 同じフォルダを選択と除外の両方に指定した場合は除外を優先する
+   * @param {Object} filter
+   * @param {string[]} [filter.folderIds] - 選択するフォルダID（OR 条件）
+   * @param {string[]} [filter.excludedFolderIds] - 除外するフォルダID
+   */
+  setFolderFilter({ folderIds = [], excludedFolderIds = [] } = {}) {
+    const nextExcluded = [...new Set(excludedFolderIds.filter(Boolean))];
+    const nextSelected = [...new Set(folderIds.filter(Boolean))]
+      .filter(id => !nextExcluded.includes(id));
+
+    const previousFolderIds = this._selectedFolderIds;
+    const previousExcludedIds = this._excludedFolderIds;
+    if (this._isSameIds(previousFolderIds, nextSelected) &&
+        this._isSameIds(previousExcludedIds, nextExcluded)) {
       return;
     }
 
-    this._selectedFolderId = folderId;
+    this._selectedFolderIds = nextSelected;
+    this._excludedFolderIds = nextExcluded;
 
     // フィルタを適用
     this._batchedApply();
@@ -104,18 +173,143 @@ class FilterManager {
     // 変更を通知
     this._notifyChange({
       type: 'folder_selected',
-      previousFolderId: previousId,
-      currentFolderId: folderId,
+      previousFolderId: previousFolderIds[0] ?? null,
+      currentFolderId: this.getSelectedFolderId(),
+      previousFolderIds: [...previousFolderIds],
+      previousExcludedFolderIds: [...previousExcludedIds],
+    });
+
+    console.log(
+      `[FolderLM FilterManager] Folder filter: [${nextSelected.join(', ') || 'all'}]` +
+      (nextExcluded.length > 0 ? ` excluding [${nextExcluded.join(', ')}]` : '')
+    );
+  }
+
+  /**
+   * フォルダを1つだけ選択してフィルタを適用（除外条件は維持）
+   * @param {string|null} folderId - フォルダID（null で選択を解除）
+   */
+  selectFolder(folderId) {
+    this.setFolderFilter({
+      folderIds: folderId ? [folderId] : [],
+      excludedFolderIds: this._excludedFolderIds.filter(id => id !== folderId),
+    });
+  }
+
+  /**
+   * フォルダの選択を切り替え（他の選択は維持して OR 条件に追加・削除）
+   * @param {string} folderId - フォルダID
+   */
+  toggleFolder(folderId) {
+    const folderIds = this._selectedFolderIds.includes(folderId)
+      ? this._selectedFolderIds.filter(id => id !== folderId)
+      : [...this._selectedFolderIds, folderId];
+    this.setFolderFilter({
+      folderIds,
+      excludedFolderIds: this._excludedFolderIds.filter(id => id !== folderId),
     });
+  }
 
-    console.log(`[FolderLM FilterManager] Folder selected: ${folderId || 'all'}`);
+  /**
+   * フォルダの除外を切り替え（除外すると選択からは外れる）
+   * @param {string} folderId - フォルダID
+   */
+  toggleFolderExclusion(folderId) {
+    const excludedFolderIds = this._excludedFolderIds.includes(folderId)
+      ? this._excludedFolderIds.filter(id => id !== folderId)
+      : [...this._excludedFolderIds, folderId];
+    this.setFolderFilter({ folderIds: this._selectedFolderIds, excludedFolderIds });
   }
 
   /**
-   * FolderLM フィルタを解除（「すべて」を選択）
+   * 削除されたフォルダをフォルダ条件から取り除く（「ピン留め」は残す）
+   * @returns {boolean} 条件が変わった場合 true
+   */
+  removeMissingFolders() {
+    const exists = (id) => id === storageManager.PINNED_ID || Boolean(storageManager.getFolder(id));
+    const folderIds = this._selectedFolderIds.filter(exists);
+    const excludedFolderIds = this._excludedFolderIds.filter(exists);
+    if (folderIds.length === this._selectedFolderIds.length &&
+        excludedFolderIds.length === this._excludedFolderIds.length) {
+      return false;
+    }
+
+    this.setFolderFilter({ folderIds, excludedFolderIds });
+    return true;
+  }
+
+  /**
+   * FolderLM のフォルダ条件を解除（「すべて」を選択）
    */
   clearFilter() {
-    this.selectFolder(null);
+    this.setFolderFilter({ folderIds: [], excludedFolderIds: [] });
+  }
+
+  /**
+   * フォルダ条件が有効かどうか（選択または除外がある）
+   * @returns {boolean}
+   */
+  isFolderFilterActive() {
+    return this._selectedFolderIds.length > 0 || this._excludedFolderIds.length > 0;
+  }
+
+  /**
+   * ラベルフィルタを設定して適用
+   * @param {string[]} labelIds - ラベルとして選択するフォルダID（空配列で解除）
+   * @param {string} [match] - 一致条件（LABEL_MATCH.ANY / LABEL_MATCH.ALL）
+   */
+  setLabelFilter(labelIds, match = this._labelMatch) {
+    const nextIds = Array.isArray(labelIds) ? [...new Set(labelIds)] : [];
+    const nextMatch = match === LABEL_MATCH.ALL ? LABEL_MATCH.ALL : LABEL_MATCH.ANY;
+
+    const unchanged = nextMatch === this._labelMatch && this._isSameIds(nextIds, this._labelIds);
+    if (unchanged) {
+      return;
+    }
+
+    this._labelIds = nextIds;
+    this._labelMatch = nextMatch;
+    this._batchedApply();
+
+    this._notifyChange({
+      type: 'label_filter_changed',
+    });
+
+    console.log(`[FolderLM FilterManager] Label filter: [${nextIds.join(', ')}] (${nextMatch})`);
+  }
+
+  /**
+   * ラベルフィルタの選択を切り替え
+   * @param {string} folderId - フォルダID
+   */
+  toggleLabel(folderId) {
+    const nextIds = this._labelIds.includes(folderId)
+      ? this._labelIds.filter(id => id !== folderId)
+      : [...this._labelIds, folderId];
+    this.setLabelFilter(nextIds);
+  }
+
+  /**
+   * ラベルフィルタの一致条件を設定
+   * @param {string} match - LABEL_MATCH.ANY / LABEL_MATCH.ALL
+   */
+  setLabelMatch(match) {
+    this.setLabelFilter(this._labelIds, match);
+  }
+
+  /**
+   * ラベルフィルタの状態を取得
+   * @returns {{ labelIds: string[], match: string }}
+   */
+  getLabelFilter() {
+    return { labelIds: [...this._labelIds], match: this._labelMatch };
+  }
+
+  /**
+   * ラベルフィルタを解除
+   */
+  clearLabelFilter() {
+    this.setLabelFilter([]);
   }
 
   /**
@@ -123,7 +317,15 @@ class FilterManager {
    * @returns {boolean}
    */
   isFilterActive() {
-    return this._selectedFolderId !== null;
+    return this.isFolderFilterActive() || this.isLabelFilterActive();
+  }
+
+  /**
+   * ラベルフィルタが有効かどうか（複数フォルダモード時のみ）
+   * @returns {boolean}
+   */
+  isLabelFilterActive() {
+    return this._labelIds.length > 0 && storageManager.isMultiFolderMode();
   }
 
   /**
@@ -131,15 +333,26 @@ class FilterManager {
    * @returns {boolean}
    */
   isSearchActive() {
-    return this._searchQuery.trim().length > 0;
+    return !isEmptyQuery(this._parsedQuery);
+  }
+
+  /**
+   * 現在の NotebookLM 標準フィルタ（すべて / マイノートブック / 共有）を取得
+   * @returns {string|null} 'all' | 'owned' | 'shared' | null（タブを検出できない場合）
+   */
+  getNotebookLMFilter() {
+    return this._detectNotebookLMFilter();
   }
 
   /**
-   * フィルタを再適用（DOM 変更後など）
+   * フィルタと並び順を再適用（DOM 変更後など）
    */
   reapplyFilter() {
     if (this.isFilterActive() || this.isSearchActive()) {
       this._batchedApply();
+    } else {
+      // フィルタを適用しない場合も、割り当てやフォルダ順の変更を並び順に反映する
+      sortManager.reapply();
     }
   }
 
@@ -154,16 +367,79 @@ class FilterManager {
       return true;
     }
 
-    const assignedFolderId = storageManager.getNoteFolder(noteId);
-    const isUncategorized = !assignedFolderId || assignedFolderId === storageManager.UNCATEGORIZED_ID;
+    // 所属フォルダ（複数フォルダモードではラベルを含む）
+    const memberFolderIds = storageManager.getNoteFolderIds(noteId);
+    const matchesFolder = (folderId) => this._matchesFolderFilter(noteId, memberFolderIds, folderId);
+
+    // 選択したフォルダのいずれかに含まれる（OR）
+    if (this._selectedFolderIds.length > 0 && !this._selectedFolderIds.some(matchesFolder)) {
+      return false;
+    }
+
+    // 除外したフォルダのどれにも含まれない
+    if (this._excludedFolderIds.some(matchesFolder)) {
+      return false;
+    }
+
+    if (this.isLabelFilterActive()) {
+      const scopeIds = this._getFolderScopeIds(memberFolderIds);
+      const hasLabel = (labelId) => scopeIds.has(labelId);
+      return this._labelMatch === LABEL_MATCH.ALL
+        ? this._labelIds.every(hasLabel)
+        : this._labelIds.some(hasLabel);
+    }
+
+    return true;
+  }
+
+  /**
+   * フォルダフィルタに一致するか確認
+   * @param {string} noteId - ノートID
+   * @param {string[]} memberFolderIds - ノートの所属フォルダID
+   * @param {string} folderId - 選択中のフォルダID
+   * @returns {boolean}
+   * @private
+   */
+  _matchesFolderFilter(noteId, memberFolderIds, folderId) {
+    if (folderId === storageManager.PINNED_ID) {
+      // ピン留めフィルタ: 所属フォルダに関係なくピン留めしたノート
+      return storageManager.isNotePinned(noteId);
+    }
 
-    if (this._selectedFolderId === storageManager.UNCATEGORIZED_ID) {
-      // 未分類フィルタ: 未割り当てまたは未分類に割り当てられたノート
-      return isUncategorized;
+    if (folderId === storageManager.UNCATEGORIZED_ID) {
+      // 未分類フィルタ: どのフォルダにも所属していないノート
+      return memberFolderIds.length === 0;
     }
 
-    // 特定フォルダフィルタ: そのフォルダに割り当てられたノートのみ
-    return assignedFolderId === this._selectedFolderId;
+    // 特定フォルダフィルタ: そのフォルダまたはサブフォルダに所属するノート
+    return this._getFolderScopeIds(memberFolderIds).has(folderId);
+  }
+
+  /**
+   * 2つのID配列が同じ要素を持つか（順序は問わない）
+   * @param {string[]} a
+   * @param {string[]} b
+   * @returns {boolean}
+   * @private
+   */
+  _isSameIds(a, b) {
+    return a.length === b.length && a.every(id => b.includes(id));
+  }
+
+  /**
+   * 所属フォルダとその祖先フォルダのIDを取得
+   * @param {string[]} memberFolderIds - 所属フォルダID
+   * @returns {Set<string>}
+   * @private
+   */
+  _getFolderScopeIds(memberFolderIds) {
+    const ids = new Set();
+    for (const memberId of memberFolderIds) {
+      for (const folder of storageManager.getFolderPath(memberId)) {
+        ids.add(folder.id);
+      }
+    }
+    return ids;
   }
 
   /**
@@ -177,14 +453,45 @@ class FilterManager {
     }
 
     this._searchQuery = nextQuery;
+
+    const result = parseSearchQuery(nextQuery);
+    if (result.success) {
+      this._parsedQuery = result.query;
+      this._searchError = null;
+    } else {
+      this._searchError = result.error;
+    }
+
     this._batchedApply();
 
     this._notifyChange({
       type: 'search_changed',
       searchQuery: this._searchQuery,
+      searchError: this._searchError,
+      searchNotice: this.getSearchNotice(),
     });
   }
 
+  /**
+   * 検索クエリの構文エラーを取得
+   * @returns {{ message: string, start: number, end: number }|null}
+   */
+  getSearchError() {
+    return this._searchError ? { ...this._searchError } : null;
+  }
+
+  /**
+   * 検索クエリのうち適用されない条件についての案内を取得
+   * shared: / owned: は NotebookLM の「マイ ノートブック」「共有」タブでのみ判定できる
+   * @returns {string|null} 案内（すべての条件が適用される場合は null）
+   */
+  getSearchNotice() {
+    if (!hasTermType(this._parsedQuery, TERM_TYPES.OWNERSHIP) || this._getOwnershipFilter()) {
+      return null;
+    }
+    return 'shared: / owned: は NotebookLM の「マイ ノートブック」「共有」タブでのみ適用されます';
+  }
+
   /**
    * 現在の検索クエリを取得
    * @returns {string}
@@ -224,9 +531,16 @@ class FilterManager {
   destroy() {
     this._stopObservingNotebookLMFilter();
     this._changeListeners = [];
-    this._selectedFolderId = null;
+    this._selectedFolderIds = [];
+    this._excludedFolderIds = [];
+    this._labelIds = [];
+    this._labelMatch = LABEL_MATCH.ANY;
     this._searchQuery = '';
+    this._parsedQuery = null;
+    this._searchError = null;
     this._batchedApply.cancel();
+    sortManager.setRanking(null);
+    clearSearchHighlights();
   }
 
   // ==========================================================================
@@ -234,67 +548,65 @@ class FilterManager {
   // ==========================================================================
 
   /**
-   * 検索条件に一致するか確認
+   * 検索条件でノートを評価
    * @param {Element} card - ノートカード要素
    * @param {string} noteId - ノートID
-   * @param {string} searchQuery - 小文字化済み検索クエリ
-   * @returns {boolean}
+   * @param {{ folderIdsByName: Map<string, string[]>, ownership: string|null, fuzzy: boolean }} context - _createSearchContext の結果
+   * @returns {{ matched: boolean, score: number, ranges: Array<[number, number]>, titleElement: Element|null }}
+   *   ranges はタイトル要素の（前後の空白を除いた）テキスト上の一致範囲
    * @private
    */
-  _matchesSearchFilter(card, noteId, searchQuery) {
-    if (!searchQuery) {
-      return true;
+  _evaluateSearch(card, noteId, context) {
+    const titleElement = findNoteTitleElement(card, noteId);
+    if (!this.isSearchActive()) {
+      return { matched: true, score: 0, ranges: [], titleElement };
     }
 
-    const title = this._extractNoteTitle(card, noteId);
-    if (!title) {
-      return false;
-    }
+    const memberFolderIds = storageManager.getNoteFolderIds(noteId);
 
-    return title.toLowerCase().includes(searchQuery);
+    const result = evaluateSearchQuery(this._parsedQuery, {
+      title: titleElement?.textContent?.trim() || '',
+      isInFolder: (name) => (context.folderIdsByName.get(foldText(name)) || [])
+        .some(folderId => this._matchesFolderFilter(memberFolderIds, folderId)),
+      isUncategorized: memberFolderIds.length === 0,
+      ownership: context.ownership,
+    }, { fuzzy: context.fuzzy });
+
+    return { ...result, titleElement };
   }
 
   /**
-   * ノートタイトルを抽出
-   * @param {Element} card - ノートカード要素
-   * @param {string} noteId - ノートID
-   * @returns {string}
+   * 検索クエリの評価に使う、ノートに依存しない情報を作成（フィルタ実行ごとに1回）
+   * - folder: 演算子用のフォルダ名（正規化済み）からフォルダIDへの対応
+   * - shared: / owned: 演算子用の所有状態（NotebookLM の「マイ」「共有」タブから判定）
+   * - あいまい検索の設定
+   * @returns {{ folderIdsByName: Map<string, string[]>, ownership: string|null, fuzzy: boolean }}
    * @private
    */
-  _extractNoteTitle(card, noteId) {
-    if (!card) {
-      return '';
-    }
-
-    let titleElement = null;
-
-    if (noteId) {
-      const titleId = `project-${noteId}-title`;
-      if (window.CSS && CSS.escape) {
-        const escaped = CSS.escape(titleId);
-        titleElement = card.querySelector(`#${escaped}`) || document.getElementById(titleId);
-      } else {
-        titleElement = document.getElementById(titleId);
-      }
+  _createSearchContext() {
+    const folderIdsByName = new Map();
+    for (const folder of storageManager.getFolders()) {
+      const key = foldText(folder.name);
+      folderIdsByName.set(key, [...(folderIdsByName.get(key) || []), folder.id]);
     }
 
-    if (!titleElement) {
-      titleElement = card.querySelector(NOTE_SELECTORS.CARD_TITLE);
-    }
-
-    if (!titleElement) {
-      const labelledBy = card.getAttribute('aria-labelledby');
-      if (labelledBy) {
-        const labelId = labelledBy
-          .split(/\s+/)
-          .find(id => id.includes('project-') && id.endsWith('-title'));
-        if (labelId) {
-          titleElement = document.getElementById(labelId);
-        }
-      }
-    }
+    return {
+      folderIdsByName,
+      ownership: this._getOwnershipFilter(),
+      fuzzy: storageManager.getSettings().fuzzySearch === true,
+    };
+  }
 
-    return titleElement?.textContent?.trim() || '';
+  /**
+   * NotebookLM 標準フィルタから分かる一覧のノートの所有状態
+   * @returns {string|null} 'owned' | 'shared'（「すべて」タブなど、判定できない場合は null）
+   * @private
+   */
+  _getOwnershipFilter() {
+    const notebookLMFilter = this._detectNotebookLMFilter();
+    return notebookLMFilter === 'owned' || notebookLMFilter === 'shared'
+      ? notebookLMFilter
+      : null;
   }
 
   // ==========================================================================
@@ -307,10 +619,12 @@ class FilterManager {
    */
   _performFilter() {
     const noteIds = noteDetector.getAllNoteIds();
-    const searchQuery = this._searchQuery.trim().toLowerCase();
+    const searchContext = this.isSearchActive() ? this._createSearchContext() : null;
 
     let visibleCount = 0;
     let hiddenCount = 0;
+    const highlights = [];
+    const scores = new Map();
 
     for (const noteId of noteIds) {
       const card = noteDetector.getCardByNoteId(noteId);
@@ -319,8 +633,9 @@ class FilterManager {
       // FolderLM のフィルタ条件を判定
       const matchesFolderFilter = this.matchesFilter(noteId);
 
-      // 検索フィルタ（ノートタイトルのみ）
-      const matchesSearchFilter = this._matchesSearchFilter(card, noteId, searchQuery);
+      // 検索フィルタ（タイトルと folder: などの演算子）
+      const search = this._evaluateSearch(card, noteId, searchContext);
+      const matchesSearchFilter = search.matched;
 
       // NotebookLM 標準フィルタの状態を確認
       // NotebookLM が非表示にしている場合は、FolderLM でも非表示を維持
@@ -332,12 +647,20 @@ class FilterManager {
       if (shouldShow) {
         card.classList.remove(FOLDERLM_CLASSES.HIDDEN);
         visibleCount++;
+        if (search.ranges.length > 0) {
+          highlights.push({ element: search.titleElement, ranges: search.ranges });
+        }
+        scores.set(noteId, search.score);
       } else {
         card.classList.add(FOLDERLM_CLASSES.HIDDEN);
         hiddenCount++;
       }
     }
 
+    setSearchHighlights(highlights);
+    // あいまい検索時は一致度の高いノートを先に並べる
+    sortManager.setRanking(searchContext?.fuzzy ? scores : null);
+
     console.log(`[FolderLM FilterManager] Filter applied: ${visibleCount} visible, ${hiddenCount} hidden`);
   }
 
@@ -505,7 +828,11 @@ class FilterManager {
     const fullEvent = {
       ...event,
       timestamp: Date.now(),
-      selectedFolderId: this._selectedFolderId,
+      selectedFolderId: this.getSelectedFolderId(),
+      selectedFolderIds: [...this._selectedFolderIds],
+      excludedFolderIds: [...this._excludedFolderIds],
+      labelIds: [...this._labelIds],
+      labelMatch: this._labelMatch,
       isFilterActive: this.isFilterActive(),
       searchQuery: this._searchQuery,
     };
@@ -529,7 +856,8 @@ class FilterManager {
    */
   debug() {
     const info = {
-      selectedFolderId: this._selectedFolderId,
+      folderFilter: this.getFolderFilter(),
+      labelFilter: this.getLabelFilter(),
       isFilterActive: this.isFilterActive(),
       searchQuery: this._searchQuery,
       notebookLMFilter: this._detectNotebookLMFilter(),
@@ -551,7 +879,8 @@ class FilterManager {
     }
 
     console.group('[FolderLM FilterManager] Debug Info');
-    console.log('Selected folder:', info.selectedFolderId || 'all');
+    console.log('Selected folders:', info.folderFilter.folderIds.join(', ') || 'all');
+    console.log('Excluded folders:', info.folderFilter.excludedFolderIds.join(', ') || 'none');
     console.log('Filter active:', info.isFilterActive);
     console.log('Search query:', info.searchQuery);
     console.log('NotebookLM filter:', info.notebookLMFilter);
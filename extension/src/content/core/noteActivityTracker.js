@@ -0,0 +1,197 @@
+/**
+ * FolderLM - Note Activity Tracker
+ *
+ * ノート一覧にあったノートを最終確認日時として記録し、長期間見つからないノートの割り当てを整理する。
+ * 一覧の一部だけを記録すると表示されていないノートが見つからないノートとして扱われるため、
+ * ノートをすべて検出でき（noteDetector.isHealthy() かつ1件以上）、NotebookLM の「すべて」タブを
+ * 表示しているときだけ記録する。
+ *
+ * 自動削除（設定の autoPurgeStaleNotes）はページを開くたびに1回だけ行い、
+ * 見つからないノートが多すぎる場合（別のアカウントで開いた場合など）は削除せずに確認を促す。
+ * 記録と判定は storageManager が担当する。削除は1つの操作として記録するため、元に戻すことができる。
+ *
+ * @module content/core/noteActivityTracker
+ */
+
+import { findNoteTitleElement } from '../utils/selectors.js';
+import { storageManager } from '../../storage/storageManager.js';
+import { noteDetector, DetectionStatus } from './noteDetector.js';
+import { filterManager } from './filterManager.js';
+
+/**
+ * 同じノートの一覧を続けて記録しない間隔（ミリ秒）
+ */
+const RECORD_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * NoteActivityTracker クラス
+ * ノートの最終確認日時の記録と自動削除を管理
+ */
+class NoteActivityTracker {
+  constructor() {
+    /** 最後に記録した日時 */
+    this._lastRecordedAt = 0;
+
+    /** @type {Set<string>} このページで記録済みのノートID */
+    this._recordedIds = new Set();
+
+    /** @type {Promise|null} 実行中の記録 */
+    this._recording = null;
+
+    /** このページで自動削除を確認済みか */
+    this._autoPurgeChecked = false;
+
+    /** @type {Function|null} 自動削除の結果のコールバック */
+    this._onAutoPurge = null;
+  }
+
+  /**
+   * 一覧にあるノートを確認済みとして記録し、有効なら自動削除を行う
+   * 記録できない状態（一部のノートしか検出できていない、「すべて」以外のタブなど）では何もしない
+   * @returns {Promise<{ recorded: boolean }>}
+   */
+  record() {
+    if (this._recording) {
+      return this._recording;
+    }
+
+    this._recording = this._record()
+      .catch((error) => {
+        console.error('[FolderLM NoteActivity] Failed to record notes:', error);
+        return { recorded: false };
+      })
+      .finally(() => {
+        this._recording = null;
+      });
+    return this._recording;
+  }
+
+  /**
+   * 一覧が記録できる状態か
+   * @returns {boolean}
+   */
+  canRecord() {
+    return noteDetector.isHealthy() &&
+      noteDetector.getLastResult()?.status === DetectionStatus.SUCCESS &&
+      noteDetector.count > 0 &&
+      filterManager.getNotebookLMFilter() === 'all';
+  }
+
+  /**
+   * 自動削除の結果のコールバックを設定
+   * @param {Function} callback - (result: { purged: number } | { skipped: number }) => void
+   *   purged は削除したノート数、skipped は多すぎるため削除しなかったノート数
+   */
+  onAutoPurge(callback) {
+    this._onAutoPurge = callback;
+  }
+
+  /**
+   * 記録の処理
+   * @returns {Promise<{ recorded: boolean }>}
+   * @private
+   */
+  async _record() {
+    if (!this.canRecord()) {
+      return { recorded: false };
+    }
+
+    const noteIds = noteDetector.getAllNoteIds();
+    const hasNewNotes = noteIds.some(noteId => !this._recordedIds.has(noteId));
+    if (!hasNewNotes && Date.now() - this._lastRecordedAt < RECORD_INTERVAL_MS) {
+      return { recorded: false };
+    }
+
+    const notes = noteIds.map(noteId => ({ noteId, title: this._getNoteTitle(noteId) }));
+    const result = await storageManager.markNotesSeen(notes);
+    if (!result.success) {
+      console.warn('[FolderLM NoteActivity] Failed to record notes:', result.error);
+      return { recorded: false };
+    }
+
+    this._lastRecordedAt = Date.now();
+    this._recordedIds = new Set(noteIds);
+
+    await this._autoPurge();
+    return { recorded: true };
+  }
+
+  /**
+   * 見つからないノートの割り当てを自動で削除する（ページを開くたびに1回）
+   * @private
+   */
+  async _autoPurge() {
+    if (this._autoPurgeChecked) {
+      return;
+    }
+    this._autoPurgeChecked = true;
+
+    if (!storageManager.getSettings().autoPurgeStaleNotes || storageManager.isReadOnly()) {
+      return;
+    }
+
+    const stale = await storageManager.getStaleNotes();
+    if (!stale.success) {
+      return;
+    }
+
+    // 記録の後に一覧に現れたノートは除く
+    const visibleIds = new Set(noteDetector.getAllNoteIds());
+    const noteIds = stale.notes.map(note => note.noteId).filter(noteId => !visibleIds.has(noteId));
+    if (noteIds.length === 0) {
+      return;
+    }
+
+    const { AUTO_PURGE_MAX_RATIO, AUTO_PURGE_MAX_NOTES } = storageManager.LIMITS;
+    const maxCount = Math.min(
+      AUTO_PURGE_MAX_NOTES,
+      Math.max(1, Math.floor(stale.trackedCount * AUTO_PURGE_MAX_RATIO))
+    );
+    if (noteIds.length > maxCount) {
+      console.warn(`[FolderLM NoteActivity] Auto purge skipped: ${noteIds.length} stale notes exceed the limit (${maxCount})`);
+      if (this._onAutoPurge) {
+        this._onAutoPurge({ skipped: noteIds.length });
+      }
+      return;
+    }
+
+    const result = storageManager.purgeNotes(noteIds);
+    if (!result.success) {
+      console.warn('[FolderLM NoteActivity] Auto purge failed:', result.error);
+      return;
+    }
+
+    if (result.count > 0) {
+      console.log('[FolderLM NoteActivity] Stale notes purged:', result.count);
+      if (this._onAutoPurge) {
+        this._onAutoPurge({ purged: result.count });
+      }
+    }
+  }
+
+  /**
+   * ノートのタイトルを取得
+   * @param {string} noteId
+   * @returns {string}
+   * @private
+   */
+  _getNoteTitle(noteId) {
+    const card = noteDetector.getCardByNoteId(noteId);
+    return findNoteTitleElement(card, noteId)?.textContent?.trim() || '';
+  }
+
+  /**
+   * 破棄
+   */
+  destroy() {
+    this._onAutoPurge = null;
+    this._recordedIds.clear();
+    this._lastRecordedAt = 0;
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const noteActivityTracker = new NoteActivityTracker();
+
+// デフォルトエクスポート
+export default noteActivityTracker;
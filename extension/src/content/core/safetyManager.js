@@ -246,6 +246,7 @@ class SafetyManager {
       `.${FOLDERLM_CLASSES.FOLDER_BUTTON}, ` +
       `.${FOLDERLM_CLASSES.FOLDER_DROPDOWN}, ` +
       `.${FOLDERLM_CLASSES.ASSIGN_BUTTON}, ` +
+      `.${FOLDERLM_CLASSES.NOTEBOOK_CONTROL}, ` +
       `.${FOLDERLM_CLASSES.SELECT_POPUP}, ` +
       `.${FOLDERLM_CLASSES.FOLDER_BADGE}, ` +
       `.${FOLDERLM_CLASSES.FOLDER_BADGE_CONTAINER}`
@@ -282,8 +283,10 @@ class SafetyManager {
    * @param {string} message - 表示するメッセージ
    * @param {string} [type='info'] - 通知タイプ ('info', 'warning', 'error')
    * @param {number} [duration=0] - 自動非表示までの時間（ミリ秒）、0で手動閉じ
+   * @param {Object} [options] - オプション設定
+   * @param {{ label: string, onClick: Function }} [options.action] - 通知内に表示するアクションボタン
    */
-  showNotification(message, type = 'info', duration = 0) {
+  showNotification(message, type = 'info', duration = 0, options = {}) {
     // 既存の通知を削除
     this.hideNotification();
 
@@ -310,6 +313,19 @@ class SafetyManager {
     const closeButton = notification.querySelector('.folderlm-notification__close');
     closeButton.addEventListener('click', () => this.hideNotification());
 
+    // アクションボタン（「元に戻す」など）
+    if (options.action) {
+      const actionButton = document.createElement('button');
+      actionButton.type = 'button';
+      actionButton.className = 'folderlm-notification__action';
+      actionButton.textContent = options.action.label;
+      actionButton.addEventListener('click', () => {
+        this.hideNotification();
+        options.action.onClick();
+      });
+      notification.insertBefore(actionButton, closeButton);
+    }
+
     // スタイルを適用
     this._applyNotificationStyles(notification);
 
@@ -342,12 +358,13 @@ class SafetyManager {
     }
 
     if (this._notificationElement) {
-      this._notificationElement.classList.remove('folderlm-notification--visible');
+      const notification = this._notificationElement;
+      notification.classList.remove('folderlm-notification--visible');
       
-      // フェードアウト後に削除
+      // フェードアウト後に削除（直後に表示された新しい通知は残す）
       setTimeout(() => {
-        if (this._notificationElement) {
-          this._notificationElement.remove();
+        notification.remove();
+        if (this._notificationElement === notification) {
           this._notificationElement = null;
         }
       }, 300);
@@ -425,6 +442,24 @@ class SafetyManager {
       notification.style.border = '1px solid #bbdefb';
     }
 
+    // アクションボタンのスタイル
+    const actionButton = notification.querySelector('.folderlm-notification__action');
+    if (actionButton) {
+      Object.assign(actionButton.style, {
+        background: 'none',
+        border: 'none',
+        padding: '4px 8px',
+        marginLeft: 'auto',
+        cursor: 'pointer',
+        color: 'inherit',
+        fontFamily: 'inherit',
+        fontSize: '14px',
+        fontWeight: '600',
+        textDecoration: 'underline',
+        whiteSpace: 'nowrap',
+      });
+    }
+
     // 閉じるボタンのスタイル
     const closeButton = notification.querySelector('.folderlm-notification__close');
     if (closeButton) {
@@ -432,7 +467,7 @@ class SafetyManager {
         background: 'none',
         border: 'none',
         padding: '4px 8px',
-        marginLeft: 'auto',
+        marginLeft: actionButton ? '0' : 'auto',
         cursor: 'pointer',
         fontSize: '18px',
         opacity: '0.7',
@@ -0,0 +1,130 @@
+/**
+ * FolderLM - Shortcut Manager
+ *
+ * ノート一覧のページ全体で FolderLM のキーボードショートカットを受け付ける。
+ * キーの割り当ては設定（storageManager）から毎回読むため、他のタブでの変更もすぐに反映される。
+ *
+ * 次の場合はショートカットを発火させない:
+ * - NotebookLM や FolderLM の入力欄など、文字入力中の要素へのキー入力
+ * - フォルダメニュー・フォルダ選択ポップアップ・コマンドパレットの中のキー入力（それぞれがキーを処理する）
+ *
+ * @module content/core/shortcutManager
+ */
+
+import { FOLDERLM_CLASSES } from '../utils/selectors.js';
+import { storageManager } from '../../storage/storageManager.js';
+import { eventToShortcut, isEditableTarget } from '../utils/shortcuts.js';
+
+/**
+ * 独自にキーを処理する FolderLM の UI
+ */
+const KEY_HANDLING_UI_SELECTOR = [
+  `.${FOLDERLM_CLASSES.FOLDER_DROPDOWN}`,
+  `.${FOLDERLM_CLASSES.SELECT_POPUP}`,
+  `.${FOLDERLM_CLASSES.COMMAND_PALETTE}`,
+].join(', ');
+
+/**
+ * ShortcutManager クラス
+ * グローバルなキーボードショートカットを管理
+ */
+class ShortcutManager {
+  constructor() {
+    /** @type {Function|null} ショートカットの操作を実行するコールバック */
+    this._onAction = null;
+
+    /** @type {boolean} キー入力を監視中か */
+    this._started = false;
+
+    this._boundHandleKeydown = this._handleKeydown.bind(this);
+  }
+
+  /**
+   * キー入力の監視を開始
+   */
+  start() {
+    if (this._started) {
+      return;
+    }
+
+    document.addEventListener('keydown', this._boundHandleKeydown);
+    this._started = true;
+  }
+
+  /**
+   * キー入力の監視を停止
+   */
+  stop() {
+    if (!this._started) {
+      return;
+    }
+
+    document.removeEventListener('keydown', this._boundHandleKeydown);
+    this._started = false;
+  }
+
+  /**
+   * ショートカットの操作を実行するコールバックを設定
+   * 操作を実行しなかった場合（一覧ページ以外など）は false を返すと、キーの既定の動作を妨げない
+   * @param {Function} callback - (actionId: string, context: { target: Element|null }) => boolean|void
+   */
+  onAction(callback) {
+    this._onAction = callback;
+  }
+
+  /**
+   * キー入力に割り当てられた操作を探す
+   * @param {string} shortcut - キーの表記
+   * @returns {string|null} 操作ID
+   */
+  findAction(shortcut) {
+    if (!shortcut) {
+      return null;
+    }
+
+    const shortcuts = storageManager.getShortcuts();
+    return Object.keys(shortcuts).find(actionId => shortcuts[actionId] === shortcut) || null;
+  }
+
+  /**
+   * 破棄
+   */
+  destroy() {
+    this.stop();
+    this._onAction = null;
+  }
+
+  /**
+   * キー入力を処理
+   * @param {KeyboardEvent} event
+   * @private
+   */
+  _handleKeydown(event) {
+    if (event.defaultPrevented || event.repeat || !this._onAction) {
+      return;
+    }
+
+    const target = event.target instanceof Element ? event.target : null;
+    if (isEditableTarget(target) || target?.closest(KEY_HANDLING_UI_SELECTOR)) {
+      return;
+    }
+
+    const actionId = this.findAction(eventToShortcut(event));
+    if (!actionId) {
+      return;
+    }
+
+    if (this._onAction(actionId, { target }) === false) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+  }
+}
+
+// シングルトンインスタンス
+export const shortcutManager = new ShortcutManager();
+
+// デフォルトエクスポート
+export default shortcutManager;
@@ -0,0 +1,756 @@
+/**
+ * FolderLM - Sort Manager
+ *
+ * ノートカードを FolderLM の基準（フォルダ順・タイトル順・手動）で並べ替える。
+ * NotebookLM の DOM の順序は変更せず、一覧コンテナ（flex / grid）の子要素に CSS order を設定する。
+ * 同じ基準で並ぶノートは NotebookLM の表示順（DOM の順序）を維持するため、
+ * NotebookLM 側で並び順を変えた場合もその順序が反映される。
+ * ピン留めしたノートはどの並び順でも先頭に並べる（ピン留めしたノート同士は並び順に従う）。
+ *
+ * フォルダごとの見出し表示では、一覧コンテナにフォルダ（未分類を含む）ごとの見出しを挿入し、
+ * その下に所属するノートを並べる。ピン留めしたノートは先頭の「ピン留め」見出しにまとめる。
+ * 見出しは折りたたむことができ、状態はフォルダごとに保存する。
+ * グリッド表示では見出しが全列にまたがり、リスト表示（block の縦並び）はコンテナを縦方向の flex にして並べる。
+ *
+ * @module content/core/sortManager
+ */
+
+import {
+  FOLDERLM_CLASSES,
+  DATA_ATTRIBUTES,
+  findNoteListContainer,
+  findNoteTitleElement,
+} from '../utils/selectors.js';
+import { storageManager } from '../../storage/storageManager.js';
+import { noteDetector } from './noteDetector.js';
+import { batchWithRAF, debounce } from '../utils/debounce.js';
+import { createIconElement, createFolderIconElement } from '../utils/icons.js';
+
+/**
+ * ノートカードの並び順
+ */
+export const SORT_MODES = storageManager.SORT_MODES;
+
+/**
+ * CSS order が有効なコンテナの display
+ */
+const ORDER_SUPPORTED_DISPLAYS = new Set(['flex', 'inline-flex', 'grid', 'inline-grid']);
+
+/**
+ * flex にすれば CSS order が効くコンテナの display（リスト表示）
+ */
+const STACKED_DISPLAYS = new Set(['block', 'flow-root']);
+
+/**
+ * SortManager クラス
+ * ノートカードの並び替えを管理
+ */
+class SortManager {
+  constructor() {
+    /**
+     * 現在の並び順
+     * @type {string}
+     */
+    this._mode = SORT_MODES.NONE;
+
+    /**
+     * フォルダごとの見出しでまとめて表示するか
+     * @type {boolean}
+     */
+    this._groupByFolder = false;
+
+    /**
+     * 検索の一致度（ノートID → スコア）。設定中は並び順より優先する
+     * @type {Map<string, number>|null}
+     */
+    this._ranking = null;
+
+    /**
+     * 挿入済みの見出し（フォルダID → 見出し要素）
+     * @type {Map<string, HTMLElement>}
+     */
+    this._headers = new Map();
+
+    /**
+     * CSS order を設定した要素（解除時に戻すため）
+     * @type {Set<HTMLElement>}
+     */
+    this._orderedItems = new Set();
+
+    /**
+     * 並べ替え対象のコンテナ
+     * @type {Element|null}
+     */
+    this._container = null;
+
+    /**
+     * CSS order を効かせるため flex にしたコンテナ（元が block の場合）
+     * @type {Element|null}
+     */
+    this._stackedContainer = null;
+
+    /**
+     * コンテナの子要素の変化を監視する Observer
+     * @type {MutationObserver|null}
+     */
+    this._observer = null;
+
+    /**
+     * タイトル比較用（日本語の読み・数字の大小を考慮）
+     */
+    this._collator = new Intl.Collator('ja', { numeric: true, sensitivity: 'base' });
+
+    this._batchedApply = batchWithRAF(() => this._performSort());
+
+    // NotebookLM の再描画は複数回に分かれて届くため、落ち着いてから並べ直す
+    this._debouncedApply = debounce(() => this._batchedApply(), 100);
+  }
+
+  // ==========================================================================
+  // 公開 API
+  // ==========================================================================
+
+  /**
+   * 保存済みの並び順を読み込んで適用
+   */
+  initialize() {
+    this._mode = storageManager.getSortMode();
+    this._groupByFolder = storageManager.isGroupByFolder();
+    this.reapply();
+    console.log('[FolderLM SortManager] Initialized:', this._mode);
+  }
+
+  /**
+   * 現在の並び順を取得
+   * @returns {string} SORT_MODES のいずれか
+   */
+  getMode() {
+    return this._mode;
+  }
+
+  /**
+   * 並び順を変更して保存
+   * @param {string} mode - SORT_MODES のいずれか
+   * @returns {{ success: boolean, error?: string }}
+   */
+  setMode(mode) {
+    const result = storageManager.setSortMode(mode);
+    if (result.success) {
+      this._mode = mode;
+      this.reapply();
+    }
+    return result;
+  }
+
+  /**
+   * フォルダごとの見出しでまとめて表示しているか
+   * @returns {boolean}
+   */
+  isGroupByFolder() {
+    return this._groupByFolder;
+  }
+
+  /**
+   * フォルダごとの見出し表示を切り替えて保存
+   * @param {boolean} enabled
+   */
+  setGroupByFolder(enabled) {
+    this._groupByFolder = Boolean(enabled);
+    storageManager.updateSettings({ groupByFolder: this._groupByFolder });
+    this.reapply();
+  }
+
+  /**
+   * 見出しの折りたたみを切り替えて保存
+   * 見出しのボタンのフォーカスを保つため、即座に並べ直す。
+   * @param {string} folderId - フォルダID（未分類は UNCATEGORIZED_ID、ピン留めは PINNED_ID）
+   * @returns {{ success: boolean, error?: string }}
+   */
+  toggleGroupCollapsed(folderId) {
+    const result = storageManager.setGroupCollapsed(folderId, !storageManager.isGroupCollapsed(folderId));
+    if (result.success) {
+      this._batchedApply.cancel();
+      this._performSort();
+    }
+    return result;
+  }
+
+  /**
+   * 保存済みの設定から並び順と見出し表示を読み直す（他のタブでの変更時など）
+   */
+  syncFromSettings() {
+    this._mode = storageManager.getSortMode();
+    this._groupByFolder = storageManager.isGroupByFolder();
+    this.reapply();
+  }
+
+  /**
+   * 並び順を再適用（DOM 変更後など）
+   */
+  reapply() {
+    this._batchedApply();
+  }
+
+  /**
+   * 検索の一致度による並び替えを設定（null で解除）
+   * フィルタ適用と同じフレームで反映するため、即座に並べ替える。
+   * @param {Map<string, number>|null} scores - ノートID → スコア（大きいほど先）
+   */
+  setRanking(scores) {
+    this._ranking = scores && scores.size > 0 ? new Map(scores) : null;
+    this._batchedApply.cancel();
+    this._performSort();
+  }
+
+  /**
+   * ノートを手動の並び順で移動
+   * 現在の表示順でノートを移動先の前後に差し込み、移動したノートまでの順序を保存する。
+   * @param {string[]} noteIds - 移動するノートID（表示順で並べ直す）
+   * @param {string} targetNoteId - 移動先のノートID
+   * @param {Object} [options]
+   * @param {boolean} [options.after=false] - 移動先の後ろに差し込むか
+   * @returns {{ success: boolean, truncated?: boolean, error?: string }}
+   */
+  moveNotes(noteIds, targetNoteId, { after = false } = {}) {
+    if (this._mode !== SORT_MODES.MANUAL) {
+      return { success: false, error: '手動の並び順でのみ移動できます' };
+    }
+
+    const moving = new Set(noteIds);
+    if (moving.size === 0 || moving.has(targetNoteId)) {
+      return { success: false, error: '移動先が不正です' };
+    }
+
+    const current = this._getDisplayEntries({ useRanking: false }).map(entry => entry.noteId);
+    const remaining = current.filter(id => !moving.has(id));
+    const targetIndex = remaining.indexOf(targetNoteId);
+    if (targetIndex < 0) {
+      return { success: false, error: '移動先のノートが見つかりません' };
+    }
+
+    const moved = current.filter(id => moving.has(id));
+    const insertAt = targetIndex + (after ? 1 : 0);
+    const next = [...remaining.slice(0, insertAt), ...moved, ...remaining.slice(insertAt)];
+
+    // 移動したノートより後ろは NotebookLM の順序のままでよいため記録しない
+    const lastMoved = Math.max(...moved.map(id => next.indexOf(id)));
+    const displayed = new Set(current);
+    const hiddenOrder = storageManager.getManualOrder().filter(id => !displayed.has(id));
+
+    // 表示されていないノート（NotebookLM のタブで隠れているなど）の順序は残す
+    const result = storageManager.setManualOrder([...next.slice(0, lastMoved + 1), ...hiddenOrder]);
+    this.reapply();
+    return { success: true, truncated: result.truncated };
+  }
+
+  /**
+   * 手動の並び順を消去（NotebookLM の順序に戻す）
+   */
+  resetManualOrder() {
+    storageManager.setManualOrder([]);
+    this.reapply();
+  }
+
+  /**
+   * 並べ替えを解除して破棄
+   */
+  destroy() {
+    this._batchedApply.cancel();
+    this._debouncedApply.cancel();
+    this._disconnect();
+    this._clearOrder();
+    this._mode = SORT_MODES.NONE;
+    this._groupByFolder = false;
+    this._ranking = null;
+  }
+
+  // ==========================================================================
+  // 並べ替え
+  // ==========================================================================
+
+  /**
+   * 並べ替えを実行（内部用）
+   * @private
+   */
+  _performSort() {
+    if (this._mode === SORT_MODES.NONE && !this._ranking && !this._groupByFolder &&
+        storageManager.getPinnedNoteIds().length === 0) {
+      this._clearOrder();
+      return;
+    }
+
+    const entries = this._getDisplayEntries({ useRanking: true });
+    if (entries.length === 0) {
+      this._clearOrder();
+      return;
+    }
+
+    const groups = this._groupByFolder ? this._summarizeGroups(entries) : new Map();
+
+    // 並べ替えないコンテナの子要素（新規作成ボタンなど）は order: 0 のまま先頭に残す
+    let order = 1;
+    let currentGroupId = null;
+    const items = new Set();
+    const headers = new Map();
+
+    for (const entry of entries) {
+      if (this._groupByFolder && entry.groupId !== currentGroupId) {
+        currentGroupId = entry.groupId;
+        const header = this._renderHeader(entry.groupId, groups.get(entry.groupId));
+        header.style.order = String(order++);
+        headers.set(entry.groupId, header);
+      }
+
+      entry.item.style.order = String(order++);
+      entry.item.classList.toggle(
+        FOLDERLM_CLASSES.GROUP_COLLAPSED,
+        this._groupByFolder && groups.get(entry.groupId).collapsed
+      );
+      items.add(entry.item);
+    }
+
+    for (const item of this._orderedItems) {
+      if (!items.has(item)) {
+        this._resetItem(item);
+      }
+    }
+    this._orderedItems = items;
+
+    for (const [groupId, header] of this._headers) {
+      if (headers.get(groupId) !== header) {
+        header.remove();
+      }
+    }
+    this._headers = headers;
+  }
+
+  /**
+   * 表示順のカードを取得（見出し表示中はフォルダごとにまとめる）
+   * @param {Object} options
+   * @param {boolean} options.useRanking - 検索の一致度を優先するか
+   * @returns {Array<{ noteId: string, card: Element, item: HTMLElement, index: number, groupId: string, pinned: boolean }>}
+   *   見出し表示中の groupId は見出しのID（ピン留めしたノートは PINNED_ID）
+   * @private
+   */
+  _getDisplayEntries({ useRanking }) {
+    const entries = this._getSortedEntries({ useRanking });
+    if (!this._groupByFolder) {
+      return entries;
+    }
+
+    // 各フォルダ内は並び順を保ったまま、フォルダの順にまとめる
+    const groupIndex = this._createGroupIndex();
+    return entries
+      .map(entry => (entry.pinned ? { ...entry, groupId: storageManager.PINNED_ID } : entry))
+      .map((entry, index) => ({ entry, index, key: groupIndex(entry.groupId) }))
+      .sort((a, b) => (a.key === b.key ? a.index - b.index : (a.key < b.key ? -1 : 1)))
+      .map(({ entry }) => entry);
+  }
+
+  /**
+   * 一覧のカードを並び順で取得
+   * @param {Object} options
+   * @param {boolean} options.useRanking - 検索の一致度を優先するか
+   * @returns {Array<{ noteId: string, card: Element, item: HTMLElement, index: number, groupId: string, pinned: boolean }>}
+   *   item は CSS order を設定するコンテナの子要素、index は DOM の順序、groupId は所属フォルダ
+   * @private
+   */
+  _getSortedEntries({ useRanking }) {
+    const entries = this._collectEntries();
+    const compare = this._createComparator(entries);
+    const ranking = useRanking ? this._ranking : null;
+
+    return entries.sort((a, b) => {
+      // ピン留めは検索の一致度より優先して先頭に並べる
+      if (a.pinned !== b.pinned) {
+        return a.pinned ? -1 : 1;
+      }
+      if (ranking) {
+        const diff = (ranking.get(b.noteId) ?? -Infinity) - (ranking.get(a.noteId) ?? -Infinity);
+        if (diff !== 0 && !Number.isNaN(diff)) return diff;
+      }
+      return compare(a, b) || a.index - b.index;
+    });
+  }
+
+  /**
+   * 並び順ごとの比較関数を作成
+   * @param {Array<{ noteId: string, card: Element }>} entries
+   * @returns {Function} (a, b) => number（同順は 0）
+   * @private
+   */
+  _createComparator(entries) {
+    switch (this._mode) {
+      case SORT_MODES.FOLDER: {
+        const groupIndex = this._createGroupIndex();
+        return (a, b) => {
+          const ka = groupIndex(a.groupId);
+          const kb = groupIndex(b.groupId);
+          return ka === kb ? 0 : (ka < kb ? -1 : 1);
+        };
+      }
+
+      case SORT_MODES.TITLE: {
+        const titles = new Map(entries.map(({ noteId, card }) => [
+          noteId,
+          findNoteTitleElement(card, noteId)?.textContent?.trim() || '',
+        ]));
+        return (a, b) => this._collator.compare(titles.get(a.noteId), titles.get(b.noteId));
+      }
+
+      case SORT_MODES.MANUAL: {
+        // 記録済みのノートを記録順に先頭へ、残りは NotebookLM の順序
+        const manualIndex = new Map(storageManager.getManualOrder().map((id, index) => [id, index]));
+        return (a, b) => {
+          const ia = manualIndex.get(a.noteId) ?? Infinity;
+          const ib = manualIndex.get(b.noteId) ?? Infinity;
+          return ia === ib ? 0 : (ia < ib ? -1 : 1);
+        };
+      }
+
+      default:
+        return () => 0;
+    }
+  }
+
+  /**
+   * フォルダの表示順を返す関数を作成
+   * ピン留めが先頭、続いてフォルダツリーの順で、未分類は最後
+   * @returns {Function} (groupId: string) => number
+   * @private
+   */
+  _createGroupIndex() {
+    const uncategorizedId = storageManager.UNCATEGORIZED_ID;
+    const folderIndex = new Map(
+      storageManager.getFlattenedFolderTree()
+        .filter(({ folder }) => folder.id !== uncategorizedId)
+        .map(({ folder }, index) => [folder.id, index])
+    );
+    folderIndex.set(storageManager.PINNED_ID, -1);
+    return (groupId) => folderIndex.get(groupId) ?? Infinity;
+  }
+
+  /**
+   * ノートの所属フォルダ（見出し・フォルダ順に使う主フォルダ）
+   * @param {string} noteId
+   * @returns {string} フォルダID（未分類・削除済みフォルダは UNCATEGORIZED_ID）
+   * @private
+   */
+  _getGroupId(noteId) {
+    const folderId = storageManager.getNoteFolder(noteId);
+    return folderId && storageManager.getFolder(folderId) ? folderId : storageManager.UNCATEGORIZED_ID;
+  }
+
+  /**
+   * 並べ替え対象のカードと、CSS order を設定する要素を収集（DOM 順）
+   * @returns {Array<{ noteId: string, card: Element, item: HTMLElement, index: number, groupId: string, pinned: boolean }>}
+   * @private
+   */
+  _collectEntries() {
+    const cards = [];
+    for (const noteId of noteDetector.getAllNoteIds()) {
+      const card = noteDetector.getCardByNoteId(noteId);
+      if (card?.isConnected) {
+        cards.push({ noteId, card });
+      }
+    }
+
+    const container = this._resolveContainer(cards.map(({ card }) => card));
+    if (!container) {
+      return [];
+    }
+
+    const childIndex = new Map(Array.from(container.children).map((child, index) => [child, index]));
+    const pinnedIds = new Set(storageManager.getPinnedNoteIds());
+    const entries = [];
+    const seenItems = new Set();
+
+    for (const { noteId, card } of cards) {
+      const item = this._findContainerChild(container, card);
+      if (!item || seenItems.has(item)) continue;
+      seenItems.add(item);
+      entries.push({
+        noteId,
+        card,
+        item,
+        index: childIndex.get(item),
+        groupId: this._getGroupId(noteId),
+        pinned: pinnedIds.has(noteId),
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * CSS order を設定するコンテナを特定し、子要素の変化の監視を開始
+   * 一覧コンテナの内側で、カードを含む最も内側の flex / grid 要素を使う。
+   * @param {Element[]} cards - ノートカード要素
+   * @returns {Element|null}
+   * @private
+   */
+  _resolveContainer(cards) {
+    if (cards.length === 0) {
+      return null;
+    }
+
+    if (this._container?.isConnected && this._container.contains(cards[0])) {
+      return this._container;
+    }
+
+    const listContainer = findNoteListContainer();
+    const minimumCount = Math.min(cards.length, 2);
+    let container = null;
+    let stacked = null;
+
+    for (let current = cards[0].parentElement; current && current !== document.body; current = current.parentElement) {
+      const cardCount = cards.filter(card => current.contains(card)).length;
+      if (cardCount >= minimumCount) {
+        const display = window.getComputedStyle(current).display;
+        if (ORDER_SUPPORTED_DISPLAYS.has(display)) {
+          container = current;
+          break;
+        }
+        // カードを含む最も内側の block 要素（リスト表示）は flex にして並べる
+        if (!stacked && STACKED_DISPLAYS.has(display)) {
+          stacked = current;
+        }
+      }
+      if (current === listContainer) break;
+    }
+
+    if (!container && stacked) {
+      stacked.classList.add(FOLDERLM_CLASSES.ORDERABLE_LIST);
+      this._stackedContainer = stacked;
+      container = stacked;
+    }
+
+    if (!container) {
+      console.warn('[FolderLM SortManager] Note list does not support CSS order');
+    }
+
+    this._observe(container);
+    return container;
+  }
+
+  /**
+   * カードを含むコンテナの直下の子要素を探す
+   * @param {Element} container
+   * @param {Element} card
+   * @returns {HTMLElement|null}
+   * @private
+   */
+  _findContainerChild(container, card) {
+    let current = card;
+    while (current && current.parentElement !== container) {
+      current = current.parentElement;
+    }
+    return current;
+  }
+
+  /**
+   * 並べ替えた要素を元に戻す
+   * @param {HTMLElement} item
+   * @private
+   */
+  _resetItem(item) {
+    item.style.removeProperty('order');
+    item.classList.remove(FOLDERLM_CLASSES.GROUP_COLLAPSED);
+  }
+
+  /**
+   * 設定した CSS order と見出しをすべて解除
+   * @private
+   */
+  _clearOrder() {
+    for (const item of this._orderedItems) {
+      this._resetItem(item);
+    }
+    this._orderedItems.clear();
+
+    for (const header of this._headers.values()) {
+      header.remove();
+    }
+    this._headers.clear();
+
+    if (this._stackedContainer) {
+      this._stackedContainer.classList.remove(FOLDERLM_CLASSES.ORDERABLE_LIST);
+      this._stackedContainer = null;
+    }
+  }
+
+  // ==========================================================================
+  // フォルダごとの見出し
+  // ==========================================================================
+
+  /**
+   * フォルダごとのノート数と表示状態を集計
+   * フォルダのノート数は getFolderNoteCounts（サブフォルダを合算しない）の値を使う。
+   * 未分類（割り当てのないノートは保存されない）とピン留めは、一覧にあるノートを数える。
+   * @param {Array<{ card: Element, groupId: string }>} entries
+   * @returns {Map<string, { count: number, visible: boolean, collapsed: boolean }>}
+   * @private
+   */
+  _summarizeGroups(entries) {
+    const noteCounts = storageManager.getFolderNoteCounts({ rollup: false });
+    const countedIds = new Set([storageManager.UNCATEGORIZED_ID, storageManager.PINNED_ID]);
+    const groups = new Map();
+
+    for (const { card, groupId } of entries) {
+      let group = groups.get(groupId);
+      if (!group) {
+        group = {
+          count: countedIds.has(groupId) ? 0 : (noteCounts.get(groupId) || 0),
+          visible: false,
+          collapsed: storageManager.isGroupCollapsed(groupId),
+        };
+        groups.set(groupId, group);
+      }
+      if (countedIds.has(groupId)) {
+        group.count++;
+      }
+      // フィルタですべて隠れたフォルダは見出しも隠す
+      if (!card.classList.contains(FOLDERLM_CLASSES.HIDDEN)) {
+        group.visible = true;
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * 見出しを作成または更新し、コンテナに挿入
+   * @param {string} folderId - フォルダID（ピン留めは PINNED_ID）
+   * @param {{ count: number, visible: boolean, collapsed: boolean }} group - 集計結果
+   * @returns {HTMLElement}
+   * @private
+   */
+  _renderHeader(folderId, group) {
+    const container = this._container;
+    let header = this._headers.get(folderId);
+    if (!header) {
+      header = this._createHeader(folderId, container);
+    }
+
+    const isPinned = folderId === storageManager.PINNED_ID;
+    const folder = storageManager.getFolder(folderId);
+    const name = isPinned
+      ? 'ピン留め'
+      : storageManager.getFolderPath(folderId).map(f => f.name).join(' / ') || folder?.name || '';
+    const toggle = header.querySelector('.folderlm-group-header-toggle');
+    toggle.setAttribute('aria-expanded', group.collapsed ? 'false' : 'true');
+    toggle.title = group.collapsed ? `「${name}」を展開` : `「${name}」を折りたたむ`;
+    header.querySelector('.folderlm-group-header-icon').replaceChildren(
+      isPinned ? createIconElement('pin', 16) : createFolderIconElement(folder, 16)
+    );
+    header.querySelector('.folderlm-group-header-name').textContent = name;
+    header.querySelector('.folderlm-group-header-count').textContent = `${group.count}件`;
+    header.classList.toggle('collapsed', group.collapsed);
+    header.hidden = !group.visible;
+
+    if (header.parentElement !== container) {
+      container.appendChild(header);
+    }
+    return header;
+  }
+
+  /**
+   * 見出し要素を作成
+   * 一覧のセマンティクスを保つため、コンテナに合わせて li / role="listitem" にする。
+   * @param {string} folderId - フォルダID
+   * @param {Element} container - 一覧コンテナ
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createHeader(folderId, container) {
+    const isList = container.tagName === 'UL' || container.tagName === 'OL';
+    const header = document.createElement(isList ? 'li' : 'div');
+    header.className = FOLDERLM_CLASSES.GROUP_HEADER;
+    header.setAttribute(DATA_ATTRIBUTES.FOLDER_ID, folderId);
+    if (!isList && container.getAttribute('role') === 'list') {
+      header.setAttribute('role', 'listitem');
+    }
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'folderlm-group-header-toggle';
+
+    const chevron = createIconElement('chevron', 14);
+    chevron.classList.add('folderlm-group-header-chevron');
+    toggle.appendChild(chevron);
+
+    const icon = document.createElement('span');
+    icon.className = 'folderlm-group-header-icon';
+    toggle.appendChild(icon);
+
+    const name = document.createElement('span');
+    name.className = 'folderlm-group-header-name';
+    toggle.appendChild(name);
+
+    const count = document.createElement('span');
+    count.className = 'folderlm-group-header-count';
+    toggle.appendChild(count);
+
+    // 見出しのクリックを NotebookLM のカード・一覧のハンドラに渡さない
+    toggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.toggleGroupCollapsed(folderId);
+    });
+    header.appendChild(toggle);
+    header.addEventListener('click', (e) => e.stopPropagation());
+
+    return header;
+  }
+
+  // ==========================================================================
+  // DOM 監視
+  // ==========================================================================
+
+  /**
+   * コンテナの子要素の追加・削除・入れ替え（NotebookLM の再描画や並び替え）を監視
+   * @param {Element|null} container
+   * @private
+   */
+  _observe(container) {
+    if (container === this._container) {
+      return;
+    }
+
+    this._disconnect();
+    this._container = container;
+    if (!container) {
+      return;
+    }
+
+    // 見出しの挿入・削除による変化は無視する
+    const isHeader = (node) => node instanceof Element && node.classList.contains(FOLDERLM_CLASSES.GROUP_HEADER);
+    this._observer = new MutationObserver((mutations) => {
+      const changed = mutations.some(mutation =>
+        [...mutation.addedNodes, ...mutation.removedNodes].some(node => !isHeader(node))
+      );
+      if (changed) {
+        this._debouncedApply();
+      }
+    });
+    this._observer.observe(container, { childList: true });
+  }
+
+  /**
+   * 監視を停止
+   * @private
+   */
+  _disconnect() {
+    if (this._observer) {
+      this._observer.disconnect();
+      this._observer = null;
+    }
+    this._container = null;
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const sortManager = new SortManager();
+
+// デフォルトエクスポート
+export default sortManager;
@@ -7,21 +7,31 @@
  * @module content/index
  */
 
-import { NOTE_SELECTORS, UI_INJECTION_SELECTORS, FOLDERLM_CLASSES } from './utils/selectors.js';
+import { NOTE_SELECTORS, UI_INJECTION_SELECTORS, FOLDERLM_CLASSES, findFirstMatch } from './utils/selectors.js';
 import { extractNoteIdFromCard, analyzePageNotes } from './utils/idParser.js';
 import { debounce, batchWithRAF, domBatchQueue } from './utils/debounce.js';
 import { storageManager } from '../storage/storageManager.js';
 import { noteDetector, DetectionStatus } from './core/noteDetector.js';
 import { safetyManager, SafetyState, ErrorType } from './core/safetyManager.js';
 import { filterManager } from './core/filterManager.js';
+import { sortManager } from './core/sortManager.js';
 import { domRecoveryManager } from './core/domRecoveryManager.js';
+import { autoAssignManager } from './core/autoAssignManager.js';
+import { noteActivityTracker } from './core/noteActivityTracker.js';
+import { shortcutManager } from './core/shortcutManager.js';
 import { folderButton } from './ui/folderButton.js';
 import { folderDropdown } from './ui/folderDropdown.js';
+import { folderSidebar } from './ui/folderSidebar.js';
 import { noteAssignButton } from './ui/noteAssignButton.js';
 import { folderSelectPopup } from './ui/folderSelectPopup.js';
+import { noteSelection } from './ui/noteSelection.js';
+import { noteDrag } from './ui/noteDrag.js';
 import { searchBox } from './ui/searchBox.js';
-import { createIconElement } from './utils/icons.js';
+import { commandPalette } from './ui/commandPalette.js';
+import { notebookHeaderControl } from './ui/notebookHeaderControl.js';
+import { createIconElement, createFolderIconElement } from './utils/icons.js';
 import { DEBUG_EXPOSE_GLOBALS, IS_EXTENSION_CONTEXT } from './utils/debug.js';
+import { MESSAGE_TYPES, isFolderLMMessage } from './utils/messages.js';
 
 /**
  * FolderLM アプリケーションクラス
@@ -40,6 +50,9 @@ class FolderLM {
     this._pendingRouteUrl = null;
     this._pendingRoutePrevUrl = null;
     this._boundCheckUrl = null;
+    this._boundHandleMessage = null;
+    this._dropdownOpenedForDrag = false;
+    this._initializingNoteList = false;
 
     // noteDetector と safetyManager への参照
     this.noteDetector = noteDetector;
@@ -48,16 +61,33 @@ class FolderLM {
     // UI コンポーネントへの参照
     this.folderButton = folderButton;
     this.folderDropdown = folderDropdown;
+    this.folderSidebar = folderSidebar;
     this.noteAssignButton = noteAssignButton;
     this.folderSelectPopup = folderSelectPopup;
+    this.noteSelection = noteSelection;
+    this.noteDrag = noteDrag;
     this.searchBox = searchBox;
+    this.commandPalette = commandPalette;
+    this.notebookHeaderControl = notebookHeaderControl;
 
     // フィルタマネージャーへの参照
     this.filterManager = filterManager;
 
+    // 並び順マネージャーへの参照
+    this.sortManager = sortManager;
+
     // DOM復帰マネージャーへの参照
     this.domRecoveryManager = domRecoveryManager;
 
+    // 自動割り当てマネージャーへの参照
+    this.autoAssignManager = autoAssignManager;
+
+    // ノートの最終確認日時の記録への参照
+    this.noteActivityTracker = noteActivityTracker;
+
+    // キーボードショートカットマネージャーへの参照
+    this.shortcutManager = shortcutManager;
+
     // エラーリスナーを設定
     this._setupErrorListeners();
   }
@@ -83,6 +113,27 @@ class FolderLM {
       } else if (error.type === storageManager.ERROR_TYPES.LOAD_FAILED) {
         // ストレージ読み込み失敗は警告のみ（デフォルト値で動作継続）
         this.safetyManager.showNotification(error.message, 'warning', 5000);
+      } else if (
+        error.type === storageManager.ERROR_TYPES.MIGRATION_FAILED ||
+        error.type === storageManager.ERROR_TYPES.VERSION_MISMATCH
+      ) {
+        // データは保持したまま読み取り専用で動作継続
+        console.warn('[FolderLM] Storage is read-only:', error.data);
+        this.safetyManager.showNotification(error.message, 'warning', 8000);
+      }
+    });
+
+    // storageManager の変更イベントを処理
+    storageManager.onChange((event) => {
+      if (event.type === 'migrated') {
+        console.log(`[FolderLM] Data migrated: v${event.fromVersion} -> v${event.toVersion}`, event.steps);
+        this.safetyManager.showNotification('FolderLM のデータを新しい形式に移行しました', 'info', 3000);
+      } else if (event.type === 'remote_changed' || event.type === 'history_applied') {
+        this._refreshAfterStorageChange(event);
+      } else if (event.type === 'backend_changed') {
+        // 設定パネルに結果を表示するため通知は出さない
+        console.log(`[FolderLM] Storage backend changed: ${event.fromMode} -> ${event.toMode}`);
+        this.noteAssignButton.updateAllStates();
       }
     });
 
@@ -97,6 +148,45 @@ class FolderLM {
     });
   }
 
+  /**
+   * UI 以外の経路（他のタブ・元に戻す操作）でのデータ変更を画面に反映
+   * @param {Object} event - storageManager の remote_changed / history_applied イベント
+   * @private
+   */
+  _refreshAfterStorageChange(event) {
+    // ノートブックのページのフォルダ表示はノート一覧の初期化前でも更新する
+    this.notebookHeaderControl.update();
+
+    if (!this.initialized) {
+      this.folderSelectPopup.refresh();
+      return;
+    }
+
+    // 削除されたフォルダはフォルダ条件から外す
+    this.filterManager.removeMissingFolders();
+
+    // ラベルフィルタは複数フォルダモードでのみ有効
+    if (event.settingsChanged && !storageManager.isMultiFolderMode()) {
+      this.filterManager.clearLabelFilter();
+    }
+
+    // 並び順と手動の並び順は設定に含まれる
+    if (event.settingsChanged) {
+      this.sortManager.syncFromSettings();
+      this.noteDrag.setReorderEnabled(this.sortManager.getMode() === storageManager.SORT_MODES.MANUAL);
+    }
+
+    this.processNoteCards();
+    this.noteAssignButton.updateAllStates();
+    this.filterManager.reapplyFilter();
+    this.folderButton.setFilterActive(this.filterManager.isFilterActive());
+    this.folderDropdown.refresh();
+    this.folderSelectPopup.refresh();
+
+    // 他のタブでサイドバーの表示設定が変わった場合も反映する
+    this._syncFolderSidebar();
+  }
+
   /**
    * ルート変更の監視を開始
    */
@@ -148,21 +238,42 @@ class FolderLM {
     this._routeChangeInProgress = true;
 
     try {
+      if (this._isNotebookPage()) {
+        await this._enterNotebookPage();
+        return;
+      }
+
+      // ノートブックのページを離れた
+      this.notebookHeaderControl.remove();
+
       const ready = await this.waitForDOM();
       if (!ready) {
         console.log('[FolderLM] DOM not ready after route change, skipping recovery');
         return;
       }
 
+      // ノートブックのページから開いた場合など、ノート一覧をまだ初期化していなければ初期化する
+      if (!this.initialized) {
+        if (this.safetyManager.isStopped()) {
+          // 復帰処理の中で初期化する
+          this.safetyManager.recover();
+        } else {
+          await this._initNoteList();
+        }
+        return;
+      }
+
       if (this.safetyManager.isStopped()) {
         this.safetyManager.recover();
       }
 
       await this.noteDetector.scanNotes();
       this.injectFolderButton();
+      this.injectFolderSidebar();
       this.processNoteCards();
       this.filterManager.reapplyFilter();
       this.startObserver();
+      this.noteActivityTracker.record();
     } finally {
       this._routeChangeInProgress = false;
       if (this._pendingRouteChange) {
@@ -192,6 +303,83 @@ class FolderLM {
     }
   }
 
+  /**
+   * ツールバーのポップアップ・オプションページからのメッセージの受信を開始
+   * @private
+   */
+  _setupMessageListener() {
+    if (this._boundHandleMessage || !IS_EXTENSION_CONTEXT) {
+      return;
+    }
+
+    this._boundHandleMessage = (message, sender, sendResponse) => {
+      if (!isFolderLMMessage(message)) {
+        return;
+      }
+      sendResponse(this._handleMessage(message));
+    };
+    chrome.runtime.onMessage.addListener(this._boundHandleMessage);
+  }
+
+  /**
+   * メッセージの受信を停止
+   * @private
+   */
+  _teardownMessageListener() {
+    if (this._boundHandleMessage) {
+      chrome.runtime.onMessage.removeListener(this._boundHandleMessage);
+      this._boundHandleMessage = null;
+    }
+  }
+
+  /**
+   * ポップアップ・オプションページからのメッセージを処理
+   * @param {{ type: string, folderId?: string|null }} message - utils/messages.js のメッセージ
+   * @returns {{ success: boolean, error?: string }} 応答
+   * @private
+   */
+  _handleMessage(message) {
+    // ショートカットと同じく、ノート一覧で動作しているときだけ絞り込める
+    const ready = this.initialized && !this.safetyManager.isStopped() && this.folderButton.exists();
+
+    switch (message.type) {
+      case MESSAGE_TYPES.GET_STATE:
+        return {
+          success: true,
+          ready,
+          folderIds: ready ? this.filterManager.getFolderFilter().folderIds : [],
+        };
+
+      case MESSAGE_TYPES.SELECT_FOLDER: {
+        if (!ready) {
+          return { success: false, error: 'ノート一覧のページで絞り込めます' };
+        }
+
+        const folderId = message.folderId || null;
+        if (folderId && folderId !== storageManager.PINNED_ID && !storageManager.getFolder(folderId)) {
+          return { success: false, error: 'フォルダが見つかりません' };
+        }
+
+        this.filterManager.selectFolder(folderId);
+        return { success: true };
+      }
+
+      case MESSAGE_TYPES.GET_NOTE_IDS: {
+        // 一覧の一部だけを返すと表示されていないノートが孤立した割り当てとして扱われるため、
+        // 最終確認日時の記録と同じ条件（「すべて」タブですべて検出できた）のときだけ返す
+        const complete = ready && this.noteActivityTracker.canRecord();
+        return {
+          success: true,
+          complete,
+          noteIds: complete ? this.noteDetector.getAllNoteIds() : [],
+        };
+      }
+
+      default:
+        return { success: false, error: '不明なメッセージです' };
+    }
+  }
+
   /**
    * 安全停止時の処理
    */
@@ -208,6 +396,22 @@ class FolderLM {
    */
   async _handleSafetyRecovery() {
     console.log('[FolderLM] Attempting recovery...');
+
+    // ノートブックのページではヘッダーのフォルダ表示だけを戻す
+    if (this._isNotebookPage()) {
+      this.injectNotebookControl();
+      this.startObserver();
+      console.log('[FolderLM] Recovery successful');
+      return;
+    }
+
+    this.notebookHeaderControl.remove();
+
+    // ノート一覧の初期化前に停止していた場合は初期化からやり直す
+    if (!this.initialized) {
+      await this._initNoteList();
+      return;
+    }
     
     // ノート検出を再試行
     const result = await this.noteDetector.scanNotes();
@@ -217,6 +421,7 @@ class FolderLM {
       this.startObserver();
       // UI を再初期化
       this.initUI();
+      this.noteActivityTracker.record();
       console.log('[FolderLM] Recovery successful');
     }
   }
@@ -234,8 +439,9 @@ class FolderLM {
 
     try {
       this._setupRouteChangeWatcher();
+      this._setupMessageListener();
 
-      // 1. ストレージからデータを読み込み
+      // ストレージからデータを読み込み
       try {
         await storageManager.load();
         console.log('[FolderLM] Storage loaded');
@@ -244,7 +450,36 @@ class FolderLM {
         console.warn('[FolderLM] Storage load failed, using defaults:', storageError);
       }
 
-      // 2. DOM の準備を待つ
+      // ノートブックのページではヘッダーのフォルダ表示だけを行い、
+      // ノート一覧はルート変更で一覧に移動したときに初期化する
+      if (this._isNotebookPage()) {
+        await this._enterNotebookPage();
+        return;
+      }
+
+      await this._initNoteList();
+    } catch (error) {
+      console.error('[FolderLM] Initialization failed:', error);
+      this.safetyManager.triggerSafeStop(
+        ErrorType.UNKNOWN,
+        '初期化に失敗しました。ページを再読み込みしてください。'
+      );
+    }
+  }
+
+  /**
+   * ノート一覧のページの機能を初期化
+   * @private
+   */
+  async _initNoteList() {
+    if (this.initialized || this._initializingNoteList) {
+      return;
+    }
+
+    this._initializingNoteList = true;
+
+    try {
+      // 1. DOM の準備を待つ
       const ready = await this.waitForDOM();
       if (!ready) {
         console.error('[FolderLM] DOM not ready after retries, stopping initialization');
@@ -255,7 +490,7 @@ class FolderLM {
         return;
       }
 
-      // 3. noteDetector を使用してノートを検出
+      // 2. noteDetector を使用してノートを検出
       const detectionResult = await this.noteDetector.initialize();
       console.log(`[FolderLM] Note detection result:`, detectionResult);
 
@@ -276,25 +511,30 @@ class FolderLM {
         );
       }
 
-      // 4. filterManager を初期化
+      // 3. filterManager と sortManager を初期化
       this.filterManager.initialize();
+      this.sortManager.initialize();
 
-      // 5. domRecoveryManager を初期化
+      // 4. domRecoveryManager を初期化
       this.domRecoveryManager.initialize();
       this._setupDOMRecoveryEvents();
 
-      // 6. UI を初期化
+      // 5. UI を初期化
       this.initUI();
 
-      // 7. DOM 監視を開始
+      // 6. DOM 監視を開始
       this.startObserver();
 
-      // 8. noteDetector の変更イベントを購読
+      // 7. noteDetector の変更イベントを購読
       this._setupNoteDetectorEvents();
 
-      // 9. filterManager の変更イベントを購読
+      // 8. filterManager の変更イベントを購読
       this._setupFilterManagerEvents();
 
+      // 9. 一覧のノートの最終確認日時を記録（見つからないノートの整理用）
+      this._setupNoteActivityEvents();
+      this.noteActivityTracker.record();
+
       this.initialized = true;
       console.log('[FolderLM] Initialization complete');
 
@@ -304,9 +544,63 @@ class FolderLM {
         ErrorType.UNKNOWN,
         '初期化に失敗しました。ページを再読み込みしてください。'
       );
+    } finally {
+      this._initializingNoteList = false;
     }
   }
 
+  /**
+   * ノートブックのページ（/notebook/<UUID>）を開いたときの処理
+   * ヘッダーに所属フォルダの表示を挿入する。
+   * ノート一覧と同じく、ページ構造を検出できなければ安全停止し、検出できれば停止から復帰する
+   * @private
+   */
+  async _enterNotebookPage() {
+    this._setupNotebookControl();
+
+    const ready = await this.waitForNotebookHeader();
+    if (!ready) {
+      console.error('[FolderLM] Notebook header not found after retries');
+      this.notebookHeaderControl.remove();
+      this.safetyManager.triggerSafeStop(
+        ErrorType.DOM_NOT_FOUND,
+        'ノートブックのページ構造を検出できませんでした。'
+      );
+      return;
+    }
+
+    if (this.safetyManager.isStopped()) {
+      // 復帰処理の中でフォルダ表示を挿入する
+      this.safetyManager.recover();
+      return;
+    }
+
+    this.injectNotebookControl();
+    this.startObserver();
+  }
+
+  /**
+   * ノートブックのフォルダ表示とフォルダ選択ポップアップのイベントを設定
+   * @private
+   */
+  _setupNotebookControl() {
+    this.notebookHeaderControl.onClick((noteId, element) => {
+      this.folderSelectPopup.open(noteId, element);
+    });
+
+    // ノート一覧を初期化していない場合もポップアップでの割り当てを画面に反映する
+    this._setupFolderSelectPopup();
+  }
+
+  /**
+   * ノートブックのページ（/notebook/<UUID>）を開いているか
+   * @returns {boolean}
+   * @private
+   */
+  _isNotebookPage() {
+    return Boolean(this.noteDetector.getCurrentNoteIdFromUrl());
+  }
+
   /**
    * noteDetector のイベントハンドラを設定
    */
@@ -314,6 +608,11 @@ class FolderLM {
     this.noteDetector.onChange((event) => {
       if (event.type === 'diff') {
         const { added, removed } = event.data;
+
+        // まだ割り当てのない新規ノートに自動割り当てルールを適用（バッジより先に保存する）
+        const autoAssigned = added.length > 0
+          ? this.autoAssignManager.applyToNewNotes(added)
+          : { success: true, count: 0 };
         
         // 新規ノートにフォルダ状態を適用
         for (const noteId of added) {
@@ -328,8 +627,36 @@ class FolderLM {
           console.log(`[FolderLM] ${removed.length} notes removed from view`);
         }
 
+        if (!autoAssigned.success) {
+          this.showWarning(`自動割り当てに失敗しました: ${autoAssigned.error}`);
+        } else if (autoAssigned.count > 0) {
+          this.folderDropdown.refresh();
+          this.folderSidebar.refresh();
+          this.showUndoable(`${autoAssigned.count}件の新しいノートをルールでフォルダに割り当てました`);
+        }
+
         // フィルタを再適用（新規ノートにもフィルタを適用するため）
         this.filterManager.reapplyFilter();
+
+        this.noteActivityTracker.record();
+      }
+    });
+  }
+
+  /**
+   * noteActivityTracker のイベントハンドラを設定
+   */
+  _setupNoteActivityEvents() {
+    this.noteActivityTracker.onAutoPurge(({ purged, skipped }) => {
+      if (purged) {
+        this.folderDropdown.refresh();
+        this.folderSidebar.refresh();
+        this.showUndoable(`長期間見つからない${purged}件のノートの割り当てを削除しました`);
+      } else if (skipped) {
+        this.showInfo(
+          `長期間見つからないノートが${skipped}件あるため、自動では削除しませんでした。オプションページの「データの整理」で確認してください。`,
+          8000
+        );
       }
     });
   }
@@ -343,13 +670,29 @@ class FolderLM {
         // フォルダボタンの状態を更新
         this.folderButton.setFilterActive(event.isFilterActive);
         
-        // ドロップダウンの選択状態を同期
-        this.folderDropdown.setSelectedFolder(event.selectedFolderId);
+        // ドロップダウンとサイドバーの選択・除外状態を同期
+        const folderFilter = {
+          folderIds: event.selectedFolderIds,
+          excludedFolderIds: event.excludedFolderIds,
+        };
+        this.folderDropdown.setFolderFilter(folderFilter);
+        this.folderSidebar.setFolderFilter(folderFilter);
 
         console.log(`[FolderLM] Filter state: ${event.isFilterActive ? 'active' : 'inactive'}`);
+      } else if (event.type === 'search_changed') {
+        // 保存済みビューの保存・適用中表示のため検索クエリを同期
+        this.folderDropdown.setSearchQuery(event.searchQuery);
+        this.folderSidebar.setSearchQuery(event.searchQuery);
+        this.searchBox.setError(event.searchError);
+        this.searchBox.setNotice(event.searchNotice);
+      } else if (event.type === 'label_filter_changed') {
+        this.folderButton.setFilterActive(event.isFilterActive);
+        this.folderDropdown.setLabelFilter({ labelIds: event.labelIds, match: event.labelMatch });
       } else if (event.type === 'notebooklm_filter_changed') {
         // NotebookLM 標準フィルタが変更された場合のログ
         console.log(`[FolderLM] NotebookLM filter changed to: ${event.filter}`);
+        // タブによって shared: / owned: が適用されるかが変わる
+        this.searchBox.setNotice(this.filterManager.getSearchNotice());
       }
     });
   }
@@ -368,10 +711,17 @@ class FolderLM {
         return;
       }
 
+      // ノートブックのページにはノート一覧の UI を挿入しない
+      if (this._isNotebookPage()) {
+        this.injectNotebookControl();
+        return;
+      }
+
       // UI を再初期化
       domBatchQueue.add(() => {
-        // フォルダボタンを再注入
+        // フォルダボタンとサイドバーを再注入
         this.injectFolderButton();
+        this.injectFolderSidebar();
         
         // ノートカードを再処理
         this.processNoteCards();
@@ -416,6 +766,32 @@ class FolderLM {
     return false;
   }
 
+  /**
+   * ノートブックのページのヘッダーが表示されるまで待機
+   * @returns {Promise<boolean>} 表示されたら true
+   */
+  async waitForNotebookHeader() {
+    for (let i = 0; i < this.maxRetries; i++) {
+      if (this._findNotebookHeader()) {
+        return true;
+      }
+
+      console.log(`[FolderLM] Waiting for notebook header... (attempt ${i + 1}/${this.maxRetries})`);
+      await this.sleep(this.retryDelay);
+    }
+
+    return false;
+  }
+
+  /**
+   * ノートブックのページのヘッダーを取得
+   * @returns {Element|null}
+   * @private
+   */
+  _findNotebookHeader() {
+    return findFirstMatch(UI_INJECTION_SELECTORS.NOTEBOOK_HEADER, UI_INJECTION_SELECTORS.HEADER);
+  }
+
   /**
    * UI コンポーネントを初期化
    */
@@ -429,12 +805,24 @@ class FolderLM {
     // フォルダドロップダウンのイベントを設定
     this._setupFolderDropdown();
 
+    // フォルダのサイドバーを設定（設定で有効な場合のみ表示）
+    this._setupFolderSidebar();
+
     // ノート割り当てボタンのイベントを設定
     this._setupNoteAssignButton();
 
     // フォルダ選択ポップアップのイベントを設定
     this._setupFolderSelectPopup();
 
+    // 選択モードのイベントを設定
+    this._setupNoteSelection();
+
+    // ノートのドラッグ&ドロップのイベントを設定
+    this._setupNoteDrag();
+
+    // キーボードショートカットとコマンドパレットを設定
+    this._setupShortcuts();
+
     // 既存のノートカードに割り当てボタンを追加
     this.processNoteCards();
 
@@ -456,6 +844,21 @@ class FolderLM {
     this.folderButton.onClick(() => {
       this.toggleFolderDropdown();
     });
+
+    this._attachFolderButtonDropTarget();
+  }
+
+  /**
+   * フォルダボタンをノートのドロップ先にする（選択中のフォルダに割り当て）
+   * ドロップダウンを閉じていても使える常設のドロップ先として機能する
+   * 割り当て先が一意に決まるよう、フォルダを1つだけ選択している場合のみ受け付ける
+   * @private
+   */
+  _attachFolderButtonDropTarget() {
+    this.noteDrag.attachDropTarget(this.folderButton.getElement(), () => {
+      const { folderIds } = this.filterManager.getFolderFilter();
+      return folderIds.length === 1 && storageManager.getFolder(folderIds[0]) ? folderIds[0] : null;
+    });
   }
 
   /**
@@ -466,6 +869,8 @@ class FolderLM {
     const buttonElement = this.folderButton.getElement();
     this.searchBox.create(buttonElement);
     this.searchBox.setQuery(this.filterManager.getSearchQuery());
+    this.searchBox.setError(this.filterManager.getSearchError());
+    this.searchBox.setNotice(this.filterManager.getSearchNotice());
 
     this.searchBox.onQueryChange((query) => {
       this.filterManager.setSearchQuery(query);
@@ -484,18 +889,207 @@ class FolderLM {
       console.log('[FolderLM] Folder selected:', folderId || 'all');
     });
 
+    // 複数選択・除外の変更時の処理（ドロップダウンは開いたまま）
+    this.folderDropdown.onFolderFilterChange((filter) => {
+      this.filterManager.setFolderFilter(filter);
+    });
+
     // フォルダ作成時の処理
     this.folderDropdown.onFolderCreate((folder) => {
       console.log('[FolderLM] Folder created:', folder.name);
+      this.folderSidebar.refresh();
       this.showInfo(`フォルダ「${folder.name}」を作成しました`, 2000);
     });
 
+    // ラベルフィルタ変更時の処理（複数フォルダモード）
+    this.folderDropdown.onLabelFilterChange((labelIds, match) => {
+      this.filterManager.setLabelFilter(labelIds, match);
+    });
+
+    // 設定変更時の処理
+    this.folderDropdown.onSettingsChange((settings) => {
+      if (!settings.multiFolderMode) {
+        // ラベルフィルタは複数フォルダモードでのみ有効なため解除
+        this.filterManager.clearLabelFilter();
+      }
+      this.processNoteCards();
+      this.noteAssignButton.updateAllStates();
+      this.folderButton.setFilterActive(this.filterManager.isFilterActive());
+      this.filterManager.reapplyFilter();
+      this._syncFolderSidebar();
+    });
+
+    // インポート完了時の処理
+    this.folderDropdown.onDataImport((stats) => {
+      // 置換でなくなったフォルダはフォルダ条件から外す
+      this.filterManager.removeMissingFolders();
+
+      this.processNoteCards();
+      this.noteAssignButton.updateAllStates();
+      this.filterManager.reapplyFilter();
+      this.folderSidebar.refresh();
+      const { skippedFolders = 0, skippedNotes = 0 } = stats;
+      this.showUndoable(
+        `インポートしました（フォルダ追加 ${stats.foldersAdded}件・割り当て ${stats.assignmentsImported}件）` +
+        (skippedFolders + skippedNotes > 0 ? `。上限のためフォルダ ${skippedFolders}件・ノート ${skippedNotes}件は取り込みませんでした` : '')
+      );
+    });
+
+    // フォルダ名・色・アイコン変更時の処理（バッジの表示を更新）
+    // 検索の folder: 演算子はフォルダ名で一致させるため再適用する
+    this.folderDropdown.onFolderRename(() => {
+      this._handleFolderRename();
+    });
+    this.folderDropdown.onFolderAppearanceChange(() => {
+      this.processNoteCards();
+      this.folderSidebar.refresh();
+      // フォルダごとの見出しのアイコン・色を更新
+      this.sortManager.reapply();
+    });
+
+    // フォルダ削除時の処理（元に戻せる通知を表示）
+    this.folderDropdown.onFolderDelete((folderId, folderName) => {
+      this._handleFolderDelete(folderName);
+    });
+
+    // 選択モードの切り替え
+    this.folderDropdown.onSelectionModeToggle(() => {
+      this.folderDropdown.close();
+      this.noteSelection.toggle();
+    });
+
+    // ドロップダウン内での元に戻す / やり直し
+    this.folderDropdown.onHistoryRequest((action) => {
+      if (action === 'redo') {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    });
+
+    // フォルダの並び替え・階層変更時の処理（親フォルダのフィルタ範囲が変わるため再適用）
+    this.folderDropdown.onFolderReorder(() => {
+      this.processNoteCards();
+      this.filterManager.reapplyFilter();
+      this.folderSidebar.refresh();
+    });
+
+    // 保存済みビューの適用
+    this.folderDropdown.onViewApply((view) => {
+      this.applySavedView(view);
+    });
+
+    // 並び順の変更（手動の並び順の間はカードへのドロップで並べ替えられる）
+    this.folderDropdown.onSortModeChange((mode) => {
+      const result = this.sortManager.setMode(mode);
+      if (!result.success) {
+        this.showWarning(result.error);
+      }
+      this.noteDrag.setReorderEnabled(this.sortManager.getMode() === storageManager.SORT_MODES.MANUAL);
+    });
+
+    this.folderDropdown.onGroupByFolderChange((enabled) => {
+      this.sortManager.setGroupByFolder(enabled);
+    });
+
+    // 自動割り当てルール（未分類のノートへの適用はプレビューしてから移動する）
+    this.folderDropdown.onRulePreviewRequest(() => this.autoAssignManager.previewUncategorized());
+    this.folderDropdown.onRulesApply((matches) => {
+      const result = this.autoAssignManager.apply(matches);
+      if (result.success && result.count > 0) {
+        this.processNoteCards();
+        this.noteAssignButton.updateAllStates();
+        this.filterManager.reapplyFilter();
+        this.folderSidebar.refresh();
+        this.showUndoable(`${result.count}件のノートをルールでフォルダに移動しました`);
+      }
+      return result;
+    });
+
+    this.folderDropdown.onManualOrderReset(() => {
+      this.sortManager.resetManualOrder();
+      this.showInfo('手動の並び順をリセットしました', 2000);
+    });
+
     // ドロップダウンが閉じた時の処理
     this.folderDropdown.onClose(() => {
       this.folderButton.setOpen(false);
     });
   }
 
+  /**
+   * フォルダのサイドバーのイベントを設定
+   * @private
+   */
+  _setupFolderSidebar() {
+    this.folderSidebar.onFolderSelect((folderId) => {
+      this.filterManager.selectFolder(folderId);
+    });
+
+    this.folderSidebar.onFolderFilterChange((filter) => {
+      this.filterManager.setFolderFilter(filter);
+    });
+
+    this.folderSidebar.onFolderCreate((folder) => {
+      this.folderDropdown.refresh();
+      this.showInfo(`フォルダ「${folder.name}」を作成しました`, 2000);
+    });
+
+    this.folderSidebar.onFolderRename(() => {
+      this._handleFolderRename();
+    });
+
+    this.folderSidebar.onFolderDelete((folderId, folderName) => {
+      this._handleFolderDelete(folderName);
+    });
+
+    this._syncFolderSidebar();
+  }
+
+  /**
+   * 設定に合わせてサイドバーを表示・非表示にし、表示する場合は現在の状態を反映
+   * @private
+   */
+  _syncFolderSidebar() {
+    if (!storageManager.getSettings().sidebarEnabled) {
+      this.folderSidebar.remove();
+      return;
+    }
+
+    this.folderSidebar.setFolderFilter(this.filterManager.getFolderFilter());
+    this.folderSidebar.setSearchQuery(this.filterManager.getSearchQuery());
+    if (!this.folderSidebar.create()) {
+      this.folderSidebar.refresh();
+    }
+  }
+
+  /**
+   * フォルダ名の変更を画面に反映（ドロップダウン・サイドバー共通）
+   * 検索の folder: 演算子はフォルダ名で一致させるため再適用する
+   * @private
+   */
+  _handleFolderRename() {
+    this.processNoteCards();
+    this.filterManager.reapplyFilter();
+    this.folderDropdown.refresh();
+    this.folderSidebar.refresh();
+  }
+
+  /**
+   * フォルダの削除を画面に反映し、元に戻せる通知を表示（ドロップダウン・サイドバー共通）
+   * @param {string} folderName - 削除したフォルダ名
+   * @private
+   */
+  _handleFolderDelete(folderName) {
+    this.filterManager.removeMissingFolders();
+    this.processNoteCards();
+    this.noteAssignButton.updateAllStates();
+    this.filterManager.reapplyFilter();
+    this.folderDropdown.refresh();
+    this.folderSidebar.refresh();
+    this.showUndoable(`フォルダ「${folderName}」を削除しました`);
+  }
+
   /**
    * ノート割り当てボタンのイベントを設定
    * @private
@@ -510,6 +1104,11 @@ class FolderLM {
       
       this.folderSelectPopup.open(noteId, buttonElement);
     });
+
+    // フォーカス中のボタンで P キーを押すとピン留めを切り替える
+    this.noteAssignButton.onPinShortcut((noteId) => {
+      this._handlePinChange(noteId, storageManager.toggleNotePin(noteId));
+    });
   }
 
   /**
@@ -519,8 +1118,9 @@ class FolderLM {
   _setupFolderSelectPopup() {
     // フォルダ選択時の処理
     this.folderSelectPopup.onSelect((noteId, folderId) => {
-      // 割り当てボタンの状態を更新
+      // 割り当てボタン・ノートブックのフォルダ表示の状態を更新
       this.noteAssignButton.updateState(noteId);
+      this.notebookHeaderControl.update();
       
       // フォルダバッジを更新
       const card = this.noteDetector.getCardByNoteId(noteId);
@@ -530,6 +1130,7 @@ class FolderLM {
 
       // フィルタが適用されている場合、表示/非表示を更新
       this.filterManager.reapplyFilter();
+      this.folderSidebar.refresh();
 
       // フィードバック通知
       const folder = storageManager.getFolder(folderId);
@@ -537,6 +1138,284 @@ class FolderLM {
         this.showInfo(`「${folder.name}」に割り当てました`, 2000);
       }
     });
+
+    // 所属フォルダ変更時の処理（複数フォルダモード）
+    this.folderSelectPopup.onFoldersChange((noteId) => {
+      this.noteAssignButton.updateState(noteId);
+      this.notebookHeaderControl.update();
+
+      const card = this.noteDetector.getCardByNoteId(noteId);
+      if (card) {
+        this._updateFolderBadge(card, noteId);
+      }
+
+      this.filterManager.reapplyFilter();
+      this.folderSidebar.refresh();
+    });
+
+    // 一括移動時の処理（選択モード）
+    this.folderSelectPopup.onBulkSelect((noteIds, folderId, result) => {
+      this._handleBulkAssign(noteIds, folderId, result);
+    });
+
+    // ピン留め切り替え時の処理
+    this.folderSelectPopup.onPinChange((noteId, result) => {
+      this._handlePinChange(noteId, result);
+    });
+  }
+
+  /**
+   * ピン留めの切り替え結果を画面に反映
+   * @param {string} noteId - 対象のノートID
+   * @param {{ success: boolean, pinned?: boolean, error?: string }} result - storageManager.toggleNotePin の結果
+   * @private
+   */
+  _handlePinChange(noteId, result) {
+    if (!result.success) {
+      this.showWarning(result.error);
+      return;
+    }
+
+    this.noteAssignButton.updateState(noteId);
+    this.notebookHeaderControl.update();
+    const card = this.noteDetector.getCardByNoteId(noteId);
+    if (card) {
+      this._updateFolderBadge(card, noteId);
+    }
+
+    // ピン留めしたノートを先頭に並べ直す（「ピン留め」で絞り込み中は表示も更新）
+    this.filterManager.reapplyFilter();
+    this.folderDropdown.refresh();
+    this.folderSidebar.refresh();
+
+    this.showUndoable(result.pinned ? 'ノートをピン留めしました' : 'ノートのピン留めを外しました');
+  }
+
+  /**
+   * 選択モードのイベントを設定
+   * @private
+   */
+  _setupNoteSelection() {
+    // 開始時は表示中のカードにチェックボックスを挿入
+    this.noteSelection.onModeChange((active) => {
+      if (active) {
+        this.processNoteCards();
+      } else if (this.folderSelectPopup.isOpen()) {
+        this.folderSelectPopup.close();
+      }
+    });
+
+    // 「フォルダに移動…」で移動先の選択ポップアップを表示
+    this.noteSelection.onMoveRequest((noteIds, anchorElement) => {
+      if (this.folderDropdown.isOpen()) {
+        this.folderDropdown.close();
+      }
+      this.folderSelectPopup.openForNotes(noteIds, anchorElement);
+    });
+
+    // 「未分類に移動」の結果を反映
+    this.noteSelection.onAssign((noteIds, folderId, result) => {
+      this._handleBulkAssign(noteIds, folderId, result);
+    });
+  }
+
+  /**
+   * ノートのドラッグ&ドロップのイベントを設定
+   * @private
+   */
+  _setupNoteDrag() {
+    // ドラッグ開始時にドロップ先となるフォルダ一覧を開く（サイドバーを表示中はサイドバーにドロップできる）
+    this.noteDrag.onDragStart(() => {
+      if (this.folderSelectPopup.isOpen()) {
+        this.folderSelectPopup.close();
+      }
+      if (!this.folderDropdown.isOpen() && !this.folderSidebar.isExpanded()) {
+        this.toggleFolderDropdown();
+        this._dropdownOpenedForDrag = this.folderDropdown.isOpen();
+      }
+    });
+
+    // ドラッグのために開いたフォルダ一覧は終了時に閉じる
+    this.noteDrag.onDragEnd(() => {
+      if (this._dropdownOpenedForDrag && this.folderDropdown.isOpen()) {
+        this.folderDropdown.close();
+        this.folderButton.setOpen(false);
+      }
+      this._dropdownOpenedForDrag = false;
+    });
+
+    this.noteDrag.onDrop((noteIds, folderId, result) => {
+      this._handleBulkAssign(noteIds, folderId, result);
+    });
+
+    // 手動の並び順でカードの上にドロップした場合は並べ替える
+    this.noteDrag.setReorderEnabled(this.sortManager.getMode() === storageManager.SORT_MODES.MANUAL);
+    this.noteDrag.onReorder((noteIds, targetNoteId, options) => {
+      const result = this.sortManager.moveNotes(noteIds, targetNoteId, options);
+      if (!result.success) {
+        this.showWarning(result.error);
+      } else if (result.truncated) {
+        this.showWarning(
+          `手動で並べられるのは先頭の${storageManager.LIMITS.MAX_MANUAL_ORDER}件までです。以降は NotebookLM の順序で表示されます`
+        );
+      }
+    });
+  }
+
+  /**
+   * 一括移動の結果を画面に反映
+   * @param {string[]} noteIds - 対象のノートID
+   * @param {string} folderId - 移動先のフォルダID
+   * @param {{ success: boolean, count?: number, error?: string }} result - storageManager.assignNotes の結果
+   * @private
+   */
+  _handleBulkAssign(noteIds, folderId, result) {
+    if (!result.success) {
+      this.showWarning(result.error);
+      return;
+    }
+
+    for (const noteId of noteIds) {
+      this.noteAssignButton.updateState(noteId);
+      const card = this.noteDetector.getCardByNoteId(noteId);
+      if (card) {
+        this._updateFolderBadge(card, noteId);
+      }
+    }
+
+    this.filterManager.reapplyFilter();
+    this.noteSelection.clearSelection();
+    this.folderDropdown.refresh();
+    this.folderSidebar.refresh();
+
+    const folder = storageManager.getFolder(folderId);
+    this.showUndoable(`${result.count}件のノートを「${folder?.name ?? '未分類'}」に移動しました`);
+  }
+
+  /**
+   * キーボードショートカットとコマンドパレットを設定
+   * @private
+   */
+  _setupShortcuts() {
+    this.shortcutManager.onAction((actionId, context) => this._handleShortcutAction(actionId, context));
+    this.shortcutManager.start();
+
+    this.commandPalette.onFolderSelect((folderId) => {
+      this.filterManager.selectFolder(folderId);
+    });
+
+    this.commandPalette.onViewApply((view) => {
+      this.applySavedView(view);
+    });
+
+    this.commandPalette.onAction((actionId, context) => {
+      this._handleShortcutAction(actionId, context);
+    });
+  }
+
+  /**
+   * ショートカット・コマンドパレットの操作を実行
+   * @param {string} actionId - 操作ID（utils/shortcuts.js の SHORTCUT_ACTIONS）
+   * @param {{ target: Element|null }} context - キー入力の対象（コマンドパレットからは開く前にフォーカスしていた要素）
+   * @returns {boolean} 操作を実行したか（ノート一覧のページ以外では実行しない）
+   * @private
+   */
+  _handleShortcutAction(actionId, { target = null } = {}) {
+    if (!this.initialized || this.safetyManager.isStopped() || !this.folderButton.exists()) {
+      return false;
+    }
+
+    const jump = /^jumpToFolder([1-9])$/.exec(actionId);
+    if (jump) {
+      this._jumpToFolder(Number(jump[1]));
+      return true;
+    }
+
+    switch (actionId) {
+      case 'commandPalette':
+        if (this.folderDropdown.isOpen()) {
+          this.folderDropdown.close();
+          this.folderButton.setOpen(false);
+        }
+        this.commandPalette.toggle();
+        return true;
+
+      case 'openFolders':
+        this.toggleFolderDropdown();
+        return true;
+
+      case 'focusSearch':
+        this.searchBox.focus();
+        return true;
+
+      case 'assignFocusedNote':
+        this._assignFocusedNote(target);
+        return true;
+
+      case 'clearFilters':
+        this.filterManager.clearFilter();
+        this.filterManager.clearLabelFilter();
+        this.filterManager.clearSearch();
+        this.searchBox.setQuery('');
+        this.showInfo('絞り込みと検索を解除しました', 2000);
+        return true;
+
+      case 'toggleSelectionMode':
+        this.noteSelection.toggle();
+        return true;
+
+      case 'toggleSidebar':
+        storageManager.updateSettings({ sidebarEnabled: !storageManager.getSettings().sidebarEnabled });
+        this._syncFolderSidebar();
+        return true;
+
+      case 'undo':
+        this.undo();
+        return true;
+
+      case 'redo':
+        this.redo();
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 表示順で N 番目のフォルダ（最上位、「未分類」を除く）で絞り込む
+   * @param {number} position - 1 始まりの位置
+   * @private
+   */
+  _jumpToFolder(position) {
+    const folders = storageManager.getChildFolders(null).filter(folder => !folder.isDefault);
+    const folder = folders[position - 1];
+    if (!folder) {
+      this.showInfo(`${position}番目のフォルダはありません`, 2000);
+      return;
+    }
+
+    this.filterManager.selectFolder(folder.id);
+  }
+
+  /**
+   * フォーカス中のノートカードのフォルダ選択ポップアップを開く
+   * @param {Element|null} target - フォーカス中の要素
+   * @private
+   */
+  _assignFocusedNote(target) {
+    const card = target?.closest?.(`${NOTE_SELECTORS.CARD}, ${NOTE_SELECTORS.CARD_FALLBACK}`) || null;
+    const noteId = card ? this.noteDetector.getNoteIdByCard(card) : null;
+    if (!noteId) {
+      this.showInfo('フォルダに割り当てるノートにフォーカスしてください', 2000);
+      return;
+    }
+
+    if (this.folderDropdown.isOpen()) {
+      this.folderDropdown.close();
+      this.folderButton.setOpen(false);
+    }
+    this.folderSelectPopup.open(noteId, this.noteAssignButton.getButton(noteId) || card);
   }
 
   /**
@@ -544,8 +1423,52 @@ class FolderLM {
    */
   injectFolderButton() {
     this.folderButton.reinject();
+    this._attachFolderButtonDropTarget();
     this.searchBox.reinject(this.folderButton.getElement());
     this.searchBox.setQuery(this.filterManager.getSearchQuery());
+    this.searchBox.setError(this.filterManager.getSearchError());
+    this.searchBox.setNotice(this.filterManager.getSearchNotice());
+  }
+
+  /**
+   * フォルダのサイドバーをノート一覧の横に再挿入（DOM 再描画後の復帰用）
+   * サイドバーを無効にしている場合は何もしない
+   */
+  injectFolderSidebar() {
+    if (!storageManager.getSettings().sidebarEnabled) {
+      return;
+    }
+    this.folderSidebar.reinject();
+  }
+
+  /**
+   * ノートブックのフォルダ表示をヘッダーに挿入（DOM 再描画後の復帰用）
+   * 安全停止中は挿入しない
+   */
+  injectNotebookControl() {
+    const noteId = this.noteDetector.getCurrentNoteIdFromUrl();
+    if (!noteId || this.safetyManager.isStopped()) {
+      return;
+    }
+    this.notebookHeaderControl.reinject(noteId);
+  }
+
+  /**
+   * 保存済みビューを適用（フォルダ条件と検索クエリを置き換える）
+   * 削除済みのフォルダは条件から除いて適用する（「ピン留め」は残す）
+   * @param {{ name: string, folderIds: string[], excludedFolderIds: string[], searchQuery: string }} view
+   */
+  applySavedView(view) {
+    const exists = (id) => id === storageManager.PINNED_ID || Boolean(storageManager.getFolder(id));
+    this.filterManager.setFolderFilter({
+      folderIds: view.folderIds.filter(exists),
+      excludedFolderIds: view.excludedFolderIds.filter(exists),
+    });
+    this.searchBox.setQuery(view.searchQuery);
+    this.filterManager.setSearchQuery(view.searchQuery);
+
+    this.folderDropdown.close();
+    this.showInfo(`ビュー「${view.name}」を適用しました`, 2000);
   }
 
   /**
@@ -563,7 +1486,8 @@ class FolderLM {
       this.folderButton.setOpen(false);
     } else {
       // filterManager から現在の選択状態を取得
-      this.folderDropdown.setSelectedFolder(this.filterManager.getSelectedFolderId());
+      this.folderDropdown.setFolderFilter(this.filterManager.getFolderFilter());
+      this.folderDropdown.setSearchQuery(this.filterManager.getSearchQuery());
       this.folderDropdown.open(buttonElement);
       this.folderButton.setOpen(true);
     }
@@ -624,8 +1548,14 @@ class FolderLM {
     // 割り当てボタンを追加
     this.noteAssignButton.addToCard(card, noteId);
 
+    // 選択モード中はチェックボックスを追加
+    this.noteSelection.addToCard(card, noteId, this.noteAssignButton.getButton(noteId));
+
+    // ドラッグでフォルダに割り当てられるようにする
+    this.noteDrag.attachToCard(card, noteId);
+
     // フォルダ割り当て状態を反映
-    const folderId = storageManager.getNoteFolder(noteId);
+    const folderId = storageManager.getNoteFolderIds(noteId)[0] || storageManager.getNoteFolder(noteId);
     
     if (folderId) {
       const folder = storageManager.getFolder(folderId);
@@ -639,7 +1569,7 @@ class FolderLM {
   }
 
   /**
-   * ノートカードのフォルダバッジを更新
+   * ノートカードのフォルダバッジを更新（ピン留めしたノートはピンのバッジを先頭に付ける）
    * @param {Element} card - ノートカード要素
    * @param {string} noteId - ノートID
    * @private
@@ -663,37 +1593,33 @@ class FolderLM {
       }
     }
 
-    const folderId = storageManager.getNoteFolder(noteId);
-    
-    // 未割り当てまたは未分類の場合はバッジを表示しない
-    if (!folderId || folderId === storageManager.UNCATEGORIZED_ID) {
+    // 所属フォルダ（複数フォルダモードではラベルを含む）
+    const folderIds = storageManager.getNoteFolderIds(noteId)
+      .filter(id => storageManager.getFolder(id));
+    const pinned = storageManager.isNotePinned(noteId);
+
+    if (folderIds.length === 0) {
       card.removeAttribute('data-folderlm-folder-id');
-      return;
     }
 
-    const folder = storageManager.getFolder(folderId);
-    if (!folder) {
+    // 未割り当てまたは未分類で、ピン留めもしていない場合はバッジを表示しない
+    if (folderIds.length === 0 && !pinned) {
       return;
     }
 
-    // バッジを作成
-    const badge = document.createElement('div');
-    badge.className = FOLDERLM_CLASSES.FOLDER_BADGE;
-    badge.setAttribute('title', `フォルダ: ${folder.name}`);
-
-    const icon = createIconElement('folder', 10);
-    icon.classList.add('folderlm-folder-badge-icon');
-    badge.appendChild(icon);
-
-    const name = document.createElement('span');
-    name.className = 'folderlm-folder-badge-name';
-    name.textContent = folder.name;
-    badge.appendChild(name);
+    const primaryFolderId = storageManager.getNoteFolder(noteId);
 
     const badgeContainer = document.createElement('div');
     badgeContainer.className = FOLDERLM_CLASSES.FOLDER_BADGE_CONTAINER;
     badgeContainer.setAttribute('data-folderlm-badge-note-id', noteId);
-    badgeContainer.appendChild(badge);
+
+    if (pinned) {
+      badgeContainer.appendChild(this._createPinBadge());
+    }
+
+    for (const folderId of folderIds) {
+      badgeContainer.appendChild(this._createFolderBadge(folderId, folderId !== primaryFolderId));
+    }
 
     const host = card.closest('[role="listitem"]') || card.parentElement || card;
     const emojiId = `project-${noteId}-emoji`;
@@ -726,7 +1652,63 @@ class FolderLM {
       }
     }
 
-    card.setAttribute('data-folderlm-folder-id', folderId);
+    if (folderIds.length > 0) {
+      card.setAttribute('data-folderlm-folder-id', folderIds[0]);
+    }
+  }
+
+  /**
+   * ピン留めのバッジ要素を作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createPinBadge() {
+    const badge = document.createElement('div');
+    badge.className = `${FOLDERLM_CLASSES.FOLDER_BADGE} ${FOLDERLM_CLASSES.PIN_BADGE}`;
+    badge.setAttribute('title', 'ピン留め');
+    badge.setAttribute('role', 'img');
+    badge.setAttribute('aria-label', 'ピン留め');
+
+    const icon = createIconElement('pin', 10);
+    icon.classList.add('folderlm-folder-badge-icon');
+    badge.appendChild(icon);
+
+    return badge;
+  }
+
+  /**
+   * フォルダバッジ要素を作成
+   * @param {string} folderId - フォルダID
+   * @param {boolean} isLabel - ラベル（割り当てフォルダ以外の所属）か
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createFolderBadge(folderId, isLabel) {
+    const folder = storageManager.getFolder(folderId);
+
+    const badge = document.createElement('div');
+    badge.className = FOLDERLM_CLASSES.FOLDER_BADGE;
+    if (isLabel) {
+      badge.classList.add(FOLDERLM_CLASSES.FOLDER_BADGE_LABEL);
+    }
+    badge.setAttribute('data-folderlm-folder-id', folderId);
+    const folderPath = storageManager.getFolderPath(folderId).map(f => f.name).join(' / ');
+    badge.setAttribute('title', `${isLabel ? 'ラベル' : 'フォルダ'}: ${folderPath}`);
+
+    if (folder.color) {
+      badge.setAttribute('data-folder-color', folder.color);
+    }
+
+    const icon = createFolderIconElement(folder, 10);
+    icon.classList.add('folderlm-folder-badge-icon');
+    badge.appendChild(icon);
+
+    const name = document.createElement('span');
+    name.className = 'folderlm-folder-badge-name';
+    name.textContent = folder.name;
+    badge.appendChild(name);
+
+    return badge;
   }
 
   /**
@@ -759,6 +1741,14 @@ class FolderLM {
         return;
       }
 
+      // ノートブックのページではヘッダーの再描画で消えたフォルダ表示だけを戻す
+      if (this._isNotebookPage()) {
+        if (!this.notebookHeaderControl.exists() && this._findNotebookHeader()) {
+          domBatchQueue.add(() => this.injectNotebookControl());
+        }
+        return;
+      }
+
       let hasRelevantChanges = false;
       let hasStructuralChanges = false;
 
@@ -787,6 +1777,13 @@ class FolderLM {
                   node.querySelector?.(`.${FOLDERLM_CLASSES.FOLDER_BUTTON}`)) {
                 hasStructuralChanges = true;
               }
+              // サイドバーが削除されたか確認（再描画での置き換えは除く）
+              if ((node.matches?.(`.${FOLDERLM_CLASSES.SIDEBAR}`) ||
+                  node.querySelector?.(`.${FOLDERLM_CLASSES.SIDEBAR}`)) &&
+                  storageManager.getSettings().sidebarEnabled &&
+                  !this.folderSidebar.exists()) {
+                hasStructuralChanges = true;
+              }
             }
           }
         } else if (mutation.type === 'attributes') {
@@ -816,6 +1813,7 @@ class FolderLM {
           // noteDetector にスキャンをリクエスト
           this.noteDetector.requestScan();
           this.injectFolderButton();
+          this.injectFolderSidebar();
         });
       }
     }, 100);
@@ -854,6 +1852,48 @@ class FolderLM {
     this.safetyManager.showNotification(message, 'info', duration);
   }
 
+  /**
+   * 「元に戻す」ボタン付きの情報を表示（破壊的な操作の後に使用）
+   * @param {string} message - メッセージ
+   * @param {number} [duration=6000] - 表示時間（ミリ秒）
+   */
+  showUndoable(message, duration = 6000) {
+    console.log(`[FolderLM] Info: ${message}`);
+    this.safetyManager.showNotification(message, 'info', duration, {
+      action: { label: '元に戻す', onClick: () => this.undo() },
+    });
+  }
+
+  /**
+   * 直前の操作を元に戻す
+   */
+  undo() {
+    const result = storageManager.undo();
+    if (!result.success) {
+      this.showInfo(result.error, 2000);
+      return;
+    }
+
+    this.safetyManager.showNotification(`「${result.description}」を元に戻しました`, 'info', 4000, {
+      action: { label: 'やり直す', onClick: () => this.redo() },
+    });
+  }
+
+  /**
+   * 元に戻した操作をやり直す
+   */
+  redo() {
+    const result = storageManager.redo();
+    if (!result.success) {
+      this.showInfo(result.error, 2000);
+      return;
+    }
+
+    this.safetyManager.showNotification(`「${result.description}」をやり直しました`, 'info', 4000, {
+      action: { label: '元に戻す', onClick: () => this.undo() },
+    });
+  }
+
   /**
    * 手動で復帰を試みる
    */
@@ -898,18 +1938,30 @@ class FolderLM {
     }
 
     this._teardownRouteChangeWatcher();
+    this._teardownMessageListener();
 
     // UI コンポーネントをクリーンアップ
     this.folderButton.destroy();
     this.folderDropdown.destroy();
+    this.folderSidebar.destroy();
     this.searchBox.destroy();
     this.noteAssignButton.destroy();
     this.folderSelectPopup.destroy();
+    this.noteSelection.destroy();
+    this.noteDrag.destroy();
+    this.commandPalette.destroy();
+    this.notebookHeaderControl.destroy();
+    this.shortcutManager.destroy();
+    this.noteActivityTracker.destroy();
+
+    // タブ間同期を停止
+    storageManager.stopSync();
 
-    // noteDetector, safetyManager, filterManager, domRecoveryManager をクリーンアップ
+    // noteDetector, safetyManager, filterManager, sortManager, domRecoveryManager をクリーンアップ
     this.noteDetector.destroy();
     this.safetyManager.destroy();
     this.filterManager.destroy();
+    this.sortManager.destroy();
     this.domRecoveryManager.destroy();
 
     document.body.classList.remove(FOLDERLM_CLASSES.INITIALIZED);
@@ -917,9 +1969,14 @@ class FolderLM {
     // 追加した要素を削除
     document.querySelectorAll(`.${FOLDERLM_CLASSES.FOLDER_BUTTON}`).forEach(el => el.remove());
     document.querySelectorAll(`.${FOLDERLM_CLASSES.FOLDER_DROPDOWN}`).forEach(el => el.remove());
+    document.querySelectorAll(`.${FOLDERLM_CLASSES.SIDEBAR}`).forEach(el => el.remove());
     document.querySelectorAll(`.${FOLDERLM_CLASSES.SEARCH_BOX}`).forEach(el => el.remove());
     document.querySelectorAll(`.${FOLDERLM_CLASSES.ASSIGN_BUTTON}`).forEach(el => el.remove());
     document.querySelectorAll(`.${FOLDERLM_CLASSES.SELECT_POPUP}`).forEach(el => el.remove());
+    document.querySelectorAll(`.${FOLDERLM_CLASSES.NOTEBOOK_CONTROL}`).forEach(el => el.remove());
+    document.querySelectorAll(`.${FOLDERLM_CLASSES.COMMAND_PALETTE}`).forEach(el => el.remove());
+    document.querySelectorAll(`.${FOLDERLM_CLASSES.SELECT_CHECKBOX}`).forEach(el => el.remove());
+    document.querySelectorAll(`.${FOLDERLM_CLASSES.SELECTION_BAR}`).forEach(el => el.remove());
     document.querySelectorAll(`.${FOLDERLM_CLASSES.FOLDER_BADGE}`).forEach(el => el.remove());
     document.querySelectorAll(`.${FOLDERLM_CLASSES.FOLDER_BADGE_CONTAINER}`).forEach(el => el.remove());
 
@@ -941,7 +1998,7 @@ class FolderLM {
     return {
       initialized: this.initialized,
       safetyState: this.safetyManager.getState(),
-      selectedFolderId: this.filterManager.getSelectedFolderId(),
+      folderFilter: this.filterManager.getFolderFilter(),
       filterActive: this.filterManager.isFilterActive(),
       noteDetector: this.noteDetector.debug(),
       safetyManager: this.safetyManager.debug(),
@@ -0,0 +1,545 @@
+/**
+ * FolderLM - Command Palette Component
+ *
+ * Ctrl+K（初期設定）で開くコマンドパレット。
+ * フォルダ・保存済みビュー・操作を1つの入力欄からあいまい検索し、Enter で実行する。
+ * 検索は textMatch.js で正規化して比較し、誤字や文字の抜けも許容して一致度の高い順に並べる。
+ *
+ * @module ui/commandPalette
+ */
+
+import { FOLDERLM_CLASSES } from '../utils/selectors.js';
+import { storageManager } from '../../storage/storageManager.js';
+import { createIconElement, createFolderIconElement } from '../utils/icons.js';
+import { foldText, normalizeWithOffsets, findMatch, mergeRanges } from '../utils/textMatch.js';
+import { SHORTCUT_ACTIONS } from '../utils/shortcuts.js';
+
+/**
+ * 候補の種類
+ */
+const ITEM_TYPES = {
+  FOLDER: 'folder',
+  VIEW: 'view',
+  ACTION: 'action',
+};
+
+/**
+ * 候補の種類の表示名
+ */
+const ITEM_TYPE_LABELS = {
+  [ITEM_TYPES.FOLDER]: 'フォルダ',
+  [ITEM_TYPES.VIEW]: 'ビュー',
+  [ITEM_TYPES.ACTION]: '操作',
+};
+
+/**
+ * 一度に表示する候補の上限
+ */
+const MAX_VISIBLE_ITEMS = 50;
+
+/**
+ * 候補リストの要素ID
+ */
+const LIST_ID = 'folderlm-command-palette-list';
+
+/**
+ * CommandPalette クラス
+ * コマンドパレットを管理
+ */
+class CommandPalette {
+  constructor() {
+    /** @type {HTMLElement|null} 背景を含むパレットの要素 */
+    this.element = null;
+
+    /** @type {HTMLInputElement|null} */
+    this._input = null;
+
+    /** @type {HTMLElement|null} */
+    this._list = null;
+
+    /** @type {Array<Object>} すべての候補 */
+    this._items = [];
+
+    /** @type {Array<{ item: Object, ranges: Array<[number, number]> }>} 表示中の候補 */
+    this._results = [];
+
+    /** @type {number} 選択中の候補のインデックス */
+    this._activeIndex = 0;
+
+    /** @type {Element|null} 開く前にフォーカスしていた要素（閉じた後に戻す） */
+    this._previousFocus = null;
+
+    /** @type {Function|null} フォルダ選択時のコールバック */
+    this._onFolderSelect = null;
+
+    /** @type {Function|null} 保存済みビュー適用時のコールバック */
+    this._onViewApply = null;
+
+    /** @type {Function|null} 操作の実行時のコールバック */
+    this._onAction = null;
+  }
+
+  /**
+   * パレットを開く
+   */
+  open() {
+    if (this.element) {
+      return;
+    }
+
+    this._previousFocus = document.activeElement;
+    this._items = this._collectItems();
+    this._render();
+    this._update();
+    this._input.focus();
+  }
+
+  /**
+   * パレットを閉じる
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus=true] - 開く前にフォーカスしていた要素に戻すか
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.element) {
+      return;
+    }
+
+    this.element.remove();
+    this.element = null;
+    this._input = null;
+    this._list = null;
+    this._items = [];
+    this._results = [];
+
+    const previousFocus = this._previousFocus;
+    this._previousFocus = null;
+    if (restoreFocus && previousFocus?.isConnected && typeof previousFocus.focus === 'function') {
+      previousFocus.focus();
+    }
+  }
+
+  /**
+   * パレットの開閉を切り替え
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * パレットが開いているか
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.element !== null;
+  }
+
+  /**
+   * フォルダ選択時のコールバックを設定
+   * @param {Function} callback - (folderId: string) => void
+   */
+  onFolderSelect(callback) {
+    this._onFolderSelect = callback;
+  }
+
+  /**
+   * 保存済みビュー適用時のコールバックを設定
+   * @param {Function} callback - (view: Object) => void
+   */
+  onViewApply(callback) {
+    this._onViewApply = callback;
+  }
+
+  /**
+   * 操作の実行時のコールバックを設定
+   * @param {Function} callback - (actionId: string, context: { target: Element|null }) => void
+   *   target はパレットを開く前にフォーカスしていた要素
+   */
+  onAction(callback) {
+    this._onAction = callback;
+  }
+
+  /**
+   * 破棄
+   */
+  destroy() {
+    this.close({ restoreFocus: false });
+    this._onFolderSelect = null;
+    this._onViewApply = null;
+    this._onAction = null;
+  }
+
+  // ==========================================================================
+  // Private Methods
+  // ==========================================================================
+
+  /**
+   * 検索対象の候補を集める（フォルダ・保存済みビュー・操作の順）
+   * @returns {Array<Object>}
+   * @private
+   */
+  _collectItems() {
+    const items = [];
+
+    for (const { folder } of storageManager.getFlattenedFolderTree()) {
+      const ancestors = storageManager.getFolderPath(folder.id).slice(0, -1);
+      items.push({
+        type: ITEM_TYPES.FOLDER,
+        id: folder.id,
+        label: folder.name,
+        detail: ancestors.map(f => f.name).join(' / '),
+        folder,
+      });
+
+      // ドロップダウンと同じく「未分類」の隣に「ピン留め」を置く
+      if (folder.isDefault && storageManager.getPinnedNoteIds().length > 0) {
+        items.push({
+          type: ITEM_TYPES.FOLDER,
+          id: storageManager.PINNED_ID,
+          label: 'ピン留め',
+          detail: '',
+          folder: null,
+        });
+      }
+    }
+
+    for (const view of storageManager.getSavedViews()) {
+      items.push({ type: ITEM_TYPES.VIEW, id: view.id, label: view.name, detail: '', view });
+    }
+
+    const shortcuts = storageManager.getShortcuts();
+    for (const action of SHORTCUT_ACTIONS) {
+      if (!action.inPalette) continue;
+      items.push({
+        type: ITEM_TYPES.ACTION,
+        id: action.id,
+        label: action.label,
+        detail: '',
+        shortcut: shortcuts[action.id] || '',
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * 入力に一致する候補を一致度の高い順に求める（入力が空の場合はすべて）
+   * @param {string} query - 入力
+   * @returns {Array<{ item: Object, ranges: Array<[number, number]> }>}
+   * @private
+   */
+  _search(query) {
+    const needle = foldText(query).trim();
+    if (!needle) {
+      return this._items.map(item => ({ item, ranges: [] }));
+    }
+
+    const results = [];
+    this._items.forEach((item, index) => {
+      const match = findMatch(normalizeWithOffsets(item.label), needle, { fuzzy: true });
+      if (match) {
+        results.push({ item, ranges: match.ranges, score: match.score, index });
+        return;
+      }
+
+      // 親フォルダ名での一致は下位に並べる（強調表示はしない）
+      if (item.detail) {
+        const detailMatch = findMatch(normalizeWithOffsets(item.detail), needle, { fuzzy: true });
+        if (detailMatch) {
+          results.push({ item, ranges: [], score: detailMatch.score / 2, index });
+        }
+      }
+    });
+
+    results.sort((a, b) => b.score - a.score || a.index - b.index);
+    return results.map(({ item, ranges }) => ({ item, ranges }));
+  }
+
+  /**
+   * パレットをレンダリング
+   * @private
+   */
+  _render() {
+    const backdrop = document.createElement('div');
+    backdrop.className = FOLDERLM_CLASSES.COMMAND_PALETTE;
+    backdrop.addEventListener('mousedown', (e) => {
+      // 背景のクリックで閉じる
+      if (e.target === backdrop) {
+        e.preventDefault();
+        this.close();
+      }
+    });
+
+    const dialog = document.createElement('div');
+    dialog.className = 'folderlm-command-palette__dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', 'コマンドパレット');
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'folderlm-command-palette__input';
+    input.placeholder = 'フォルダ・ビュー・操作を検索';
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-expanded', 'true');
+    input.setAttribute('aria-controls', LIST_ID);
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('spellcheck', 'false');
+    input.addEventListener('input', () => {
+      this._activeIndex = 0;
+      this._update();
+    });
+    input.addEventListener('keydown', (e) => this._handleKeydown(e));
+    dialog.appendChild(input);
+
+    const list = document.createElement('ul');
+    list.id = LIST_ID;
+    list.className = 'folderlm-command-palette__list';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', '候補');
+    dialog.appendChild(list);
+
+    const hint = document.createElement('div');
+    hint.className = 'folderlm-command-palette__hint';
+    hint.textContent = '↑↓ で選択・Enter で実行・Esc で閉じる';
+    dialog.appendChild(hint);
+
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+
+    this.element = backdrop;
+    this._input = input;
+    this._list = list;
+    this._activeIndex = 0;
+  }
+
+  /**
+   * 入力に合わせて候補リストを再描画
+   * @private
+   */
+  _update() {
+    if (!this._list) return;
+
+    this._results = this._search(this._input.value).slice(0, MAX_VISIBLE_ITEMS);
+    this._list.textContent = '';
+
+    if (this._results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'folderlm-command-palette__empty';
+      empty.textContent = '一致する項目がありません';
+      this._list.appendChild(empty);
+      this._input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this._results.forEach(({ item, ranges }, index) => {
+      this._list.appendChild(this._createOption(item, ranges, index));
+    });
+    this._setActive(Math.min(this._activeIndex, this._results.length - 1));
+  }
+
+  /**
+   * 候補の要素を作成
+   * @param {Object} item - 候補
+   * @param {Array<[number, number]>} ranges - ラベルの強調表示する範囲
+   * @param {number} index - 表示順のインデックス
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createOption(item, ranges, index) {
+    const option = document.createElement('li');
+    option.id = `folderlm-command-palette-option-${index}`;
+    option.className = 'folderlm-command-palette__item';
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+
+    let icon;
+    if (item.type === ITEM_TYPES.FOLDER) {
+      icon = item.folder
+        ? createFolderIconElement(item.folder, 16)
+        : createIconElement('pin', 16);
+    } else if (item.type === ITEM_TYPES.VIEW) {
+      icon = createIconElement('label', 16);
+    } else {
+      icon = createIconElement('settings', 16);
+    }
+    icon.classList.add('folderlm-command-palette__icon');
+    option.appendChild(icon);
+
+    const text = document.createElement('span');
+    text.className = 'folderlm-command-palette__text';
+
+    const label = document.createElement('span');
+    label.className = 'folderlm-command-palette__label';
+    this._appendHighlighted(label, item.label, ranges);
+    text.appendChild(label);
+
+    if (item.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'folderlm-command-palette__detail';
+      detail.textContent = item.detail;
+      text.appendChild(detail);
+    }
+    option.appendChild(text);
+
+    if (item.shortcut) {
+      const shortcut = document.createElement('kbd');
+      shortcut.className = 'folderlm-command-palette__shortcut';
+      shortcut.textContent = item.shortcut;
+      option.appendChild(shortcut);
+    }
+
+    const type = document.createElement('span');
+    type.className = 'folderlm-command-palette__type';
+    type.textContent = ITEM_TYPE_LABELS[item.type];
+    option.appendChild(type);
+
+    option.addEventListener('mousemove', () => {
+      if (this._activeIndex !== index) {
+        this._setActive(index);
+      }
+    });
+    option.addEventListener('mousedown', (e) => {
+      // 入力欄からフォーカスを移さない
+      e.preventDefault();
+    });
+    option.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._execute(index);
+    });
+
+    return option;
+  }
+
+  /**
+   * 一致した範囲を <mark> で囲んでテキストを追加
+   * @param {HTMLElement} element - 追加先
+   * @param {string} text - テキスト
+   * @param {Array<[number, number]>} ranges - 強調表示する範囲 [start, end)
+   * @private
+   */
+  _appendHighlighted(element, text, ranges) {
+    let position = 0;
+    for (const [start, end] of mergeRanges(ranges)) {
+      if (start > position) {
+        element.appendChild(document.createTextNode(text.slice(position, start)));
+      }
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    }
+    if (position < text.length) {
+      element.appendChild(document.createTextNode(text.slice(position)));
+    }
+  }
+
+  /**
+   * 選択中の候補を変更
+   * @param {number} index
+   * @private
+   */
+  _setActive(index) {
+    const options = this._list?.querySelectorAll('[role="option"]');
+    if (!options || options.length === 0) return;
+
+    const previous = options[this._activeIndex];
+    if (previous) {
+      previous.setAttribute('aria-selected', 'false');
+      previous.classList.remove('folderlm-command-palette__item--active');
+    }
+
+    this._activeIndex = index;
+    const current = options[index];
+    current.setAttribute('aria-selected', 'true');
+    current.classList.add('folderlm-command-palette__item--active');
+    current.scrollIntoView?.({ block: 'nearest' });
+    this._input.setAttribute('aria-activedescendant', current.id);
+  }
+
+  /**
+   * 入力欄でのキー操作を処理
+   * @param {KeyboardEvent} event
+   * @private
+   */
+  _handleKeydown(event) {
+    if (event.isComposing || event.keyCode === 229) {
+      return;
+    }
+
+    const count = this._results.length;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (count > 0) this._setActive((this._activeIndex + 1) % count);
+        break;
+
+      case 'ArrowUp':
+        event.preventDefault();
+        if (count > 0) this._setActive((this._activeIndex - 1 + count) % count);
+        break;
+
+      case 'Enter':
+        event.preventDefault();
+        if (count > 0) this._execute(this._activeIndex);
+        break;
+
+      case 'Escape':
+        event.preventDefault();
+        event.stopPropagation();
+        this.close();
+        break;
+
+      case 'Tab':
+        // フォーカスできるのは入力欄のみ
+        event.preventDefault();
+        break;
+    }
+  }
+
+  /**
+   * 候補を実行
+   * パレットを閉じてフォーカスを元に戻してから実行する（検索ボックスへの移動などでフォーカスが変わるため）
+   * @param {number} index - 表示順のインデックス
+   * @private
+   */
+  _execute(index) {
+    const result = this._results[index];
+    if (!result) return;
+
+    const { item } = result;
+    const target = this._previousFocus instanceof Element ? this._previousFocus : null;
+    this.close();
+
+    switch (item.type) {
+      case ITEM_TYPES.FOLDER:
+        if (this._onFolderSelect) {
+          this._onFolderSelect(item.id);
+        }
+        break;
+
+      case ITEM_TYPES.VIEW:
+        if (this._onViewApply) {
+          this._onViewApply(item.view);
+        }
+        break;
+
+      case ITEM_TYPES.ACTION:
+        if (this._onAction) {
+          this._onAction(item.id, { target });
+        }
+        break;
+    }
+  }
+}
+
+// シングルトンインスタンス
+export const commandPalette = new CommandPalette();
+
+// デフォルトエクスポート
+export default commandPalette;
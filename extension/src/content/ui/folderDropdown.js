@@ -10,7 +10,9 @@
 import { FOLDERLM_CLASSES } from '../utils/selectors.js';
 import { storageManager } from '../../storage/storageManager.js';
 import { createFocusTrap } from '../utils/focusTrap.js';
-import { createIconElement } from '../utils/icons.js';
+import { createIconElement, createFolderIconElement } from '../utils/icons.js';
+import { noteDrag } from './noteDrag.js';
+import { SHORTCUT_ACTIONS, getShortcutAction, eventToShortcut } from '../utils/shortcuts.js';
 
 /**
  * ドロップダウンの状態
@@ -19,6 +21,44 @@ const DropdownState = {
   CLOSED: 'closed',
   LIST: 'list',
   CREATING: 'creating',
+  SETTINGS: 'settings',
+  RULES: 'rules',
+  SHORTCUTS: 'shortcuts',
+  IMPORTING: 'importing',
+};
+
+/**
+ * 自動割り当てルールのプレビューに表示するノート数の上限
+ */
+const MAX_RULE_PREVIEW_ITEMS = 50;
+
+/**
+ * フォルダ色の表示名（キーは storageManager.FOLDER_COLORS）
+ */
+const FOLDER_COLOR_LABELS = {
+  red: '赤',
+  orange: 'オレンジ',
+  yellow: '黄',
+  green: '緑',
+  teal: '青緑',
+  blue: '青',
+  purple: '紫',
+  pink: 'ピンク',
+  gray: 'グレー',
+};
+
+/**
+ * フォルダアイコンの表示名（キーは storageManager.FOLDER_ICONS）
+ */
+const FOLDER_ICON_LABELS = {
+  folder: 'フォルダ',
+  star: 'スター',
+  book: '本',
+  briefcase: '仕事',
+  code: 'コード',
+  flag: '旗',
+  heart: 'ハート',
+  lightbulb: 'アイデア',
 };
 
 /**
@@ -35,11 +75,14 @@ class FolderDropdown {
     /** @type {string} */
     this._state = DropdownState.CLOSED;
     
-    /** @type {string|null} 現在選択中のフォルダID（フィルタ用） */
-    this._selectedFolderId = null;
+    /** @type {{ folderIds: string[], excludedFolderIds: string[] }} 現在のフォルダ条件（フィルタ用） */
+    this._folderFilter = { folderIds: [], excludedFolderIds: [] };
     
     /** @type {Function|null} フォルダ選択時のコールバック */
     this._onFolderSelect = null;
+
+    /** @type {Function|null} フォルダ条件（複数選択・除外）変更時のコールバック */
+    this._onFolderFilterChange = null;
     
     /** @type {Function|null} フォルダ作成時のコールバック */
     this._onFolderCreate = null;
@@ -56,6 +99,15 @@ class FolderDropdown {
     /** @type {Function|null} フォルダ名変更時のコールバック */
     this._onFolderRename = null;
 
+    /** @type {Function|null} フォルダの色・アイコン変更時のコールバック */
+    this._onFolderAppearanceChange = null;
+
+    /** @type {Function|null} 元に戻す / やり直しのキー操作時のコールバック */
+    this._onHistoryRequest = null;
+
+    /** @type {Function|null} 選択モード切り替え時のコールバック */
+    this._onSelectionModeToggle = null;
+
     /** @type {Function|null} フォルダ削除時のコールバック */
     this._onFolderDelete = null;
 
@@ -65,6 +117,60 @@ class FolderDropdown {
     /** @type {string|null} ドラッグ中のフォルダID */
     this._draggedFolderId = null;
 
+    /** @type {Set<string>} 折りたたまれているフォルダID */
+    this._collapsedFolderIds = new Set();
+
+    /** @type {string|null} サブフォルダ作成時の親フォルダID */
+    this._createParentId = null;
+
+    /** @type {{ labelIds: string[], match: string }} ラベルフィルタの状態 */
+    this._labelFilter = { labelIds: [], match: 'any' };
+
+    /** @type {Function|null} ラベルフィルタ変更時のコールバック */
+    this._onLabelFilterChange = null;
+
+    /** @type {Function|null} 設定変更時のコールバック */
+    this._onSettingsChange = null;
+
+    /** @type {{ json: string, fileName: string, summary: Object }|null} 確認中のインポートデータ */
+    this._pendingImport = null;
+
+    /** @type {Function|null} インポート完了時のコールバック */
+    this._onDataImport = null;
+
+    /** @type {string} 現在の検索クエリ（ビュー保存用） */
+    this._searchQuery = '';
+
+    /** @type {boolean} ビュー名の入力フォームを表示中か */
+    this._savingView = false;
+
+    /** @type {Function|null} 保存済みビュー適用時のコールバック */
+    this._onViewApply = null;
+
+    /** @type {Function|null} 並び順変更時のコールバック */
+    this._onSortModeChange = null;
+
+    /** @type {Function|null} 手動の並び順のリセット時のコールバック */
+    this._onManualOrderReset = null;
+
+    /** @type {Function|null} フォルダごとの見出し表示の切り替え時のコールバック */
+    this._onGroupByFolderChange = null;
+
+    /** @type {string|null} 編集中の自動割り当てルールID（新規追加中は 'new'） */
+    this._editingRuleId = null;
+
+    /** @type {Array<{ noteId: string, title: string, folderId: string }>|null} 表示中のルール適用のプレビュー */
+    this._rulePreview = null;
+
+    /** @type {Function|null} ルール適用のプレビュー要求時のコールバック */
+    this._onRulePreviewRequest = null;
+
+    /** @type {Function|null} ルール適用時のコールバック */
+    this._onRulesApply = null;
+
+    /** @type {string|null} 新しいキーの入力を待っているショートカットの操作ID */
+    this._recordingShortcutId = null;
+
     // バインドされたイベントハンドラ
     this._boundHandleOutsideClick = this._handleOutsideClick.bind(this);
     this._boundHandleKeydown = this._handleKeydown.bind(this);
@@ -85,6 +191,12 @@ class FolderDropdown {
     this._anchorElement = anchorElement;
     this._state = DropdownState.LIST;
     this._focusedIndex = -1;
+    this._createParentId = null;
+
+    // 選択・除外中フォルダの祖先は展開しておく
+    for (const folderId of [...this._folderFilter.folderIds, ...this._folderFilter.excludedFolderIds]) {
+      this._expandAncestors(folderId);
+    }
     
     this._render();
     this._positionDropdown();
@@ -128,6 +240,11 @@ class FolderDropdown {
     this._state = DropdownState.CLOSED;
     this._anchorElement = null;
     this._focusedIndex = -1;
+    this._pendingImport = null;
+    this._savingView = false;
+    this._editingRuleId = null;
+    this._rulePreview = null;
+    this._recordingShortcutId = null;
 
     if (this._onClose) {
       this._onClose();
@@ -157,22 +274,72 @@ class FolderDropdown {
   }
 
   /**
-   * 現在選択中のフォルダIDを設定
-   * @param {string|null} folderId
+   * 現在のフォルダ条件を設定
+   * @param {{ folderIds: string[], excludedFolderIds: string[] }} folderFilter
+   */
+  setFolderFilter(folderFilter) {
+    this._folderFilter = {
+      folderIds: [...(folderFilter?.folderIds || [])],
+      excludedFolderIds: [...(folderFilter?.excludedFolderIds || [])],
+    };
+    if (this._state !== DropdownState.CLOSED) {
+      this._render();
+    }
+  }
+
+  /**
+   * 現在のフォルダ条件を取得
+   * @returns {{ folderIds: string[], excludedFolderIds: string[] }}
+   */
+  getFolderFilter() {
+    return {
+      folderIds: [...this._folderFilter.folderIds],
+      excludedFolderIds: [...this._folderFilter.excludedFolderIds],
+    };
+  }
+
+  /**
+   * ラベルフィルタの状態を設定
+   * @param {{ labelIds: string[], match: string }} labelFilter
    */
-  setSelectedFolder(folderId) {
-    this._selectedFolderId = folderId;
+  setLabelFilter(labelFilter) {
+    this._labelFilter = {
+      labelIds: [...(labelFilter?.labelIds || [])],
+      match: labelFilter?.match || 'any',
+    };
     if (this._state !== DropdownState.CLOSED) {
       this._render();
     }
   }
 
   /**
-   * 現在選択中のフォルダIDを取得
-   * @returns {string|null}
+   * 現在の検索クエリを設定（ビューの保存・適用中表示に使用）
+   * @param {string} query
+   */
+  setSearchQuery(query) {
+    const next = typeof query === 'string' ? query : '';
+    if (next === this._searchQuery) {
+      return;
+    }
+    this._searchQuery = next;
+    this.refresh();
+  }
+
+  /**
+   * 表示中のフォルダ一覧を最新のデータで再描画
+   * 作成・編集などの入力中は入力内容を失わないよう再描画しない
    */
-  getSelectedFolder() {
-    return this._selectedFolderId;
+  refresh() {
+    if (this._state !== DropdownState.LIST || !this.element) {
+      return;
+    }
+
+    if (this._savingView || this.element.querySelector('.folderlm-folder-item.editing, .folderlm-view-item.editing')) {
+      return;
+    }
+
+    this._render();
+    this._positionDropdown();
   }
 
   /**
@@ -183,6 +350,14 @@ class FolderDropdown {
     this._onFolderSelect = callback;
   }
 
+  /**
+   * フォルダ条件（Ctrl+クリックでの複数選択・Alt+クリックでの除外）変更時のコールバックを設定
+   * @param {Function} callback - (filter: { folderIds: string[], excludedFolderIds: string[] }) => void
+   */
+  onFolderFilterChange(callback) {
+    this._onFolderFilterChange = callback;
+  }
+
   /**
    * フォルダ作成時のコールバックを設定
    * @param {Function} callback - (folder: Object) => void
@@ -207,9 +382,33 @@ class FolderDropdown {
     this._onFolderRename = callback;
   }
 
+  /**
+   * フォルダの色・アイコン変更時のコールバックを設定
+   * @param {Function} callback - (folderId: string, appearance: { color: string|null, icon: string }) => void
+   */
+  onFolderAppearanceChange(callback) {
+    this._onFolderAppearanceChange = callback;
+  }
+
+  /**
+   * 元に戻す / やり直しのキー操作時のコールバックを設定
+   * @param {Function} callback - (action: 'undo' | 'redo') => void
+   */
+  onHistoryRequest(callback) {
+    this._onHistoryRequest = callback;
+  }
+
+  /**
+   * 選択モード切り替えボタンのクリック時のコールバックを設定
+   * @param {Function} callback - () => void
+   */
+  onSelectionModeToggle(callback) {
+    this._onSelectionModeToggle = callback;
+  }
+
   /**
    * フォルダ削除時のコールバックを設定
-   * @param {Function} callback - (folderId: string) => void
+   * @param {Function} callback - (folderId: string, folderName: string) => void
    */
   onFolderDelete(callback) {
     this._onFolderDelete = callback;
@@ -223,15 +422,100 @@ class FolderDropdown {
     this._onFolderReorder = callback;
   }
 
+  /**
+   * ラベルフィルタ変更時のコールバックを設定
+   * @param {Function} callback - (labelIds: string[], match: string) => void
+   */
+  onLabelFilterChange(callback) {
+    this._onLabelFilterChange = callback;
+  }
+
+  /**
+   * 設定変更時のコールバックを設定
+   * @param {Function} callback - (settings: Object) => void
+   */
+  onSettingsChange(callback) {
+    this._onSettingsChange = callback;
+  }
+
+  /**
+   * インポート完了時のコールバックを設定
+   * @param {Function} callback - (stats: Object, mode: string) => void
+   */
+  onDataImport(callback) {
+    this._onDataImport = callback;
+  }
+
+  /**
+   * 保存済みビュー適用時のコールバックを設定
+   * @param {Function} callback - (view: { id: string, name: string, folderIds: string[], excludedFolderIds: string[], searchQuery: string }) => void
+   */
+  onViewApply(callback) {
+    this._onViewApply = callback;
+  }
+
+  /**
+   * 並び順変更時のコールバックを設定
+   * @param {Function} callback - (mode: string) => void
+   */
+  onSortModeChange(callback) {
+    this._onSortModeChange = callback;
+  }
+
+  /**
+   * 手動の並び順のリセット時のコールバックを設定
+   * @param {Function} callback - () => void
+   */
+  onManualOrderReset(callback) {
+    this._onManualOrderReset = callback;
+  }
+
+  /**
+   * フォルダごとの見出し表示の切り替え時のコールバックを設定
+   * @param {Function} callback - (enabled: boolean) => void
+   */
+  onGroupByFolderChange(callback) {
+    this._onGroupByFolderChange = callback;
+  }
+
+  /**
+   * 未分類のノートにルールを適用した場合の移動先を求めるコールバックを設定（ドライラン）
+   * @param {Function} callback - () => Array<{ noteId: string, title: string, folderId: string }>
+   */
+  onRulePreviewRequest(callback) {
+    this._onRulePreviewRequest = callback;
+  }
+
+  /**
+   * プレビューしたルールの適用時のコールバックを設定
+   * @param {Function} callback - (matches: Array<{ noteId: string, folderId: string }>) => { success: boolean, count: number, error?: string }
+   */
+  onRulesApply(callback) {
+    this._onRulesApply = callback;
+  }
+
   /**
    * ドロップダウンを破棄
    */
   destroy() {
     this.close();
+    this._onDataImport = null;
+    this._onViewApply = null;
+    this._onSortModeChange = null;
+    this._onManualOrderReset = null;
+    this._onGroupByFolderChange = null;
+    this._onRulePreviewRequest = null;
+    this._onRulesApply = null;
     this._onFolderSelect = null;
+    this._onFolderFilterChange = null;
+    this._onLabelFilterChange = null;
+    this._onSettingsChange = null;
     this._onFolderCreate = null;
     this._onClose = null;
     this._onFolderRename = null;
+    this._onFolderAppearanceChange = null;
+    this._onHistoryRequest = null;
+    this._onSelectionModeToggle = null;
     this._onFolderDelete = null;
     this._onFolderReorder = null;
   }
@@ -261,13 +545,46 @@ class FolderDropdown {
     const header = this._createHeader();
     dropdown.appendChild(header);
 
-    // フォルダリスト
-    const list = this._createFolderList();
-    dropdown.appendChild(list);
+    if (this._state === DropdownState.SETTINGS) {
+      // 設定パネル
+      dropdown.appendChild(this._createSettingsPanel());
+    } else if (this._state === DropdownState.RULES) {
+      // 自動割り当てルールのエディタ
+      dropdown.appendChild(this._createRulesPanel());
+    } else if (this._state === DropdownState.SHORTCUTS) {
+      // キーボードショートカットの設定
+      dropdown.appendChild(this._createShortcutsPanel());
+    } else if (this._state === DropdownState.IMPORTING) {
+      // インポート確認パネル
+      dropdown.appendChild(this._createImportPanel());
+    } else {
+      // 適用中のフォルダ条件
+      if (this._hasFolderFilter()) {
+        dropdown.appendChild(this._createFilterChips());
+      }
+
+      // 保存済みビュー
+      const viewSection = this._createViewSection();
+      if (viewSection) {
+        dropdown.appendChild(viewSection);
+      }
+
+      // フォルダリスト
+      const list = this._createFolderList();
+      dropdown.appendChild(list);
+
+      // ラベルフィルタ（複数フォルダモード時）
+      if (storageManager.isMultiFolderMode()) {
+        dropdown.appendChild(this._createLabelFilterBar());
+      }
+
+      // ノートの並び順
+      dropdown.appendChild(this._createSortBar());
 
-    // 新規作成セクション
-    const createSection = this._createNewFolderSection();
-    dropdown.appendChild(createSection);
+      // 新規作成セクション
+      const createSection = this._createNewFolderSection();
+      dropdown.appendChild(createSection);
+    }
 
     // キーボードイベント
     dropdown.addEventListener('keydown', this._boundHandleKeydown);
@@ -302,8 +619,8 @@ class FolderDropdown {
       padding: 4px 8px;
       border: none;
       border-radius: 4px;
-      background-color: ${this._selectedFolderId === null ? 'rgba(26, 115, 232, 0.1)' : 'transparent'};
-      color: ${this._selectedFolderId === null ? '#1a73e8' : 'inherit'};
+      background-color: ${!this._hasFolderFilter() ? 'rgba(26, 115, 232, 0.1)' : 'transparent'};
+      color: ${!this._hasFolderFilter() ? '#1a73e8' : 'inherit'};
       cursor: pointer;
       font-size: 12px;
     `;
@@ -311,598 +628,2937 @@ class FolderDropdown {
       e.stopPropagation();
       this._handleFolderClick(null);
     });
-    header.appendChild(showAllBtn);
+
+    // 選択モード・エクスポート・インポート・設定ボタン
+    const selectBtn = this._createHeaderIconButton('check-square', 'ノートを選択', '複数のノートを選択してまとめて移動', () => {
+      if (this._onSelectionModeToggle) {
+        this._onSelectionModeToggle();
+      }
+    });
+    const exportBtn = this._createHeaderIconButton('download', 'エクスポート', 'フォルダ構成をファイルに書き出す', () => {
+      this._handleExport();
+    });
+    const importBtn = this._createHeaderIconButton('upload', 'インポート', 'ファイルからフォルダ構成を読み込む', () => {
+      this._selectImportFile();
+    });
+    const settingsBtn = this._createHeaderIconButton('settings', '設定', 'FolderLM の設定', () => {
+      this._toggleSettings();
+    });
+    settingsBtn.setAttribute('aria-pressed', this._state === DropdownState.SETTINGS ? 'true' : 'false');
+
+    const headerActions = document.createElement('span');
+    headerActions.className = 'folderlm-folder-dropdown-header-actions';
+    headerActions.appendChild(showAllBtn);
+    headerActions.appendChild(selectBtn);
+    headerActions.appendChild(exportBtn);
+    headerActions.appendChild(importBtn);
+    headerActions.appendChild(settingsBtn);
+    header.appendChild(headerActions);
 
     return header;
   }
 
   /**
-   * フォルダリストを作成
-   * @returns {HTMLElement}
+   * ヘッダーのアイコンボタンを作成
+   * @param {string} iconType - アイコンタイプ
+   * @param {string} title - ツールチップ
+   * @param {string} ariaLabel - アクセシブルな名前
+   * @param {Function} onClick - クリック時の処理
+   * @returns {HTMLButtonElement}
    * @private
    */
-  _createFolderList() {
-    const list = document.createElement('ul');
-    list.className = 'folderlm-folder-list';
-    list.setAttribute('role', 'group');
-    list.setAttribute('aria-label', 'フォルダ一覧');
-
-    const folders = storageManager.getFolders();
-    const noteCounts = storageManager.getFolderNoteCounts();
-
-    folders.forEach((folder, index) => {
-      const item = this._createFolderItem(folder, noteCounts.get(folder.id) || 0, index);
-      list.appendChild(item);
+  _createHeaderIconButton(iconType, title, ariaLabel, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'folderlm-folder-dropdown-icon-btn';
+    btn.title = title;
+    btn.setAttribute('role', 'menuitem');
+    btn.setAttribute('aria-label', ariaLabel);
+    btn.setAttribute('tabindex', '-1');
+    btn.appendChild(createIconElement(iconType, 16));
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
     });
-
-    return list;
+    return btn;
   }
 
   /**
-   * フォルダアイテムを作成
-   * @param {Object} folder - フォルダオブジェクト
-   * @param {number} noteCount - ノート数
-   * @param {number} index - インデックス
-   * @returns {HTMLElement}
+   * フォルダ構成を JSON ファイルとしてダウンロード
    * @private
    */
-  _createFolderItem(folder, noteCount, index) {
-    const item = document.createElement('li');
-    item.className = 'folderlm-folder-item';
-    item.setAttribute('role', 'menuitem');
-    item.setAttribute('data-folder-id', folder.id);
-    item.setAttribute('data-index', index.toString());
-    item.setAttribute('tabindex', '-1');
-    item.setAttribute('aria-label', `${folder.name}（${noteCount}件のノート）`);
-
-    if (this._selectedFolderId === folder.id) {
-      item.classList.add('active');
-      item.setAttribute('aria-current', 'true');
-    }
-
-    // ドラッグハンドル（デフォルトフォルダ以外）
-    const dragHandle = createIconElement('drag', 12);
-    dragHandle.classList.add('folderlm-folder-item-drag-handle');
-    item.appendChild(dragHandle);
-
-    // アイコン
-    const iconType = folder.isDefault ? 'inbox' : 'folder';
-    const icon = createIconElement(iconType, 16);
-    icon.classList.add('folderlm-folder-item-icon');
-    item.appendChild(icon);
-
-    // フォルダ名
-    const name = document.createElement('span');
-    name.className = 'folderlm-folder-item-name';
-    name.textContent = folder.name;
-    item.appendChild(name);
-
-    // ノート数
-    const count = document.createElement('span');
-    count.className = 'folderlm-folder-item-count';
-    count.textContent = `(${noteCount})`;
-    count.setAttribute('aria-label', `${noteCount}件のノート`);
-    item.appendChild(count);
+  _handleExport() {
+    const data = storageManager.exportData();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const date = data.exportedAt.slice(0, 10);
+
+    // DOM に追加しない（外部クリック判定で閉じないように）
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `folderlm-export-${date}.json`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    console.log('[FolderLM] Data exported');
+  }
 
-    // アクションボタン（編集・削除）- デフォルトフォルダ以外
-    if (!folder.isDefault) {
-      const actions = this._createFolderActions(folder);
-      item.appendChild(actions);
-    }
+  /**
+   * インポートするファイルを選択
+   * @private
+   */
+  _selectImportFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+
+      let json;
+      try {
+        json = await file.text();
+      } catch (error) {
+        this._showListError('ファイルを読み込めませんでした');
+        return;
+      }
 
-    // クリックイベント（アイテム全体）
-    item.addEventListener('click', (e) => {
-      // アクションボタンクリックは無視
-      if (e.target.closest('.folderlm-folder-item-actions')) {
+      const preview = storageManager.previewImport(json);
+      if (!preview.success) {
+        this._showListError(preview.error);
         return;
       }
-      e.stopPropagation();
-      this._handleFolderClick(folder.id);
-    });
 
-    // ドラッグ&ドロップを設定
-    this._setupDragAndDrop(item, folder, index);
+      if (this._state === DropdownState.CLOSED) return;
 
-    return item;
+      this._pendingImport = { json, fileName: file.name, summary: preview.summary };
+      this._state = DropdownState.IMPORTING;
+      this._render();
+      this._positionDropdown();
+      requestAnimationFrame(() => {
+        this.element?.querySelector('.folderlm-import-merge')?.focus();
+      });
+    });
+    input.click();
   }
 
   /**
-   * フォルダアクションボタンを作成（編集・削除）
-   * @param {Object} folder - フォルダオブジェクト
+   * インポート確認パネルを作成
    * @returns {HTMLElement}
    * @private
    */
-  _createFolderActions(folder) {
-    const actions = document.createElement('span');
-    actions.className = 'folderlm-folder-item-actions';
+  _createImportPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'folderlm-import-panel';
+    panel.setAttribute('role', 'group');
+    panel.setAttribute('aria-label', 'インポート');
+
+    const { fileName, summary } = this._pendingImport;
+
+    const title = document.createElement('div');
+    title.className = 'folderlm-import-title';
+    title.textContent = `「${fileName}」を読み込みます`;
+    panel.appendChild(title);
+
+    const detail = document.createElement('div');
+    detail.className = 'folderlm-import-summary';
+    detail.textContent = `フォルダ ${summary.folders}件・割り当て ${summary.assignments}件` +
+      (summary.labels > 0 ? `・ラベル ${summary.labels}件` : '') +
+      (summary.pins > 0 ? `・ピン留め ${summary.pins}件` : '');
+    panel.appendChild(detail);
 
-    // 編集ボタン
-    const editBtn = document.createElement('button');
-    editBtn.type = 'button';
-    editBtn.className = 'folderlm-folder-item-edit';
-    editBtn.setAttribute('aria-label', 'フォルダ名を編集');
-    editBtn.setAttribute('title', '編集');
-    editBtn.appendChild(createIconElement('edit', 14));
-    editBtn.addEventListener('click', (e) => {
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'folderlm-import-error';
+    errorDiv.setAttribute('role', 'alert');
+    errorDiv.style.display = 'none';
+
+    const actions = document.createElement('div');
+    actions.className = 'folderlm-import-actions';
+
+    const mergeBtn = document.createElement('button');
+    mergeBtn.type = 'button';
+    mergeBtn.className = 'folderlm-import-merge';
+    mergeBtn.textContent = '統合';
+    mergeBtn.title = '既存のフォルダと割り当てに追加します（同名フォルダはまとめます）';
+    mergeBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      this._startEditing(folder.id);
+      this._handleImport(storageManager.IMPORT_MODES.MERGE, errorDiv);
     });
-    actions.appendChild(editBtn);
+    actions.appendChild(mergeBtn);
+
+    const replaceBtn = document.createElement('button');
+    replaceBtn.type = 'button';
+    replaceBtn.className = 'folderlm-import-replace';
+    replaceBtn.textContent = '置換';
+    replaceBtn.title = '既存のフォルダと割り当てをすべて置き換えます';
+    replaceBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (confirm('現在のフォルダと割り当てはすべて置き換えられます。よろしいですか？')) {
+        this._handleImport(storageManager.IMPORT_MODES.REPLACE, errorDiv);
+      }
+    });
+    actions.appendChild(replaceBtn);
 
-    // 削除ボタン
-    const deleteBtn = document.createElement('button');
-    deleteBtn.type = 'button';
-    deleteBtn.className = 'folderlm-folder-item-delete';
-    deleteBtn.setAttribute('aria-label', 'フォルダを削除');
-    deleteBtn.setAttribute('title', '削除');
-    deleteBtn.appendChild(createIconElement('delete', 14));
-    deleteBtn.addEventListener('click', (e) => {
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'folderlm-import-cancel';
+    cancelBtn.textContent = 'キャンセル';
+    cancelBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      this._confirmDelete(folder.id);
+      this._cancelImport();
     });
-    actions.appendChild(deleteBtn);
+    actions.appendChild(cancelBtn);
 
-    return actions;
+    panel.appendChild(actions);
+    panel.appendChild(errorDiv);
+
+    return panel;
   }
 
   /**
-   * フォルダ編集モードを開始
-   * @param {string} folderId - フォルダID
+   * インポートを実行
+   * @param {string} mode - インポートモード
+   * @param {HTMLElement} errorDiv - エラー表示用要素
    * @private
    */
-  _startEditing(folderId) {
-    const folder = storageManager.getFolder(folderId);
-    if (!folder) return;
+  async _handleImport(mode, errorDiv) {
+    if (!this._pendingImport) return;
 
-    const item = this.element?.querySelector(`[data-folder-id="${folderId}"]`);
-    if (!item) return;
+    const result = await storageManager.importData(this._pendingImport.json, { mode });
+    if (!result.success) {
+      errorDiv.textContent = result.error;
+      errorDiv.style.display = 'block';
+      return;
+    }
 
-    // 元のコンテンツを保存
-    const originalHTML = item.innerHTML;
-    item.classList.add('editing');
-    item.innerHTML = '';
+    if (this._onDataImport) {
+      this._onDataImport(result.stats, mode);
+    }
 
-    // 編集フォーム
-    const form = document.createElement('form');
-    form.className = 'folderlm-folder-edit-form';
+    this._cancelImport();
+  }
 
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.value = folder.name;
-    input.className = 'folderlm-folder-edit-input';
-    input.maxLength = storageManager.LIMITS.MAX_FOLDER_NAME_LENGTH;
-    input.setAttribute('aria-label', 'フォルダ名');
-    form.appendChild(input);
+  /**
+   * インポートをキャンセルしてリスト表示に戻る
+   * @private
+   */
+  _cancelImport() {
+    this._pendingImport = null;
+    if (this._state === DropdownState.CLOSED) return;
 
-    const saveBtn = document.createElement('button');
-    saveBtn.type = 'submit';
-    saveBtn.className = 'folderlm-folder-edit-save';
-    saveBtn.textContent = '✓';
-    saveBtn.setAttribute('aria-label', '保存');
-    form.appendChild(saveBtn);
+    this._state = DropdownState.LIST;
+    this._render();
+    this._positionDropdown();
+    this._focusedIndex = -1;
+    this._focusItem(0);
+  }
 
-    const cancelBtn = document.createElement('button');
-    cancelBtn.type = 'button';
-    cancelBtn.className = 'folderlm-folder-edit-cancel';
-    cancelBtn.textContent = '✕';
-    cancelBtn.setAttribute('aria-label', 'キャンセル');
-    form.appendChild(cancelBtn);
+  /**
+   * 設定パネルを作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createSettingsPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'folderlm-folder-settings';
+    panel.setAttribute('role', 'group');
+    panel.setAttribute('aria-label', '設定');
+
+    const settings = storageManager.getSettings();
+
+    panel.appendChild(this._createSettingToggle(
+      'multiFolderMode',
+      '複数フォルダ（ラベル）モード',
+      '1つのノートを複数のフォルダに所属させ、ラベルで絞り込めるようにします',
+      settings.multiFolderMode
+    ));
+
+    panel.appendChild(this._createSettingToggle(
+      'fuzzySearch',
+      'あいまい検索',
+      '検索語の誤字や文字の抜けを許容し、一致度の高いノートから順に表示します',
+      settings.fuzzySearch
+    ));
+
+    panel.appendChild(this._createSettingToggle(
+      'sidebarEnabled',
+      'フォルダのサイドバー',
+      'ノート一覧の横にフォルダ一覧を常に表示し、ワンクリックで絞り込めるようにします',
+      settings.sidebarEnabled
+    ));
+
+    panel.appendChild(this._createRulesSetting());
+
+    panel.appendChild(this._createShortcutsSetting());
+
+    panel.appendChild(this._createStorageBackendSetting());
+
+    // 戻るボタン
+    const backBtn = document.createElement('button');
+    backBtn.type = 'button';
+    backBtn.className = 'folderlm-folder-settings-back';
+    backBtn.textContent = 'フォルダ一覧に戻る';
+    backBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._toggleSettings();
+    });
+    panel.appendChild(backBtn);
 
-    // エラー表示
-    const errorDiv = document.createElement('div');
-    errorDiv.className = 'folderlm-folder-edit-error';
-    errorDiv.style.display = 'none';
+    return panel;
+  }
 
-    // フォーム内のクリックが親に伝播しないようにする
-    form.addEventListener('click', (e) => {
-      e.stopPropagation();
+  /**
+   * 設定のトグル項目を作成
+   * @param {string} key - 設定キー
+   * @param {string} labelText - 表示名
+   * @param {string} description - 説明
+   * @param {boolean} checked - 現在値
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createSettingToggle(key, labelText, description, checked) {
+    const label = document.createElement('label');
+    label.className = 'folderlm-folder-settings-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked === true;
+    checkbox.setAttribute('data-setting-key', key);
+    checkbox.addEventListener('change', () => {
+      const result = storageManager.updateSettings({ [key]: checkbox.checked });
+      if (this._onSettingsChange) {
+        this._onSettingsChange(result.settings);
+      }
     });
+    label.appendChild(checkbox);
 
-    item.appendChild(form);
-    item.appendChild(errorDiv);
+    const text = document.createElement('span');
+    text.className = 'folderlm-folder-settings-text';
 
-    // イベント設定
-    const restoreItem = () => {
-      item.innerHTML = originalHTML;
-      item.classList.remove('editing');
-    };
+    const title = document.createElement('span');
+    title.className = 'folderlm-folder-settings-title';
+    title.textContent = labelText;
+    text.appendChild(title);
 
-    form.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const newName = input.value.trim();
-      const result = await storageManager.renameFolder(folderId, newName);
+    const desc = document.createElement('span');
+    desc.className = 'folderlm-folder-settings-description';
+    desc.textContent = description;
+    text.appendChild(desc);
+
+    label.appendChild(text);
+    return label;
+  }
+
+  /**
+   * 保存先の選択項目を作成（容量の使用状況を含む）
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createStorageBackendSetting() {
+    const BACKENDS = storageManager.STORAGE_BACKENDS;
+    const options = [
+      { value: BACKENDS.SYNC, text: '同期（すべての端末で共有）' },
+      { value: BACKENDS.HYBRID, text: 'ハイブリッド（フォルダのみ同期）' },
+      { value: BACKENDS.LOCAL, text: 'この端末のみ' },
+    ];
+
+    const item = document.createElement('div');
+    item.className = 'folderlm-folder-settings-item folderlm-folder-settings-item--column';
+
+    const title = document.createElement('label');
+    title.className = 'folderlm-folder-settings-title';
+    title.textContent = '保存先';
+    title.htmlFor = 'folderlm-storage-backend';
+    item.appendChild(title);
+
+    const select = document.createElement('select');
+    select.id = 'folderlm-storage-backend';
+    select.className = 'folderlm-folder-settings-select';
+    for (const option of options) {
+      const el = document.createElement('option');
+      el.value = option.value;
+      el.textContent = option.text;
+      select.appendChild(el);
+    }
+    select.value = storageManager.getBackendMode();
+    select.disabled = storageManager.isReadOnly();
+    item.appendChild(select);
+
+    const desc = document.createElement('span');
+    desc.className = 'folderlm-folder-settings-description';
+    const updateUsage = () => {
+      const { used, total, percentage } = storageManager.getStorageUsage();
+      desc.textContent = `同期ストレージ使用量: ${percentage}%（${(used / 1024).toFixed(1)}KB / ${Math.round(total / 1024)}KB）・` +
+        `ノート数の上限: ${storageManager.LIMITS.MAX_NOTES}件`;
+    };
+    updateUsage();
+    item.appendChild(desc);
+
+    const status = document.createElement('span');
+    status.className = 'folderlm-folder-settings-status';
+    status.setAttribute('role', 'status');
+    item.appendChild(status);
+
+    select.addEventListener('change', async () => {
+      const previous = storageManager.getBackendMode();
+      select.disabled = true;
+      status.classList.remove('error');
+      status.textContent = 'データを移行しています…';
+
+      const result = await storageManager.setBackendMode(select.value);
+      select.disabled = false;
       if (result.success) {
-        this._render();
-        this._positionDropdown();
-        if (this._onFolderRename) {
-          this._onFolderRename(folderId, newName);
-        }
+        status.textContent = '保存先を変更しました';
       } else {
-        errorDiv.textContent = result.error;
-        errorDiv.style.display = 'block';
+        select.value = previous;
+        status.classList.add('error');
+        status.textContent = result.error;
       }
+      updateUsage();
     });
 
-    cancelBtn.addEventListener('click', restoreItem);
+    return item;
+  }
 
-    input.addEventListener('keydown', (e) => {
-      if (e.isComposing || e.keyCode === 229) return;
-      if (e.key === 'Escape') {
-        e.stopPropagation();
-        restoreItem();
-      }
+  /**
+   * 設定パネルの表示を切り替え
+   * @private
+   */
+  _toggleSettings() {
+    this._state = this._state === DropdownState.SETTINGS ? DropdownState.LIST : DropdownState.SETTINGS;
+    this._createParentId = null;
+    this._render();
+    this._positionDropdown();
+
+    if (this._state === DropdownState.SETTINGS) {
+      requestAnimationFrame(() => {
+        this.element?.querySelector('.folderlm-folder-settings input')?.focus();
+      });
+    } else {
+      this._focusedIndex = -1;
+      this._focusItem(0);
+    }
+  }
+
+  /**
+   * 設定パネルの自動割り当てルールの項目を作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createRulesSetting() {
+    const rules = storageManager.getAutoAssignRules();
+    const enabledCount = rules.filter(rule => rule.enabled).length;
+
+    const item = document.createElement('div');
+    item.className = 'folderlm-folder-settings-item folderlm-folder-settings-item--column';
+
+    const title = document.createElement('span');
+    title.className = 'folderlm-folder-settings-title';
+    title.textContent = '自動割り当てルール';
+    item.appendChild(title);
+
+    const desc = document.createElement('span');
+    desc.className = 'folderlm-folder-settings-description';
+    desc.textContent = 'タイトルがキーワードや正規表現に一致する新しいノートを、指定したフォルダに自動で割り当てます' +
+      (rules.length > 0 ? `（有効なルール ${enabledCount}件 / ${rules.length}件）` : '');
+    item.appendChild(desc);
+
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'folderlm-rules-open';
+    editBtn.textContent = 'ルールを編集';
+    editBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._openRules();
     });
+    item.appendChild(editBtn);
 
-    input.focus();
-    input.select();
+    return item;
   }
 
   /**
-   * フォルダ削除の確認
-   * @param {string} folderId - フォルダID
+   * 自動割り当てルールのエディタを表示
    * @private
    */
-  _confirmDelete(folderId) {
-    const folder = storageManager.getFolder(folderId);
-    if (!folder) return;
+  _openRules() {
+    this._state = DropdownState.RULES;
+    this._editingRuleId = null;
+    this._rulePreview = null;
+    this._renderRules('.folderlm-rules-panel button:not(:disabled), .folderlm-rules-panel input');
+  }
 
-    const noteCount = storageManager.getNotesByFolder(folderId).length;
-    const message = noteCount > 0
-      ? `「${folder.name}」を削除しますか？\n${noteCount}件のノートは「未分類」に移動されます。`
-      : `「${folder.name}」を削除しますか？`;
+  /**
+   * 自動割り当てルールのエディタを閉じて設定パネルに戻る
+   * @private
+   */
+  _closeRules() {
+    this._state = DropdownState.SETTINGS;
+    this._editingRuleId = null;
+    this._rulePreview = null;
+    this._render();
+    this._positionDropdown();
+    requestAnimationFrame(() => {
+      this.element?.querySelector('.folderlm-rules-open')?.focus();
+    });
+  }
 
-    if (confirm(message)) {
-      const result = storageManager.deleteFolder(folderId);
-      if (result.success) {
-        this._render();
-        this._positionDropdown();
-        if (this._onFolderDelete) {
-          this._onFolderDelete(folderId);
-        }
-      }
+  /**
+   * ルールのエディタを再描画し、指定した要素にフォーカス
+   * @param {string} [focusSelector] - フォーカスする要素のセレクタ
+   * @private
+   */
+  _renderRules(focusSelector) {
+    if (this._state !== DropdownState.RULES) return;
+
+    this._render();
+    this._positionDropdown();
+    if (focusSelector) {
+      requestAnimationFrame(() => {
+        this.element?.querySelector(focusSelector)?.focus();
+      });
     }
   }
 
   /**
-   * ドラッグ&ドロップを設定
-   * @param {HTMLElement} item - フォルダアイテム要素
-   * @param {Object} folder - フォルダオブジェクト
-   * @param {number} index - インデックス
+   * 自動割り当てルールのエディタを作成
+   * 一覧の上にあるルールほど優先され、最初に一致したルールのフォルダに割り当てる
+   * @returns {HTMLElement}
    * @private
    */
-  _setupDragAndDrop(item, folder, index) {
-    // デフォルトフォルダはドラッグ不可
-    if (folder.isDefault) {
-      item.setAttribute('draggable', 'false');
-      return;
+  _createRulesPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'folderlm-rules-panel';
+    panel.setAttribute('role', 'group');
+    panel.setAttribute('aria-label', '自動割り当てルール');
+
+    const title = document.createElement('div');
+    title.className = 'folderlm-rules-title';
+    title.textContent = '自動割り当てルール';
+    panel.appendChild(title);
+
+    const desc = document.createElement('div');
+    desc.className = 'folderlm-rules-description';
+    desc.textContent = '新しく見つかった未分類のノートを、タイトルが最初に一致したルールのフォルダに割り当てます。上のルールほど優先されます。';
+    panel.appendChild(desc);
+
+    const rules = storageManager.getAutoAssignRules();
+    if (rules.length === 0 && this._editingRuleId !== 'new') {
+      const empty = document.createElement('div');
+      empty.className = 'folderlm-rules-empty';
+      empty.textContent = 'ルールはまだありません';
+      panel.appendChild(empty);
+    } else {
+      const list = document.createElement('ol');
+      list.className = 'folderlm-rule-list';
+      rules.forEach((rule, index) => {
+        const item = document.createElement('li');
+        item.className = 'folderlm-rule-item';
+        item.setAttribute('data-rule-id', rule.id);
+        if (this._editingRuleId === rule.id) {
+          item.classList.add('editing');
+          item.appendChild(this._createRuleForm(rule));
+        } else {
+          this._fillRuleItem(item, rule, index, rules.length);
+        }
+        list.appendChild(item);
+      });
+      if (this._editingRuleId === 'new') {
+        const item = document.createElement('li');
+        item.className = 'folderlm-rule-item editing';
+        item.appendChild(this._createRuleForm(null));
+        list.appendChild(item);
+      }
+      panel.appendChild(list);
     }
 
-    item.setAttribute('draggable', 'true');
-
-    // dragstart
-    item.addEventListener('dragstart', (e) => {
-      e.dataTransfer.effectAllowed = 'move';
-      e.dataTransfer.setData('text/plain', folder.id);
-      item.classList.add('dragging');
-      this._draggedFolderId = folder.id;
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'folderlm-rules-error';
+    errorDiv.setAttribute('role', 'alert');
+    panel.appendChild(errorDiv);
+
+    const actions = document.createElement('div');
+    actions.className = 'folderlm-rules-actions';
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'folderlm-rules-add';
+    addBtn.textContent = 'ルールを追加';
+    addBtn.disabled = this._editingRuleId !== null ||
+      rules.length >= storageManager.LIMITS.MAX_AUTO_ASSIGN_RULES;
+    addBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._startEditingRule('new');
+    });
+    actions.appendChild(addBtn);
+
+    const previewBtn = document.createElement('button');
+    previewBtn.type = 'button';
+    previewBtn.className = 'folderlm-rules-preview-button';
+    previewBtn.textContent = '未分類にルールを適用…';
+    previewBtn.title = 'どのフォルダにも所属していないノートのうち、ルールに一致するノートを確認してから移動します';
+    previewBtn.disabled = !rules.some(rule => rule.enabled);
+    previewBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._showRulePreview();
     });
+    actions.appendChild(previewBtn);
 
-    // dragend
-    item.addEventListener('dragend', () => {
-      item.classList.remove('dragging');
-      this._draggedFolderId = null;
-      // ドロップインジケーターを削除
-      this.element?.querySelectorAll('.drop-above, .drop-below').forEach(el => {
-        el.classList.remove('drop-above', 'drop-below');
-      });
+    panel.appendChild(actions);
+
+    if (this._rulePreview) {
+      panel.appendChild(this._createRulePreview(this._rulePreview));
+    }
+
+    const backBtn = document.createElement('button');
+    backBtn.type = 'button';
+    backBtn.className = 'folderlm-folder-settings-back';
+    backBtn.textContent = '設定に戻る';
+    backBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._closeRules();
     });
+    panel.appendChild(backBtn);
 
-    // dragover
-    item.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      e.dataTransfer.dropEffect = 'move';
+    return panel;
+  }
 
-      // 自分自身やデフォルトフォルダにはドロップ不可
-      const targetFolderId = item.getAttribute('data-folder-id');
-      if (targetFolderId === this._draggedFolderId) return;
-      if (targetFolderId === storageManager.UNCATEGORIZED_ID) return;
+  /**
+   * ルールの行の内容を作成
+   * @param {HTMLElement} item - 行の要素
+   * @param {Object} rule - ルール
+   * @param {number} index - 優先順位のインデックス
+   * @param {number} total - ルールの総数
+   * @private
+   */
+  _fillRuleItem(item, rule, index, total) {
+    const folder = storageManager.getFolder(rule.folderId);
+    const isValid = !!folder && !folder.isDefault;
+    if (!isValid) {
+      item.classList.add('folderlm-rule-item--invalid');
+    }
+    if (!rule.enabled) {
+      item.classList.add('folderlm-rule-item--disabled');
+    }
 
-      // ドロップ位置のインジケーター表示
-      const rect = item.getBoundingClientRect();
-      const midpoint = rect.top + rect.height / 2;
+    const summaryText = this._describeRule(rule);
 
-      item.classList.remove('drop-above', 'drop-below');
-      if (e.clientY < midpoint) {
-        item.classList.add('drop-above');
-      } else {
-        item.classList.add('drop-below');
-      }
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.className = 'folderlm-rule-toggle';
+    toggle.checked = rule.enabled;
+    toggle.setAttribute('aria-label', `ルールを有効にする: ${summaryText}`);
+    toggle.addEventListener('change', () => {
+      this._updateRule(rule.id, { enabled: toggle.checked },
+        `.folderlm-rule-item[data-rule-id="${rule.id}"] .folderlm-rule-toggle`);
     });
+    item.appendChild(toggle);
 
-    // dragleave
-    item.addEventListener('dragleave', () => {
-      item.classList.remove('drop-above', 'drop-below');
-    });
+    const summary = document.createElement('span');
+    summary.className = 'folderlm-rule-summary';
+    summary.title = summaryText;
 
-    // drop
-    item.addEventListener('drop', (e) => {
-      e.preventDefault();
-      item.classList.remove('drop-above', 'drop-below');
+    const type = document.createElement('span');
+    type.className = 'folderlm-rule-type';
+    type.textContent = rule.matchType === storageManager.RULE_MATCH_TYPES.REGEX ? '正規表現' : 'キーワード';
+    summary.appendChild(type);
 
-      const draggedId = e.dataTransfer.getData('text/plain');
-      const targetId = item.getAttribute('data-folder-id');
+    const pattern = document.createElement('code');
+    pattern.className = 'folderlm-rule-pattern';
+    pattern.textContent = rule.pattern;
+    summary.appendChild(pattern);
 
-      // デフォルトフォルダにはドロップ不可
-      if (targetId === storageManager.UNCATEGORIZED_ID) return;
-      if (draggedId === targetId) return;
+    const target = document.createElement('span');
+    target.className = 'folderlm-rule-target';
+    target.textContent = isValid
+      ? `→ ${storageManager.getFolderPath(rule.folderId).map(f => f.name).join(' / ')}`
+      : '→ フォルダが削除されています';
+    summary.appendChild(target);
 
-      this._handleDrop(draggedId, targetId, e.clientY < item.getBoundingClientRect().top + item.offsetHeight / 2);
-    });
+    item.appendChild(summary);
+
+    const actions = document.createElement('span');
+    actions.className = 'folderlm-rule-actions';
+
+    const createAction = (className, content, label, disabled, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = className;
+      btn.setAttribute('aria-label', label);
+      btn.setAttribute('title', label);
+      btn.disabled = disabled;
+      if (typeof content === 'string') {
+        btn.textContent = content;
+      } else {
+        btn.appendChild(content);
+      }
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      actions.appendChild(btn);
+    };
+
+    const editing = this._editingRuleId !== null;
+    createAction('folderlm-rule-move-up', '↑', '優先順位を上げる', editing || index === 0,
+      () => this._moveRule(rule.id, index - 1, '.folderlm-rule-move-up'));
+    createAction('folderlm-rule-move-down', '↓', '優先順位を下げる', editing || index === total - 1,
+      () => this._moveRule(rule.id, index + 1, '.folderlm-rule-move-down'));
+    createAction('folderlm-rule-edit', createIconElement('edit', 14), 'ルールを編集', editing,
+      () => this._startEditingRule(rule.id));
+    createAction('folderlm-rule-delete', createIconElement('delete', 14), 'ルールを削除', editing,
+      () => this._confirmDeleteRule(rule));
+
+    item.appendChild(actions);
   }
 
   /**
-   * ドロップを処理
-   * @param {string} draggedId - ドラッグしたフォルダID
-   * @param {string} targetId - ドロップ先フォルダID
-   * @param {boolean} insertBefore - ターゲットの前に挿入するか
+   * ルールの説明文を作成
+   * @param {Object} rule - ルール
+   * @returns {string}
    * @private
    */
-  _handleDrop(draggedId, targetId, insertBefore) {
-    const folders = storageManager.getFolders();
-    const draggedIndex = folders.findIndex(f => f.id === draggedId);
-    const targetIndex = folders.findIndex(f => f.id === targetId);
-
-    if (draggedIndex === -1 || targetIndex === -1) return;
+  _describeRule(rule) {
+    const folder = storageManager.getFolder(rule.folderId);
+    const target = folder ? `「${folder.name}」` : '（削除されたフォルダ）';
+    return rule.matchType === storageManager.RULE_MATCH_TYPES.REGEX
+      ? `タイトルが /${rule.pattern}/ に一致したら${target}へ`
+      : `タイトルに「${rule.pattern}」のいずれかを含んだら${target}へ`;
+  }
 
-    // 新しい順序を計算
-    const newFolderIds = folders.map(f => f.id);
-    newFolderIds.splice(draggedIndex, 1);
+  /**
+   * ルールの追加・編集フォームを作成
+   * @param {Object|null} rule - 編集するルール（新規追加は null）
+   * @returns {HTMLFormElement}
+   * @private
+   */
+  _createRuleForm(rule) {
+    const MATCH_TYPES = storageManager.RULE_MATCH_TYPES;
 
-    let insertIndex = targetIndex;
-    if (draggedIndex < targetIndex) {
-      insertIndex--;
+    const form = document.createElement('form');
+    form.className = 'folderlm-rule-form';
+    form.setAttribute('aria-label', rule ? 'ルールを編集' : 'ルールを追加');
+
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'folderlm-rule-type-select';
+    typeSelect.setAttribute('aria-label', '条件の種類');
+    for (const [value, text] of [[MATCH_TYPES.KEYWORDS, 'キーワード'], [MATCH_TYPES.REGEX, '正規表現']]) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      typeSelect.appendChild(option);
     }
-    if (!insertBefore) {
-      insertIndex++;
+    typeSelect.value = rule?.matchType ?? MATCH_TYPES.KEYWORDS;
+    form.appendChild(typeSelect);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'folderlm-rule-pattern-input';
+    input.maxLength = storageManager.LIMITS.MAX_RULE_PATTERN_LENGTH;
+    input.value = rule?.pattern ?? '';
+    input.setAttribute('aria-label', '条件');
+    const updatePlaceholder = () => {
+      input.placeholder = typeSelect.value === MATCH_TYPES.REGEX
+        ? '例: ^(会議|MTG)'
+        : '例: 会議, 議事録（カンマ区切り）';
+    };
+    updatePlaceholder();
+    typeSelect.addEventListener('change', updatePlaceholder);
+    form.appendChild(input);
+
+    const folderSelect = document.createElement('select');
+    folderSelect.className = 'folderlm-rule-folder-select';
+    folderSelect.setAttribute('aria-label', '割り当て先のフォルダ');
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'フォルダを選択';
+    folderSelect.appendChild(placeholder);
+    for (const { folder, depth } of storageManager.getFlattenedFolderTree()) {
+      if (folder.isDefault) continue;
+      const option = document.createElement('option');
+      option.value = folder.id;
+      option.textContent = `${'　'.repeat(depth)}${folder.name}`;
+      folderSelect.appendChild(option);
     }
+    folderSelect.value = rule && storageManager.getFolder(rule.folderId) ? rule.folderId : '';
+    form.appendChild(folderSelect);
 
-    // デフォルトフォルダの位置（0）より前には挿入しない
-    insertIndex = Math.max(1, insertIndex);
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'folderlm-rule-form-error';
+    errorDiv.setAttribute('role', 'alert');
 
-    newFolderIds.splice(insertIndex, 0, draggedId);
+    const actions = document.createElement('div');
+    actions.className = 'folderlm-rule-form-actions';
 
-    // ストレージに保存
-    const result = storageManager.reorderFolders(newFolderIds);
-    if (result.success) {
-      this._render();
-      this._positionDropdown();
-      if (this._onFolderReorder) {
-        this._onFolderReorder(newFolderIds);
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'folderlm-rule-save';
+    saveBtn.textContent = rule ? '保存' : '追加';
+    actions.appendChild(saveBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'folderlm-rule-cancel';
+    cancelBtn.textContent = 'キャンセル';
+    cancelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._cancelEditingRule();
+    });
+    actions.appendChild(cancelBtn);
+
+    form.appendChild(actions);
+    form.appendChild(errorDiv);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const values = {
+        matchType: typeSelect.value,
+        pattern: input.value,
+        folderId: folderSelect.value,
+      };
+      const result = rule
+        ? storageManager.updateAutoAssignRule(rule.id, values)
+        : storageManager.createAutoAssignRule(values);
+      if (!result.success) {
+        errorDiv.textContent = result.error;
+        input.focus();
+        return;
       }
+
+      this._editingRuleId = null;
+      this._rulePreview = null;
+      this._renderRules(`.folderlm-rule-item[data-rule-id="${result.rule.id}"] .folderlm-rule-edit`);
+    });
+
+    return form;
+  }
+
+  /**
+   * ルールの追加・編集を開始
+   * @param {string} ruleId - 編集するルールID（新規追加は 'new'）
+   * @private
+   */
+  _startEditingRule(ruleId) {
+    this._editingRuleId = ruleId;
+    this._renderRules('.folderlm-rule-form .folderlm-rule-pattern-input');
+  }
+
+  /**
+   * ルールの追加・編集をキャンセル
+   * @private
+   */
+  _cancelEditingRule() {
+    const ruleId = this._editingRuleId;
+    this._editingRuleId = null;
+    this._renderRules(ruleId && ruleId !== 'new'
+      ? `.folderlm-rule-item[data-rule-id="${ruleId}"] .folderlm-rule-edit`
+      : '.folderlm-rules-add');
+  }
+
+  /**
+   * ルールを更新して再描画
+   * @param {string} ruleId - ルールID
+   * @param {Object} partial - 更新する項目
+   * @param {string} focusSelector - 再描画後にフォーカスする要素のセレクタ
+   * @private
+   */
+  _updateRule(ruleId, partial, focusSelector) {
+    const result = storageManager.updateAutoAssignRule(ruleId, partial);
+    if (!result.success) {
+      this._showRulesError(result.error);
+      return;
+    }
+
+    this._rulePreview = null;
+    this._renderRules(focusSelector);
+  }
+
+  /**
+   * ルールの優先順位を変更
+   * @param {string} ruleId - ルールID
+   * @param {number} toIndex - 移動先のインデックス
+   * @param {string} buttonSelector - 再描画後にフォーカスするボタンのセレクタ
+   * @private
+   */
+  _moveRule(ruleId, toIndex, buttonSelector) {
+    const result = storageManager.moveAutoAssignRule(ruleId, toIndex);
+    if (!result.success) {
+      this._showRulesError(result.error);
+      return;
+    }
+
+    this._rulePreview = null;
+    // 端に移動してボタンが無効になった場合は行の編集ボタンにフォーカス
+    const item = `.folderlm-rule-item[data-rule-id="${ruleId}"]`;
+    this._renderRules(`${item} ${buttonSelector}:not(:disabled), ${item} .folderlm-rule-edit`);
+  }
+
+  /**
+   * ルール削除の確認
+   * @param {Object} rule - ルール
+   * @private
+   */
+  _confirmDeleteRule(rule) {
+    if (!confirm(`ルール「${rule.pattern}」を削除しますか？\n割り当て済みのノートは移動しません。`)) {
+      return;
+    }
+
+    const result = storageManager.deleteAutoAssignRule(rule.id);
+    if (!result.success) {
+      this._showRulesError(result.error);
+      return;
+    }
+
+    this._rulePreview = null;
+    this._renderRules('.folderlm-rules-add');
+  }
+
+  /**
+   * ルールのエディタにエラーを表示
+   * @param {string} message
+   * @private
+   */
+  _showRulesError(message) {
+    const errorDiv = this.element?.querySelector('.folderlm-rules-error');
+    if (errorDiv) {
+      errorDiv.textContent = message;
+    }
+  }
+
+  /**
+   * 未分類のノートにルールを適用した場合の移動先を表示（ドライラン）
+   * @private
+   */
+  _showRulePreview() {
+    if (!this._onRulePreviewRequest) return;
+
+    this._rulePreview = this._onRulePreviewRequest() || [];
+    this._renderRules(this._rulePreview.length > 0 ? '.folderlm-rules-apply' : '.folderlm-rules-preview-close');
+  }
+
+  /**
+   * ルール適用のプレビューを作成
+   * @param {Array<{ noteId: string, title: string, folderId: string }>} matches
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createRulePreview(matches) {
+    const section = document.createElement('div');
+    section.className = 'folderlm-rules-preview';
+    section.setAttribute('role', 'region');
+    section.setAttribute('aria-label', 'ルール適用のプレビュー');
+
+    const summary = document.createElement('div');
+    summary.className = 'folderlm-rules-preview-summary';
+    summary.setAttribute('role', 'status');
+    summary.textContent = matches.length > 0
+      ? `未分類のノート ${matches.length}件が移動します`
+      : 'ルールに一致する未分類のノートはありません';
+    section.appendChild(summary);
+
+    if (matches.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'folderlm-rules-preview-list';
+      for (const match of matches.slice(0, MAX_RULE_PREVIEW_ITEMS)) {
+        const item = document.createElement('li');
+        item.className = 'folderlm-rules-preview-item';
+
+        const title = document.createElement('span');
+        title.className = 'folderlm-rules-preview-title';
+        title.textContent = match.title;
+        title.title = match.title;
+        item.appendChild(title);
+
+        const folder = document.createElement('span');
+        folder.className = 'folderlm-rules-preview-folder';
+        folder.textContent = `→ ${storageManager.getFolder(match.folderId)?.name ?? ''}`;
+        item.appendChild(folder);
+
+        list.appendChild(item);
+      }
+      section.appendChild(list);
+
+      if (matches.length > MAX_RULE_PREVIEW_ITEMS) {
+        const more = document.createElement('div');
+        more.className = 'folderlm-rules-preview-more';
+        more.textContent = `ほか ${matches.length - MAX_RULE_PREVIEW_ITEMS}件`;
+        section.appendChild(more);
+      }
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'folderlm-rules-preview-actions';
+
+    if (matches.length > 0) {
+      const applyBtn = document.createElement('button');
+      applyBtn.type = 'button';
+      applyBtn.className = 'folderlm-rules-apply';
+      applyBtn.textContent = `${matches.length}件を移動`;
+      applyBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._applyRulePreview();
+      });
+      actions.appendChild(applyBtn);
+    }
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'folderlm-rules-preview-close';
+    closeBtn.textContent = '閉じる';
+    closeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._rulePreview = null;
+      this._renderRules('.folderlm-rules-preview-button');
+    });
+    actions.appendChild(closeBtn);
+
+    section.appendChild(actions);
+    return section;
+  }
+
+  /**
+   * プレビューしたとおりにノートを移動
+   * @private
+   */
+  _applyRulePreview() {
+    if (!this._rulePreview || !this._onRulesApply) return;
+
+    const result = this._onRulesApply(this._rulePreview);
+    if (!result?.success) {
+      this._showRulesError(result?.error || 'ルールを適用できませんでした');
+      return;
+    }
+
+    this._rulePreview = null;
+    this._renderRules('.folderlm-rules-preview-button');
+  }
+
+  // ==========================================================================
+  // キーボードショートカット
+  // ==========================================================================
+
+  /**
+   * 設定パネルのキーボードショートカットの項目を作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createShortcutsSetting() {
+    const item = document.createElement('div');
+    item.className = 'folderlm-folder-settings-item folderlm-folder-settings-item--column';
+
+    const title = document.createElement('span');
+    title.className = 'folderlm-folder-settings-title';
+    title.textContent = 'キーボードショートカット';
+    item.appendChild(title);
+
+    const desc = document.createElement('span');
+    desc.className = 'folderlm-folder-settings-description';
+    const paletteKey = storageManager.getShortcuts().commandPalette;
+    desc.textContent = 'ノート一覧のページでフォルダメニューや検索をキーで操作します' +
+      (paletteKey ? `（${paletteKey} でコマンドパレット）` : '');
+    item.appendChild(desc);
+
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'folderlm-shortcuts-open';
+    editBtn.textContent = 'キーを変更';
+    editBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._openShortcuts();
+    });
+    item.appendChild(editBtn);
+
+    return item;
+  }
+
+  /**
+   * キーボードショートカットの設定を表示
+   * @private
+   */
+  _openShortcuts() {
+    this._state = DropdownState.SHORTCUTS;
+    this._recordingShortcutId = null;
+    this._renderShortcuts('.folderlm-shortcut-record');
+  }
+
+  /**
+   * キーボードショートカットの設定を閉じて設定パネルに戻る
+   * @private
+   */
+  _closeShortcuts() {
+    this._state = DropdownState.SETTINGS;
+    this._recordingShortcutId = null;
+    this._render();
+    this._positionDropdown();
+    requestAnimationFrame(() => {
+      this.element?.querySelector('.folderlm-shortcuts-open')?.focus();
+    });
+  }
+
+  /**
+   * キーボードショートカットの設定を再描画し、指定した要素にフォーカス
+   * @param {string} [focusSelector] - フォーカスする要素のセレクタ
+   * @private
+   */
+  _renderShortcuts(focusSelector) {
+    if (this._state !== DropdownState.SHORTCUTS) return;
+
+    this._render();
+    this._positionDropdown();
+    if (focusSelector) {
+      requestAnimationFrame(() => {
+        this.element?.querySelector(focusSelector)?.focus();
+      });
+    }
+  }
+
+  /**
+   * キーボードショートカットの設定パネルを作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createShortcutsPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'folderlm-shortcuts-panel';
+    panel.setAttribute('role', 'group');
+    panel.setAttribute('aria-label', 'キーボードショートカット');
+
+    const title = document.createElement('div');
+    title.className = 'folderlm-shortcuts-title';
+    title.textContent = 'キーボードショートカット';
+    panel.appendChild(title);
+
+    const desc = document.createElement('div');
+    desc.className = 'folderlm-shortcuts-description';
+    desc.textContent = '「変更」を押してから新しいキーを入力します（Esc で中止）。入力欄で文字を入力している間は反応しません。';
+    panel.appendChild(desc);
+
+    const shortcuts = storageManager.getShortcuts();
+    const list = document.createElement('ul');
+    list.className = 'folderlm-shortcut-list';
+    for (const action of SHORTCUT_ACTIONS) {
+      list.appendChild(this._createShortcutItem(action, shortcuts[action.id] || ''));
+    }
+    panel.appendChild(list);
+
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'folderlm-shortcuts-error';
+    errorDiv.setAttribute('role', 'alert');
+    panel.appendChild(errorDiv);
+
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.className = 'folderlm-shortcuts-reset';
+    resetBtn.textContent = 'すべて初期設定に戻す';
+    resetBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._resetShortcuts();
+    });
+    panel.appendChild(resetBtn);
+
+    const backBtn = document.createElement('button');
+    backBtn.type = 'button';
+    backBtn.className = 'folderlm-folder-settings-back';
+    backBtn.textContent = '設定に戻る';
+    backBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._closeShortcuts();
+    });
+    panel.appendChild(backBtn);
+
+    return panel;
+  }
+
+  /**
+   * ショートカットの行を作成
+   * @param {{ id: string, label: string }} action - 操作
+   * @param {string} shortcut - 現在のキー（空文字列は未設定）
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createShortcutItem(action, shortcut) {
+    const isRecording = this._recordingShortcutId === action.id;
+
+    const item = document.createElement('li');
+    item.className = 'folderlm-shortcut-item';
+    item.setAttribute('data-action-id', action.id);
+    if (isRecording) {
+      item.classList.add('recording');
+    }
+
+    const label = document.createElement('span');
+    label.className = 'folderlm-shortcut-label';
+    label.textContent = action.label;
+    item.appendChild(label);
+
+    const key = document.createElement('kbd');
+    key.className = 'folderlm-shortcut-key';
+    if (!shortcut) {
+      key.classList.add('folderlm-shortcut-key--unset');
+    }
+    key.textContent = shortcut || '未設定';
+    item.appendChild(key);
+
+    const recordBtn = document.createElement('button');
+    recordBtn.type = 'button';
+    recordBtn.className = 'folderlm-shortcut-record';
+    recordBtn.textContent = isRecording ? 'キーを入力…' : '変更';
+    recordBtn.setAttribute('aria-label', isRecording
+      ? `${action.label}の新しいキーを入力（Esc で中止）`
+      : `${action.label}のキーを変更`);
+    recordBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this._recordingShortcutId === action.id) {
+        this._cancelRecordingShortcut();
+      } else {
+        this._startRecordingShortcut(action.id);
+      }
+    });
+    recordBtn.addEventListener('keydown', (e) => {
+      if (this._recordingShortcutId === action.id) {
+        this._handleShortcutRecordKeydown(e, action.id);
+      }
+    });
+    item.appendChild(recordBtn);
+
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.className = 'folderlm-shortcut-clear';
+    clearBtn.textContent = '解除';
+    clearBtn.disabled = !shortcut || isRecording;
+    clearBtn.setAttribute('aria-label', `${action.label}のキーを解除`);
+    clearBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._setShortcut(action.id, '');
+    });
+
+    // 他の要素にフォーカスが移ったら入力待ちを中止する
+    // クリックしたボタンが消えないよう再描画せずに表示だけ戻す
+    recordBtn.addEventListener('blur', () => {
+      if (this._recordingShortcutId !== action.id) return;
+
+      this._recordingShortcutId = null;
+      item.classList.remove('recording');
+      recordBtn.textContent = '変更';
+      recordBtn.setAttribute('aria-label', `${action.label}のキーを変更`);
+      clearBtn.disabled = !shortcut;
+    });
+    item.appendChild(clearBtn);
+
+    return item;
+  }
+
+  /**
+   * 新しいキーの入力待ちを開始
+   * @param {string} actionId - 操作ID
+   * @private
+   */
+  _startRecordingShortcut(actionId) {
+    this._recordingShortcutId = actionId;
+    this._renderShortcuts(`.folderlm-shortcut-item[data-action-id="${actionId}"] .folderlm-shortcut-record`);
+  }
+
+  /**
+   * 新しいキーの入力待ちを中止
+   * @private
+   */
+  _cancelRecordingShortcut() {
+    const actionId = this._recordingShortcutId;
+    this._recordingShortcutId = null;
+    this._renderShortcuts(`.folderlm-shortcut-item[data-action-id="${actionId}"] .folderlm-shortcut-record`);
+  }
+
+  /**
+   * 入力待ちの間のキー入力を処理（Esc は _handleEscape で中止、Tab はフォーカス移動）
+   * @param {KeyboardEvent} event
+   * @param {string} actionId - 操作ID
+   * @private
+   */
+  _handleShortcutRecordKeydown(event, actionId) {
+    if (event.key === 'Tab') {
+      return;
+    }
+
+    const shortcut = eventToShortcut(event);
+    if (!shortcut) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    this._setShortcut(actionId, shortcut);
+  }
+
+  /**
+   * 操作のキーを変更
+   * @param {string} actionId - 操作ID
+   * @param {string} shortcut - キーの表記（空文字列で解除）
+   * @private
+   */
+  _setShortcut(actionId, shortcut) {
+    const result = storageManager.setShortcut(actionId, shortcut);
+    const focusSelector = `.folderlm-shortcut-item[data-action-id="${actionId}"] .folderlm-shortcut-record`;
+    this._recordingShortcutId = null;
+
+    if (!result.success) {
+      this._renderShortcuts(focusSelector);
+      const conflict = getShortcutAction(result.conflictActionId);
+      this._showShortcutsError(conflict
+        ? `${shortcut} は「${conflict.label}」に割り当て済みです。先にそちらを解除してください`
+        : result.error);
+      return;
+    }
+
+    this._renderShortcuts(focusSelector);
+  }
+
+  /**
+   * すべてのキーを初期設定に戻す
+   * @private
+   */
+  _resetShortcuts() {
+    if (!confirm('キーボードショートカットをすべて初期設定に戻しますか？')) {
+      return;
+    }
+
+    storageManager.resetShortcuts();
+    this._recordingShortcutId = null;
+    this._renderShortcuts('.folderlm-shortcuts-reset');
+  }
+
+  /**
+   * キーボードショートカットの設定にエラーを表示
+   * @param {string} message
+   * @private
+   */
+  _showShortcutsError(message) {
+    const errorDiv = this.element?.querySelector('.folderlm-shortcuts-error');
+    if (errorDiv) {
+      errorDiv.textContent = message;
+    }
+  }
+
+  /**
+   * ラベルフィルタのバーを作成（一致条件の切り替えと解除）
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createLabelFilterBar() {
+    const bar = document.createElement('div');
+    bar.className = 'folderlm-label-filter';
+    bar.setAttribute('role', 'group');
+    bar.setAttribute('aria-label', 'ラベルフィルタ');
+
+    const { labelIds, match } = this._labelFilter;
+
+    const status = document.createElement('span');
+    status.className = 'folderlm-label-filter-status';
+    status.textContent = labelIds.length > 0 ? `ラベル ${labelIds.length}件` : 'ラベル未選択';
+    bar.appendChild(status);
+
+    const matchOptions = [
+      { value: 'any', text: 'いずれか', title: '選択したラベルのいずれかを持つノート' },
+      { value: 'all', text: 'すべて', title: '選択したラベルをすべて持つノート' },
+    ];
+    for (const option of matchOptions) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'folderlm-label-filter-match';
+      btn.textContent = option.text;
+      btn.title = option.title;
+      btn.setAttribute('aria-pressed', match === option.value ? 'true' : 'false');
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._changeLabelFilter(labelIds, option.value);
+      });
+      bar.appendChild(btn);
+    }
+
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.className = 'folderlm-label-filter-clear';
+    clearBtn.textContent = '解除';
+    clearBtn.disabled = labelIds.length === 0;
+    clearBtn.setAttribute('aria-label', 'ラベルフィルタを解除');
+    clearBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._changeLabelFilter([], match);
+    });
+    bar.appendChild(clearBtn);
+
+    return bar;
+  }
+
+  /**
+   * ラベルフィルタを変更
+   * @param {string[]} labelIds - ラベルとして選択するフォルダID
+   * @param {string} match - 一致条件
+   * @private
+   */
+  _changeLabelFilter(labelIds, match) {
+    this._labelFilter = { labelIds: [...labelIds], match };
+
+    if (this._onLabelFilterChange) {
+      this._onLabelFilterChange([...labelIds], match);
+    }
+
+    this._render();
+    this._positionDropdown();
+  }
+
+  /**
+   * ノートの並び順の選択バーを作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createSortBar() {
+    const bar = document.createElement('div');
+    bar.className = 'folderlm-sort-bar';
+    bar.setAttribute('role', 'group');
+    bar.setAttribute('aria-label', 'ノートの並び順');
+
+    const SORT_MODES = storageManager.SORT_MODES;
+    const mode = storageManager.getSortMode();
+
+    const label = document.createElement('label');
+    label.className = 'folderlm-sort-label';
+    label.textContent = '並び順';
+
+    const select = document.createElement('select');
+    select.className = 'folderlm-sort-select';
+    const options = [
+      { value: SORT_MODES.NONE, text: 'NotebookLM の順序' },
+      { value: SORT_MODES.FOLDER, text: 'フォルダ順' },
+      { value: SORT_MODES.TITLE, text: 'タイトル順' },
+      { value: SORT_MODES.MANUAL, text: '手動（ドラッグで並べ替え）' },
+    ];
+    for (const option of options) {
+      const optionElement = document.createElement('option');
+      optionElement.value = option.value;
+      optionElement.textContent = option.text;
+      optionElement.selected = option.value === mode;
+      select.appendChild(optionElement);
+    }
+    select.addEventListener('change', () => {
+      if (this._onSortModeChange) {
+        this._onSortModeChange(select.value);
+      }
+      this._render();
+      this._positionDropdown();
+      this.element?.querySelector('.folderlm-sort-select')?.focus();
+    });
+    label.appendChild(select);
+    bar.appendChild(label);
+
+    if (mode === SORT_MODES.MANUAL) {
+      const resetBtn = document.createElement('button');
+      resetBtn.type = 'button';
+      resetBtn.className = 'folderlm-sort-reset';
+      resetBtn.textContent = 'リセット';
+      resetBtn.disabled = storageManager.getManualOrder().length === 0;
+      resetBtn.setAttribute('aria-label', '手動の並び順をリセット');
+      resetBtn.title = 'ドラッグで並べた順序を消去し、NotebookLM の順序に戻します';
+      resetBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (this._onManualOrderReset) {
+          this._onManualOrderReset();
+        }
+        this._render();
+        this._positionDropdown();
+      });
+      bar.appendChild(resetBtn);
+    }
+
+    const groupLabel = document.createElement('label');
+    groupLabel.className = 'folderlm-sort-group';
+    groupLabel.title = 'フォルダごとの見出しの下にノートをまとめて表示します（見出しは折りたためます）';
+
+    const groupCheckbox = document.createElement('input');
+    groupCheckbox.type = 'checkbox';
+    groupCheckbox.checked = storageManager.isGroupByFolder();
+    groupCheckbox.addEventListener('change', () => {
+      if (this._onGroupByFolderChange) {
+        this._onGroupByFolderChange(groupCheckbox.checked);
+      }
+    });
+    groupLabel.appendChild(groupCheckbox);
+    groupLabel.appendChild(document.createTextNode('見出し'));
+    bar.appendChild(groupLabel);
+
+    return bar;
+  }
+
+  /**
+   * フォルダリストを作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createFolderList() {
+    const list = document.createElement('ul');
+    list.className = 'folderlm-folder-list';
+    list.setAttribute('role', 'group');
+    list.setAttribute('aria-label', 'フォルダ一覧');
+
+    const tree = storageManager.getFlattenedFolderTree();
+    const noteCounts = storageManager.getFolderNoteCounts();
+
+    // 折りたたまれたフォルダの子孫はスキップする
+    let collapsedDepth = Infinity;
+    let index = 0;
+
+    for (const { folder, depth, hasChildren } of tree) {
+      if (depth > collapsedDepth) continue;
+      collapsedDepth = Infinity;
+
+      const expanded = hasChildren && !this._collapsedFolderIds.has(folder.id);
+      const item = this._createFolderItem(folder, noteCounts.get(folder.id) || 0, index++, {
+        depth,
+        hasChildren,
+        expanded,
+      });
+      list.appendChild(item);
+
+      if (hasChildren && !expanded) {
+        collapsedDepth = depth;
+      }
+
+      // 「未分類」の隣にピン留めしたノートの疑似フォルダを置く
+      if (folder.id === storageManager.UNCATEGORIZED_ID) {
+        const pinnedFolder = this._getFilterFolder(storageManager.PINNED_ID);
+        list.appendChild(this._createFolderItem(pinnedFolder, storageManager.getPinnedNoteIds().length, index++, {
+          depth: 0,
+          hasChildren: false,
+          expanded: false,
+        }));
+      }
+    }
+
+    return list;
+  }
+
+  /**
+   * フォルダ条件に指定できるフォルダを取得（「ピン留め」疑似フォルダを含む）
+   * @param {string} folderId - フォルダID
+   * @returns {Object|null} フォルダオブジェクト
+   * @private
+   */
+  _getFilterFolder(folderId) {
+    if (folderId === storageManager.PINNED_ID) {
+      return { id: folderId, name: 'ピン留め', isDefault: true, parentId: null };
+    }
+    return storageManager.getFolder(folderId);
+  }
+
+  /**
+   * フォルダアイテムを作成
+   * @param {Object} folder - フォルダオブジェクト（「ピン留め」疑似フォルダを含む）
+   * @param {number} noteCount - ノート数（サブフォルダを含む）
+   * @param {number} index - インデックス
+   * @param {Object} treeInfo - ツリー情報
+   * @param {number} treeInfo.depth - 階層の深さ（ルート = 0）
+   * @param {boolean} treeInfo.hasChildren - サブフォルダを持つか
+   * @param {boolean} treeInfo.expanded - 展開されているか
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createFolderItem(folder, noteCount, index, { depth, hasChildren, expanded }) {
+    const isPinned = folder.id === storageManager.PINNED_ID;
+    const item = document.createElement('li');
+    item.className = 'folderlm-folder-item';
+    item.setAttribute('role', 'menuitem');
+    item.setAttribute('data-folder-id', folder.id);
+    item.setAttribute('data-parent-id', folder.parentId || '');
+    item.setAttribute('data-index', index.toString());
+    item.setAttribute('tabindex', '-1');
+    item.setAttribute('aria-label', `${folder.name}（${noteCount}件のノート）`);
+    item.setAttribute('aria-level', (depth + 1).toString());
+    item.style.setProperty('--folderlm-folder-depth', depth.toString());
+
+    if (hasChildren) {
+      item.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    }
+
+    if (this._folderFilter.folderIds.includes(folder.id)) {
+      item.classList.add('active');
+      item.setAttribute('aria-current', 'true');
+    } else if (this._folderFilter.excludedFolderIds.includes(folder.id)) {
+      item.classList.add('excluded');
+      item.setAttribute('aria-label', `${folder.name}（${noteCount}件のノート・除外中）`);
+    }
+    item.title = 'Ctrl+クリックで複数選択、Alt+クリックで除外';
+
+    // ドラッグハンドル（デフォルトフォルダ以外）
+    const dragHandle = createIconElement('drag', 12);
+    dragHandle.classList.add('folderlm-folder-item-drag-handle');
+    item.appendChild(dragHandle);
+
+    // 展開/折りたたみトグル（子がない場合は位置合わせ用の空要素）
+    const toggle = document.createElement('span');
+    toggle.className = 'folderlm-folder-item-toggle';
+    if (hasChildren) {
+      toggle.classList.add('has-children');
+      toggle.appendChild(createIconElement('chevron', 12));
+      toggle.setAttribute('aria-hidden', 'true');
+      toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._toggleExpanded(folder.id);
+      });
+    }
+    item.appendChild(toggle);
+
+    // アイコン（フォルダの色・アイコン設定を反映）
+    const icon = isPinned ? createIconElement('pin', 16) : createFolderIconElement(folder, 16);
+    icon.classList.add('folderlm-folder-item-icon');
+    item.appendChild(icon);
+
+    // フォルダ名
+    const name = document.createElement('span');
+    name.className = 'folderlm-folder-item-name';
+    name.textContent = folder.name;
+    item.appendChild(name);
+
+    // ノート数
+    const count = document.createElement('span');
+    count.className = 'folderlm-folder-item-count';
+    count.textContent = `(${noteCount})`;
+    count.setAttribute('aria-label', `${noteCount}件のノート`);
+    item.appendChild(count);
+
+    // アクションボタン（サブフォルダ作成・編集・削除）- デフォルトフォルダ以外
+    if (!folder.isDefault) {
+      const actions = this._createFolderActions(folder, depth);
+      item.appendChild(actions);
+    }
+
+    // クリックイベント（アイテム全体）
+    item.addEventListener('click', (e) => {
+      // アクションボタンクリックは無視
+      if (e.target.closest('.folderlm-folder-item-actions')) {
+        return;
+      }
+      e.stopPropagation();
+      this._handleFolderClick(folder.id, e);
+    });
+
+    // ドラッグ&ドロップを設定（フォルダの並び替えとノートの割り当て）
+    // 「ピン留め」はフォルダではないため、ノートの割り当て先にしない
+    this._setupDragAndDrop(item, folder, index);
+    if (!isPinned) {
+      noteDrag.attachDropTarget(item, () => folder.id);
+    }
+
+    return item;
+  }
+
+  /**
+   * フォルダアクションボタンを作成（サブフォルダ作成・編集・削除）
+   * @param {Object} folder - フォルダオブジェクト
+   * @param {number} depth - 階層の深さ（ルート = 0）
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createFolderActions(folder, depth) {
+    const actions = document.createElement('span');
+    actions.className = 'folderlm-folder-item-actions';
+
+    // ラベルフィルタのトグル（複数フォルダモード時）
+    if (storageManager.isMultiFolderMode()) {
+      const isLabelSelected = this._labelFilter.labelIds.includes(folder.id);
+      const labelBtn = document.createElement('button');
+      labelBtn.type = 'button';
+      labelBtn.className = 'folderlm-folder-item-label';
+      labelBtn.setAttribute('aria-label', `ラベル「${folder.name}」で絞り込む`);
+      labelBtn.setAttribute('aria-pressed', isLabelSelected ? 'true' : 'false');
+      labelBtn.setAttribute('title', isLabelSelected ? 'ラベルの選択を解除' : 'ラベルとして絞り込みに追加');
+      labelBtn.appendChild(createIconElement('label', 14));
+      labelBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const { labelIds, match } = this._labelFilter;
+        const nextIds = isLabelSelected
+          ? labelIds.filter(id => id !== folder.id)
+          : [...labelIds, folder.id];
+        this._changeLabelFilter(nextIds, match);
+      });
+      actions.appendChild(labelBtn);
+    }
+
+    // サブフォルダ作成ボタン（階層の上限に達していない場合のみ）
+    if (depth + 1 < storageManager.LIMITS.MAX_FOLDER_DEPTH) {
+      const addChildBtn = document.createElement('button');
+      addChildBtn.type = 'button';
+      addChildBtn.className = 'folderlm-folder-item-add-child';
+      addChildBtn.setAttribute('aria-label', 'サブフォルダを作成');
+      addChildBtn.setAttribute('title', 'サブフォルダを作成');
+      addChildBtn.appendChild(createIconElement('folder-plus', 14));
+      addChildBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._startCreating(folder.id);
+      });
+      actions.appendChild(addChildBtn);
+    }
+
+    // 編集ボタン
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'folderlm-folder-item-edit';
+    editBtn.setAttribute('aria-label', 'フォルダ名・色・アイコンを編集');
+    editBtn.setAttribute('title', '編集');
+    editBtn.appendChild(createIconElement('edit', 14));
+    editBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._startEditing(folder.id);
+    });
+    actions.appendChild(editBtn);
+
+    // 削除ボタン
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'folderlm-folder-item-delete';
+    deleteBtn.setAttribute('aria-label', 'フォルダを削除');
+    deleteBtn.setAttribute('title', '削除');
+    deleteBtn.appendChild(createIconElement('delete', 14));
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._confirmDelete(folder.id);
+    });
+    actions.appendChild(deleteBtn);
+
+    return actions;
+  }
+
+  /**
+   * フォルダ編集モードを開始
+   * @param {string} folderId - フォルダID
+   * @private
+   */
+  _startEditing(folderId) {
+    const folder = storageManager.getFolder(folderId);
+    if (!folder) return;
+
+    const item = this.element?.querySelector(`[data-folder-id="${folderId}"]`);
+    if (!item) return;
+
+    // 元のコンテンツを保存
+    const originalHTML = item.innerHTML;
+    item.classList.add('editing');
+    item.innerHTML = '';
+
+    // 編集フォーム
+    const form = document.createElement('form');
+    form.className = 'folderlm-folder-edit-form';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = folder.name;
+    input.className = 'folderlm-folder-edit-input';
+    input.maxLength = storageManager.LIMITS.MAX_FOLDER_NAME_LENGTH;
+    input.setAttribute('aria-label', 'フォルダ名');
+    form.appendChild(input);
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'folderlm-folder-edit-save';
+    saveBtn.textContent = '✓';
+    saveBtn.setAttribute('aria-label', '保存');
+    form.appendChild(saveBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'folderlm-folder-edit-cancel';
+    cancelBtn.textContent = '✕';
+    cancelBtn.setAttribute('aria-label', 'キャンセル');
+    form.appendChild(cancelBtn);
+
+    // 色・アイコンの選択
+    const appearance = {
+      color: folder.color || null,
+      icon: folder.icon || 'folder',
+    };
+    const picker = this._createAppearancePicker(appearance);
+
+    // エラー表示
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'folderlm-folder-edit-error';
+    errorDiv.style.display = 'none';
+
+    // フォーム内のクリックが親に伝播しないようにする
+    form.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    item.appendChild(form);
+    item.appendChild(picker);
+    item.appendChild(errorDiv);
+
+    // イベント設定
+    const restoreItem = () => {
+      item.innerHTML = originalHTML;
+      item.classList.remove('editing');
+    };
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const newName = input.value.trim();
+      const nameChanged = newName !== folder.name;
+      const appearanceChanged = appearance.color !== (folder.color || null) ||
+        appearance.icon !== (folder.icon || 'folder');
+
+      if (nameChanged) {
+        const result = await storageManager.renameFolder(folderId, newName);
+        if (!result.success) {
+          errorDiv.textContent = result.error;
+          errorDiv.style.display = 'block';
+          return;
+        }
+      }
+
+      if (appearanceChanged) {
+        const result = storageManager.updateFolderAppearance(folderId, appearance);
+        if (!result.success) {
+          errorDiv.textContent = result.error;
+          errorDiv.style.display = 'block';
+          return;
+        }
+      }
+
+      this._render();
+      this._positionDropdown();
+      if (nameChanged && this._onFolderRename) {
+        this._onFolderRename(folderId, newName);
+      }
+      if (appearanceChanged && this._onFolderAppearanceChange) {
+        this._onFolderAppearanceChange(folderId, { ...appearance });
+      }
+    });
+
+    cancelBtn.addEventListener('click', restoreItem);
+
+    input.addEventListener('keydown', (e) => {
+      if (e.isComposing || e.keyCode === 229) return;
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        restoreItem();
+      }
+    });
+
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * フォルダの色・アイコンピッカーを作成
+   * 選択内容は渡された appearance オブジェクトを直接更新する
+   * @param {{ color: string|null, icon: string }} appearance - 現在の選択
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createAppearancePicker(appearance) {
+    const picker = document.createElement('div');
+    picker.className = 'folderlm-appearance-picker';
+
+    // ピッカー内のクリックが親（フォルダ選択）に伝播しないようにする
+    picker.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    // 色の選択（先頭は既定の色）
+    const colorRow = document.createElement('div');
+    colorRow.className = 'folderlm-appearance-row';
+    colorRow.setAttribute('role', 'radiogroup');
+    colorRow.setAttribute('aria-label', 'フォルダの色');
+
+    const iconRow = document.createElement('div');
+    iconRow.className = 'folderlm-appearance-row';
+    iconRow.setAttribute('role', 'radiogroup');
+    iconRow.setAttribute('aria-label', 'フォルダのアイコン');
+
+    const updateSelection = () => {
+      for (const btn of colorRow.querySelectorAll('.folderlm-appearance-color')) {
+        const selected = (btn.getAttribute('data-folder-color') || null) === appearance.color;
+        btn.setAttribute('aria-checked', selected ? 'true' : 'false');
+      }
+      for (const btn of iconRow.querySelectorAll('.folderlm-appearance-icon')) {
+        const selected = btn.getAttribute('data-icon') === appearance.icon;
+        btn.setAttribute('aria-checked', selected ? 'true' : 'false');
+        // アイコンのプレビューに選択中の色を反映
+        const glyph = btn.querySelector('.folderlm-folder-glyph');
+        if (appearance.color) {
+          glyph.setAttribute('data-folder-color', appearance.color);
+        } else {
+          glyph.removeAttribute('data-folder-color');
+        }
+      }
+    };
+
+    for (const color of [null, ...storageManager.FOLDER_COLORS]) {
+      const label = color ? FOLDER_COLOR_LABELS[color] || color : '既定';
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'folderlm-appearance-color';
+      btn.setAttribute('role', 'radio');
+      btn.setAttribute('aria-label', `色: ${label}`);
+      btn.setAttribute('title', label);
+      if (color) {
+        btn.setAttribute('data-folder-color', color);
+      }
+      btn.addEventListener('click', () => {
+        appearance.color = color;
+        updateSelection();
+      });
+      colorRow.appendChild(btn);
+    }
+
+    for (const icon of storageManager.FOLDER_ICONS) {
+      const label = FOLDER_ICON_LABELS[icon] || icon;
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'folderlm-appearance-icon';
+      btn.setAttribute('role', 'radio');
+      btn.setAttribute('data-icon', icon);
+      btn.setAttribute('aria-label', `アイコン: ${label}`);
+      btn.setAttribute('title', label);
+      btn.appendChild(createFolderIconElement({ icon }, 14));
+      btn.addEventListener('click', () => {
+        appearance.icon = icon;
+        updateSelection();
+      });
+      iconRow.appendChild(btn);
+    }
+
+    updateSelection();
+
+    picker.appendChild(colorRow);
+    picker.appendChild(iconRow);
+    return picker;
+  }
+
+  /**
+   * フォルダ削除の確認
+   * @param {string} folderId - フォルダID
+   * @private
+   */
+  _confirmDelete(folderId) {
+    const folder = storageManager.getFolder(folderId);
+    if (!folder) return;
+
+    const noteCount = storageManager.getNotesByFolder(folderId).length;
+    const childCount = storageManager.getChildFolders(folderId).length;
+    let message = `「${folder.name}」を削除しますか？`;
+    if (noteCount > 0) {
+      message += `\n${noteCount}件のノートは「未分類」に移動されます。`;
+    }
+    if (childCount > 0) {
+      message += `\n${childCount}個のサブフォルダは1つ上の階層に移動されます。`;
+    }
+
+    if (confirm(message)) {
+      const result = storageManager.deleteFolder(folderId);
+      if (result.success) {
+        this._render();
+        this._positionDropdown();
+        if (this._onFolderDelete) {
+          this._onFolderDelete(folderId, folder.name);
+        }
+      }
+    }
+  }
+
+  /**
+   * ドラッグ&ドロップを設定
+   * @param {HTMLElement} item - フォルダアイテム要素
+   * @param {Object} folder - フォルダオブジェクト
+   * @param {number} index - インデックス
+   * @private
+   */
+  _setupDragAndDrop(item, folder, index) {
+    // デフォルトフォルダはドラッグ不可
+    if (folder.isDefault) {
+      item.setAttribute('draggable', 'false');
+      return;
+    }
+
+    item.setAttribute('draggable', 'true');
+
+    // dragstart
+    item.addEventListener('dragstart', (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', folder.id);
+      item.classList.add('dragging');
+      this._draggedFolderId = folder.id;
+    });
+
+    // dragend
+    item.addEventListener('dragend', () => {
+      item.classList.remove('dragging');
+      this._draggedFolderId = null;
+      // ドロップインジケーターを削除
+      this.element?.querySelectorAll('.drop-above, .drop-below, .drop-into').forEach(el => {
+        el.classList.remove('drop-above', 'drop-below', 'drop-into');
+      });
+    });
+
+    // dragover
+    item.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+
+      item.classList.remove('drop-above', 'drop-below', 'drop-into');
+
+      // 自分自身・自身の子孫・デフォルトフォルダにはドロップ不可
+      const targetFolderId = item.getAttribute('data-folder-id');
+      if (!this._canDropOn(targetFolderId)) return;
+
+      // ドロップ位置のインジケーター表示
+      const position = this._getDropPosition(item, e.clientY);
+      item.classList.add(`drop-${position === 'inside' ? 'into' : position === 'before' ? 'above' : 'below'}`);
+    });
+
+    // dragleave
+    item.addEventListener('dragleave', () => {
+      item.classList.remove('drop-above', 'drop-below', 'drop-into');
+    });
+
+    // drop
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      item.classList.remove('drop-above', 'drop-below', 'drop-into');
+
+      const draggedId = e.dataTransfer.getData('text/plain');
+      const targetId = item.getAttribute('data-folder-id');
+
+      if (!draggedId || draggedId !== this._draggedFolderId) return;
+      if (!this._canDropOn(targetId)) return;
+
+      this._handleDrop(draggedId, targetId, this._getDropPosition(item, e.clientY));
+    });
+  }
+
+  /**
+   * ドラッグ中のフォルダを指定フォルダにドロップできるか
+   * @param {string} targetId - ドロップ先フォルダID
+   * @returns {boolean}
+   * @private
+   */
+  _canDropOn(targetId) {
+    if (!this._draggedFolderId || !targetId) return false;
+    if (targetId === this._draggedFolderId) return false;
+    if (targetId === storageManager.UNCATEGORIZED_ID) return false;
+    return !storageManager.getDescendantFolderIds(this._draggedFolderId).includes(targetId);
+  }
+
+  /**
+   * ポインタ位置からドロップ位置を判定
+   * 上端・下端の 1/4 は前後への挿入、中央はサブフォルダ化
+   * @param {HTMLElement} item - フォルダアイテム要素
+   * @param {number} clientY - ポインタのY座標
+   * @returns {'before'|'after'|'inside'}
+   * @private
+   */
+  _getDropPosition(item, clientY) {
+    const rect = item.getBoundingClientRect();
+    const offset = clientY - rect.top;
+    const edge = rect.height / 4;
+
+    if (offset < edge) return 'before';
+    if (offset > rect.height - edge) return 'after';
+    return 'inside';
+  }
+
+  /**
+   * ドロップを処理
+   * @param {string} draggedId - ドラッグしたフォルダID
+   * @param {string} targetId - ドロップ先フォルダID
+   * @param {'before'|'after'|'inside'} position - ドロップ位置
+   * @private
+   */
+  _handleDrop(draggedId, targetId, position) {
+    const target = storageManager.getFolder(targetId);
+    if (!target || !storageManager.getFolder(draggedId)) return;
+
+    let result;
+    if (position === 'inside') {
+      // ターゲットのサブフォルダとして末尾に追加
+      result = storageManager.moveFolder(draggedId, targetId, -1);
+      if (result.success) {
+        this._collapsedFolderIds.delete(targetId);
+      }
+    } else {
+      // ターゲットと同じ親の下で前後に挿入
+      const parentId = target.parentId || null;
+      const siblings = storageManager.getChildFolders(parentId).filter(f => f.id !== draggedId);
+      let insertIndex = siblings.findIndex(f => f.id === targetId);
+      if (position === 'after') {
+        insertIndex++;
+      }
+      result = storageManager.moveFolder(draggedId, parentId, insertIndex);
+    }
+
+    if (!result.success) {
+      this._showListError(result.error);
+      return;
+    }
+
+    this._render();
+    this._positionDropdown();
+    if (this._onFolderReorder) {
+      this._onFolderReorder(storageManager.getFolders().map(f => f.id));
+    }
+  }
+
+  /**
+   * リスト表示中のエラーメッセージを表示
+   * @param {string} message - エラーメッセージ
+   * @private
+   */
+  _showListError(message) {
+    if (!this.element) return;
+
+    let errorDiv = this.element.querySelector('.folderlm-folder-list-error');
+    if (!errorDiv) {
+      errorDiv = document.createElement('div');
+      errorDiv.className = 'folderlm-folder-list-error';
+      errorDiv.setAttribute('role', 'alert');
+      const list = this.element.querySelector('.folderlm-folder-list');
+      if (list) {
+        list.after(errorDiv);
+      } else {
+        this.element.appendChild(errorDiv);
+      }
+    }
+    errorDiv.textContent = message;
+  }
+
+  /**
+   * フォルダの展開/折りたたみを切り替え
+   * @param {string} folderId - フォルダID
+   * @param {boolean} [expand] - 指定時はその状態にする
+   * @private
+   */
+  _toggleExpanded(folderId, expand) {
+    const isCollapsed = this._collapsedFolderIds.has(folderId);
+    const shouldExpand = expand === undefined ? isCollapsed : expand;
+
+    // 既に指定の状態なら何もしない
+    if (shouldExpand !== isCollapsed) return;
+
+    if (shouldExpand) {
+      this._collapsedFolderIds.delete(folderId);
+    } else {
+      this._collapsedFolderIds.add(folderId);
+    }
+
+    this._render();
+    this._positionDropdown();
+    this._focusFolder(folderId);
+  }
+
+  /**
+   * 指定フォルダの祖先をすべて展開
+   * @param {string} folderId - フォルダID
+   * @private
+   */
+  _expandAncestors(folderId) {
+    const ancestors = storageManager.getFolderPath(folderId).slice(0, -1);
+    for (const ancestor of ancestors) {
+      this._collapsedFolderIds.delete(ancestor.id);
+    }
+  }
+
+  /**
+   * 新規フォルダ作成セクションを作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createNewFolderSection() {
+    const section = document.createElement('div');
+    section.className = 'folderlm-folder-create';
+
+    if (this._state === DropdownState.CREATING) {
+      // 入力フォーム表示
+      const form = this._createNewFolderForm();
+      section.appendChild(form);
+    } else {
+      // 「新規作成」ボタン表示
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'folderlm-folder-create-btn';
+      btn.setAttribute('role', 'menuitem');
+      btn.setAttribute('aria-label', '新規フォルダを作成');
+      btn.setAttribute('tabindex', '-1');
+      btn.style.cssText = `
+        display: flex;
+        align-items: center;
+        width: 100%;
+        padding: 0;
+        border: none;
+        background: none;
+        cursor: pointer;
+        font-size: 14px;
+        color: #1a73e8;
+      `;
+
+      const icon = document.createElement('span');
+      icon.textContent = '➕';
+      icon.style.marginRight = '12px';
+      icon.setAttribute('aria-hidden', 'true');
+      btn.appendChild(icon);
+
+      const text = document.createElement('span');
+      text.textContent = '新規フォルダを作成';
+      btn.appendChild(text);
+
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._startCreating();
+      });
+
+      section.appendChild(btn);
+    }
+
+    return section;
+  }
+
+  /**
+   * 新規フォルダ作成フォームを作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createNewFolderForm() {
+    const form = document.createElement('form');
+    form.style.cssText = 'display: flex; width: 100%; gap: 8px;';
+
+    // 入力フィールド
+    const parent = this._createParentId ? storageManager.getFolder(this._createParentId) : null;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'folderlm-folder-create-input';
+    input.placeholder = parent ? `「${parent.name}」のサブフォルダ名` : 'フォルダ名';
+    input.maxLength = storageManager.LIMITS.MAX_FOLDER_NAME_LENGTH;
+    input.setAttribute('aria-label', 'フォルダ名を入力');
+    input.setAttribute('autocomplete', 'off');
+    form.appendChild(input);
+
+    // 作成ボタン
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.textContent = '作成';
+    submitBtn.setAttribute('aria-label', 'フォルダを作成');
+    submitBtn.style.cssText = `
+      padding: 8px 12px;
+      border: none;
+      border-radius: 4px;
+      background-color: #1a73e8;
+      color: white;
+      cursor: pointer;
+      font-size: 14px;
+    `;
+    form.appendChild(submitBtn);
+
+    // キャンセルボタン
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.textContent = '✕';
+    cancelBtn.title = 'キャンセル';
+    cancelBtn.setAttribute('aria-label', 'フォルダ作成をキャンセル');
+    cancelBtn.style.cssText = `
+      padding: 8px;
+      border: none;
+      border-radius: 4px;
+      background-color: transparent;
+      cursor: pointer;
+      font-size: 14px;
+    `;
+    cancelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._cancelCreating();
+    });
+    form.appendChild(cancelBtn);
+
+    // エラーメッセージ用の要素
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'folderlm-folder-create-error';
+    errorDiv.style.cssText = `
+      display: none;
+      width: 100%;
+      padding: 4px 0;
+      color: #d93025;
+      font-size: 12px;
+    `;
+    errorDiv.setAttribute('role', 'alert');
+
+    // フォーム送信
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._handleCreateFolder(input.value, errorDiv);
+    });
+
+    // 入力時のリアルタイムバリデーション
+    input.addEventListener('input', () => {
+      errorDiv.style.display = 'none';
+    });
+
+    // ESC でキャンセル（IME変換中は無視）
+    input.addEventListener('keydown', (e) => {
+      // IME変換中は無視
+      if (e.isComposing || e.keyCode === 229) {
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this._cancelCreating();
+      }
+    });
+
+    // フォーカスを設定
+    requestAnimationFrame(() => {
+      input.focus();
+    });
+
+    // コンテナでラップしてエラーメッセージを追加
+    const container = document.createElement('div');
+    container.style.cssText = 'display: flex; flex-direction: column; width: 100%;';
+    container.appendChild(form);
+    container.appendChild(errorDiv);
+
+    return container;
+  }
+
+  /**
+   * 新規フォルダ作成モードを開始
+   * @param {string|null} [parentId=null] - 親フォルダID（サブフォルダ作成時）
+   * @private
+   */
+  _startCreating(parentId = null) {
+    this._state = DropdownState.CREATING;
+    this._createParentId = parentId;
+    this._render();
+    this._positionDropdown();
+  }
+
+  /**
+   * 新規フォルダ作成をキャンセル
+   * @private
+   */
+  _cancelCreating() {
+    this._state = DropdownState.LIST;
+    this._createParentId = null;
+    this._render();
+    this._positionDropdown();
+  }
+
+  /**
+   * フォルダ作成を処理
+   * @param {string} name - フォルダ名
+   * @param {HTMLElement} errorDiv - エラー表示用要素
+   * @private
+   */
+  _handleCreateFolder(name, errorDiv) {
+    const parentId = this._createParentId;
+    const result = storageManager.createFolder(name, parentId);
+
+    if (!result.success) {
+      // エラー表示
+      errorDiv.textContent = result.error;
+      errorDiv.style.display = 'block';
+      return;
+    }
+
+    // 成功
+    console.log('[FolderLM] Folder created:', result.folder);
+
+    if (this._onFolderCreate) {
+      this._onFolderCreate(result.folder);
+    }
+
+    // 親フォルダを展開してリスト表示に戻る
+    if (parentId) {
+      this._collapsedFolderIds.delete(parentId);
+    }
+    this._state = DropdownState.LIST;
+    this._createParentId = null;
+    this._render();
+    this._positionDropdown();
+  }
+
+  /**
+   * フォルダクリックを処理
+   * Ctrl（Mac は Cmd）+クリックで選択に追加・削除、Alt+クリックで除外を切り替え（いずれも開いたまま）
+   * @param {string|null} folderId - フォルダID（null で「すべて」）
+   * @param {MouseEvent|KeyboardEvent} [event] - 修飾キーの判定に使うイベント
+   * @private
+   */
+  _handleFolderClick(folderId, event) {
+    if (folderId && event && (event.ctrlKey || event.metaKey || event.altKey)) {
+      const { folderIds, excludedFolderIds } = this._folderFilter;
+      const without = (ids) => ids.filter(id => id !== folderId);
+
+      if (event.altKey) {
+        this._changeFolderFilter({
+          folderIds: without(folderIds),
+          excludedFolderIds: excludedFolderIds.includes(folderId)
+            ? without(excludedFolderIds)
+            : [...excludedFolderIds, folderId],
+        });
+      } else {
+        this._changeFolderFilter({
+          folderIds: folderIds.includes(folderId) ? without(folderIds) : [...folderIds, folderId],
+          excludedFolderIds: without(excludedFolderIds),
+        });
+      }
+      return;
+    }
+
+    this._folderFilter = {
+      folderIds: folderId ? [folderId] : [],
+      excludedFolderIds: folderId ? this._folderFilter.excludedFolderIds.filter(id => id !== folderId) : [],
+    };
+
+    if (this._onFolderSelect) {
+      this._onFolderSelect(folderId);
+    }
+
+    this.close();
+  }
+
+  /**
+   * フォルダ条件が設定されているか
+   * @returns {boolean}
+   * @private
+   */
+  _hasFolderFilter() {
+    return this._folderFilter.folderIds.length > 0 || this._folderFilter.excludedFolderIds.length > 0;
+  }
+
+  /**
+   * フォルダ条件を変更（ドロップダウンは開いたまま）
+   * @param {{ folderIds: string[], excludedFolderIds: string[] }} folderFilter
+   * @private
+   */
+  _changeFolderFilter(folderFilter) {
+    this._folderFilter = {
+      folderIds: [...folderFilter.folderIds],
+      excludedFolderIds: [...folderFilter.excludedFolderIds],
+    };
+
+    if (this._onFolderFilterChange) {
+      this._onFolderFilterChange(this.getFolderFilter());
+    }
+
+    const focusedIndex = this._focusedIndex;
+    this._render();
+    this._positionDropdown();
+    this._focusItem(focusedIndex >= 0 ? focusedIndex : 0);
+  }
+
+  /**
+   * 適用中のフォルダ条件をチップで表示
+   * チップのクリックで選択と除外を切り替え、× で条件から外す
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createFilterChips() {
+    const container = document.createElement('div');
+    container.className = 'folderlm-filter-chips';
+    container.setAttribute('role', 'group');
+    container.setAttribute('aria-label', '適用中のフォルダ条件');
+
+    const { folderIds, excludedFolderIds } = this._folderFilter;
+    const without = (ids, folderId) => ids.filter(id => id !== folderId);
+    const criteria = [
+      ...folderIds.map(id => ({ id, excluded: false })),
+      ...excludedFolderIds.map(id => ({ id, excluded: true })),
+    ];
+
+    for (const { id, excluded } of criteria) {
+      const folder = this._getFilterFolder(id);
+      if (!folder) continue;
+
+      const chip = document.createElement('span');
+      chip.className = 'folderlm-filter-chip';
+      if (excluded) {
+        chip.classList.add('folderlm-filter-chip--excluded');
+      }
+      if (folder.color) {
+        chip.setAttribute('data-folder-color', folder.color);
+      }
+
+      const toggleBtn = document.createElement('button');
+      toggleBtn.type = 'button';
+      toggleBtn.className = 'folderlm-filter-chip-label';
+      toggleBtn.textContent = excluded ? `除外: ${folder.name}` : folder.name;
+      toggleBtn.title = excluded ? 'クリックで「含む」に切り替え' : 'クリックで「除外」に切り替え';
+      toggleBtn.setAttribute('aria-label', excluded
+        ? `「${folder.name}」の除外を「含む」に切り替え`
+        : `「${folder.name}」を除外に切り替え`);
+      toggleBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._changeFolderFilter(excluded
+          ? { folderIds: [...folderIds, id], excludedFolderIds: without(excludedFolderIds, id) }
+          : { folderIds: without(folderIds, id), excludedFolderIds: [...excludedFolderIds, id] });
+      });
+      chip.appendChild(toggleBtn);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'folderlm-filter-chip-remove';
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', `「${folder.name}」を条件から外す`);
+      removeBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._changeFolderFilter({
+          folderIds: without(folderIds, id),
+          excludedFolderIds: without(excludedFolderIds, id),
+        });
+      });
+      chip.appendChild(removeBtn);
+
+      container.appendChild(chip);
+    }
+
+    return container;
+  }
+
+  // ==========================================================================
+  // 保存済みビュー
+  // ==========================================================================
+
+  /**
+   * 保存済みビューのセクションを作成
+   * ビューも保存できる条件もない場合は表示しない
+   * @returns {HTMLElement|null}
+   * @private
+   */
+  _createViewSection() {
+    const views = storageManager.getSavedViews();
+    const hasCondition = this._hasFolderFilter() || this._searchQuery.trim() !== '';
+    if (views.length === 0 && !hasCondition && !this._savingView) {
+      return null;
+    }
+
+    const section = document.createElement('div');
+    section.className = 'folderlm-view-section';
+    section.setAttribute('role', 'group');
+    section.setAttribute('aria-label', '保存済みビュー');
+
+    const header = document.createElement('div');
+    header.className = 'folderlm-view-header';
+
+    const title = document.createElement('span');
+    title.className = 'folderlm-view-title';
+    title.textContent = '保存済みビュー';
+    header.appendChild(title);
+
+    if (hasCondition && !this._savingView) {
+      const canSave = views.length < storageManager.LIMITS.MAX_SAVED_VIEWS;
+      const saveBtn = document.createElement('button');
+      saveBtn.type = 'button';
+      saveBtn.className = 'folderlm-view-save-button';
+      saveBtn.textContent = '現在の条件を保存';
+      saveBtn.disabled = !canSave;
+      saveBtn.title = canSave
+        ? '選択中のフォルダと検索語をビューとして保存'
+        : `ビューは${storageManager.LIMITS.MAX_SAVED_VIEWS}個までです`;
+      saveBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._startSavingView();
+      });
+      header.appendChild(saveBtn);
+    }
+
+    section.appendChild(header);
+
+    if (this._savingView) {
+      section.appendChild(this._createViewSaveForm());
+    }
+
+    if (views.length > 0) {
+      const list = document.createElement('div');
+      list.className = 'folderlm-view-list';
+      views.forEach((view, index) => {
+        list.appendChild(this._createViewItem(view, index, views.length));
+      });
+      section.appendChild(list);
+    }
+
+    return section;
+  }
+
+  /**
+   * 保存済みビューの行を作成
+   * @param {Object} view - ビュー
+   * @param {number} index - 並び順のインデックス
+   * @param {number} total - ビューの総数
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createViewItem(view, index, total) {
+    const item = document.createElement('div');
+    item.className = 'folderlm-view-item';
+    item.setAttribute('data-view-id', view.id);
+
+    const isActive = this._isViewActive(view);
+    if (isActive) {
+      item.classList.add('active');
+    }
+
+    const applyBtn = document.createElement('button');
+    applyBtn.type = 'button';
+    applyBtn.className = 'folderlm-view-apply';
+    applyBtn.setAttribute('role', 'menuitemradio');
+    applyBtn.setAttribute('aria-checked', isActive ? 'true' : 'false');
+    applyBtn.title = this._describeView(view);
+
+    const name = document.createElement('span');
+    name.className = 'folderlm-view-name';
+    name.textContent = view.name;
+    applyBtn.appendChild(name);
+
+    if (index < 9) {
+      const shortcut = document.createElement('kbd');
+      shortcut.className = 'folderlm-view-shortcut';
+      shortcut.textContent = `Alt+${index + 1}`;
+      applyBtn.appendChild(shortcut);
+      applyBtn.setAttribute('aria-keyshortcuts', `Alt+${index + 1}`);
+    }
+
+    applyBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._applyView(view);
+    });
+    applyBtn.addEventListener('keydown', (e) => this._handleViewKeydown(e, view, index));
+    item.appendChild(applyBtn);
+
+    const actions = document.createElement('span');
+    actions.className = 'folderlm-view-actions';
+
+    const createAction = (className, text, label, disabled, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = className;
+      btn.setAttribute('aria-label', label);
+      btn.setAttribute('title', label);
+      btn.disabled = disabled;
+      if (typeof text === 'string') {
+        btn.textContent = text;
+      } else {
+        btn.appendChild(text);
+      }
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      actions.appendChild(btn);
+    };
+
+    createAction('folderlm-view-move-up', '↑', '上に移動', index === 0,
+      () => this._moveView(view.id, index - 1));
+    createAction('folderlm-view-move-down', '↓', '下に移動', index === total - 1,
+      () => this._moveView(view.id, index + 1));
+    createAction('folderlm-view-rename', createIconElement('edit', 14), 'ビュー名を変更', false,
+      () => this._startRenamingView(view.id));
+    createAction('folderlm-view-delete', createIconElement('delete', 14), 'ビューを削除', false,
+      () => this._confirmDeleteView(view));
+
+    item.appendChild(actions);
+    return item;
+  }
+
+  /**
+   * ビューの行でのキー操作を処理
+   * Enter / Space で適用、上下キーでビュー間を移動、Alt+上下キーで並び替え
+   * @param {KeyboardEvent} event
+   * @param {Object} view - ビュー
+   * @param {number} index - 並び順のインデックス
+   * @private
+   */
+  _handleViewKeydown(event, view, index) {
+    if (event.isComposing) return;
+
+    const buttons = Array.from(this.element?.querySelectorAll('.folderlm-view-apply') || []);
+
+    switch (event.key) {
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        event.stopPropagation();
+        this._applyView(view);
+        break;
+
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        event.preventDefault();
+        event.stopPropagation();
+        const delta = event.key === 'ArrowUp' ? -1 : 1;
+        if (event.altKey) {
+          this._moveView(view.id, index + delta);
+          return;
+        }
+        if (delta > 0 && index === buttons.length - 1) {
+          // 最後のビューから下はフォルダ一覧へ
+          this._focusItem(0);
+        } else {
+          buttons[Math.max(0, index + delta)]?.focus();
+        }
+        break;
+      }
+
+      case 'F2':
+        event.preventDefault();
+        event.stopPropagation();
+        this._startRenamingView(view.id);
+        break;
+
+      case 'Delete':
+        event.preventDefault();
+        event.stopPropagation();
+        this._confirmDeleteView(view);
+        break;
+    }
+  }
+
+  /**
+   * ビューが現在の条件と一致するか
+   * @param {Object} view - ビュー
+   * @returns {boolean}
+   * @private
+   */
+  _isViewActive(view) {
+    const isSameSet = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+    return isSameSet(view.folderIds, this._folderFilter.folderIds) &&
+      isSameSet(view.excludedFolderIds, this._folderFilter.excludedFolderIds) &&
+      view.searchQuery.trim() === this._searchQuery.trim();
+  }
+
+  /**
+   * ビューの条件を説明する文字列を作成（ツールチップ用）
+   * @param {Object} view - ビュー
+   * @returns {string}
+   * @private
+   */
+  _describeView(view) {
+    const folderName = (id) => this._getFilterFolder(id)?.name;
+    const included = view.folderIds.map(folderName).filter(Boolean);
+    const excluded = view.excludedFolderIds.map(folderName).filter(Boolean);
+
+    const parts = [];
+    parts.push(included.length > 0 ? `フォルダ: ${included.join(', ')}` : 'フォルダ: すべて');
+    if (excluded.length > 0) {
+      parts.push(`除外: ${excluded.join(', ')}`);
+    }
+    if (view.searchQuery) {
+      parts.push(`検索: ${view.searchQuery}`);
     }
+    return parts.join('\n');
   }
 
   /**
-   * 新規フォルダ作成セクションを作成
-   * @returns {HTMLElement}
+   * ビューを適用
+   * @param {Object} view - ビュー
    * @private
    */
-  _createNewFolderSection() {
-    const section = document.createElement('div');
-    section.className = 'folderlm-folder-create';
+  _applyView(view) {
+    if (this._onViewApply) {
+      this._onViewApply(view);
+    }
+  }
 
-    if (this._state === DropdownState.CREATING) {
-      // 入力フォーム表示
-      const form = this._createNewFolderForm();
-      section.appendChild(form);
-    } else {
-      // 「新規作成」ボタン表示
-      const btn = document.createElement('button');
-      btn.type = 'button';
-      btn.className = 'folderlm-folder-create-btn';
-      btn.setAttribute('role', 'menuitem');
-      btn.setAttribute('aria-label', '新規フォルダを作成');
-      btn.setAttribute('tabindex', '-1');
-      btn.style.cssText = `
-        display: flex;
-        align-items: center;
-        width: 100%;
-        padding: 0;
-        border: none;
-        background: none;
-        cursor: pointer;
-        font-size: 14px;
-        color: #1a73e8;
-      `;
+  /**
+   * ビュー名の入力を開始
+   * @private
+   */
+  _startSavingView() {
+    this._savingView = true;
+    this._render();
+    this._positionDropdown();
+    this.element?.querySelector('.folderlm-view-save-input')?.focus();
+  }
 
-      const icon = document.createElement('span');
-      icon.textContent = '➕';
-      icon.style.marginRight = '12px';
-      icon.setAttribute('aria-hidden', 'true');
-      btn.appendChild(icon);
+  /**
+   * ビュー名の入力を終了
+   * @private
+   */
+  _cancelSavingView() {
+    this._savingView = false;
+    this._render();
+    this._positionDropdown();
+    this.element?.querySelector('.folderlm-view-save-button')?.focus();
+  }
 
-      const text = document.createElement('span');
-      text.textContent = '新規フォルダを作成';
-      btn.appendChild(text);
+  /**
+   * ビュー名の入力フォームを作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createViewSaveForm() {
+    return this._createViewNameForm({
+      className: 'folderlm-view-save-form',
+      initialName: '',
+      submitLabel: '保存',
+      onSubmit: (name) => storageManager.createSavedView(name, {
+        ...this.getFolderFilter(),
+        searchQuery: this._searchQuery.trim(),
+      }),
+      onDone: () => this._cancelSavingView(),
+    });
+  }
 
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this._startCreating();
-      });
+  /**
+   * ビュー名の変更を開始
+   * @param {string} viewId - ビューID
+   * @private
+   */
+  _startRenamingView(viewId) {
+    const view = storageManager.getSavedView(viewId);
+    const item = this.element?.querySelector(`.folderlm-view-item[data-view-id="${viewId}"]`);
+    if (!view || !item) return;
 
-      section.appendChild(btn);
-    }
+    const restore = () => {
+      this._render();
+      this._positionDropdown();
+      this.element?.querySelector(`.folderlm-view-item[data-view-id="${viewId}"] .folderlm-view-apply`)?.focus();
+    };
 
-    return section;
+    item.classList.add('editing');
+    item.replaceChildren(this._createViewNameForm({
+      className: 'folderlm-view-rename-form',
+      initialName: view.name,
+      submitLabel: '保存',
+      onSubmit: (name) => name === view.name ? { success: true } : storageManager.renameSavedView(viewId, name),
+      onDone: () => {
+        item.classList.remove('editing');
+        restore();
+      },
+    }));
+
+    const input = item.querySelector('input');
+    input?.focus();
+    input?.select();
   }
 
   /**
-   * 新規フォルダ作成フォームを作成
+   * ビュー名の入力フォームを作成（保存・名前変更共通）
+   * @param {Object} options
+   * @param {string} options.className - フォームのクラス名
+   * @param {string} options.initialName - 入力欄の初期値
+   * @param {string} options.submitLabel - 確定ボタンのラベル
+   * @param {Function} options.onSubmit - (name: string) => { success: boolean, error?: string }
+   * @param {Function} options.onDone - 確定・キャンセル後の処理
    * @returns {HTMLElement}
    * @private
    */
-  _createNewFolderForm() {
+  _createViewNameForm({ className, initialName, submitLabel, onSubmit, onDone }) {
+    const wrapper = document.createElement('div');
+    wrapper.className = className;
+
     const form = document.createElement('form');
-    form.style.cssText = 'display: flex; width: 100%; gap: 8px;';
+    form.className = 'folderlm-view-name-form';
 
-    // 入力フィールド
     const input = document.createElement('input');
     input.type = 'text';
-    input.className = 'folderlm-folder-create-input';
-    input.placeholder = 'フォルダ名';
-    input.maxLength = storageManager.LIMITS.MAX_FOLDER_NAME_LENGTH;
-    input.setAttribute('aria-label', 'フォルダ名を入力');
-    input.setAttribute('autocomplete', 'off');
+    input.className = className === 'folderlm-view-save-form' ? 'folderlm-view-save-input' : 'folderlm-view-rename-input';
+    input.value = initialName;
+    input.placeholder = 'ビュー名';
+    input.maxLength = storageManager.LIMITS.MAX_VIEW_NAME_LENGTH;
+    input.setAttribute('aria-label', 'ビュー名');
     form.appendChild(input);
 
-    // 作成ボタン
-    const submitBtn = document.createElement('button');
-    submitBtn.type = 'submit';
-    submitBtn.textContent = '作成';
-    submitBtn.setAttribute('aria-label', 'フォルダを作成');
-    submitBtn.style.cssText = `
-      padding: 8px 12px;
-      border: none;
-      border-radius: 4px;
-      background-color: #1a73e8;
-      color: white;
-      cursor: pointer;
-      font-size: 14px;
-    `;
-    form.appendChild(submitBtn);
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'folderlm-folder-edit-save';
+    saveBtn.textContent = '✓';
+    saveBtn.setAttribute('aria-label', submitLabel);
+    form.appendChild(saveBtn);
 
-    // キャンセルボタン
     const cancelBtn = document.createElement('button');
     cancelBtn.type = 'button';
+    cancelBtn.className = 'folderlm-folder-edit-cancel';
     cancelBtn.textContent = '✕';
-    cancelBtn.title = 'キャンセル';
-    cancelBtn.setAttribute('aria-label', 'フォルダ作成をキャンセル');
-    cancelBtn.style.cssText = `
-      padding: 8px;
-      border: none;
-      border-radius: 4px;
-      background-color: transparent;
-      cursor: pointer;
-      font-size: 14px;
-    `;
-    cancelBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this._cancelCreating();
-    });
+    cancelBtn.setAttribute('aria-label', 'キャンセル');
     form.appendChild(cancelBtn);
 
-    // エラーメッセージ用の要素
     const errorDiv = document.createElement('div');
-    errorDiv.className = 'folderlm-folder-create-error';
-    errorDiv.style.cssText = `
-      display: none;
-      width: 100%;
-      padding: 4px 0;
-      color: #d93025;
-      font-size: 12px;
-    `;
+    errorDiv.className = 'folderlm-folder-edit-error';
     errorDiv.setAttribute('role', 'alert');
+    errorDiv.style.display = 'none';
+
+    form.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
 
-    // フォーム送信
     form.addEventListener('submit', (e) => {
       e.preventDefault();
-      this._handleCreateFolder(input.value, errorDiv);
+      const result = onSubmit(input.value.trim());
+      if (!result.success) {
+        errorDiv.textContent = result.error;
+        errorDiv.style.display = 'block';
+        input.focus();
+        return;
+      }
+      onDone();
     });
 
-    // 入力時のリアルタイムバリデーション
-    input.addEventListener('input', () => {
-      errorDiv.style.display = 'none';
+    cancelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onDone();
     });
 
-    // ESC でキャンセル（IME変換中は無視）
     input.addEventListener('keydown', (e) => {
-      // IME変換中は無視
-      if (e.isComposing || e.keyCode === 229) {
-        return;
-      }
+      if (e.isComposing || e.keyCode === 229) return;
       if (e.key === 'Escape') {
         e.preventDefault();
         e.stopPropagation();
-        this._cancelCreating();
+        onDone();
       }
     });
 
-    // フォーカスを設定
-    requestAnimationFrame(() => {
-      input.focus();
-    });
-
-    // コンテナでラップしてエラーメッセージを追加
-    const container = document.createElement('div');
-    container.style.cssText = 'display: flex; flex-direction: column; width: 100%;';
-    container.appendChild(form);
-    container.appendChild(errorDiv);
-
-    return container;
-  }
-
-  /**
-   * 新規フォルダ作成モードを開始
-   * @private
-   */
-  _startCreating() {
-    this._state = DropdownState.CREATING;
-    this._render();
-    this._positionDropdown();
-  }
-
-  /**
-   * 新規フォルダ作成をキャンセル
-   * @private
-   */
-  _cancelCreating() {
-    this._state = DropdownState.LIST;
-    this._render();
-    this._positionDropdown();
+    wrapper.appendChild(form);
+    wrapper.appendChild(errorDiv);
+    return wrapper;
   }
 
   /**
-   * フォルダ作成を処理
-   * @param {string} name - フォルダ名
-   * @param {HTMLElement} errorDiv - エラー表示用要素
+   * ビューを並び替え
+   * @param {string} viewId - ビューID
+   * @param {number} toIndex - 移動先のインデックス
    * @private
    */
-  _handleCreateFolder(name, errorDiv) {
-    const result = storageManager.createFolder(name);
+  _moveView(viewId, toIndex) {
+    const views = storageManager.getSavedViews();
+    if (toIndex < 0 || toIndex >= views.length) return;
 
+    const result = storageManager.moveSavedView(viewId, toIndex);
     if (!result.success) {
-      // エラー表示
-      errorDiv.textContent = result.error;
-      errorDiv.style.display = 'block';
+      this._showListError(result.error);
       return;
     }
 
-    // 成功
-    console.log('[FolderLM] Folder created:', result.folder);
-
-    if (this._onFolderCreate) {
-      this._onFolderCreate(result.folder);
-    }
-
-    // リスト表示に戻る
-    this._state = DropdownState.LIST;
     this._render();
     this._positionDropdown();
+    this.element?.querySelector(`.folderlm-view-item[data-view-id="${viewId}"] .folderlm-view-apply`)?.focus();
   }
 
   /**
-   * フォルダクリックを処理
-   * @param {string|null} folderId - フォルダID（null で「すべて」）
+   * ビュー削除の確認
+   * @param {Object} view - ビュー
    * @private
    */
-  _handleFolderClick(folderId) {
-    this._selectedFolderId = folderId;
+  _confirmDeleteView(view) {
+    if (!confirm(`ビュー「${view.name}」を削除しますか？\nフォルダやノートは削除されません。`)) {
+      return;
+    }
 
-    if (this._onFolderSelect) {
-      this._onFolderSelect(folderId);
+    const result = storageManager.deleteSavedView(view.id);
+    if (!result.success) {
+      this._showListError(result.error);
+      return;
     }
 
-    this.close();
+    this._render();
+    this._positionDropdown();
+    this._focusItem(0);
   }
 
   /**
@@ -1017,6 +3673,39 @@ class FolderDropdown {
       }
     }
 
+    // 編集中のフォーム・ピッカー内のキー操作はそのまま処理させる
+    if (event.target instanceof Element &&
+        event.target.closest('.folderlm-folder-item.editing, .folderlm-view-item.editing, .folderlm-view-save-form, .folderlm-sort-bar, .folderlm-rules-panel, .folderlm-shortcuts-panel')) {
+      return;
+    }
+
+    // Alt+1〜9 で保存済みビューを適用（Mac の Option+数字は event.key が記号になるため code で判定）
+    if (event.altKey && !event.ctrlKey && !event.metaKey && !event.isComposing) {
+      const match = /^Digit([1-9])$/.exec(event.code);
+      if (match) {
+        const view = storageManager.getSavedViews()[Number(match[1]) - 1];
+        if (view) {
+          event.preventDefault();
+          event.stopPropagation();
+          this._applyView(view);
+        }
+        return;
+      }
+    }
+
+    // 元に戻す（Ctrl+Z）/ やり直し（Ctrl+Shift+Z, Ctrl+Y）
+    if ((event.ctrlKey || event.metaKey) && !event.altKey && !event.isComposing) {
+      const key = event.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        event.preventDefault();
+        event.stopPropagation();
+        if (this._onHistoryRequest) {
+          this._onHistoryRequest(key === 'y' || event.shiftKey ? 'redo' : 'undo');
+        }
+        return;
+      }
+    }
+
     const items = this.element?.querySelectorAll('.folderlm-folder-item');
     if (!items || items.length === 0) {
       return;
@@ -1043,13 +3732,23 @@ class FolderDropdown {
         this._focusItem(items.length - 1);
         break;
 
+      case 'ArrowRight':
+        event.preventDefault();
+        this._handleExpandKey(items[this._focusedIndex], true);
+        break;
+
+      case 'ArrowLeft':
+        event.preventDefault();
+        this._handleExpandKey(items[this._focusedIndex], false);
+        break;
+
       case 'Enter':
       case ' ':
         event.preventDefault();
         if (this._focusedIndex >= 0 && this._focusedIndex < items.length) {
           const item = items[this._focusedIndex];
           const folderId = item.getAttribute('data-folder-id');
-          this._handleFolderClick(folderId);
+          this._handleFolderClick(folderId, event);
         }
         break;
 
@@ -1060,6 +3759,40 @@ class FolderDropdown {
     }
   }
 
+  /**
+   * 左右キーによるツリー操作を処理
+   * 右: 折りたたみ中なら展開、展開中なら最初の子へ移動
+   * 左: 展開中なら折りたたみ、それ以外は親へ移動
+   * @param {HTMLElement|undefined} item - フォーカス中のアイテム
+   * @param {boolean} isRight - 右キーか
+   * @private
+   */
+  _handleExpandKey(item, isRight) {
+    if (!item) return;
+
+    const folderId = item.getAttribute('data-folder-id');
+    const expanded = item.getAttribute('aria-expanded');
+
+    if (isRight) {
+      if (expanded === 'false') {
+        this._toggleExpanded(folderId, true);
+      } else if (expanded === 'true') {
+        this._focusItem(this._focusedIndex + 1);
+      }
+      return;
+    }
+
+    if (expanded === 'true') {
+      this._toggleExpanded(folderId, false);
+      return;
+    }
+
+    const parentId = item.getAttribute('data-parent-id');
+    if (parentId) {
+      this._focusFolder(parentId);
+    }
+  }
+
   /**
    * Escape キーを処理（グローバル）
    * @param {KeyboardEvent} event
@@ -1077,6 +3810,28 @@ class FolderDropdown {
 
       if (this._state === DropdownState.CREATING) {
         this._cancelCreating();
+      } else if (this._state === DropdownState.SETTINGS) {
+        this._toggleSettings();
+      } else if (this._state === DropdownState.RULES) {
+        if (this._editingRuleId) {
+          this._cancelEditingRule();
+        } else {
+          this._closeRules();
+        }
+      } else if (this._state === DropdownState.SHORTCUTS) {
+        if (this._recordingShortcutId) {
+          this._cancelRecordingShortcut();
+        } else {
+          this._closeShortcuts();
+        }
+      } else if (this._state === DropdownState.IMPORTING) {
+        this._cancelImport();
+      } else if (this._savingView) {
+        this._cancelSavingView();
+      } else if (this.element?.querySelector('.folderlm-view-item.editing')) {
+        this._render();
+        this._positionDropdown();
+        this._focusItem(0);
       } else {
         this.close();
       }
@@ -1107,6 +3862,23 @@ class FolderDropdown {
     items[index].focus();
     this._focusedIndex = index;
   }
+
+  /**
+   * 指定フォルダのアイテムにフォーカス
+   * @param {string} folderId - フォルダID
+   * @private
+   */
+  _focusFolder(folderId) {
+    const items = this.element?.querySelectorAll('.folderlm-folder-item');
+    if (!items) return;
+
+    const index = Array.from(items).findIndex(el => el.getAttribute('data-folder-id') === folderId);
+    if (index !== -1) {
+      // 再描画後は以前のインデックスが無効なのでリセット
+      this._focusedIndex = -1;
+      this._focusItem(index);
+    }
+  }
 }
 
 // シングルトンインスタンスをエクスポート
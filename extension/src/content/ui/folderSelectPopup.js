@@ -3,6 +3,9 @@
  * 
  * ノートカードの割り当てボタンをクリックした時に表示されるフォルダ選択ポップアップ。
  * フォルダを選択するとノートの割り当てが更新される。
+ * 複数フォルダモードでは複数選択でき、クリックごとに所属を切り替える。
+ * 選択モードでは複数のノートをまとめて移動する移動先の選択にも使用する。
+ * 1つのノートに対して開いた場合は、ピン留めの切り替え（P キー）もできる。
  * 
  * @module ui/folderSelectPopup
  */
@@ -10,7 +13,7 @@
 import { FOLDERLM_CLASSES } from '../utils/selectors.js';
 import { storageManager } from '../../storage/storageManager.js';
 import { createFocusTrap } from '../utils/focusTrap.js';
-import { createIconElement } from '../utils/icons.js';
+import { createIconElement, createFolderIconElement } from '../utils/icons.js';
 
 /**
  * FolderSelectPopup クラス
@@ -30,6 +33,12 @@ class FolderSelectPopup {
      */
     this._noteId = null;
 
+    /**
+     * 一括移動の対象ノートID（選択モードから開いた場合のみ）
+     * @type {string[]|null}
+     */
+    this._noteIds = null;
+
     /**
      * 基準となる要素（割り当てボタン）
      * @type {HTMLElement|null}
@@ -42,6 +51,30 @@ class FolderSelectPopup {
      */
     this._onSelect = null;
 
+    /**
+     * 所属フォルダ変更時のコールバック（複数フォルダモード）
+     * @type {Function|null}
+     */
+    this._onFoldersChange = null;
+
+    /**
+     * 一括移動時のコールバック
+     * @type {Function|null}
+     */
+    this._onBulkSelect = null;
+
+    /**
+     * ピン留め切り替え時のコールバック
+     * @type {Function|null}
+     */
+    this._onPinChange = null;
+
+    /**
+     * 複数選択モードで表示中か
+     * @type {boolean}
+     */
+    this._multiSelect = false;
+
     /**
      * ポップアップが閉じた時のコールバック
      * @type {Function|null}
@@ -87,6 +120,7 @@ class FolderSelectPopup {
     this._noteId = noteId;
     this._anchorElement = anchorElement;
     this._focusedIndex = -1;
+    this._multiSelect = storageManager.isMultiFolderMode();
 
     this._render();
     this._positionPopup();
@@ -99,9 +133,11 @@ class FolderSelectPopup {
     }
 
     // 現在割り当てられているフォルダがあればそこにフォーカス
-    const currentFolderId = storageManager.getNoteFolder(noteId);
-    const folders = storageManager.getFolders();
-    const currentIndex = folders.findIndex(f => f.id === currentFolderId);
+    const currentFolderId = this._multiSelect
+      ? storageManager.getNoteFolderIds(noteId)[0]
+      : storageManager.getNoteFolder(noteId);
+    const tree = storageManager.getFlattenedFolderTree();
+    const currentIndex = tree.findIndex(({ folder }) => folder.id === currentFolderId);
     
     requestAnimationFrame(() => {
       this._focusItem(currentIndex >= 0 ? currentIndex : 0);
@@ -110,6 +146,47 @@ class FolderSelectPopup {
     console.log('[FolderLM] Folder select popup opened for note:', noteId);
   }
 
+  /**
+   * 複数ノートの移動先を選ぶポップアップを開く
+   * @param {string[]} noteIds - 対象のノートID配列
+   * @param {HTMLElement} anchorElement - 基準となる要素
+   */
+  openForNotes(noteIds, anchorElement) {
+    if (!Array.isArray(noteIds) || noteIds.length === 0 || !anchorElement) {
+      console.warn('[FolderLM] Cannot open popup: missing noteIds or anchorElement');
+      return;
+    }
+
+    if (this.element) {
+      this.close();
+    }
+
+    this._noteIds = [...noteIds];
+    this._anchorElement = anchorElement;
+    this._focusedIndex = -1;
+    // 一括移動は割り当てフォルダの変更のみ（ラベルは切り替えない）
+    this._multiSelect = false;
+
+    this._render();
+    this._positionPopup();
+    this._addGlobalListeners();
+
+    if (this.element) {
+      this._focusTrap = createFocusTrap(this.element);
+      this._focusTrap.activate(false);
+    }
+
+    const commonFolderId = this._getCommonFolderId();
+    const tree = storageManager.getFlattenedFolderTree();
+    const currentIndex = tree.findIndex(({ folder }) => folder.id === commonFolderId);
+
+    requestAnimationFrame(() => {
+      this._focusItem(currentIndex >= 0 ? currentIndex : 0);
+    });
+
+    console.log('[FolderLM] Folder select popup opened for notes:', noteIds.length);
+  }
+
   /**
    * ポップアップを閉じる
    */
@@ -128,6 +205,7 @@ class FolderSelectPopup {
     }
 
     this._noteId = null;
+    this._noteIds = null;
     this._anchorElement = null;
     this._focusedIndex = -1;
 
@@ -144,6 +222,19 @@ class FolderSelectPopup {
     return this.element !== null;
   }
 
+  /**
+   * 表示中のフォルダ一覧とピン留めの状態を最新のデータで再描画
+   */
+  refresh() {
+    if (this.isOpen()) {
+      this._refreshList();
+      const pinToggle = this.element.querySelector('.folderlm-select-popup__pin');
+      if (pinToggle) {
+        this._updatePinToggle(pinToggle);
+      }
+    }
+  }
+
   /**
    * フォルダ選択時のコールバックを設定
    * @param {Function} callback - (noteId: string, folderId: string) => void
@@ -152,6 +243,30 @@ class FolderSelectPopup {
     this._onSelect = callback;
   }
 
+  /**
+   * 所属フォルダ変更時のコールバックを設定（複数フォルダモード）
+   * @param {Function} callback - (noteId: string, folderIds: string[]) => void
+   */
+  onFoldersChange(callback) {
+    this._onFoldersChange = callback;
+  }
+
+  /**
+   * 一括移動時のコールバックを設定
+   * @param {Function} callback - (noteIds: string[], folderId: string, result: { success: boolean, count?: number, error?: string }) => void
+   */
+  onBulkSelect(callback) {
+    this._onBulkSelect = callback;
+  }
+
+  /**
+   * ピン留め切り替え時のコールバックを設定
+   * @param {Function} callback - (noteId: string, result: { success: boolean, pinned?: boolean, error?: string }) => void
+   */
+  onPinChange(callback) {
+    this._onPinChange = callback;
+  }
+
   /**
    * 閉じた時のコールバックを設定
    * @param {Function} callback - () => void
@@ -166,6 +281,9 @@ class FolderSelectPopup {
   destroy() {
     this.close();
     this._onSelect = null;
+    this._onFoldersChange = null;
+    this._onBulkSelect = null;
+    this._onPinChange = null;
     this._onClose = null;
   }
 
@@ -193,6 +311,11 @@ class FolderSelectPopup {
     const list = this._createFolderList();
     popup.appendChild(list);
 
+    // ピン留め（1つのノートの場合のみ）
+    if (this._noteId) {
+      popup.appendChild(this._createPinToggle());
+    }
+
     // キーボードイベント
     popup.addEventListener('keydown', this._boundHandleKeydown);
 
@@ -215,7 +338,11 @@ class FolderSelectPopup {
       color: #5f6368;
       font-weight: 500;
     `;
-    header.textContent = 'フォルダに割り当て';
+    if (this._noteIds) {
+      header.textContent = `${this._noteIds.length}件のノートを移動`;
+    } else {
+      header.textContent = this._multiSelect ? '所属フォルダを選択（複数可）' : 'フォルダに割り当て';
+    }
     return header;
   }
 
@@ -229,6 +356,9 @@ class FolderSelectPopup {
     list.className = 'folderlm-select-popup__list';
     list.setAttribute('role', 'listbox');
     list.setAttribute('aria-label', 'フォルダリスト');
+    if (this._multiSelect) {
+      list.setAttribute('aria-multiselectable', 'true');
+    }
     list.style.cssText = `
       list-style: none;
       margin: 0;
@@ -237,11 +367,18 @@ class FolderSelectPopup {
       overflow-y: auto;
     `;
 
-    const folders = storageManager.getFolders();
-    const currentFolderId = storageManager.getNoteFolder(this._noteId);
-
-    folders.forEach((folder, index) => {
-      const item = this._createFolderItem(folder, index, currentFolderId === folder.id);
+    const tree = storageManager.getFlattenedFolderTree();
+    const currentFolderId = this._noteIds
+      ? this._getCommonFolderId()
+      : storageManager.getNoteFolder(this._noteId);
+    const memberFolderIds = this._noteIds ? [] : storageManager.getNoteFolderIds(this._noteId);
+
+    tree.forEach(({ folder, depth }, index) => {
+      const isSelected = this._multiSelect
+        ? memberFolderIds.includes(folder.id) ||
+          (folder.isDefault && memberFolderIds.length === 0 && currentFolderId === folder.id)
+        : currentFolderId === folder.id;
+      const item = this._createFolderItem(folder, index, isSelected, depth);
       list.appendChild(item);
     });
 
@@ -253,10 +390,11 @@ class FolderSelectPopup {
    * @param {Object} folder - フォルダオブジェクト
    * @param {number} index - インデックス
    * @param {boolean} isSelected - 選択中かどうか
+   * @param {number} [depth=0] - 階層の深さ（ルート = 0）
    * @returns {HTMLElement}
    * @private
    */
-  _createFolderItem(folder, index, isSelected) {
+  _createFolderItem(folder, index, isSelected, depth = 0) {
     const item = document.createElement('li');
     item.className = 'folderlm-select-popup-item';
     item.setAttribute('role', 'option');
@@ -264,6 +402,8 @@ class FolderSelectPopup {
     item.setAttribute('data-index', index.toString());
     item.setAttribute('tabindex', '-1');
     item.setAttribute('aria-selected', isSelected ? 'true' : 'false');
+    item.setAttribute('aria-level', (depth + 1).toString());
+    item.style.setProperty('--folderlm-folder-depth', depth.toString());
 
     if (isSelected) {
       item.classList.add('selected');
@@ -276,9 +416,8 @@ class FolderSelectPopup {
     check.setAttribute('aria-hidden', 'true');
     item.appendChild(check);
 
-    // アイコン
-    const iconType = folder.isDefault ? 'inbox' : 'folder';
-    const icon = createIconElement(iconType, 14);
+    // アイコン（フォルダの色・アイコン設定を反映）
+    const icon = createFolderIconElement(folder, 14);
     icon.classList.add('folderlm-select-popup-item-icon');
     item.appendChild(icon);
 
@@ -304,16 +443,101 @@ class FolderSelectPopup {
     return item;
   }
 
+  /**
+   * ピン留めの切り替えボタンを作成
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createPinToggle() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'folderlm-select-popup__pin';
+    button.setAttribute('aria-keyshortcuts', 'P');
+
+    const icon = createIconElement('pin', 14);
+    icon.classList.add('folderlm-select-popup__pin-icon');
+    button.appendChild(icon);
+
+    const label = document.createElement('span');
+    label.className = 'folderlm-select-popup__pin-label';
+    button.appendChild(label);
+
+    const shortcut = document.createElement('kbd');
+    shortcut.className = 'folderlm-select-popup__pin-shortcut';
+    shortcut.textContent = 'P';
+    button.appendChild(shortcut);
+
+    this._updatePinToggle(button);
+
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this._togglePin();
+    });
+
+    return button;
+  }
+
+  /**
+   * ピン留めボタンの表示を現在の状態に合わせる
+   * @param {HTMLButtonElement} button
+   * @private
+   */
+  _updatePinToggle(button) {
+    const pinned = storageManager.isNotePinned(this._noteId);
+    button.setAttribute('aria-pressed', pinned ? 'true' : 'false');
+    button.classList.toggle('pinned', pinned);
+    button.querySelector('.folderlm-select-popup__pin-label').textContent =
+      pinned ? 'ピン留めを外す' : 'ピン留め';
+  }
+
+  /**
+   * ノートのピン留めを切り替え（ポップアップは開いたまま）
+   * @private
+   */
+  _togglePin() {
+    const noteId = this._noteId;
+    if (!noteId) {
+      return;
+    }
+
+    const result = storageManager.toggleNotePin(noteId);
+    if (result.success) {
+      console.log('[FolderLM] Note pin toggled:', noteId, '->', result.pinned);
+      const button = this.element?.querySelector('.folderlm-select-popup__pin');
+      if (button) {
+        this._updatePinToggle(button);
+      }
+    } else {
+      console.error('[FolderLM] Failed to toggle note pin:', result.error);
+    }
+
+    // 上限超過などの失敗も利用者に伝えるため結果ごと通知する
+    if (this._onPinChange) {
+      this._onPinChange(noteId, result);
+    }
+  }
+
   /**
    * フォルダ選択を処理
    * @param {string} folderId - 選択されたフォルダID
    * @private
    */
   _handleFolderSelect(folderId) {
+    if (this._noteIds) {
+      this._handleBulkSelect(folderId);
+      return;
+    }
+
     if (!this._noteId) {
       return;
     }
 
+    if (this._multiSelect) {
+      this._handleFolderToggle(folderId);
+      return;
+    }
+
     // ストレージに保存
     const result = storageManager.assignNote(this._noteId, folderId);
 
@@ -330,6 +554,80 @@ class FolderSelectPopup {
     this.close();
   }
 
+  /**
+   * 選択中のノートをまとめて移動
+   * @param {string} folderId - 移動先のフォルダID
+   * @private
+   */
+  _handleBulkSelect(folderId) {
+    const noteIds = this._noteIds;
+    const result = storageManager.assignNotes(noteIds, folderId);
+
+    if (result.success) {
+      console.log('[FolderLM] Notes assigned:', result.count, '->', folderId);
+    } else {
+      console.error('[FolderLM] Failed to assign notes:', result.error);
+    }
+
+    // 上限超過などの失敗も利用者に伝えるため結果ごと通知する
+    if (this._onBulkSelect) {
+      this._onBulkSelect(noteIds, folderId, result);
+    }
+
+    this.close();
+  }
+
+  /**
+   * 一括移動の対象ノートが共通して割り当てられているフォルダIDを取得
+   * @returns {string|null} すべて同じフォルダならそのID、異なる場合は null
+   * @private
+   */
+  _getCommonFolderId() {
+    const folderIds = new Set(
+      (this._noteIds || []).map(noteId => storageManager.getNoteFolder(noteId) || storageManager.UNCATEGORIZED_ID)
+    );
+    return folderIds.size === 1 ? [...folderIds][0] : null;
+  }
+
+  /**
+   * 複数フォルダモードでフォルダの所属を切り替え（ポップアップは開いたまま）
+   * @param {string} folderId - 切り替えるフォルダID
+   * @private
+   */
+  _handleFolderToggle(folderId) {
+    const noteId = this._noteId;
+    const result = storageManager.toggleNoteFolder(noteId, folderId);
+
+    if (!result.success) {
+      console.error('[FolderLM] Failed to toggle note folder:', result.error);
+      return;
+    }
+
+    console.log('[FolderLM] Note folders updated:', noteId, '->', result.folderIds);
+
+    if (this._onFoldersChange) {
+      this._onFoldersChange(noteId, result.folderIds);
+    }
+
+    this._refreshList();
+  }
+
+  /**
+   * フォルダリストを再描画（フォーカス位置は維持）
+   * @private
+   */
+  _refreshList() {
+    const oldList = this.element?.querySelector('.folderlm-select-popup__list');
+    if (!oldList) {
+      return;
+    }
+
+    const focusedIndex = this._focusedIndex;
+    oldList.replaceWith(this._createFolderList());
+    this._focusedIndex = -1;
+    this._focusItem(focusedIndex >= 0 ? focusedIndex : 0);
+  }
+
   /**
    * ポップアップの位置を調整
    * @private
@@ -436,6 +734,14 @@ class FolderSelectPopup {
    * @private
    */
   _handleKeydown(event) {
+    // P でピン留めを切り替え（1つのノートの場合のみ）
+    if (this._noteId && event.key.toLowerCase() === 'p' &&
+        !event.ctrlKey && !event.metaKey && !event.altKey && !event.isComposing) {
+      event.preventDefault();
+      this._togglePin();
+      return;
+    }
+
     const items = this.element?.querySelectorAll('.folderlm-select-popup-item');
     if (!items || items.length === 0) {
       return;
@@ -0,0 +1,1173 @@
+/**
+ * FolderLM - Folder Sidebar Component
+ *
+ * ノート一覧の横に常に表示するフォルダのサイドバー（設定で有効にした場合のみ）。
+ * フォルダ一覧とノート数、適用中のフォルダ条件、フォルダの作成・名前の変更・削除を提供する。
+ * 幅はドラッグまたは矢印キーで変更でき、幅と折りたたみ状態は設定に保存する。
+ *
+ * キーボード操作（フォルダ一覧）:
+ * - ↑ / ↓ / Home / End: フォルダ間の移動
+ * - → / ←: サブフォルダの展開・折りたたみ、親フォルダへの移動
+ * - Enter / Space: 絞り込み（Ctrl で複数選択、Alt で除外）
+ * - F2: 名前の変更、Delete: 削除
+ *
+ * @module ui/folderSidebar
+ */
+
+import { FOLDERLM_CLASSES, findNoteListContainer } from '../utils/selectors.js';
+import { storageManager } from '../../storage/storageManager.js';
+import { createFocusTrap } from '../utils/focusTrap.js';
+import { createIconElement, createFolderIconElement } from '../utils/icons.js';
+import { noteDrag } from './noteDrag.js';
+
+/**
+ * 折りたたみ時に隠す本体の要素ID（aria-controls 用）
+ */
+const SIDEBAR_BODY_ID = 'folderlm-sidebar-body';
+
+/**
+ * 矢印キーで幅を変更する量（px）
+ */
+const RESIZE_STEP = 16;
+
+/**
+ * フォルダサイドバーコンポーネント
+ */
+class FolderSidebar {
+  constructor() {
+    /** @type {HTMLElement|null} */
+    this.element = null;
+
+    /** @type {Element|null} サイドバーを並べるノート一覧コンテナ */
+    this._container = null;
+
+    /** @type {{ folderIds: string[], excludedFolderIds: string[] }} 現在のフォルダ条件 */
+    this._folderFilter = { folderIds: [], excludedFolderIds: [] };
+
+    /** @type {string} 現在の検索クエリ（適用中の条件の表示用） */
+    this._searchQuery = '';
+
+    /** @type {string|null} フォーカス中のアイテムのフォルダID（'' は「すべてのノート」） */
+    this._focusedFolderId = null;
+
+    /** @type {Set<string>} 折りたたまれているフォルダID */
+    this._collapsedFolderIds = new Set();
+
+    /** @type {{ type: 'create'|'rename', folderId: string|null }|null} 入力中のフォーム */
+    this._editing = null;
+
+    /** @type {FocusTrap|null} 入力フォームのフォーカストラップ */
+    this._focusTrap = null;
+
+    /** @type {{ startX: number, startWidth: number, width: number }|null} ドラッグでの幅変更の状態 */
+    this._resizing = null;
+
+    /** @type {Function|null} フォルダ選択時のコールバック */
+    this._onFolderSelect = null;
+
+    /** @type {Function|null} フォルダ条件（複数選択・除外）変更時のコールバック */
+    this._onFolderFilterChange = null;
+
+    /** @type {Function|null} フォルダ作成時のコールバック */
+    this._onFolderCreate = null;
+
+    /** @type {Function|null} フォルダ名変更時のコールバック */
+    this._onFolderRename = null;
+
+    /** @type {Function|null} フォルダ削除時のコールバック */
+    this._onFolderDelete = null;
+
+    this._boundHandleKeydown = this._handleKeydown.bind(this);
+    this._boundHandleResizeMove = this._handleResizeMove.bind(this);
+    this._boundHandleResizeEnd = this._handleResizeEnd.bind(this);
+  }
+
+  /**
+   * サイドバーを作成してノート一覧の横に挿入
+   * @returns {HTMLElement|null} 作成されたサイドバー要素、または既存の場合 null
+   */
+  create() {
+    if (this.exists()) {
+      return null;
+    }
+
+    const container = findNoteListContainer();
+    if (!container || !container.parentElement) {
+      console.warn('[FolderLM] Note list not found, cannot inject folder sidebar');
+      return null;
+    }
+
+    this._container = container;
+    container.parentElement.classList.add(FOLDERLM_CLASSES.SIDEBAR_HOST);
+    document.body.classList.add(FOLDERLM_CLASSES.SIDEBAR_ENABLED);
+    this._render();
+
+    console.log('[FolderLM] Folder sidebar created');
+    return this.element;
+  }
+
+  /**
+   * サイドバーを DOM から取り除く（サイドバーを無効にした場合）
+   * コールバックは保持する
+   */
+  remove() {
+    this._endResize(false);
+    this._deactivateFocusTrap();
+    this._editing = null;
+    this._detach();
+    document.body.classList.remove(FOLDERLM_CLASSES.SIDEBAR_ENABLED);
+  }
+
+  /**
+   * サイドバーを破棄
+   */
+  destroy() {
+    this.remove();
+    this._onFolderSelect = null;
+    this._onFolderFilterChange = null;
+    this._onFolderCreate = null;
+    this._onFolderRename = null;
+    this._onFolderDelete = null;
+  }
+
+  /**
+   * サイドバーが DOM に存在するか確認
+   * ノート一覧が再描画で置き換えられた場合も存在しないとみなす
+   * @returns {boolean}
+   */
+  exists() {
+    return this.element !== null &&
+      document.contains(this.element) &&
+      Boolean(this._container?.isConnected);
+  }
+
+  /**
+   * サイドバーを再挿入（DOM 再描画後の復帰用）
+   * @returns {HTMLElement|null}
+   */
+  reinject() {
+    // 既存のサイドバーが DOM にあれば何もしない
+    if (this.exists()) {
+      return null;
+    }
+
+    // 以前の要素を取り除いて再作成（入力中の内容は破棄する）
+    this._deactivateFocusTrap();
+    this._editing = null;
+    this._detach();
+    return this.create();
+  }
+
+  /**
+   * 折りたたまずに表示しているか（ノートのドロップ先として使えるか）
+   * @returns {boolean}
+   */
+  isExpanded() {
+    return this.exists() && !storageManager.getSettings().sidebarCollapsed;
+  }
+
+  /**
+   * 現在のフォルダ条件を設定
+   * @param {{ folderIds: string[], excludedFolderIds: string[] }} folderFilter
+   */
+  setFolderFilter(folderFilter) {
+    this._folderFilter = {
+      folderIds: [...(folderFilter?.folderIds || [])],
+      excludedFolderIds: [...(folderFilter?.excludedFolderIds || [])],
+    };
+    this.refresh();
+  }
+
+  /**
+   * 現在の検索クエリを設定（適用中の条件の表示に使用）
+   * @param {string} query
+   */
+  setSearchQuery(query) {
+    const next = typeof query === 'string' ? query.trim() : '';
+    if (next === this._searchQuery) {
+      return;
+    }
+    this._searchQuery = next;
+    this.refresh();
+  }
+
+  /**
+   * 最新のデータ（フォルダ・ノート数・設定）で再描画
+   * 作成・名前の変更の入力中は入力内容を失わないよう再描画しない
+   */
+  refresh() {
+    if (!this.element || this._editing || this._resizing) {
+      return;
+    }
+    this._render();
+  }
+
+  /**
+   * フォルダ選択時のコールバックを設定
+   * @param {Function} callback - (folderId: string|null) => void
+   */
+  onFolderSelect(callback) {
+    this._onFolderSelect = callback;
+  }
+
+  /**
+   * フォルダ条件（Ctrl+クリックでの複数選択・Alt+クリックでの除外）変更時のコールバックを設定
+   * @param {Function} callback - (filter: { folderIds: string[], excludedFolderIds: string[] }) => void
+   */
+  onFolderFilterChange(callback) {
+    this._onFolderFilterChange = callback;
+  }
+
+  /**
+   * フォルダ作成時のコールバックを設定
+   * @param {Function} callback - (folder: Object) => void
+   */
+  onFolderCreate(callback) {
+    this._onFolderCreate = callback;
+  }
+
+  /**
+   * フォルダ名変更時のコールバックを設定
+   * @param {Function} callback - (folderId: string, newName: string) => void
+   */
+  onFolderRename(callback) {
+    this._onFolderRename = callback;
+  }
+
+  /**
+   * フォルダ削除時のコールバックを設定
+   * @param {Function} callback - (folderId: string, folderName: string) => void
+   */
+  onFolderDelete(callback) {
+    this._onFolderDelete = callback;
+  }
+
+  // ==========================================================================
+  // Private Methods
+  // ==========================================================================
+
+  /**
+   * サイドバーの要素と、ノート一覧の親要素に付与したクラスを取り除く
+   * @private
+   */
+  _detach() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+    if (this._container?.parentElement) {
+      this._container.parentElement.classList.remove(FOLDERLM_CLASSES.SIDEBAR_HOST);
+    }
+    this._container = null;
+  }
+
+  /**
+   * サイドバーをレンダリング（既存の要素は置き換える）
+   * @private
+   */
+  _render() {
+    if (!this._container?.parentElement) {
+      return;
+    }
+
+    const hadFocus = Boolean(this.element?.contains(document.activeElement));
+    const { sidebarWidth, sidebarCollapsed } = storageManager.getSettings();
+
+    const sidebar = document.createElement('aside');
+    sidebar.className = FOLDERLM_CLASSES.SIDEBAR;
+    sidebar.setAttribute('aria-label', 'FolderLM フォルダ');
+    sidebar.style.setProperty('--folderlm-sidebar-width', `${sidebarWidth}px`);
+    if (sidebarCollapsed) {
+      sidebar.classList.add('collapsed');
+    }
+
+    sidebar.appendChild(this._createHeader(sidebarCollapsed));
+
+    if (!sidebarCollapsed) {
+      const body = document.createElement('div');
+      body.className = 'folderlm-sidebar-body';
+      body.id = SIDEBAR_BODY_ID;
+
+      const summary = this._createFilterSummary();
+      if (summary) {
+        body.appendChild(summary);
+      }
+
+      body.appendChild(this._createTree());
+
+      if (this._editing?.type === 'create') {
+        body.appendChild(this._createFolderForm());
+      }
+
+      sidebar.appendChild(body);
+      sidebar.appendChild(this._createResizer(sidebarWidth));
+    }
+
+    if (this.element) {
+      this.element.replaceWith(sidebar);
+    } else {
+      this._container.parentElement.insertBefore(sidebar, this._container);
+    }
+    this.element = sidebar;
+
+    if (this._editing) {
+      this._activateFocusTrap(sidebar.querySelector('.folderlm-sidebar-form'));
+    } else if (hadFocus) {
+      this._focusFolder(this._focusedFolderId);
+    }
+  }
+
+  /**
+   * ヘッダー（折りたたみ・新規作成ボタン）を作成
+   * @param {boolean} collapsed - 折りたたみ中か
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createHeader(collapsed) {
+    const header = document.createElement('div');
+    header.className = 'folderlm-sidebar-header';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'folderlm-sidebar-collapse';
+    toggle.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+    toggle.setAttribute('aria-label', collapsed ? 'フォルダのサイドバーを開く' : 'フォルダのサイドバーを折りたたむ');
+    toggle.title = collapsed ? 'サイドバーを開く' : 'サイドバーを折りたたむ';
+    if (!collapsed) {
+      toggle.setAttribute('aria-controls', SIDEBAR_BODY_ID);
+    }
+    toggle.appendChild(createIconElement(collapsed ? 'folder' : 'chevron', 16));
+    toggle.addEventListener('click', () => {
+      this._setCollapsed(!collapsed);
+    });
+    header.appendChild(toggle);
+
+    if (collapsed) {
+      return header;
+    }
+
+    const title = document.createElement('span');
+    title.className = 'folderlm-sidebar-title';
+    title.textContent = 'フォルダ';
+    header.appendChild(title);
+
+    const createBtn = document.createElement('button');
+    createBtn.type = 'button';
+    createBtn.className = 'folderlm-sidebar-create';
+    createBtn.setAttribute('aria-label', '新規フォルダを作成');
+    createBtn.title = '新規フォルダを作成';
+    createBtn.appendChild(createIconElement('folder-plus', 16));
+    createBtn.addEventListener('click', () => {
+      this._startEditing({ type: 'create', folderId: null });
+    });
+    header.appendChild(createBtn);
+
+    return header;
+  }
+
+  /**
+   * 適用中のフォルダ条件と検索クエリの要約を作成（条件がない場合は null）
+   * @returns {HTMLElement|null}
+   * @private
+   */
+  _createFilterSummary() {
+    const { folderIds, excludedFolderIds } = this._folderFilter;
+    if (folderIds.length === 0 && excludedFolderIds.length === 0 && !this._searchQuery) {
+      return null;
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'folderlm-sidebar-filter';
+    summary.setAttribute('role', 'status');
+
+    const names = (ids) => ids
+      .map(id => this._getFilterFolder(id)?.name)
+      .filter(Boolean)
+      .map(name => `「${name}」`)
+      .join('');
+
+    const lines = [];
+    if (folderIds.length > 0) {
+      lines.push(`表示: ${names(folderIds)}`);
+    }
+    if (excludedFolderIds.length > 0) {
+      lines.push(`除外: ${names(excludedFolderIds)}`);
+    }
+    if (this._searchQuery) {
+      lines.push(`検索: ${this._searchQuery}`);
+    }
+
+    for (const line of lines) {
+      const text = document.createElement('span');
+      text.className = 'folderlm-sidebar-filter-text';
+      text.textContent = line;
+      text.title = line;
+      summary.appendChild(text);
+    }
+
+    if (folderIds.length > 0 || excludedFolderIds.length > 0) {
+      const clearBtn = document.createElement('button');
+      clearBtn.type = 'button';
+      clearBtn.className = 'folderlm-sidebar-filter-clear';
+      clearBtn.textContent = 'フォルダ条件を解除';
+      clearBtn.addEventListener('click', () => {
+        this._selectFolder(null);
+      });
+      summary.appendChild(clearBtn);
+    }
+
+    return summary;
+  }
+
+  /**
+   * フォルダ一覧（ツリー）を作成
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createTree() {
+    const tree = document.createElement('ul');
+    tree.className = 'folderlm-sidebar-tree';
+    tree.setAttribute('role', 'tree');
+    tree.setAttribute('aria-label', 'フォルダ一覧');
+    tree.setAttribute('aria-multiselectable', 'true');
+    tree.addEventListener('keydown', this._boundHandleKeydown);
+
+    const hasFilter = this._folderFilter.folderIds.length > 0 || this._folderFilter.excludedFolderIds.length > 0;
+    tree.appendChild(this._createItem({ id: '', name: 'すべてのノート', isDefault: true, parentId: null }, null, {
+      depth: 0,
+      hasChildren: false,
+      expanded: false,
+      selected: !hasFilter,
+    }));
+
+    const noteCounts = storageManager.getFolderNoteCounts();
+    let collapsedDepth = Infinity;
+
+    for (const { folder, depth, hasChildren } of storageManager.getFlattenedFolderTree()) {
+      if (depth > collapsedDepth) continue;
+      collapsedDepth = Infinity;
+
+      const expanded = hasChildren && !this._collapsedFolderIds.has(folder.id);
+      tree.appendChild(this._createItem(folder, noteCounts.get(folder.id) || 0, {
+        depth,
+        hasChildren,
+        expanded,
+        selected: this._folderFilter.folderIds.includes(folder.id),
+      }));
+
+      if (hasChildren && !expanded) {
+        collapsedDepth = depth;
+      }
+
+      // ドロップダウンと同じく「未分類」の隣に「ピン留め」を置く
+      if (folder.id === storageManager.UNCATEGORIZED_ID) {
+        const pinnedId = storageManager.PINNED_ID;
+        tree.appendChild(this._createItem(this._getFilterFolder(pinnedId), storageManager.getPinnedNoteIds().length, {
+          depth: 0,
+          hasChildren: false,
+          expanded: false,
+          selected: this._folderFilter.folderIds.includes(pinnedId),
+        }));
+      }
+    }
+
+    // フォーカス可能なアイテムを1つだけにする（ロービングタブインデックス）
+    const items = Array.from(tree.querySelectorAll('.folderlm-sidebar-item'));
+    const focusable = items.find(el => el.getAttribute('data-folder-id') === this._focusedFolderId) ||
+      items.find(el => el.getAttribute('aria-selected') === 'true') ||
+      items[0];
+    focusable.setAttribute('tabindex', '0');
+
+    return tree;
+  }
+
+  /**
+   * フォルダ条件に指定できるフォルダを取得（「ピン留め」疑似フォルダを含む）
+   * @param {string} folderId - フォルダID
+   * @returns {Object|null} フォルダオブジェクト
+   * @private
+   */
+  _getFilterFolder(folderId) {
+    if (folderId === storageManager.PINNED_ID) {
+      return { id: folderId, name: 'ピン留め', isDefault: true, parentId: null };
+    }
+    return storageManager.getFolder(folderId);
+  }
+
+  /**
+   * フォルダアイテムを作成
+   * @param {Object} folder - フォルダオブジェクト（「すべてのノート」「ピン留め」を含む）
+   * @param {number|null} noteCount - ノート数（サブフォルダを含む。表示しない場合は null）
+   * @param {Object} state - 表示状態
+   * @param {number} state.depth - 階層の深さ（ルート = 0）
+   * @param {boolean} state.hasChildren - サブフォルダを持つか
+   * @param {boolean} state.expanded - 展開されているか
+   * @param {boolean} state.selected - 絞り込みに選択されているか
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createItem(folder, noteCount, { depth, hasChildren, expanded, selected }) {
+    const isAll = folder.id === '';
+    const isPinned = folder.id === storageManager.PINNED_ID;
+    const isExcluded = this._folderFilter.excludedFolderIds.includes(folder.id);
+    const isRenaming = this._editing?.type === 'rename' && this._editing.folderId === folder.id;
+
+    const item = document.createElement('li');
+    item.className = 'folderlm-sidebar-item';
+    item.setAttribute('role', 'treeitem');
+    item.setAttribute('data-folder-id', folder.id);
+    item.setAttribute('data-parent-id', folder.parentId || '');
+    item.setAttribute('tabindex', '-1');
+    item.setAttribute('aria-level', (depth + 1).toString());
+    item.setAttribute('aria-selected', selected ? 'true' : 'false');
+    item.style.setProperty('--folderlm-folder-depth', depth.toString());
+
+    const countText = noteCount === null ? '' : `（${noteCount}件のノート${isExcluded ? '・除外中' : ''}）`;
+    item.setAttribute('aria-label', `${folder.name}${countText}`);
+    if (!isAll) {
+      item.title = 'Ctrl+クリックで複数選択、Alt+クリックで除外';
+    }
+
+    if (hasChildren) {
+      item.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    }
+    if (selected) {
+      item.classList.add('active');
+    } else if (isExcluded) {
+      item.classList.add('excluded');
+    }
+
+    // 展開/折りたたみトグル（子がない場合は位置合わせ用の空要素）
+    const toggle = document.createElement('span');
+    toggle.className = 'folderlm-sidebar-item-toggle';
+    toggle.setAttribute('aria-hidden', 'true');
+    if (hasChildren) {
+      toggle.classList.add('has-children');
+      toggle.appendChild(createIconElement('chevron', 12));
+      toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._toggleExpanded(folder.id);
+      });
+    }
+    item.appendChild(toggle);
+
+    let icon;
+    if (isAll) {
+      icon = createIconElement('inbox', 16);
+    } else if (isPinned) {
+      icon = createIconElement('pin', 16);
+    } else {
+      icon = createFolderIconElement(folder, 16);
+    }
+    icon.classList.add('folderlm-sidebar-item-icon');
+    item.appendChild(icon);
+
+    if (isRenaming) {
+      item.classList.add('editing');
+      item.appendChild(this._createFolderForm(folder));
+      return item;
+    }
+
+    const name = document.createElement('span');
+    name.className = 'folderlm-sidebar-item-name';
+    name.textContent = folder.name;
+    item.appendChild(name);
+
+    if (noteCount !== null) {
+      const count = document.createElement('span');
+      count.className = 'folderlm-sidebar-item-count';
+      count.textContent = noteCount.toString();
+      count.setAttribute('aria-hidden', 'true');
+      item.appendChild(count);
+    }
+
+    // 名前の変更・削除（デフォルトフォルダ以外）
+    if (!folder.isDefault) {
+      item.appendChild(this._createItemActions(folder));
+    }
+
+    item.addEventListener('click', (e) => {
+      if (e.target.closest('.folderlm-sidebar-item-actions')) {
+        return;
+      }
+      this._focusedFolderId = folder.id;
+      this._handleItemActivate(folder.id, e);
+    });
+
+    // ノートのドロップ先にする（「すべてのノート」「ピン留め」はフォルダではないため除く）
+    if (!isAll && !isPinned) {
+      noteDrag.attachDropTarget(item, () => folder.id);
+    }
+
+    return item;
+  }
+
+  /**
+   * フォルダアイテムのアクションボタン（名前の変更・削除）を作成
+   * キーボードでは F2 / Delete で同じ操作ができるため、Tab 移動の対象にしない
+   * @param {Object} folder - フォルダオブジェクト
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createItemActions(folder) {
+    const actions = document.createElement('span');
+    actions.className = 'folderlm-sidebar-item-actions';
+
+    const renameBtn = document.createElement('button');
+    renameBtn.type = 'button';
+    renameBtn.className = 'folderlm-sidebar-item-rename';
+    renameBtn.setAttribute('tabindex', '-1');
+    renameBtn.setAttribute('aria-label', `「${folder.name}」の名前を変更`);
+    renameBtn.title = '名前を変更（F2）';
+    renameBtn.appendChild(createIconElement('edit', 14));
+    renameBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._startEditing({ type: 'rename', folderId: folder.id });
+    });
+    actions.appendChild(renameBtn);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'folderlm-sidebar-item-delete';
+    deleteBtn.setAttribute('tabindex', '-1');
+    deleteBtn.setAttribute('aria-label', `「${folder.name}」を削除`);
+    deleteBtn.title = '削除（Delete）';
+    deleteBtn.appendChild(createIconElement('delete', 14));
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._confirmDelete(folder.id);
+    });
+    actions.appendChild(deleteBtn);
+
+    return actions;
+  }
+
+  /**
+   * フォルダ作成・名前の変更のフォームを作成
+   * @param {Object} [folder] - 名前を変更するフォルダ（省略時は新規作成）
+   * @returns {HTMLFormElement}
+   * @private
+   */
+  _createFolderForm(folder) {
+    const isRename = Boolean(folder);
+
+    const form = document.createElement('form');
+    form.className = 'folderlm-sidebar-form';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'folderlm-sidebar-form-input';
+    input.value = isRename ? folder.name : '';
+    input.placeholder = 'フォルダ名';
+    input.maxLength = storageManager.LIMITS.MAX_FOLDER_NAME_LENGTH;
+    input.setAttribute('aria-label', isRename ? '新しいフォルダ名' : '作成するフォルダ名');
+    input.setAttribute('autocomplete', 'off');
+    form.appendChild(input);
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'folderlm-sidebar-form-submit';
+    submitBtn.textContent = isRename ? '保存' : '作成';
+    form.appendChild(submitBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'folderlm-sidebar-form-cancel';
+    cancelBtn.textContent = 'キャンセル';
+    cancelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._endEditing();
+    });
+    form.appendChild(cancelBtn);
+
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'folderlm-sidebar-form-error';
+    errorDiv.setAttribute('role', 'alert');
+    errorDiv.hidden = true;
+    form.appendChild(errorDiv);
+
+    const showError = (message) => {
+      errorDiv.textContent = message;
+      errorDiv.hidden = false;
+    };
+
+    form.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (isRename) {
+        await this._handleRename(folder, input.value.trim(), showError);
+      } else {
+        this._handleCreate(input.value, showError);
+      }
+    });
+
+    input.addEventListener('input', () => {
+      errorDiv.hidden = true;
+    });
+
+    // ESC でキャンセル（IME変換中は無視）
+    form.addEventListener('keydown', (e) => {
+      if (e.isComposing || e.keyCode === 229) return;
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this._endEditing();
+      }
+    });
+
+    return form;
+  }
+
+  /**
+   * 幅を変更するハンドルを作成
+   * @param {number} width - 現在の幅（px）
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createResizer(width) {
+    const { MIN_SIDEBAR_WIDTH, MAX_SIDEBAR_WIDTH } = storageManager.LIMITS;
+
+    const resizer = document.createElement('div');
+    resizer.className = 'folderlm-sidebar-resizer';
+    resizer.setAttribute('role', 'separator');
+    resizer.setAttribute('aria-orientation', 'vertical');
+    resizer.setAttribute('aria-label', 'サイドバーの幅');
+    resizer.setAttribute('aria-valuemin', MIN_SIDEBAR_WIDTH.toString());
+    resizer.setAttribute('aria-valuemax', MAX_SIDEBAR_WIDTH.toString());
+    resizer.setAttribute('aria-valuenow', width.toString());
+    resizer.setAttribute('tabindex', '0');
+    resizer.title = 'ドラッグ（または ← →）で幅を変更';
+
+    resizer.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      resizer.setPointerCapture(e.pointerId);
+      this._resizing = { startX: e.clientX, startWidth: width, width };
+      this.element?.classList.add('resizing');
+      resizer.addEventListener('pointermove', this._boundHandleResizeMove);
+      resizer.addEventListener('pointerup', this._boundHandleResizeEnd);
+      resizer.addEventListener('pointercancel', this._boundHandleResizeEnd);
+    });
+
+    resizer.addEventListener('keydown', (e) => {
+      let next = null;
+      if (e.key === 'ArrowLeft') next = width - RESIZE_STEP;
+      else if (e.key === 'ArrowRight') next = width + RESIZE_STEP;
+      else if (e.key === 'Home') next = MIN_SIDEBAR_WIDTH;
+      else if (e.key === 'End') next = MAX_SIDEBAR_WIDTH;
+      if (next === null) return;
+
+      e.preventDefault();
+      storageManager.updateSettings({ sidebarWidth: next });
+      this._render();
+      this.element?.querySelector('.folderlm-sidebar-resizer')?.focus();
+    });
+
+    return resizer;
+  }
+
+  /**
+   * ドラッグ中の幅を反映（保存はドラッグ終了時に行う）
+   * @param {PointerEvent} event
+   * @private
+   */
+  _handleResizeMove(event) {
+    if (!this._resizing || !this.element) return;
+
+    const { MIN_SIDEBAR_WIDTH, MAX_SIDEBAR_WIDTH } = storageManager.LIMITS;
+    const width = Math.round(Math.min(
+      Math.max(this._resizing.startWidth + event.clientX - this._resizing.startX, MIN_SIDEBAR_WIDTH),
+      MAX_SIDEBAR_WIDTH
+    ));
+    this._resizing.width = width;
+    this.element.style.setProperty('--folderlm-sidebar-width', `${width}px`);
+    event.currentTarget.setAttribute('aria-valuenow', width.toString());
+  }
+
+  /**
+   * ドラッグでの幅変更を終了して保存
+   * @private
+   */
+  _handleResizeEnd() {
+    this._endResize(true);
+  }
+
+  /**
+   * ドラッグでの幅変更を終了
+   * @param {boolean} save - 変更した幅を保存するか
+   * @private
+   */
+  _endResize(save) {
+    if (!this._resizing) return;
+
+    const { width, startWidth } = this._resizing;
+    this._resizing = null;
+
+    const resizer = this.element?.querySelector('.folderlm-sidebar-resizer');
+    if (resizer) {
+      resizer.removeEventListener('pointermove', this._boundHandleResizeMove);
+      resizer.removeEventListener('pointerup', this._boundHandleResizeEnd);
+      resizer.removeEventListener('pointercancel', this._boundHandleResizeEnd);
+    }
+    this.element?.classList.remove('resizing');
+
+    if (save && width !== startWidth) {
+      storageManager.updateSettings({ sidebarWidth: width });
+      this._render();
+    }
+  }
+
+  /**
+   * 折りたたみ状態を変更して保存
+   * @param {boolean} collapsed - 折りたたむか
+   * @private
+   */
+  _setCollapsed(collapsed) {
+    this._deactivateFocusTrap();
+    this._editing = null;
+    storageManager.updateSettings({ sidebarCollapsed: collapsed });
+    this._render();
+    this.element?.querySelector('.folderlm-sidebar-collapse')?.focus();
+  }
+
+  /**
+   * フォルダアイテムのクリック・Enter を処理
+   * Ctrl（Mac は Cmd）で選択に追加・削除、Alt で除外を切り替え
+   * @param {string} folderId - フォルダID（'' は「すべてのノート」）
+   * @param {MouseEvent|KeyboardEvent} event - 修飾キーの判定に使うイベント
+   * @private
+   */
+  _handleItemActivate(folderId, event) {
+    if (!folderId) {
+      this._selectFolder(null);
+      return;
+    }
+
+    if (!event.ctrlKey && !event.metaKey && !event.altKey) {
+      this._selectFolder(folderId);
+      return;
+    }
+
+    const { folderIds, excludedFolderIds } = this._folderFilter;
+    const without = (ids) => ids.filter(id => id !== folderId);
+    const next = event.altKey
+      ? {
+        folderIds: without(folderIds),
+        excludedFolderIds: excludedFolderIds.includes(folderId)
+          ? without(excludedFolderIds)
+          : [...excludedFolderIds, folderId],
+      }
+      : {
+        folderIds: folderIds.includes(folderId) ? without(folderIds) : [...folderIds, folderId],
+        excludedFolderIds: without(excludedFolderIds),
+      };
+
+    this._folderFilter = next;
+    this._render();
+    if (this._onFolderFilterChange) {
+      this._onFolderFilterChange({
+        folderIds: [...next.folderIds],
+        excludedFolderIds: [...next.excludedFolderIds],
+      });
+    }
+  }
+
+  /**
+   * 1つのフォルダで絞り込む（null で絞り込みを解除）
+   * @param {string|null} folderId - フォルダID
+   * @private
+   */
+  _selectFolder(folderId) {
+    this._folderFilter = {
+      folderIds: folderId ? [folderId] : [],
+      excludedFolderIds: folderId ? this._folderFilter.excludedFolderIds.filter(id => id !== folderId) : [],
+    };
+    this._render();
+    if (this._onFolderSelect) {
+      this._onFolderSelect(folderId);
+    }
+  }
+
+  /**
+   * フォルダ作成・名前の変更の入力を開始
+   * @param {{ type: 'create'|'rename', folderId: string|null }} editing
+   * @private
+   */
+  _startEditing(editing) {
+    if (editing.type === 'rename') {
+      const folder = storageManager.getFolder(editing.folderId);
+      if (!folder || folder.isDefault) return;
+      this._focusedFolderId = folder.id;
+    }
+
+    this._deactivateFocusTrap();
+    this._editing = editing;
+    this._render();
+  }
+
+  /**
+   * 入力を終了してフォルダ一覧に戻る
+   * @param {string|null} [focusFolderId] - フォーカスするフォルダID（省略時は入力前のアイテム）
+   * @private
+   */
+  _endEditing(focusFolderId) {
+    this._deactivateFocusTrap();
+    this._editing = null;
+    if (focusFolderId) {
+      this._focusedFolderId = focusFolderId;
+    }
+    this._render();
+    this._focusFolder(this._focusedFolderId);
+  }
+
+  /**
+   * 入力フォームにフォーカスをトラップし、入力欄にフォーカスする
+   * @param {HTMLElement|null} form
+   * @private
+   */
+  _activateFocusTrap(form) {
+    if (!form) return;
+    this._focusTrap = createFocusTrap(form);
+    this._focusTrap.activate(true);
+
+    const input = form.querySelector('input');
+    requestAnimationFrame(() => {
+      input?.select();
+    });
+  }
+
+  /**
+   * 入力フォームのフォーカストラップを解除
+   * フォームは再描画で置き換わるため、フォーカスの復元は呼び出し側で行う
+   * @private
+   */
+  _deactivateFocusTrap() {
+    if (this._focusTrap) {
+      this._focusTrap.deactivate(false);
+      this._focusTrap = null;
+    }
+  }
+
+  /**
+   * フォルダ作成を処理
+   * @param {string} name - フォルダ名
+   * @param {Function} showError - (message: string) => void
+   * @private
+   */
+  _handleCreate(name, showError) {
+    const result = storageManager.createFolder(name);
+    if (!result.success) {
+      showError(result.error);
+      return;
+    }
+
+    this._endEditing(result.folder.id);
+    if (this._onFolderCreate) {
+      this._onFolderCreate(result.folder);
+    }
+  }
+
+  /**
+   * フォルダ名の変更を処理
+   * @param {Object} folder - フォルダオブジェクト
+   * @param {string} newName - 新しいフォルダ名
+   * @param {Function} showError - (message: string) => void
+   * @private
+   */
+  async _handleRename(folder, newName, showError) {
+    if (newName === folder.name) {
+      this._endEditing();
+      return;
+    }
+
+    const result = await storageManager.renameFolder(folder.id, newName);
+    if (!result.success) {
+      showError(result.error);
+      return;
+    }
+
+    this._endEditing(folder.id);
+    if (this._onFolderRename) {
+      this._onFolderRename(folder.id, newName);
+    }
+  }
+
+  /**
+   * フォルダ削除の確認
+   * @param {string} folderId - フォルダID
+   * @private
+   */
+  _confirmDelete(folderId) {
+    const folder = storageManager.getFolder(folderId);
+    if (!folder || folder.isDefault) return;
+
+    const noteCount = storageManager.getNotesByFolder(folderId).length;
+    const childCount = storageManager.getChildFolders(folderId).length;
+    let message = `「${folder.name}」を削除しますか？`;
+    if (noteCount > 0) {
+      message += `\n${noteCount}件のノートは「未分類」に移動されます。`;
+    }
+    if (childCount > 0) {
+      message += `\n${childCount}個のサブフォルダは1つ上の階層に移動されます。`;
+    }
+
+    if (!confirm(message)) {
+      this._focusFolder(folderId);
+      return;
+    }
+
+    const result = storageManager.deleteFolder(folderId);
+    if (!result.success) return;
+
+    // 削除したフォルダの代わりに親（なければ「すべてのノート」）にフォーカスする
+    this._focusedFolderId = folder.parentId || '';
+    this._render();
+    this._focusFolder(this._focusedFolderId);
+    if (this._onFolderDelete) {
+      this._onFolderDelete(folderId, folder.name);
+    }
+  }
+
+  /**
+   * フォルダの展開/折りたたみを切り替え
+   * @param {string} folderId - フォルダID
+   * @param {boolean} [expand] - 指定時はその状態にする
+   * @private
+   */
+  _toggleExpanded(folderId, expand) {
+    const isCollapsed = this._collapsedFolderIds.has(folderId);
+    const shouldExpand = expand === undefined ? isCollapsed : expand;
+    if (shouldExpand !== isCollapsed) return;
+
+    if (shouldExpand) {
+      this._collapsedFolderIds.delete(folderId);
+    } else {
+      this._collapsedFolderIds.add(folderId);
+    }
+
+    this._focusedFolderId = folderId;
+    this._render();
+    this._focusFolder(folderId);
+  }
+
+  /**
+   * フォルダ一覧のキーダウンを処理
+   * @param {KeyboardEvent} event
+   * @private
+   */
+  _handleKeydown(event) {
+    if (event.isComposing || event.keyCode === 229) return;
+
+    // 名前の変更フォーム内のキー操作はそのまま処理させる
+    if (event.target instanceof Element && event.target.closest('.folderlm-sidebar-form')) {
+      return;
+    }
+
+    const items = Array.from(this.element?.querySelectorAll('.folderlm-sidebar-item') || []);
+    const current = event.target instanceof Element ? event.target.closest('.folderlm-sidebar-item') : null;
+    const index = items.indexOf(current);
+    if (index === -1) return;
+
+    const folderId = current.getAttribute('data-folder-id');
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this._focusIndex(items, index + 1);
+        break;
+
+      case 'ArrowUp':
+        event.preventDefault();
+        this._focusIndex(items, index - 1);
+        break;
+
+      case 'Home':
+        event.preventDefault();
+        this._focusIndex(items, 0);
+        break;
+
+      case 'End':
+        event.preventDefault();
+        this._focusIndex(items, items.length - 1);
+        break;
+
+      case 'ArrowRight': {
+        event.preventDefault();
+        const expanded = current.getAttribute('aria-expanded');
+        if (expanded === 'false') {
+          this._toggleExpanded(folderId, true);
+        } else if (expanded === 'true') {
+          this._focusIndex(items, index + 1);
+        }
+        break;
+      }
+
+      case 'ArrowLeft': {
+        event.preventDefault();
+        if (current.getAttribute('aria-expanded') === 'true') {
+          this._toggleExpanded(folderId, false);
+        } else if (current.getAttribute('data-parent-id')) {
+          this._focusFolder(current.getAttribute('data-parent-id'));
+        }
+        break;
+      }
+
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        this._focusedFolderId = folderId;
+        this._handleItemActivate(folderId, event);
+        this._focusFolder(folderId);
+        break;
+
+      case 'F2':
+        event.preventDefault();
+        this._startEditing({ type: 'rename', folderId });
+        break;
+
+      case 'Delete':
+        event.preventDefault();
+        this._confirmDelete(folderId);
+        break;
+    }
+  }
+
+  /**
+   * 指定インデックスのアイテムにフォーカス（範囲外は補正）
+   * @param {HTMLElement[]} items
+   * @param {number} index
+   * @private
+   */
+  _focusIndex(items, index) {
+    const item = items[Math.max(0, Math.min(index, items.length - 1))];
+    if (item) {
+      this._focusFolder(item.getAttribute('data-folder-id'));
+    }
+  }
+
+  /**
+   * 指定フォルダのアイテムにフォーカス（ロービングタブインデックスを更新）
+   * @param {string|null} folderId - フォルダID（'' は「すべてのノート」）
+   * @private
+   */
+  _focusFolder(folderId) {
+    const items = Array.from(this.element?.querySelectorAll('.folderlm-sidebar-item') || []);
+    const item = items.find(el => el.getAttribute('data-folder-id') === folderId) || items[0];
+    if (!item) return;
+
+    for (const el of items) {
+      el.setAttribute('tabindex', el === item ? '0' : '-1');
+    }
+    this._focusedFolderId = item.getAttribute('data-folder-id');
+    item.focus();
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const folderSidebar = new FolderSidebar();
+
+// デフォルトエクスポート
+export default folderSidebar;
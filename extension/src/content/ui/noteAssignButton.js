@@ -3,6 +3,7 @@
  * 
  * ノートカードに挿入するフォルダ割り当てボタンコンポーネント。
  * ホバー時に表示され、クリックでフォルダ選択ポップアップを開く。
+ * フォーカス中に P キーでノートのピン留めを切り替える。
  * 
  * @module ui/noteAssignButton
  */
@@ -29,6 +30,12 @@ class NoteAssignButton {
      */
     this._onClick = null;
 
+    /**
+     * ピン留めのショートカット（P キー）のコールバック
+     * @type {Function|null}
+     */
+    this._onPinShortcut = null;
+
     /**
      * バインドされたイベントハンドラ
      */
@@ -97,6 +104,7 @@ class NoteAssignButton {
     button.setAttribute('aria-label', 'フォルダに割り当て');
     button.setAttribute('title', 'フォルダに割り当て');
     button.setAttribute('tabindex', '0');
+    button.setAttribute('aria-keyshortcuts', 'P');
 
     // アイコン
     const icon = createIconElement('folder', 16);
@@ -112,6 +120,15 @@ class NoteAssignButton {
         e.preventDefault();
         e.stopPropagation();
         this._boundHandleClick(e);
+        return;
+      }
+
+      if (e.key.toLowerCase() === 'p' && !e.ctrlKey && !e.metaKey && !e.altKey && !e.isComposing) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this._onPinShortcut) {
+          this._onPinShortcut(noteId, button);
+        }
       }
     });
 
@@ -238,18 +255,22 @@ class NoteAssignButton {
    * @private
    */
   _updateButtonState(button, noteId) {
-    const folderId = storageManager.getNoteFolder(noteId);
-    const isAssigned = folderId && folderId !== storageManager.UNCATEGORIZED_ID;
+    // 所属フォルダ（複数フォルダモードではラベルを含む）
+    const folderNames = storageManager.getNoteFolderIds(noteId)
+      .map(folderId => storageManager.getFolder(folderId)?.name)
+      .filter(Boolean);
+    const isAssigned = folderNames.length > 0;
+    const pinnedSuffix = storageManager.isNotePinned(noteId) ? '（ピン留め中）' : '';
 
     if (isAssigned) {
       button.classList.add('assigned');
-      const folder = storageManager.getFolder(folderId);
-      button.setAttribute('title', folder ? `フォルダ: ${folder.name}` : 'フォルダに割り当て済み');
-      button.setAttribute('aria-label', folder ? `フォルダ「${folder.name}」に割り当て済み` : 'フォルダに割り当て済み');
+      const names = folderNames.join('、');
+      button.setAttribute('title', `フォルダ: ${names}${pinnedSuffix}`);
+      button.setAttribute('aria-label', `フォルダ「${names}」に割り当て済み${pinnedSuffix}`);
     } else {
       button.classList.remove('assigned');
-      button.setAttribute('title', 'フォルダに割り当て');
-      button.setAttribute('aria-label', 'フォルダに割り当て');
+      button.setAttribute('title', `フォルダに割り当て${pinnedSuffix}`);
+      button.setAttribute('aria-label', `フォルダに割り当て${pinnedSuffix}`);
     }
   }
 
@@ -305,6 +326,14 @@ class NoteAssignButton {
     this._onClick = callback;
   }
 
+  /**
+   * ピン留めのショートカット（P キー）のコールバックを設定
+   * @param {Function} callback - (noteId: string, buttonElement: HTMLButtonElement) => void
+   */
+  onPinShortcut(callback) {
+    this._onPinShortcut = callback;
+  }
+
   /**
    * クリックイベントハンドラ
    * @param {MouseEvent} event
@@ -345,6 +374,7 @@ class NoteAssignButton {
   destroy() {
     this.removeAll();
     this._onClick = null;
+    this._onPinShortcut = null;
   }
 }
 
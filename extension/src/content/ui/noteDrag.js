@@ -0,0 +1,510 @@
+/**
+ * FolderLM - Note Drag Component
+ *
+ * ノートカードをドラッグしてフォルダに割り当てる機能。
+ * カードをドラッグ可能にし、フォルダ行などのドロップ先で受け取ったノートを一括で割り当てる。
+ * 選択モードで選択中のカードをドラッグした場合は選択中のノートすべてが対象になる。
+ * 手動の並び順が有効な間は、カードの上にドロップしてノートを並べ替えられる。
+ *
+ * カードのクリックは妨げないよう、mousedown / click には介入せず
+ * HTML5 のドラッグイベントのみを使用する（移動を伴わないクリックはそのまま NotebookLM に届く）。
+ *
+ * @module ui/noteDrag
+ */
+
+import { storageManager } from '../../storage/storageManager.js';
+import { noteSelection } from './noteSelection.js';
+
+/**
+ * ドラッグデータの MIME タイプ（他のドロップ先と区別するための独自形式）
+ */
+export const NOTE_DRAG_TYPE = 'application/x-folderlm-notes';
+
+/**
+ * ドロップ先のハイライト用クラス
+ */
+const DROP_TARGET_ACTIVE_CLASS = 'folderlm-drop-target--active';
+
+/**
+ * ドラッグ中のカードに付与するクラス
+ */
+const DRAGGING_CLASS = 'folderlm-note-dragging';
+
+/**
+ * 並べ替えの挿入位置を示すクラス（カードの前 / 後ろ）
+ */
+const REORDER_BEFORE_CLASS = 'folderlm-reorder-before';
+const REORDER_AFTER_CLASS = 'folderlm-reorder-after';
+
+/**
+ * ドラッグデータがノートのドラッグか
+ * @param {DataTransfer|null} dataTransfer
+ * @returns {boolean}
+ */
+export function isNoteDrag(dataTransfer) {
+  return Boolean(dataTransfer && Array.from(dataTransfer.types).includes(NOTE_DRAG_TYPE));
+}
+
+/**
+ * NoteDrag クラス
+ * ノートカードのドラッグとドロップ先を管理
+ */
+class NoteDrag {
+  constructor() {
+    /**
+     * ノートIDからドラッグ可能にしたカード要素へのマッピング
+     * @type {Map<string, Element>}
+     */
+    this.cardMap = new Map();
+
+    /**
+     * カード要素からノートIDへのマッピング（ドラッグ開始時の参照用）
+     * @type {WeakMap<Element, string>}
+     */
+    this._cardNoteIds = new WeakMap();
+
+    /**
+     * ドラッグ可能にする前のカードの draggable 属性（属性がなかった場合は null）
+     * @type {WeakMap<Element, string|null>}
+     */
+    this._originalDraggable = new WeakMap();
+
+    /**
+     * ドロップ先として登録済みの要素
+     * @type {WeakSet<Element>}
+     */
+    this._dropTargets = new WeakSet();
+
+    /**
+     * ドラッグ中のノートID（ドラッグしていない場合は null）
+     * @type {string[]|null}
+     */
+    this._draggedNoteIds = null;
+
+    /**
+     * ドラッグ開始時のコールバック
+     * @type {Function|null}
+     */
+    this._onDragStart = null;
+
+    /**
+     * ドラッグ終了時のコールバック
+     * @type {Function|null}
+     */
+    this._onDragEnd = null;
+
+    /**
+     * ドロップによる割り当て完了時のコールバック
+     * @type {Function|null}
+     */
+    this._onDrop = null;
+
+    /**
+     * カードへのドロップで並べ替えるか（手動の並び順の間のみ）
+     * @type {boolean}
+     */
+    this._reorderEnabled = false;
+
+    /**
+     * カードへのドロップによる並べ替え時のコールバック
+     * @type {Function|null}
+     */
+    this._onReorder = null;
+
+    // バインドされたイベントハンドラ
+    this._boundHandleDragStart = this._handleDragStart.bind(this);
+    this._boundHandleDragEnd = this._handleDragEnd.bind(this);
+    this._boundHandleReorderOver = this._handleReorderOver.bind(this);
+    this._boundHandleReorderLeave = this._handleReorderLeave.bind(this);
+    this._boundHandleReorderDrop = this._handleReorderDrop.bind(this);
+  }
+
+  // ==========================================================================
+  // ドラッグ元（ノートカード）
+  // ==========================================================================
+
+  /**
+   * ノートカードをドラッグ可能にする
+   * @param {Element} card - ノートカード要素
+   * @param {string} noteId - ノートID
+   */
+  attachToCard(card, noteId) {
+    if (!card || !noteId) {
+      return;
+    }
+
+    const previous = this.cardMap.get(noteId);
+    if (previous === card) {
+      this._cardNoteIds.set(card, noteId);
+      return;
+    }
+
+    // NotebookLM の再描画でカードが差し替わった場合は古い要素から外す
+    if (previous) {
+      this._detachCard(previous);
+    }
+
+    if (!this._originalDraggable.has(card)) {
+      this._originalDraggable.set(card, card.getAttribute('draggable'));
+    }
+    card.setAttribute('draggable', 'true');
+    card.addEventListener('dragstart', this._boundHandleDragStart);
+    card.addEventListener('dragend', this._boundHandleDragEnd);
+    card.addEventListener('dragover', this._boundHandleReorderOver);
+    card.addEventListener('dragleave', this._boundHandleReorderLeave);
+    card.addEventListener('drop', this._boundHandleReorderDrop);
+    this._cardNoteIds.set(card, noteId);
+    this.cardMap.set(noteId, card);
+  }
+
+  /**
+   * すべてのカードのドラッグを解除
+   */
+  removeAll() {
+    for (const card of this.cardMap.values()) {
+      this._detachCard(card);
+    }
+    this.cardMap.clear();
+  }
+
+  /**
+   * カードのドラッグを解除
+   * @param {Element} card - ノートカード要素
+   * @private
+   */
+  _detachCard(card) {
+    // NotebookLM が付けていた draggable 属性は元の値に戻す
+    const original = this._originalDraggable.get(card) ?? null;
+    if (original === null) {
+      card.removeAttribute('draggable');
+    } else {
+      card.setAttribute('draggable', original);
+    }
+    this._originalDraggable.delete(card);
+    card.removeEventListener('dragstart', this._boundHandleDragStart);
+    card.removeEventListener('dragend', this._boundHandleDragEnd);
+    card.removeEventListener('dragover', this._boundHandleReorderOver);
+    card.removeEventListener('dragleave', this._boundHandleReorderLeave);
+    card.removeEventListener('drop', this._boundHandleReorderDrop);
+    card.classList.remove(DRAGGING_CLASS, REORDER_BEFORE_CLASS, REORDER_AFTER_CLASS);
+  }
+
+  /**
+   * ドラッグ中か
+   * @returns {boolean}
+   */
+  isDragging() {
+    return this._draggedNoteIds !== null;
+  }
+
+  /**
+   * ドラッグ開始を処理
+   * @param {DragEvent} event
+   * @private
+   */
+  _handleDragStart(event) {
+    const card = event.currentTarget;
+    const noteId = this._cardNoteIds.get(card);
+    if (!noteId || !event.dataTransfer) {
+      return;
+    }
+
+    // 選択中のカードをドラッグした場合は選択中のノートすべてを対象にする
+    const selectedIds = noteSelection.isActive() ? noteSelection.getSelectedIds() : [];
+    const noteIds = selectedIds.includes(noteId) ? selectedIds : [noteId];
+
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData(NOTE_DRAG_TYPE, JSON.stringify(noteIds));
+    if (noteIds.length > 1) {
+      this._setCountDragImage(event.dataTransfer, noteIds.length);
+    }
+
+    this._draggedNoteIds = noteIds;
+    card.classList.add(DRAGGING_CLASS);
+
+    // dragstart 中に DOM を変更するとドラッグが中断されるため次のフレームで通知する
+    requestAnimationFrame(() => {
+      if (this._draggedNoteIds === noteIds && this._onDragStart) {
+        this._onDragStart(noteIds);
+      }
+    });
+  }
+
+  /**
+   * ドラッグ終了を処理（ドロップの成否にかかわらず呼ばれる）
+   * @param {DragEvent} event
+   * @private
+   */
+  _handleDragEnd(event) {
+    event.currentTarget.classList.remove(DRAGGING_CLASS);
+    document.querySelectorAll(`.${DROP_TARGET_ACTIVE_CLASS}`).forEach(el => {
+      el.classList.remove(DROP_TARGET_ACTIVE_CLASS);
+    });
+    this._clearReorderIndicator();
+
+    const noteIds = this._draggedNoteIds;
+    this._draggedNoteIds = null;
+
+    if (noteIds && this._onDragEnd) {
+      this._onDragEnd(noteIds);
+    }
+  }
+
+  /**
+   * 複数ノートのドラッグ時に件数を示すドラッグイメージを設定
+   * @param {DataTransfer} dataTransfer
+   * @param {number} count - ノート数
+   * @private
+   */
+  _setCountDragImage(dataTransfer, count) {
+    const image = document.createElement('div');
+    image.className = 'folderlm-drag-image';
+    image.textContent = `${count}件のノート`;
+    document.body.appendChild(image);
+    dataTransfer.setDragImage(image, 12, 12);
+    // ドラッグイメージは setDragImage の時点で描画されるため直後に削除してよい
+    setTimeout(() => image.remove(), 0);
+  }
+
+  // ==========================================================================
+  // ドロップ先
+  // ==========================================================================
+
+  /**
+   * 要素をノートのドロップ先にする
+   * ハイライトとドロップ時の割り当てを行う。同じ要素への重複登録は無視する。
+   * @param {HTMLElement} element - ドロップ先の要素
+   * @param {Function} resolveFolderId - () => string|null ドロップ時点の割り当て先フォルダID（null ならドロップ不可）
+   */
+  attachDropTarget(element, resolveFolderId) {
+    if (!element || this._dropTargets.has(element)) {
+      return;
+    }
+    this._dropTargets.add(element);
+
+    const canDrop = (event) => isNoteDrag(event.dataTransfer) && Boolean(resolveFolderId());
+
+    element.addEventListener('dragenter', (e) => {
+      if (!canDrop(e)) return;
+      e.preventDefault();
+      element.classList.add(DROP_TARGET_ACTIVE_CLASS);
+    });
+
+    element.addEventListener('dragover', (e) => {
+      if (!canDrop(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      element.classList.add(DROP_TARGET_ACTIVE_CLASS);
+    });
+
+    element.addEventListener('dragleave', (e) => {
+      // 子要素間の移動では外さない
+      if (e.relatedTarget instanceof Node && element.contains(e.relatedTarget)) return;
+      element.classList.remove(DROP_TARGET_ACTIVE_CLASS);
+    });
+
+    element.addEventListener('drop', (e) => {
+      element.classList.remove(DROP_TARGET_ACTIVE_CLASS);
+      if (!canDrop(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+
+      const noteIds = this._parseNoteIds(e.dataTransfer.getData(NOTE_DRAG_TYPE));
+      if (noteIds.length === 0) return;
+
+      this._assign(noteIds, resolveFolderId());
+    });
+  }
+
+  /**
+   * ドラッグデータからノートIDを取り出す
+   * @param {string} data - NOTE_DRAG_TYPE のデータ
+   * @returns {string[]}
+   * @private
+   */
+  _parseNoteIds(data) {
+    try {
+      const noteIds = JSON.parse(data);
+      return Array.isArray(noteIds) ? noteIds.filter(id => typeof id === 'string' && id) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * ドロップされたノートをフォルダに割り当て
+   * @param {string[]} noteIds - ノートID配列
+   * @param {string} folderId - フォルダID
+   * @private
+   */
+  _assign(noteIds, folderId) {
+    const result = storageManager.assignNotes(noteIds, folderId);
+    if (result.success) {
+      console.log('[FolderLM] Notes dropped:', result.count, '->', folderId);
+    } else {
+      console.error('[FolderLM] Failed to assign dropped notes:', result.error);
+    }
+
+    if (this._onDrop) {
+      this._onDrop(noteIds, folderId, result);
+    }
+  }
+
+  // ==========================================================================
+  // 並べ替え（カードへのドロップ）
+  // ==========================================================================
+
+  /**
+   * カードへのドロップによる並べ替えを有効 / 無効にする
+   * @param {boolean} enabled
+   */
+  setReorderEnabled(enabled) {
+    this._reorderEnabled = Boolean(enabled);
+    if (!this._reorderEnabled) {
+      this._clearReorderIndicator();
+    }
+  }
+
+  /**
+   * ドロップ先のカードに対する挿入位置を取得
+   * 横長のカード（リスト表示）は上下、それ以外（グリッド表示）は左右で判定する。
+   * @param {DragEvent} event
+   * @param {Element} card - ドロップ先のカード
+   * @returns {boolean} カードの後ろに挿入する場合 true
+   * @private
+   */
+  _isDropAfter(event, card) {
+    const rect = card.getBoundingClientRect();
+    if (rect.width > rect.height * 2) {
+      return event.clientY > rect.top + rect.height / 2;
+    }
+    return event.clientX > rect.left + rect.width / 2;
+  }
+
+  /**
+   * カードへのドロップを受け付けるか
+   * @param {DragEvent} event
+   * @returns {boolean}
+   * @private
+   */
+  _canReorder(event) {
+    const noteId = this._cardNoteIds.get(event.currentTarget);
+    return this._reorderEnabled &&
+      isNoteDrag(event.dataTransfer) &&
+      Boolean(noteId) &&
+      !(this._draggedNoteIds || []).includes(noteId);
+  }
+
+  /**
+   * カード上のドラッグを処理（挿入位置を表示）
+   * @param {DragEvent} event
+   * @private
+   */
+  _handleReorderOver(event) {
+    if (!this._canReorder(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+
+    const card = event.currentTarget;
+    const after = this._isDropAfter(event, card);
+    card.classList.toggle(REORDER_BEFORE_CLASS, !after);
+    card.classList.toggle(REORDER_AFTER_CLASS, after);
+  }
+
+  /**
+   * カードからドラッグが離れた時の処理
+   * @param {DragEvent} event
+   * @private
+   */
+  _handleReorderLeave(event) {
+    const card = event.currentTarget;
+    // 子要素間の移動では外さない
+    if (event.relatedTarget instanceof Node && card.contains(event.relatedTarget)) return;
+    card.classList.remove(REORDER_BEFORE_CLASS, REORDER_AFTER_CLASS);
+  }
+
+  /**
+   * カードへのドロップを処理（並べ替え）
+   * @param {DragEvent} event
+   * @private
+   */
+  _handleReorderDrop(event) {
+    const card = event.currentTarget;
+    card.classList.remove(REORDER_BEFORE_CLASS, REORDER_AFTER_CLASS);
+    if (!this._canReorder(event)) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const noteIds = this._parseNoteIds(event.dataTransfer.getData(NOTE_DRAG_TYPE));
+    if (noteIds.length === 0) return;
+
+    if (this._onReorder) {
+      this._onReorder(noteIds, this._cardNoteIds.get(card), { after: this._isDropAfter(event, card) });
+    }
+  }
+
+  /**
+   * 挿入位置の表示をすべて解除
+   * @private
+   */
+  _clearReorderIndicator() {
+    document.querySelectorAll(`.${REORDER_BEFORE_CLASS}, .${REORDER_AFTER_CLASS}`).forEach(el => {
+      el.classList.remove(REORDER_BEFORE_CLASS, REORDER_AFTER_CLASS);
+    });
+  }
+
+  // ==========================================================================
+  // コールバック
+  // ==========================================================================
+
+  /**
+   * ドラッグ開始時のコールバックを設定
+   * @param {Function} callback - (noteIds: string[]) => void
+   */
+  onDragStart(callback) {
+    this._onDragStart = callback;
+  }
+
+  /**
+   * ドラッグ終了時のコールバックを設定
+   * @param {Function} callback - (noteIds: string[]) => void
+   */
+  onDragEnd(callback) {
+    this._onDragEnd = callback;
+  }
+
+  /**
+   * ドロップによる割り当て完了時のコールバックを設定
+   * @param {Function} callback - (noteIds: string[], folderId: string, result: { success: boolean, count?: number, error?: string }) => void
+   */
+  onDrop(callback) {
+    this._onDrop = callback;
+  }
+
+  /**
+   * カードへのドロップによる並べ替え時のコールバックを設定
+   * @param {Function} callback - (noteIds: string[], targetNoteId: string, options: { after: boolean }) => void
+   */
+  onReorder(callback) {
+    this._onReorder = callback;
+  }
+
+  /**
+   * 破棄
+   */
+  destroy() {
+    this.removeAll();
+    this._draggedNoteIds = null;
+    this._onDragStart = null;
+    this._onDragEnd = null;
+    this._onDrop = null;
+    this._onReorder = null;
+    this._reorderEnabled = false;
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const noteDrag = new NoteDrag();
+
+// デフォルトエクスポート
+export default noteDrag;
@@ -0,0 +1,564 @@
+/**
+ * FolderLM - Note Selection Component
+ *
+ * 複数のノートをまとめてフォルダに移動するための選択モード。
+ * 各ノートカードの割り当てボタンの横にチェックボックスを挿入し、
+ * 画面下部の操作バーから選択中のノートを一括で移動する。
+ *
+ * @module ui/noteSelection
+ */
+
+import { FOLDERLM_CLASSES } from '../utils/selectors.js';
+import { storageManager } from '../../storage/storageManager.js';
+
+/**
+ * NoteSelection クラス
+ * 選択モードのチェックボックスと一括操作バーを管理
+ */
+class NoteSelection {
+  constructor() {
+    /**
+     * 選択モード中か
+     * @type {boolean}
+     */
+    this._active = false;
+
+    /**
+     * 選択中のノートID
+     * @type {Set<string>}
+     */
+    this._selectedIds = new Set();
+
+    /**
+     * ノートIDからチェックボックスとカードへのマッピング
+     * @type {Map<string, { checkbox: HTMLButtonElement, card: Element }>}
+     */
+    this.checkboxMap = new Map();
+
+    /**
+     * Shift+クリックによる範囲選択の起点となるノートID
+     * @type {string|null}
+     */
+    this._rangeAnchorId = null;
+
+    /**
+     * 一括操作バー要素
+     * @type {HTMLElement|null}
+     */
+    this.barElement = null;
+
+    /**
+     * 選択モードの開始・終了時のコールバック
+     * @type {Function|null}
+     */
+    this._onModeChange = null;
+
+    /**
+     * 「フォルダに移動…」クリック時のコールバック
+     * @type {Function|null}
+     */
+    this._onMoveRequest = null;
+
+    /**
+     * 一括割り当て完了時のコールバック
+     * @type {Function|null}
+     */
+    this._onAssign = null;
+
+    // バインドされたイベントハンドラ
+    this._boundHandleBarKeydown = this._handleBarKeydown.bind(this);
+  }
+
+  // ==========================================================================
+  // 選択モード
+  // ==========================================================================
+
+  /**
+   * 選択モード中か
+   * @returns {boolean}
+   */
+  isActive() {
+    return this._active;
+  }
+
+  /**
+   * 選択モードを開始
+   * チェックボックスは呼び出し側が addToCard でカードごとに挿入する
+   */
+  enable() {
+    if (this._active) {
+      return;
+    }
+
+    this._active = true;
+    document.body.classList.add(FOLDERLM_CLASSES.SELECTING);
+    this._renderBar();
+
+    if (this._onModeChange) {
+      this._onModeChange(true);
+    }
+
+    console.log('[FolderLM] Selection mode enabled');
+  }
+
+  /**
+   * 選択モードを終了（選択は解除される）
+   */
+  disable() {
+    if (!this._active) {
+      return;
+    }
+
+    this._active = false;
+    this._selectedIds.clear();
+    this._rangeAnchorId = null;
+    this.removeAll();
+    document.body.classList.remove(FOLDERLM_CLASSES.SELECTING);
+
+    if (this.barElement) {
+      this.barElement.remove();
+      this.barElement = null;
+    }
+
+    if (this._onModeChange) {
+      this._onModeChange(false);
+    }
+
+    console.log('[FolderLM] Selection mode disabled');
+  }
+
+  /**
+   * 選択モードを切り替え
+   */
+  toggle() {
+    if (this._active) {
+      this.disable();
+    } else {
+      this.enable();
+    }
+  }
+
+  // ==========================================================================
+  // チェックボックス
+  // ==========================================================================
+
+  /**
+   * ノートカードにチェックボックスを追加（選択モード中のみ）
+   * @param {Element} card - ノートカード要素
+   * @param {string} noteId - ノートID
+   * @param {HTMLElement|null} assignButton - 同じカードの割り当てボタン（横に配置する）
+   * @returns {HTMLButtonElement|null} 作成されたチェックボックス、または既存・非選択モードの場合 null
+   */
+  addToCard(card, noteId, assignButton) {
+    if (!this._active || !card || !noteId) {
+      return null;
+    }
+
+    const existing = this.checkboxMap.get(noteId);
+    if (existing && existing.checkbox.isConnected) {
+      existing.card = card;
+      this._placeCheckbox(existing.checkbox, card, assignButton);
+      this._updateCheckboxState(noteId);
+      return null;
+    }
+
+    const checkbox = this._createCheckbox(noteId);
+    this.checkboxMap.set(noteId, { checkbox, card });
+    this._placeCheckbox(checkbox, card, assignButton);
+    this._updateCheckboxState(noteId);
+
+    // 割り当てボタンの再配置後に位置を合わせ直す
+    requestAnimationFrame(() => this._placeCheckbox(checkbox, card, assignButton));
+    setTimeout(() => this._placeCheckbox(checkbox, card, assignButton), 300);
+
+    return checkbox;
+  }
+
+  /**
+   * チェックボックス要素を作成
+   * @param {string} noteId - ノートID
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createCheckbox(noteId) {
+    const checkbox = document.createElement('button');
+    checkbox.type = 'button';
+    checkbox.className = FOLDERLM_CLASSES.SELECT_CHECKBOX;
+    checkbox.setAttribute('role', 'checkbox');
+    checkbox.setAttribute('data-note-id', noteId);
+    checkbox.setAttribute('aria-label', 'ノートを選択');
+    checkbox.setAttribute('title', 'ノートを選択（Shift+クリックで範囲選択）');
+
+    const mark = document.createElement('span');
+    mark.className = 'folderlm-select-checkbox__mark';
+    mark.setAttribute('aria-hidden', 'true');
+    mark.textContent = '✓';
+    checkbox.appendChild(mark);
+
+    // Shift+クリック時にページのテキストが選択されないようにする
+    checkbox.addEventListener('mousedown', (e) => {
+      if (e.shiftKey) {
+        e.preventDefault();
+      }
+    });
+
+    // カード本体のクリック（ノートブックを開く）に伝播させない
+    checkbox.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this._toggleNote(noteId, e.shiftKey);
+    });
+
+    checkbox.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        e.stopPropagation();
+        this._toggleNote(noteId, e.shiftKey);
+      }
+    });
+
+    return checkbox;
+  }
+
+  /**
+   * チェックボックスを割り当てボタンの右横に配置
+   * @param {HTMLButtonElement} checkbox - チェックボックス要素
+   * @param {Element} card - ノートカード要素
+   * @param {HTMLElement|null} assignButton - 割り当てボタン
+   * @private
+   */
+  _placeCheckbox(checkbox, card, assignButton) {
+    const host = assignButton?.parentElement || card;
+    if (checkbox.parentElement !== host) {
+      if (assignButton?.parentElement === host) {
+        assignButton.insertAdjacentElement('afterend', checkbox);
+      } else {
+        host.appendChild(checkbox);
+      }
+    }
+
+    if (!assignButton || !assignButton.isConnected || assignButton.offsetWidth === 0) {
+      checkbox.style.removeProperty('top');
+      checkbox.style.removeProperty('left');
+      return;
+    }
+
+    const top = assignButton.offsetTop + (assignButton.offsetHeight - checkbox.offsetHeight) / 2;
+    const left = assignButton.offsetLeft + assignButton.offsetWidth + 4;
+    checkbox.style.top = `${Math.max(0, Math.round(top))}px`;
+    checkbox.style.left = `${Math.max(0, Math.round(left))}px`;
+  }
+
+  /**
+   * チェックボックスとカードの選択状態を更新
+   * @param {string} noteId - ノートID
+   * @private
+   */
+  _updateCheckboxState(noteId) {
+    const entry = this.checkboxMap.get(noteId);
+    if (!entry) {
+      return;
+    }
+
+    const selected = this._selectedIds.has(noteId);
+    entry.checkbox.setAttribute('aria-checked', selected ? 'true' : 'false');
+    entry.card.classList.toggle(FOLDERLM_CLASSES.NOTE_SELECTED, selected);
+  }
+
+  /**
+   * すべてのチェックボックスを削除
+   */
+  removeAll() {
+    for (const { checkbox, card } of this.checkboxMap.values()) {
+      checkbox.remove();
+      card.classList.remove(FOLDERLM_CLASSES.NOTE_SELECTED);
+    }
+    this.checkboxMap.clear();
+  }
+
+  // ==========================================================================
+  // 選択操作
+  // ==========================================================================
+
+  /**
+   * 選択中のノートIDを取得
+   * @returns {string[]}
+   */
+  getSelectedIds() {
+    return [...this._selectedIds];
+  }
+
+  /**
+   * 選択を解除（選択モードは維持）
+   */
+  clearSelection() {
+    this._selectedIds.clear();
+    this._rangeAnchorId = null;
+    this.refresh();
+  }
+
+  /**
+   * 表示中（フィルタ・検索で非表示になっていない）のノートをすべて選択
+   */
+  selectAllVisible() {
+    for (const noteId of this._getVisibleNoteIds()) {
+      this._selectedIds.add(noteId);
+    }
+    this.refresh();
+  }
+
+  /**
+   * チェックボックスと操作バーの表示を最新の選択状態に更新
+   */
+  refresh() {
+    for (const noteId of this.checkboxMap.keys()) {
+      this._updateCheckboxState(noteId);
+    }
+    this._updateBar();
+  }
+
+  /**
+   * ノートの選択を切り替え
+   * @param {string} noteId - ノートID
+   * @param {boolean} extendRange - 直前に操作したノートからの範囲に同じ状態を適用するか
+   * @private
+   */
+  _toggleNote(noteId, extendRange) {
+    const selected = !this._selectedIds.has(noteId);
+    let targetIds = [noteId];
+
+    if (extendRange && this._rangeAnchorId && this._rangeAnchorId !== noteId) {
+      const visibleIds = this._getVisibleNoteIds();
+      const from = visibleIds.indexOf(this._rangeAnchorId);
+      const to = visibleIds.indexOf(noteId);
+      if (from >= 0 && to >= 0) {
+        targetIds = visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+      }
+    }
+
+    for (const id of targetIds) {
+      if (selected) {
+        this._selectedIds.add(id);
+      } else {
+        this._selectedIds.delete(id);
+      }
+      this._updateCheckboxState(id);
+    }
+
+    this._rangeAnchorId = noteId;
+    this._updateBar();
+  }
+
+  /**
+   * 表示中のノートIDを画面上の並び順で取得
+   * @returns {string[]}
+   * @private
+   */
+  _getVisibleNoteIds() {
+    return [...this.checkboxMap.entries()]
+      .filter(([, { checkbox, card }]) => checkbox.isConnected && this._isCardVisible(card))
+      .sort(([, a], [, b]) => (
+        a.checkbox.compareDocumentPosition(b.checkbox) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+      ))
+      .map(([noteId]) => noteId);
+  }
+
+  /**
+   * カードが表示されているか（FolderLM・NotebookLM のフィルタで非表示になっていないか）
+   * @param {Element} card - ノートカード要素
+   * @returns {boolean}
+   * @private
+   */
+  _isCardVisible(card) {
+    return card.isConnected &&
+      !card.classList.contains(FOLDERLM_CLASSES.HIDDEN) &&
+      card.getClientRects().length > 0;
+  }
+
+  // ==========================================================================
+  // 一括操作バー
+  // ==========================================================================
+
+  /**
+   * 一括操作バーをレンダリング
+   * @private
+   */
+  _renderBar() {
+    const bar = document.createElement('div');
+    bar.className = FOLDERLM_CLASSES.SELECTION_BAR;
+    bar.setAttribute('role', 'toolbar');
+    bar.setAttribute('aria-label', '選択したノートの操作');
+
+    const count = document.createElement('span');
+    count.className = 'folderlm-selection-bar__count';
+    count.setAttribute('aria-live', 'polite');
+    bar.appendChild(count);
+
+    bar.appendChild(this._createBarButton('select-all', '表示中をすべて選択', () => {
+      this.selectAllVisible();
+    }));
+
+    bar.appendChild(this._createBarButton('move', 'フォルダに移動…', (button) => {
+      const noteIds = this.getSelectedIds();
+      if (noteIds.length > 0 && this._onMoveRequest) {
+        this._onMoveRequest(noteIds, button);
+      }
+    }, { primary: true, requiresSelection: true }));
+
+    bar.appendChild(this._createBarButton('uncategorize', '未分類に移動', () => {
+      this._assignSelected(storageManager.UNCATEGORIZED_ID);
+    }, { requiresSelection: true }));
+
+    bar.appendChild(this._createBarButton('clear', '選択を解除', () => {
+      this.clearSelection();
+    }, { requiresSelection: true }));
+
+    const closeBtn = this._createBarButton('exit', '✕', () => {
+      this.disable();
+    });
+    closeBtn.classList.add('folderlm-selection-bar__close');
+    closeBtn.setAttribute('aria-label', '選択モードを終了');
+    closeBtn.title = '選択モードを終了（Esc）';
+    bar.appendChild(closeBtn);
+
+    bar.addEventListener('keydown', this._boundHandleBarKeydown);
+
+    document.body.appendChild(bar);
+    this.barElement = bar;
+    this._updateBar();
+  }
+
+  /**
+   * 一括操作バーのボタンを作成
+   * @param {string} action - 操作名（data-action 属性）
+   * @param {string} text - ボタンのテキスト
+   * @param {Function} onClick - (button: HTMLButtonElement) => void
+   * @param {Object} [options]
+   * @param {boolean} [options.primary=false] - 強調表示するか
+   * @param {boolean} [options.requiresSelection=false] - 選択が空のとき無効にするか
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createBarButton(action, text, onClick, { primary = false, requiresSelection = false } = {}) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'folderlm-selection-bar__btn';
+    if (primary) {
+      button.classList.add('folderlm-selection-bar__btn--primary');
+    }
+    button.setAttribute('data-action', action);
+    if (requiresSelection) {
+      button.setAttribute('data-requires-selection', 'true');
+    }
+    button.textContent = text;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick(button);
+    });
+    return button;
+  }
+
+  /**
+   * 一括操作バーの件数表示とボタンの有効状態を更新
+   * @private
+   */
+  _updateBar() {
+    if (!this.barElement) {
+      return;
+    }
+
+    const count = this._selectedIds.size;
+    const countElement = this.barElement.querySelector('.folderlm-selection-bar__count');
+    countElement.textContent = count > 0 ? `${count}件選択中` : 'ノートを選択してください';
+
+    this.barElement.querySelectorAll('[data-requires-selection]').forEach(button => {
+      button.disabled = count === 0;
+    });
+  }
+
+  /**
+   * 一括操作バーでのキー操作を処理
+   * @param {KeyboardEvent} event
+   * @private
+   */
+  _handleBarKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.disable();
+    }
+  }
+
+  /**
+   * 選択中のノートをまとめてフォルダに割り当て
+   * @param {string} folderId - フォルダID
+   * @private
+   */
+  _assignSelected(folderId) {
+    const noteIds = this.getSelectedIds();
+    if (noteIds.length === 0) {
+      return;
+    }
+
+    const result = storageManager.assignNotes(noteIds, folderId);
+    if (!result.success) {
+      console.error('[FolderLM] Failed to assign notes:', result.error);
+    }
+
+    if (this._onAssign) {
+      this._onAssign(noteIds, folderId, result);
+    }
+  }
+
+  // ==========================================================================
+  // コールバック
+  // ==========================================================================
+
+  /**
+   * 選択モードの開始・終了時のコールバックを設定
+   * @param {Function} callback - (active: boolean) => void
+   */
+  onModeChange(callback) {
+    this._onModeChange = callback;
+  }
+
+  /**
+   * 「フォルダに移動…」クリック時のコールバックを設定
+   * @param {Function} callback - (noteIds: string[], anchorElement: HTMLElement) => void
+   */
+  onMoveRequest(callback) {
+    this._onMoveRequest = callback;
+  }
+
+  /**
+   * 一括割り当て完了時のコールバックを設定
+   * @param {Function} callback - (noteIds: string[], folderId: string, result: { success: boolean, count?: number, error?: string }) => void
+   */
+  onAssign(callback) {
+    this._onAssign = callback;
+  }
+
+  /**
+   * 選択中のノート数を取得
+   * @returns {number}
+   */
+  get count() {
+    return this._selectedIds.size;
+  }
+
+  /**
+   * 破棄
+   */
+  destroy() {
+    this.disable();
+    this._onModeChange = null;
+    this._onMoveRequest = null;
+    this._onAssign = null;
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const noteSelection = new NoteSelection();
+
+// デフォルトエクスポート
+export default noteSelection;
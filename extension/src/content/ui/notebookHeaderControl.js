@@ -0,0 +1,200 @@
+/**
+ * FolderLM - Notebook Header Control Component
+ *
+ * ノートブックのページ（/notebook/<UUID>）のヘッダーに挿入するフォルダ表示ボタン。
+ * 開いているノートブックの所属フォルダを表示し、クリックでフォルダ選択ポップアップを開く。
+ *
+ * @module ui/notebookHeaderControl
+ */
+
+import { UI_INJECTION_SELECTORS, FOLDERLM_CLASSES, findFirstMatch } from '../utils/selectors.js';
+import { storageManager } from '../../storage/storageManager.js';
+import { createIconElement, createFolderIconElement } from '../utils/icons.js';
+
+/**
+ * NotebookHeaderControl クラス
+ */
+class NotebookHeaderControl {
+  constructor() {
+    /** @type {HTMLButtonElement|null} */
+    this.element = null;
+
+    /** @type {string|null} 表示中のノートID */
+    this._noteId = null;
+
+    /** @type {Function|null} クリック時のコールバック */
+    this._onClick = null;
+
+    this._boundHandleClick = this._handleClick.bind(this);
+  }
+
+  /**
+   * ボタンを作成してノートブックのヘッダーに挿入
+   * 既に挿入済みの場合は対象のノートを切り替えて表示を更新する
+   * @param {string} noteId - 開いているノートブックのID
+   * @returns {HTMLButtonElement|null} 作成されたボタン、または既存・挿入位置がない場合 null
+   */
+  create(noteId) {
+    if (!noteId) {
+      return null;
+    }
+
+    this._noteId = noteId;
+
+    if (this.exists()) {
+      this.update();
+      return null;
+    }
+
+    const header = findFirstMatch(
+      UI_INJECTION_SELECTORS.NOTEBOOK_HEADER,
+      UI_INJECTION_SELECTORS.HEADER
+    );
+
+    if (!header) {
+      console.warn('[FolderLM] Notebook header not found, cannot inject notebook control');
+      return null;
+    }
+
+    const button = document.createElement('button');
+    button.className = FOLDERLM_CLASSES.NOTEBOOK_CONTROL;
+    button.setAttribute('type', 'button');
+    button.setAttribute('aria-haspopup', 'dialog');
+    button.addEventListener('click', this._boundHandleClick);
+
+    header.appendChild(button);
+    this.element = button;
+    this.update();
+
+    console.log('[FolderLM] Notebook control created for note:', noteId);
+    return button;
+  }
+
+  /**
+   * 所属フォルダの表示を更新（割り当ての変更・他のタブでの変更後に呼ぶ）
+   */
+  update() {
+    if (!this.element || !this._noteId) {
+      return;
+    }
+
+    // 所属フォルダ（複数フォルダモードではラベルを含む）
+    const folders = storageManager.getNoteFolderIds(this._noteId)
+      .map(folderId => storageManager.getFolder(folderId))
+      .filter(Boolean);
+    const names = folders.map(folder => folder.name);
+    const pinnedSuffix = storageManager.isNotePinned(this._noteId) ? '（ピン留め中）' : '';
+
+    const button = this.element;
+    button.replaceChildren();
+    button.classList.toggle('assigned', folders.length > 0);
+
+    button.appendChild(folders.length > 0
+      ? createFolderIconElement(folders[0], 16)
+      : createIconElement('folder', 16));
+
+    const label = document.createElement('span');
+    label.className = 'folderlm-notebook-control__label';
+    label.textContent = folders.length > 0 ? folders[0].name : '未分類';
+    button.appendChild(label);
+
+    if (folders.length > 1) {
+      const more = document.createElement('span');
+      more.className = 'folderlm-notebook-control__more';
+      more.textContent = `+${folders.length - 1}`;
+      button.appendChild(more);
+    }
+
+    if (folders.length > 0) {
+      button.title = `フォルダ: ${names.join('、')}${pinnedSuffix}`;
+      button.setAttribute('aria-label', `フォルダ「${names.join('、')}」に割り当て済み${pinnedSuffix}。フォルダを変更`);
+    } else {
+      button.title = `フォルダに割り当て${pinnedSuffix}`;
+      button.setAttribute('aria-label', `フォルダに割り当て${pinnedSuffix}`);
+    }
+  }
+
+  /**
+   * ボタンが DOM に存在するか確認
+   * @returns {boolean}
+   */
+  exists() {
+    return this.element !== null && document.contains(this.element);
+  }
+
+  /**
+   * ボタンを再挿入（DOM 再描画後の復帰用）
+   * @param {string} noteId - 開いているノートブックのID
+   * @returns {HTMLButtonElement|null}
+   */
+  reinject(noteId) {
+    if (!this.exists()) {
+      this.element = null;
+    }
+    return this.create(noteId);
+  }
+
+  /**
+   * ボタン要素を取得
+   * @returns {HTMLButtonElement|null}
+   */
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * 表示中のノートIDを取得
+   * @returns {string|null}
+   */
+  getNoteId() {
+    return this._noteId;
+  }
+
+  /**
+   * クリックイベントのコールバックを設定
+   * @param {Function} callback - (noteId: string, buttonElement: HTMLButtonElement) => void
+   */
+  onClick(callback) {
+    this._onClick = callback;
+  }
+
+  /**
+   * ボタンを DOM から削除（ノートブックのページを離れたとき）
+   */
+  remove() {
+    if (this.element) {
+      this.element.removeEventListener('click', this._boundHandleClick);
+      this.element.remove();
+      this.element = null;
+    }
+    this._noteId = null;
+  }
+
+  /**
+   * クリックイベントハンドラ
+   * @param {MouseEvent} event
+   * @private
+   */
+  _handleClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (this._noteId && this._onClick) {
+      this._onClick(this._noteId, this.element);
+    }
+  }
+
+  /**
+   * 破棄
+   */
+  destroy() {
+    this.remove();
+    this._onClick = null;
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const notebookHeaderControl = new NotebookHeaderControl();
+
+// デフォルトエクスポート
+export default notebookHeaderControl;
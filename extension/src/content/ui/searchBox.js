@@ -2,7 +2,9 @@
  * FolderLM - Search Box Component
  *
  * ヘッダーのアクションバーに挿入する検索ボックスコンポーネント。
- * ノートタイトルの検索に使用する。
+ * ノートタイトルの検索に使用する。クエリ言語の構文は utils/searchQuery.js を参照。
+ * 構文エラーは入力欄の下にインライン表示する（解析は filterManager が行う）。
+ * 適用されない条件の案内も同じ位置に表示する（エラーがある間はエラーを優先）。
  *
  * @module ui/searchBox
  */
@@ -10,6 +12,24 @@
 import { FOLDERLM_CLASSES, UI_INJECTION_SELECTORS, findFirstMatch } from '../utils/selectors.js';
 import { debounce } from '../utils/debounce.js';
 
+/**
+ * エラーメッセージ要素のID（aria-describedby 用）
+ */
+const SEARCH_ERROR_ID = 'folderlm-search-error';
+
+/**
+ * 入力欄のツールチップに表示する構文の例
+ */
+const SEARCH_SYNTAX_HINT = [
+  '検索の例:',
+  '"完全一致するフレーズ"',
+  '-除外する語句',
+  '語句A OR 語句B',
+  'folder:"フォルダ名"',
+  'is:uncategorized',
+  'shared:yes / owned:yes',
+].join('\n');
+
 /**
  * 検索ボックスコンポーネント
  */
@@ -24,6 +44,15 @@ class SearchBox {
     /** @type {HTMLButtonElement|null} */
     this._clearButton = null;
 
+    /** @type {HTMLElement|null} 構文エラー・案内の表示要素 */
+    this._errorElement = null;
+
+    /** @type {{ message: string, start: number, end: number }|null} 表示中の構文エラー */
+    this._error = null;
+
+    /** @type {string|null} 表示中の案内 */
+    this._notice = null;
+
     /** @type {Function|null} */
     this._onQueryChange = null;
 
@@ -53,8 +82,10 @@ class SearchBox {
       this._element = existing;
       this._inputElement = existing.querySelector(`.${FOLDERLM_CLASSES.SEARCH_INPUT}`);
       this._clearButton = existing.querySelector(`.${FOLDERLM_CLASSES.SEARCH_CLEAR}`);
+      this._errorElement = existing.querySelector(`.${FOLDERLM_CLASSES.SEARCH_ERROR}`);
       this._attachEvents();
       this._updateClearButton();
+      this._renderMessage();
       return this._element;
     }
 
@@ -77,6 +108,7 @@ class SearchBox {
     input.placeholder = 'ノートを検索...';
     input.setAttribute('aria-label', 'ノートを検索');
     input.setAttribute('autocomplete', 'off');
+    input.title = SEARCH_SYNTAX_HINT;
     container.appendChild(input);
 
     const clearButton = document.createElement('button');
@@ -87,6 +119,13 @@ class SearchBox {
     clearButton.hidden = true;
     container.appendChild(clearButton);
 
+    const errorElement = document.createElement('div');
+    errorElement.className = FOLDERLM_CLASSES.SEARCH_ERROR;
+    errorElement.id = SEARCH_ERROR_ID;
+    errorElement.setAttribute('aria-live', 'polite');
+    errorElement.hidden = true;
+    container.appendChild(errorElement);
+
     if (anchorElement && anchorElement.parentElement) {
       anchorElement.insertAdjacentElement('afterend', container);
     } else {
@@ -101,8 +140,10 @@ class SearchBox {
     this._element = container;
     this._inputElement = input;
     this._clearButton = clearButton;
+    this._errorElement = errorElement;
     this._attachEvents();
     this._updateClearButton();
+    this._renderMessage();
 
     console.log('[FolderLM] Search box created');
     return container;
@@ -151,6 +192,24 @@ class SearchBox {
     }
   }
 
+  /**
+   * 構文エラーを表示（null で非表示）
+   * @param {{ message: string, start: number, end: number }|null} error - 構文エラー
+   */
+  setError(error) {
+    this._error = error || null;
+    this._renderMessage();
+  }
+
+  /**
+   * 適用されない条件などの案内を表示（null で非表示）
+   * @param {string|null} notice - 案内
+   */
+  setNotice(notice) {
+    this._notice = notice || null;
+    this._renderMessage();
+  }
+
   /**
    * クエリを取得
    * @returns {string}
@@ -178,6 +237,18 @@ class SearchBox {
     }
   }
 
+  /**
+   * 入力欄にフォーカスし、入力済みの語句を選択する
+   */
+  focus() {
+    if (!this._inputElement) {
+      return;
+    }
+
+    this._inputElement.focus();
+    this._inputElement.select();
+  }
+
   /**
    * コンポーネントを破棄
    */
@@ -192,6 +263,9 @@ class SearchBox {
     this._element = null;
     this._inputElement = null;
     this._clearButton = null;
+    this._errorElement = null;
+    this._error = null;
+    this._notice = null;
     this._onQueryChange = null;
   }
 
@@ -262,6 +336,42 @@ class SearchBox {
     this._debouncedEmit(query);
   }
 
+  /**
+   * 構文エラー・案内の表示を更新（エラーがある間はエラーを優先）
+   * @private
+   */
+  _renderMessage() {
+    if (!this._inputElement || !this._errorElement) {
+      return;
+    }
+
+    const error = this._error;
+    this._errorElement.classList.toggle(FOLDERLM_CLASSES.SEARCH_NOTICE, !error && Boolean(this._notice));
+
+    if (error) {
+      // エラー箇所の語句を添えて表示
+      const fragment = this.getQuery().slice(error.start, error.end).trim();
+      this._errorElement.textContent = fragment
+        ? `${error.message}（${fragment}）`
+        : error.message;
+      this._errorElement.hidden = false;
+      this._inputElement.setAttribute('aria-invalid', 'true');
+      this._inputElement.setAttribute('aria-describedby', SEARCH_ERROR_ID);
+      return;
+    }
+
+    this._inputElement.removeAttribute('aria-invalid');
+    if (this._notice) {
+      this._errorElement.textContent = this._notice;
+      this._errorElement.hidden = false;
+      this._inputElement.setAttribute('aria-describedby', SEARCH_ERROR_ID);
+    } else {
+      this._errorElement.hidden = true;
+      this._errorElement.textContent = '';
+      this._inputElement.removeAttribute('aria-describedby');
+    }
+  }
+
   _updateClearButton() {
     if (!this._clearButton || !this._inputElement) {
       return;
@@ -0,0 +1,122 @@
+/**
+ * FolderLM - Auto Assign Rules
+ *
+ * ノートのタイトルに自動割り当てルールを当てはめる純粋なモジュール。
+ * DOM や chrome API に依存しないため、ブラウザ外（Node.js など）でもテストできる。
+ *
+ * 条件の種類:
+ * - `keywords`  カンマ（, 、 ，）区切りのキーワードのいずれかをタイトルに含む。
+ *               検索と同じく textMatch.js で正規化して比較する（全角・半角、大文字・小文字、ひらがな・カタカナを区別しない）
+ * - `regex`     正規表現にタイトルが一致する（大文字・小文字は区別しない）
+ *
+ * ルールは配列の順に評価し、最初に一致したルールを採用する。
+ *
+ * @module autoAssignRules
+ */
+
+import { foldText } from './textMatch.js';
+
+/**
+ * 条件の種類（storageManager の RULE_MATCH_TYPES と同じ値）
+ */
+const MATCH_TYPES = {
+  KEYWORDS: 'keywords',
+  REGEX: 'regex',
+};
+
+/**
+ * キーワードの区切り文字
+ */
+const KEYWORD_SEPARATOR = /[,、，]/;
+
+/**
+ * キーワード条件をキーワードの配列に分割
+ * @param {string} pattern - カンマ区切りのキーワード
+ * @returns {string[]} 正規化済みのキーワード（空のものは除く）
+ */
+export function splitKeywords(pattern) {
+  if (typeof pattern !== 'string') {
+    return [];
+  }
+
+  return [...new Set(
+    pattern
+      .split(KEYWORD_SEPARATOR)
+      .map(keyword => foldText(keyword).trim())
+      .filter(Boolean)
+  )];
+}
+
+/**
+ * ルールを評価できる形に変換する
+ * 無効なルール、割り当て先が使えないルール、解釈できない条件は除く
+ * @param {Array<{ id: string, matchType: string, pattern: string, folderId: string, enabled: boolean }>} rules - 優先順位の順のルール
+ * @param {Object} [options]
+ * @param {function(string): boolean} [options.isFolderAvailable] - 割り当て先として使えるフォルダか
+ * @returns {Array<{ rule: Object, test: function(string): boolean }>}
+ */
+export function compileRules(rules, { isFolderAvailable = () => true } = {}) {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+
+  const compiled = [];
+  for (const rule of rules) {
+    if (!rule || rule.enabled === false || !isFolderAvailable(rule.folderId)) {
+      continue;
+    }
+
+    const test = createMatcher(rule);
+    if (test) {
+      compiled.push({ rule, test });
+    }
+  }
+  return compiled;
+}
+
+/**
+ * タイトルに最初に一致するルールを返す
+ * @param {Array<{ rule: Object, test: function(string): boolean }>} compiledRules - compileRules の戻り値
+ * @param {string} title - ノートのタイトル
+ * @returns {Object|null} 一致したルール
+ */
+export function findMatchingRule(compiledRules, title) {
+  if (typeof title !== 'string' || !title.trim()) {
+    return null;
+  }
+
+  const folded = foldText(title);
+  for (const { rule, test } of compiledRules) {
+    if (test(title, folded)) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+/**
+ * ルール1件の判定関数を作る
+ * @param {Object} rule - ルール
+ * @returns {function(string, string): boolean|null} (元のタイトル, 正規化済みタイトル) を受け取る判定関数。解釈できない場合は null
+ */
+function createMatcher(rule) {
+  if (rule.matchType === MATCH_TYPES.REGEX) {
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, 'i');
+    } catch (e) {
+      return null;
+    }
+    return (title) => regex.test(title);
+  }
+
+  if (rule.matchType === MATCH_TYPES.KEYWORDS) {
+    const keywords = splitKeywords(rule.pattern);
+    if (keywords.length === 0) {
+      return null;
+    }
+    return (title, folded) => keywords.some(keyword => folded.includes(keyword));
+  }
+
+  return null;
+}
@@ -114,9 +114,281 @@ export function createDragHandleIcon(size = 16, options = {}) {
   </svg>`;
 }
 
+/**
+ * 展開/折りたたみ（シェブロン）SVGアイコンを生成
+ * 右向きで描画し、展開時は CSS で回転させる
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createChevronIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 2;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <polyline points="9 6 15 12 9 18"/>
+  </svg>`;
+}
+
+/**
+ * サブフォルダ追加SVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createFolderPlusIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+    <line x1="12" y1="11" x2="12" y2="17"/>
+    <line x1="9" y1="14" x2="15" y2="14"/>
+  </svg>`;
+}
+
+/**
+ * ラベル（タグ）SVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createLabelIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/>
+    <line x1="7" y1="7" x2="7.01" y2="7"/>
+  </svg>`;
+}
+
+/**
+ * 設定（歯車）SVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createSettingsIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <circle cx="12" cy="12" r="3"/>
+    <path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 2.83-2.83l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"/>
+  </svg>`;
+}
+
+/**
+ * ダウンロード（エクスポート）SVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createDownloadIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+    <polyline points="7 10 12 15 17 10"/>
+    <line x1="12" y1="15" x2="12" y2="3"/>
+  </svg>`;
+}
+
+/**
+ * アップロード（インポート）SVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createUploadIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+    <polyline points="17 8 12 3 7 8"/>
+    <line x1="12" y1="3" x2="12" y2="15"/>
+  </svg>`;
+}
+
+/**
+ * スターSVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createStarIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+  </svg>`;
+}
+
+/**
+ * 本SVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createBookIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"/>
+    <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"/>
+  </svg>`;
+}
+
+/**
+ * ブリーフケースSVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createBriefcaseIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <rect x="2" y="7" width="20" height="14" rx="2" ry="2"/>
+    <path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"/>
+  </svg>`;
+}
+
+/**
+ * コードSVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createCodeIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <polyline points="16 18 22 12 16 6"/>
+    <polyline points="8 6 2 12 8 18"/>
+  </svg>`;
+}
+
+/**
+ * 旗SVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createFlagIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/>
+    <line x1="4" y1="22" x2="4" y2="15"/>
+  </svg>`;
+}
+
+/**
+ * ハートSVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createHeartIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
+  </svg>`;
+}
+
+/**
+ * 電球SVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createLightbulbIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <path d="M9 18h6"/>
+    <path d="M10 22h4"/>
+    <path d="M12 2a7 7 0 0 0-4 12.74V16h8v-1.26A7 7 0 0 0 12 2z"/>
+  </svg>`;
+}
+
+/**
+ * チェックボックス（選択モード）SVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createCheckSquareIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <polyline points="9 11 12 14 22 4"/>
+    <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/>
+  </svg>`;
+}
+
+/**
+ * ピンSVGアイコンを生成
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @param {Object} options - オプション設定
+ * @param {string} [options.stroke] - 縁の色
+ * @param {number} [options.strokeWidth] - 縁の太さ
+ * @returns {string} SVG文字列
+ */
+export function createPinIcon(size = 16, options = {}) {
+  const stroke = options.stroke || 'currentColor';
+  const strokeWidth = options.strokeWidth || 1.5;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" class="folderlm-svg-icon">
+    <line x1="12" y1="17" x2="12" y2="22"/>
+    <path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24z"/>
+  </svg>`;
+}
+
 /**
  * アイコンタイプからSVG文字列を取得
- * @param {string} type - アイコンタイプ: 'folder', 'inbox', 'edit', 'delete', 'drag'
+ * @param {string} type - アイコンタイプ: 'folder', 'inbox', 'edit', 'delete', 'drag', 'chevron', 'folder-plus', 'label', 'settings', 'download', 'upload', 'star', 'book', 'briefcase', 'code', 'flag', 'heart', 'lightbulb', 'check-square', 'pin'
  * @param {number} size - アイコンサイズ（ピクセル）
  * @param {Object} options - オプション設定
  * @returns {string} SVG文字列
@@ -133,6 +405,36 @@ export function getIconSvg(type, size = 16, options = {}) {
       return createDeleteIcon(size, options);
     case 'drag':
       return createDragHandleIcon(size, options);
+    case 'chevron':
+      return createChevronIcon(size, options);
+    case 'folder-plus':
+      return createFolderPlusIcon(size, options);
+    case 'label':
+      return createLabelIcon(size, options);
+    case 'settings':
+      return createSettingsIcon(size, options);
+    case 'download':
+      return createDownloadIcon(size, options);
+    case 'upload':
+      return createUploadIcon(size, options);
+    case 'star':
+      return createStarIcon(size, options);
+    case 'book':
+      return createBookIcon(size, options);
+    case 'briefcase':
+      return createBriefcaseIcon(size, options);
+    case 'code':
+      return createCodeIcon(size, options);
+    case 'flag':
+      return createFlagIcon(size, options);
+    case 'heart':
+      return createHeartIcon(size, options);
+    case 'lightbulb':
+      return createLightbulbIcon(size, options);
+    case 'check-square':
+      return createCheckSquareIcon(size, options);
+    case 'pin':
+      return createPinIcon(size, options);
     default:
       return createFolderIcon(size, options);
   }
@@ -140,7 +442,7 @@ export function getIconSvg(type, size = 16, options = {}) {
 
 /**
  * アイコン要素（span + インラインSVG）を生成
- * @param {string} type - アイコンタイプ: 'folder', 'inbox', 'edit', 'delete', 'drag'
+ * @param {string} type - アイコンタイプ: 'folder', 'inbox', 'edit', 'delete', 'drag', 'chevron', 'folder-plus', 'label', 'settings', 'download', 'upload', 'star', 'book', 'briefcase', 'code', 'flag', 'heart', 'lightbulb', 'check-square', 'pin'
  * @param {number} size - アイコンサイズ（ピクセル）
  * @param {Object} options - オプション設定
  * @returns {HTMLSpanElement} アイコン要素
@@ -153,6 +455,23 @@ export function createIconElement(type, size = 16, options = {}) {
   return span;
 }
 
+/**
+ * フォルダのアイコン要素を生成（フォルダの色・アイコン設定を反映）
+ * 色は data-folder-color 属性を通じて CSS のパレットで指定する
+ * @param {Object} folder - フォルダオブジェクト
+ * @param {number} size - アイコンサイズ（ピクセル）
+ * @returns {HTMLSpanElement} アイコン要素
+ */
+export function createFolderIconElement(folder, size = 16) {
+  const type = folder?.isDefault ? 'inbox' : (folder?.icon || 'folder');
+  const span = createIconElement(type, size);
+  span.classList.add('folderlm-folder-glyph');
+  if (folder?.color) {
+    span.setAttribute('data-folder-color', folder.color);
+  }
+  return span;
+}
+
 /**
  * アイコンカラー定数をエクスポート
  */
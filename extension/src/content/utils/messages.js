@@ -0,0 +1,84 @@
+/**
+ * FolderLM - Extension Messages
+ *
+ * 拡張機能の中でやり取りするメッセージの定義。
+ * メッセージは `{ type, ...payload }`、応答は `{ success, error?, ...data }` の形式。
+ *
+ * - MESSAGE_TYPES: ツールバーのポップアップ・オプションページ → コンテンツスクリプト
+ * - STORAGE_MESSAGE_TYPES: storageManager（タブ・拡張機能のページ）⇔ サービスワーカー
+ *
+ * @module messages
+ */
+
+/**
+ * ポップアップ・オプションページからコンテンツスクリプトへのメッセージの種類
+ *
+ * - GET_STATE: タブの状態を取得する。
+ *   応答 `{ success: true, ready, folderIds }`
+ *   （ready はノート一覧で絞り込みができる状態か、folderIds は絞り込み中のフォルダID）
+ * - SELECT_FOLDER: `{ folderId }` のフォルダで絞り込む（null ですべてのノート）。
+ *   応答 `{ success, error? }`
+ * - GET_NOTE_IDS: ノート一覧にあるノートIDを取得する。
+ *   応答 `{ success: true, complete, noteIds }`
+ *   （complete は「すべて」タブですべてのノートを検出できた一覧か。false の場合 noteIds は空）
+ */
+export const MESSAGE_TYPES = Object.freeze({
+  GET_STATE: 'folderlm:get_state',
+  SELECT_FOLDER: 'folderlm:select_folder',
+  GET_NOTE_IDS: 'folderlm:get_note_ids',
+});
+
+/**
+ * storageManager とサービスワーカーの間のメッセージの種類
+ *
+ * 状態を含む応答・通知には `{ state, revision, backendMode, readOnly }` を付ける
+ * （state は { folders, noteAssignments, noteLabels, pinnedNoteIds, settings }、
+ * revision は保存のたびに増える番号）。
+ * 依頼への応答には、処理中にサービスワーカーで発生したエラー `errors` とイベント `events` も付ける。
+ *
+ * 依頼（storageManager → サービスワーカー）:
+ * - LOAD: 現在の状態を取得する。応答 `{ success, ...状態 }`
+ * - COMMIT: `{ sessionId, base, state }` 最後に受け取った状態（base）からの変更を保存する。
+ *   応答 `{ success, error?, ...状態 }`
+ * - SET_BACKEND: `{ sessionId, mode }` 保存先を切り替える。応答 `{ success, error?, ...状態 }`
+ * - MARK_SEEN: `{ notes }` 一覧にあったノート（`{ noteId, title }` の配列）を確認済みとして記録する。
+ *   応答 `{ success, error?, ...状態 }`
+ * - GET_ACTIVITY: この端末のノートの最終確認日時の記録を取得する。応答 `{ success, error?, activity, ...状態 }`
+ *
+ * 通知（サービスワーカー → すべてのタブ・拡張機能のページ）:
+ * - CHANGED: `{ writer, ...状態 }` 状態が変わった（writer は依頼元の sessionId、他の端末の変更は null）
+ * - ERROR: `{ error: { type, message, data }, readOnly }` 依頼によらないエラー（他の端末の新しいバージョンのデータなど）
+ */
+export const STORAGE_MESSAGE_TYPES = Object.freeze({
+  LOAD: 'folderlm:storage_load',
+  COMMIT: 'folderlm:storage_commit',
+  SET_BACKEND: 'folderlm:storage_set_backend',
+  MARK_SEEN: 'folderlm:storage_mark_seen',
+  GET_ACTIVITY: 'folderlm:storage_get_activity',
+  CHANGED: 'folderlm:storage_changed',
+  ERROR: 'folderlm:storage_error',
+});
+
+/**
+ * FolderLM のメッセージ（ポップアップ・オプションページからコンテンツスクリプトへ）かどうか
+ * @param {*} message - 受信したメッセージ
+ * @returns {boolean}
+ */
+export function isFolderLMMessage(message) {
+  return Boolean(message) && Object.values(MESSAGE_TYPES).includes(message.type);
+}
+
+/**
+ * サービスワーカーへの依頼かどうか
+ * @param {*} message - 受信したメッセージ
+ * @returns {boolean}
+ */
+export function isStorageRequest(message) {
+  return Boolean(message) && [
+    STORAGE_MESSAGE_TYPES.LOAD,
+    STORAGE_MESSAGE_TYPES.COMMIT,
+    STORAGE_MESSAGE_TYPES.SET_BACKEND,
+    STORAGE_MESSAGE_TYPES.MARK_SEEN,
+    STORAGE_MESSAGE_TYPES.GET_ACTIVITY,
+  ].includes(message.type);
+}
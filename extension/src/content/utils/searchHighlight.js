@@ -0,0 +1,100 @@
+/**
+ * FolderLM - Search Highlight
+ *
+ * 検索に一致した範囲を NotebookLM のタイトル要素内で強調表示するユーティリティ。
+ * CSS Custom Highlight API を使用し、NotebookLM の DOM（テキストノードや innerHTML）は変更しない。
+ * API に対応していないブラウザでは何もしない。
+ *
+ * @module searchHighlight
+ */
+
+/**
+ * ハイライト名（content.css の ::highlight() と対応）
+ */
+export const SEARCH_HIGHLIGHT_NAME = 'folderlm-search-match';
+
+/**
+ * CSS Custom Highlight API に対応しているか
+ * @returns {boolean}
+ */
+export function isHighlightSupported() {
+  return typeof CSS !== 'undefined' && 'highlights' in CSS && typeof Highlight === 'function';
+}
+
+/**
+ * 検索の一致範囲を強調表示（以前の強調表示は置き換える）
+ * @param {Array<{ element: Element, ranges: Array<[number, number]> }>} entries
+ *   ranges はタイトル要素の textContent の前後の空白を除いた文字列上の範囲 [start, end)
+ */
+export function setSearchHighlights(entries) {
+  if (!isHighlightSupported()) {
+    return;
+  }
+
+  const domRanges = [];
+  for (const { element, ranges } of entries) {
+    if (!element?.isConnected || ranges.length === 0) continue;
+    domRanges.push(...createDomRanges(element, ranges));
+  }
+
+  if (domRanges.length === 0) {
+    CSS.highlights.delete(SEARCH_HIGHLIGHT_NAME);
+    return;
+  }
+
+  CSS.highlights.set(SEARCH_HIGHLIGHT_NAME, new Highlight(...domRanges));
+}
+
+/**
+ * 強調表示を解除
+ */
+export function clearSearchHighlights() {
+  if (isHighlightSupported()) {
+    CSS.highlights.delete(SEARCH_HIGHLIGHT_NAME);
+  }
+}
+
+/**
+ * 文字列上の範囲を要素内のテキストノードにまたがる Range に変換
+ * @param {Element} element - タイトル要素
+ * @param {Array<[number, number]>} ranges - 前後の空白を除いた textContent 上の範囲
+ * @returns {Range[]}
+ * @private
+ */
+function createDomRanges(element, ranges) {
+  const textContent = element.textContent || '';
+  const leading = textContent.length - textContent.trimStart().length;
+
+  // テキストノードと、textContent 上での開始位置の一覧
+  const nodes = [];
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  let position = 0;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    nodes.push({ node, start: position });
+    position += node.data.length;
+  }
+
+  const locate = (offset, isEnd) => {
+    for (const entry of nodes) {
+      const end = entry.start + entry.node.data.length;
+      // 範囲の終端はノードの末尾、始端は次のノードの先頭を優先する
+      if (isEnd ? offset <= end : offset < end) {
+        return { node: entry.node, offset: offset - entry.start };
+      }
+    }
+    return null;
+  };
+
+  const result = [];
+  for (const [start, end] of ranges) {
+    const from = locate(start + leading, false);
+    const to = locate(end + leading, true);
+    if (!from || !to) continue;
+
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    result.push(range);
+  }
+  return result;
+}
@@ -0,0 +1,371 @@
+/**
+ * FolderLM - Search Query Parser
+ *
+ * 検索ボックスのクエリ言語を解析・評価する純粋なモジュール。
+ * DOM や chrome API に依存しないため、ブラウザ外（Node.js など）でもテストできる。
+ *
+ * 構文:
+ * - `word`               タイトルに word を含む（あいまい検索が有効な場合は誤字・文字の抜けも許容）
+ * - `"exact phrase"`     タイトルにフレーズ（空白を含む）をそのまま含む（あいまい検索の対象外）
+ * - `-word`              タイトルに word を含まない（演算子・フレーズにも使用可）
+ * - `a OR b`             a または b（大文字の OR のみ）。OR は空白区切りの AND より優先される
+ * - `folder:name`        フォルダ（サブフォルダを含む）に所属する。名前に空白を含む場合は `folder:"name"`
+ * - `is:uncategorized`   どのフォルダにも所属していない
+ * - `shared:yes|no`      共有されたノートブックか（NotebookLM の「共有」タブの状態で判定）
+ * - `owned:yes|no`       自分のノートブックか（NotebookLM の「マイ ノートブック」タブの状態で判定）
+ *
+ * `shared:` / `owned:` はノートごとの所有状態が分からない「すべて」タブでは適用されない
+ * （条件を無視する。検索ボックスにその旨を表示する）。
+ * 未知の `name:value` は通常の語句として扱う（URL などを検索できるように）。
+ * 語句とタイトルは textMatch.js で正規化して比較する（全角・半角、大文字・小文字、ひらがな・カタカナを区別しない）。
+ *
+ * @module searchQuery
+ */
+
+import { foldText, normalizeWithOffsets, findMatch, mergeRanges } from './textMatch.js';
+
+/**
+ * 条件の種類
+ */
+export const TERM_TYPES = {
+  /** タイトルの部分一致 */
+  TEXT: 'text',
+  /** フォルダへの所属 */
+  FOLDER: 'folder',
+  /** 未分類 */
+  UNCATEGORIZED: 'uncategorized',
+  /** 所有状態（'owned' | 'shared'） */
+  OWNERSHIP: 'ownership',
+};
+
+/**
+ * `is:` に指定できる値
+ */
+const IS_VALUES = new Map([
+  ['uncategorized', TERM_TYPES.UNCATEGORIZED],
+  ['未分類', TERM_TYPES.UNCATEGORIZED],
+]);
+
+/**
+ * `shared:` / `owned:` に指定できる真偽値
+ */
+const BOOLEAN_VALUES = new Map([
+  ['yes', true],
+  ['true', true],
+  ['no', false],
+  ['false', false],
+]);
+
+/**
+ * 解析済みクエリの型定義
+ * clauses の各要素（OR 条件の配列）をすべて満たす場合に一致する（AND）。
+ * @typedef {Object} ParsedQuery
+ * @property {Array<SearchTerm[]>} clauses - OR 条件のまとまりの配列
+ */
+
+/**
+ * 検索条件の型定義
+ * @typedef {Object} SearchTerm
+ * @property {string} type - TERM_TYPES のいずれか
+ * @property {string} value - 語句（正規化済み）、フォルダ名、または所有状態
+ * @property {boolean} negated - 否定条件か
+ * @property {boolean} [phrase] - 引用符で囲まれたフレーズか（語句のみ。あいまい一致しない）
+ */
+
+/**
+ * 構文エラーの型定義
+ * @typedef {Object} SearchQueryError
+ * @property {string} message - エラーメッセージ
+ * @property {number} start - エラー箇所の開始位置（クエリ文字列内のインデックス）
+ * @property {number} end - エラー箇所の終了位置
+ */
+
+/**
+ * 検索クエリを解析
+ * @param {string} input - 検索ボックスの入力
+ * @returns {{ success: true, query: ParsedQuery } | { success: false, error: SearchQueryError }}
+ */
+export function parseSearchQuery(input) {
+  const source = typeof input === 'string' ? input : '';
+  const tokens = tokenize(source);
+  if (tokens.error) {
+    return { success: false, error: tokens.error };
+  }
+
+  const clauses = [];
+  let pendingOr = null;
+
+  for (const token of tokens.items) {
+    if (token.kind === 'or') {
+      if (clauses.length === 0 || pendingOr) {
+        return { success: false, error: createError('OR の前に条件が必要です', token) };
+      }
+      pendingOr = token;
+      continue;
+    }
+
+    const term = toTerm(token);
+    if (term.error) {
+      return { success: false, error: term.error };
+    }
+
+    if (pendingOr) {
+      clauses[clauses.length - 1].push(term.term);
+      pendingOr = null;
+    } else {
+      clauses.push([term.term]);
+    }
+  }
+
+  if (pendingOr) {
+    return { success: false, error: createError('OR の後に条件が必要です', pendingOr) };
+  }
+
+  return { success: true, query: { clauses } };
+}
+
+/**
+ * クエリに条件が含まれているか
+ * @param {ParsedQuery|null} query
+ * @returns {boolean}
+ */
+export function isEmptyQuery(query) {
+  return !query || query.clauses.length === 0;
+}
+
+/**
+ * クエリに指定した種類の条件が含まれているか
+ * @param {ParsedQuery|null} query
+ * @param {string} type - TERM_TYPES のいずれか
+ * @returns {boolean}
+ */
+export function hasTermType(query, type) {
+  return !isEmptyQuery(query) && query.clauses.some(clause => clause.some(term => term.type === type));
+}
+
+/**
+ * ノートが解析済みクエリに一致するか
+ * @param {ParsedQuery|null} query - 解析済みクエリ（null または空なら常に一致）
+ * @param {Object} note - 評価対象のノート（evaluateSearchQuery を参照）
+ * @param {Object} [options] - evaluateSearchQuery を参照
+ * @returns {boolean}
+ */
+export function matchesSearchQuery(query, note, options) {
+  return evaluateSearchQuery(query, note, options).matched;
+}
+
+/**
+ * ノートを解析済みクエリで評価し、一致したかどうかと並び替え用のスコア、強調する範囲を返す
+ * @param {ParsedQuery|null} query - 解析済みクエリ（null または空なら常に一致）
+ * @param {Object} note - 評価対象のノート
+ * @param {string} note.title - ノートタイトル
+ * @param {Function} note.isInFolder - (folderName: string) => boolean フォルダ（サブフォルダを含む）に所属するか
+ * @param {boolean} note.isUncategorized - どのフォルダにも所属していないか
+ * @param {string|null} note.ownership - 'owned' | 'shared'（判定できない場合は null で、所有状態の条件は無視する）
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzy=false] - 語句のあいまい一致（誤字・文字の抜け）を有効にするか
+ * @returns {{ matched: boolean, score: number, ranges: Array<[number, number]> }}
+ *   ranges はタイトル上の一致範囲 [start, end)（否定条件は含まない）
+ */
+export function evaluateSearchQuery(query, note, { fuzzy = false } = {}) {
+  if (isEmptyQuery(query)) {
+    return { matched: true, score: 0, ranges: [] };
+  }
+
+  const title = normalizeWithOffsets(note.title || '');
+  let score = 0;
+  const ranges = [];
+
+  // 条件ごとに一致したかを返す。語句の一致はスコアと範囲を記録する
+  const matchesTerm = (term, clauseMatches) => {
+    let matched;
+    switch (term.type) {
+      case TERM_TYPES.TEXT: {
+        // 否定条件をあいまい一致させると意図せず多くのノートが隠れるため、部分一致のみとする
+        const match = findMatch(title, term.value, { fuzzy: fuzzy && !term.phrase && !term.negated });
+        matched = Boolean(match);
+        if (match && !term.negated) {
+          clauseMatches.push(match);
+        }
+        break;
+      }
+      case TERM_TYPES.FOLDER:
+        matched = note.isInFolder(term.value);
+        break;
+      case TERM_TYPES.UNCATEGORIZED:
+        matched = note.isUncategorized;
+        break;
+      case TERM_TYPES.OWNERSHIP:
+        if (!note.ownership) {
+          // 所有状態が分からない場合は絞り込まない
+          return true;
+        }
+        matched = note.ownership === term.value;
+        break;
+      default:
+        matched = false;
+    }
+    return term.negated ? !matched : matched;
+  };
+
+  for (const clause of query.clauses) {
+    const clauseMatches = [];
+    // OR の各語句の範囲をすべて強調するため、最初の一致で打ち切らずに評価する
+    const results = clause.map(term => matchesTerm(term, clauseMatches));
+    if (!results.some(Boolean)) {
+      return { matched: false, score: 0, ranges: [] };
+    }
+
+    if (clauseMatches.length > 0) {
+      score += Math.max(...clauseMatches.map(match => match.score));
+      for (const match of clauseMatches) {
+        ranges.push(...match.ranges);
+      }
+    }
+  }
+
+  return { matched: true, score, ranges: mergeRanges(ranges) };
+}
+
+// ==========================================================================
+// 字句解析
+// ==========================================================================
+
+/**
+ * クエリを空白区切りのトークンに分割
+ * 引用符内の空白は区切りとみなさない。`folder:"a b"` のように語の途中から始まる引用符も扱う。
+ * @param {string} source
+ * @returns {{ items: Array<{ kind: string, raw: string, start: number, end: number }>, error?: SearchQueryError }}
+ * @private
+ */
+function tokenize(source) {
+  const items = [];
+  let index = 0;
+
+  while (index < source.length) {
+    if (/\s/.test(source[index])) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+
+    while (index < source.length && !/\s/.test(source[index])) {
+      if (source[index] === '"') {
+        const close = source.indexOf('"', index + 1);
+        if (close === -1) {
+          return {
+            items,
+            error: { message: '引用符（"）が閉じられていません', start: index, end: source.length },
+          };
+        }
+        index = close + 1;
+        continue;
+      }
+      index++;
+    }
+
+    const raw = source.slice(start, index);
+    items.push({
+      kind: raw === 'OR' ? 'or' : 'term',
+      raw,
+      start,
+      end: index,
+    });
+  }
+
+  return { items };
+}
+
+// ==========================================================================
+// 構文解析
+// ==========================================================================
+
+/**
+ * トークンを検索条件に変換
+ * @param {{ raw: string, start: number, end: number }} token
+ * @returns {{ term?: SearchTerm, error?: SearchQueryError }}
+ * @private
+ */
+function toTerm(token) {
+  let raw = token.raw;
+  let negated = false;
+
+  if (raw.startsWith('-')) {
+    negated = true;
+    raw = raw.slice(1);
+    if (!raw) {
+      return { error: createError('「-」の後に除外する語句が必要です', token) };
+    }
+  }
+
+  // 演算子（引用符の外にある最初の「:」で区切る）
+  const operatorMatch = /^([A-Za-z]+):/.exec(raw);
+  if (operatorMatch) {
+    const operator = operatorMatch[1].toLowerCase();
+    const value = unquote(raw.slice(operatorMatch[0].length)).trim();
+
+    switch (operator) {
+      case 'folder':
+        if (!value) {
+          return { error: createError('folder: の後にフォルダ名を指定してください', token) };
+        }
+        return { term: { type: TERM_TYPES.FOLDER, value, negated } };
+
+      case 'is': {
+        const type = IS_VALUES.get(value.toLowerCase());
+        if (!type) {
+          return {
+            error: createError(
+              value ? `is:${value} は使用できません（is:uncategorized のみ）` : 'is: の後に uncategorized を指定してください',
+              token
+            ),
+          };
+        }
+        return { term: { type, value: '', negated } };
+      }
+
+      case 'shared':
+      case 'owned': {
+        const flag = BOOLEAN_VALUES.get(value.toLowerCase());
+        if (flag === undefined) {
+          return { error: createError(`${operator}: の後に yes または no を指定してください`, token) };
+        }
+        // shared:no は owned:yes と同じ意味として扱う
+        const isShared = operator === 'shared' ? flag : !flag;
+        return { term: { type: TERM_TYPES.OWNERSHIP, value: isShared ? 'shared' : 'owned', negated } };
+      }
+
+      default:
+        // 未知の演算子は語句として扱う
+        break;
+    }
+  }
+
+  const text = foldText(unquote(raw)).trim();
+  if (!text) {
+    return { error: createError('空のフレーズ（""）は検索できません', token) };
+  }
+  return { term: { type: TERM_TYPES.TEXT, value: text, negated, phrase: raw.includes('"') } };
+}
+
+/**
+ * 引用符を取り除く
+ * @param {string} text
+ * @returns {string}
+ * @private
+ */
+function unquote(text) {
+  return text.replace(/"/g, '');
+}
+
+/**
+ * トークンの位置を指すエラーを作成
+ * @param {string} message
+ * @param {{ start: number, end: number }} token
+ * @returns {SearchQueryError}
+ * @private
+ */
+function createError(message, token) {
+  return { message, start: token.start, end: token.end };
+}
@@ -63,6 +63,12 @@ export const UI_INJECTION_SELECTORS = {
    * ヘッダー要素
    */
   HEADER: 'header, [role="banner"]',
+
+  /**
+   * ノートブックのページのヘッダー（ノートブックのフォルダ表示の挿入位置）
+   * 見つからない場合は HEADER にフォールバックする
+   */
+  NOTEBOOK_HEADER: 'notebook-header, .notebook-header, .project-header',
 };
 
 /**
@@ -138,21 +144,56 @@ export const FOLDERLM_CLASSES = {
    */
   FOLDER_DROPDOWN: 'folderlm-folder-dropdown',
 
+  /**
+   * ノート一覧の横に表示するフォルダのサイドバー
+   */
+  SIDEBAR: 'folderlm-sidebar',
+
+  /**
+   * サイドバーを並べるためノート一覧の親要素に付与するクラス
+   */
+  SIDEBAR_HOST: 'folderlm-sidebar-host',
+
+  /**
+   * サイドバーを表示する設定のとき（body に付与。DOM 復帰の判定に使用）
+   */
+  SIDEBAR_ENABLED: 'folderlm-sidebar-enabled',
+
   /**
    * ノート割り当てボタン
    */
   ASSIGN_BUTTON: 'folderlm-assign-button',
 
+  /**
+   * ノートブックのページのヘッダーに表示するフォルダ
+   */
+  NOTEBOOK_CONTROL: 'folderlm-notebook-control',
+
   /**
    * フォルダ選択ポップアップ
    */
   SELECT_POPUP: 'folderlm-select-popup',
 
+  /**
+   * コマンドパレット（背景を含む要素）
+   */
+  COMMAND_PALETTE: 'folderlm-command-palette',
+
   /**
    * フォルダバッジ（ノートカードに表示）
    */
   FOLDER_BADGE: 'folderlm-folder-badge',
 
+  /**
+   * ラベル（割り当てフォルダ以外の所属）を示すフォルダバッジ
+   */
+  FOLDER_BADGE_LABEL: 'folderlm-folder-badge--label',
+
+  /**
+   * ピン留めを示すバッジ（フォルダバッジの先頭に表示）
+   */
+  PIN_BADGE: 'folderlm-folder-badge--pin',
+
   /**
    * フォルダバッジのコンテナ
    */
@@ -178,6 +219,36 @@ export const FOLDERLM_CLASSES = {
    */
   SEARCH_CLEAR: 'folderlm-search-clear',
 
+  /**
+   * 検索クエリの構文エラー表示
+   */
+  SEARCH_ERROR: 'folderlm-search-error',
+
+  /**
+   * 検索クエリの案内表示（SEARCH_ERROR の要素に付与）
+   */
+  SEARCH_NOTICE: 'folderlm-search-notice',
+
+  /**
+   * ノート選択チェックボックス（選択モード）
+   */
+  SELECT_CHECKBOX: 'folderlm-select-checkbox',
+
+  /**
+   * 選択中のノートカード
+   */
+  NOTE_SELECTED: 'folderlm-note-selected',
+
+  /**
+   * 選択モードの一括操作バー
+   */
+  SELECTION_BAR: 'folderlm-selection-bar',
+
+  /**
+   * 選択モード中（body に付与）
+   */
+  SELECTING: 'folderlm-selecting',
+
   /**
    * 非表示状態（フィルタで除外されたノート）
    */
@@ -189,8 +260,23 @@ export const FOLDERLM_CLASSES = {
   INITIALIZED: 'folderlm-initialized',
 
   // ==========================================================================
-  // Phase 0: グループヘッダー・並べ替え関連のクラス（削除済み）
+  // 並べ替え・フォルダごとの見出し
   // ==========================================================================
+
+  /**
+   * フォルダごとの見出し（ノート一覧に挿入）
+   */
+  GROUP_HEADER: 'folderlm-group-header',
+
+  /**
+   * 折りたたまれた見出しの下のノート
+   */
+  GROUP_COLLAPSED: 'folderlm-group-collapsed',
+
+  /**
+   * CSS order を効かせるため flex にした一覧コンテナ（元が block の場合）
+   */
+  ORDERABLE_LIST: 'folderlm-orderable-list',
 };
 
 /**
@@ -312,3 +398,45 @@ export function findAllMatches(...selectors) {
   }
   return Array.from(results);
 }
+
+/**
+ * ノートカード内のタイトル要素を探す
+ * @param {Element} card - ノートカード要素
+ * @param {string} [noteId] - ノートID
+ * @returns {Element|null}
+ */
+export function findNoteTitleElement(card, noteId) {
+  if (!card) {
+    return null;
+  }
+
+  let titleElement = null;
+
+  if (noteId) {
+    const titleId = `project-${noteId}-title`;
+    if (window.CSS && CSS.escape) {
+      const escaped = CSS.escape(titleId);
+      titleElement = card.querySelector(`#${escaped}`) || document.getElementById(titleId);
+    } else {
+      titleElement = document.getElementById(titleId);
+    }
+  }
+
+  if (!titleElement) {
+    titleElement = card.querySelector(NOTE_SELECTORS.CARD_TITLE);
+  }
+
+  if (!titleElement) {
+    const labelledBy = card.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const labelId = labelledBy
+        .split(/\s+/)
+        .find(id => id.includes('project-') && id.endsWith('-title'));
+      if (labelId) {
+        titleElement = document.getElementById(labelId);
+      }
+    }
+  }
+
+  return titleElement;
+}
@@ -0,0 +1,177 @@
+/**
+ * FolderLM - Keyboard Shortcuts
+ *
+ * キーボードショートカットの操作の定義と、キー入力を表記（`Ctrl+Shift+K` など）に変換する関数。
+ * 表記は設定に保存するため、キーボード配列に依存しにくいよう英字・数字は KeyboardEvent.code から求める。
+ *
+ * 表記の規則:
+ * - 修飾キーは `Ctrl` `Alt` `Shift` の順で先頭に付ける（`Ctrl` は Mac の ⌘ も含む）
+ * - 英字は大文字、数字はそのまま、記号は入力された文字（記号の Shift は文字に含まれるため付けない）
+ * - 名前のあるキーは KeyboardEvent.key の名前（`Enter` `ArrowUp` `F2` など）、空白は `Space`
+ * - 空文字列は未設定
+ *
+ * @module shortcuts
+ */
+
+/**
+ * 修飾キーの表記（この順で並べる）
+ */
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift'];
+
+/**
+ * 単独ではショートカットにならないキー
+ */
+const MODIFIER_KEYS = new Set(['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock', 'Dead', 'Process', 'Unidentified']);
+
+/**
+ * 表記の最大長（設定に保存するため）
+ */
+const MAX_SHORTCUT_LENGTH = 40;
+
+/**
+ * ショートカットで実行できる操作（表示順）
+ * defaultShortcut は初期設定のキー（空文字列は未設定）
+ * @type {ReadonlyArray<{ id: string, label: string, defaultShortcut: string, inPalette: boolean }>}
+ */
+export const SHORTCUT_ACTIONS = Object.freeze([
+  { id: 'commandPalette', label: 'コマンドパレットを開く', defaultShortcut: 'Ctrl+K', inPalette: false },
+  { id: 'openFolders', label: 'フォルダメニューを開く', defaultShortcut: 'F', inPalette: true },
+  { id: 'focusSearch', label: '検索ボックスに移動', defaultShortcut: '/', inPalette: true },
+  { id: 'assignFocusedNote', label: 'フォーカス中のノートをフォルダに割り当て', defaultShortcut: 'A', inPalette: true },
+  { id: 'clearFilters', label: '絞り込みと検索を解除', defaultShortcut: 'C', inPalette: true },
+  ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map(n => ({
+    id: `jumpToFolder${n}`,
+    label: `${n}番目のフォルダで絞り込む`,
+    defaultShortcut: String(n),
+    inPalette: false,
+  })),
+  { id: 'toggleSelectionMode', label: '選択モードの切り替え', defaultShortcut: '', inPalette: true },
+  { id: 'toggleSidebar', label: 'サイドバーの表示の切り替え', defaultShortcut: '', inPalette: true },
+  { id: 'undo', label: '元に戻す', defaultShortcut: '', inPalette: true },
+  { id: 'redo', label: 'やり直す', defaultShortcut: '', inPalette: true },
+].map(action => Object.freeze(action)));
+
+/**
+ * 操作ID → 初期設定のキー
+ * @type {Readonly<Object<string, string>>}
+ */
+export const DEFAULT_SHORTCUTS = Object.freeze(
+  Object.fromEntries(SHORTCUT_ACTIONS.map(action => [action.id, action.defaultShortcut]))
+);
+
+/**
+ * 操作を取得
+ * @param {string} actionId - 操作ID
+ * @returns {{ id: string, label: string, defaultShortcut: string, inPalette: boolean }|null}
+ */
+export function getShortcutAction(actionId) {
+  return SHORTCUT_ACTIONS.find(action => action.id === actionId) || null;
+}
+
+/**
+ * キー入力をショートカットの表記に変換
+ * @param {KeyboardEvent} event
+ * @returns {string|null} 表記。修飾キーのみ・IME 変換中などショートカットにならない場合は null
+ */
+export function eventToShortcut(event) {
+  if (!event || event.isComposing || event.keyCode === 229 || MODIFIER_KEYS.has(event.key)) {
+    return null;
+  }
+
+  let key = null;
+  let shiftImplied = false;
+
+  const code = typeof event.code === 'string' ? event.code : '';
+  const letter = /^Key([A-Z])$/.exec(code);
+  const digit = /^(?:Digit|Numpad)([0-9])$/.exec(code);
+  if (letter) {
+    key = letter[1];
+  } else if (digit) {
+    key = digit[1];
+  } else if (typeof event.key === 'string' && event.key.length > 0) {
+    if (event.key === ' ') {
+      key = 'Space';
+    } else if (event.key.length === 1) {
+      key = event.key.toUpperCase();
+      shiftImplied = true;
+    } else {
+      key = event.key;
+    }
+  }
+
+  if (!key) {
+    return null;
+  }
+
+  const parts = [];
+  if (event.ctrlKey || event.metaKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey && !shiftImplied) parts.push('Shift');
+  parts.push(key);
+  return parts.join('+');
+}
+
+/**
+ * ショートカットの表記を正規化
+ * @param {string} shortcut - 表記（大文字・小文字、修飾キーの順序は問わない）
+ * @returns {string|null} 正規化した表記（未設定は空文字列）。解釈できない場合は null
+ */
+export function normalizeShortcut(shortcut) {
+  if (typeof shortcut !== 'string') {
+    return null;
+  }
+
+  const trimmed = shortcut.trim();
+  if (!trimmed) {
+    return '';
+  }
+  if (trimmed.length > MAX_SHORTCUT_LENGTH) {
+    return null;
+  }
+
+  // 末尾の「+」はキーとしての「+」（例: Ctrl++）
+  const parts = trimmed.endsWith('++')
+    ? [...trimmed.slice(0, -2).split('+'), '+']
+    : trimmed.split('+');
+  const key = parts.pop();
+  if (!key) {
+    return null;
+  }
+
+  const modifiers = new Set();
+  for (const part of parts) {
+    const modifier = MODIFIERS.find(m => m.toLowerCase() === part.trim().toLowerCase());
+    if (!modifier || modifiers.has(modifier)) {
+      return null;
+    }
+    modifiers.add(modifier);
+  }
+
+  const normalizedKey = key.length === 1 ? key.toUpperCase() : key;
+  return [...MODIFIERS.filter(m => modifiers.has(m)), normalizedKey].join('+');
+}
+
+/**
+ * 文字入力中の要素か（ショートカットを発火させない）
+ * @param {EventTarget|null} target - キー入力の対象
+ * @returns {boolean}
+ */
+export function isEditableTarget(target) {
+  if (!target || typeof target.closest !== 'function') {
+    return false;
+  }
+
+  if (target.isContentEditable) {
+    return true;
+  }
+
+  const tagName = target.tagName;
+  if (tagName === 'TEXTAREA' || tagName === 'SELECT') {
+    return true;
+  }
+  if (tagName === 'INPUT') {
+    return !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file', 'image'].includes(target.type);
+  }
+
+  return !!target.closest('[contenteditable=""], [contenteditable="true"], [role="textbox"], [role="searchbox"], [role="combobox"]');
+}
@@ -0,0 +1,332 @@
+/**
+ * FolderLM - Text Matching Utilities
+ *
+ * 日本語と英語が混在するタイトルの検索用に、文字列の正規化とあいまい一致を行う純粋なモジュール。
+ * DOM に依存しないため、ブラウザ外（Node.js など）でもテストできる。
+ *
+ * 正規化:
+ * - NFKC（全角英数字 → 半角、半角カナ → 全角 など）
+ * - 英字の大文字・小文字を区別しない
+ * - カタカナをひらがなに寄せる（「のーと」で「ノート」が見つかる）
+ *
+ * 正規化後の文字ごとに元の文字列での位置を保持し、一致箇所を元のタイトル上の範囲に戻せるようにする。
+ *
+ * @module textMatch
+ */
+
+/**
+ * カタカナ（ァ〜ヶ、ヽヾ）とひらがなのコードポイントの差
+ */
+const KANA_OFFSET = 0x60;
+
+/**
+ * 半角カナの濁点・半濁点を NFKC した結合文字
+ */
+const COMBINING_SOUND_MARKS = new Set(['゙', '゚']);
+
+/**
+ * 一致の種類
+ */
+export const MATCH_KINDS = {
+  /** 部分一致 */
+  EXACT: 'exact',
+  /** 誤字を許容した一致 */
+  TYPO: 'typo',
+  /** 文字が順番どおりに含まれる（間に他の文字があってもよい） */
+  SUBSEQUENCE: 'subsequence',
+};
+
+/**
+ * 一致の種類ごとの基本スコア（大きいほど上位）
+ */
+const MATCH_SCORES = {
+  [MATCH_KINDS.EXACT]: 100,
+  [MATCH_KINDS.TYPO]: 60,
+  [MATCH_KINDS.SUBSEQUENCE]: 40,
+};
+
+/**
+ * 文字列を検索用に正規化
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldText(text) {
+  return normalizeWithOffsets(text).text;
+}
+
+/**
+ * 文字列を検索用に正規化し、正規化後の各文字に対応する元の位置を返す
+ * @param {string} text
+ * @returns {{ text: string, starts: number[], ends: number[] }}
+ *   starts[i] / ends[i] は正規化後の i 文字目の元になった範囲（UTF-16 のインデックス）
+ */
+export function normalizeWithOffsets(text) {
+  const chars = [];
+  const starts = [];
+  const ends = [];
+  let index = 0;
+
+  for (const codePoint of typeof text === 'string' ? text : '') {
+    const end = index + codePoint.length;
+    const normalized = foldKana(codePoint.normalize('NFKC').toLowerCase());
+
+    // 半角カナの濁点・半濁点は直前の文字と合成する（ｶﾞ → が）
+    if (COMBINING_SOUND_MARKS.has(normalized) && chars.length > 0) {
+      const last = chars.length - 1;
+      const composed = (chars[last] + normalized).normalize('NFC');
+      if (composed.length === 1) {
+        chars[last] = composed;
+        ends[last] = end;
+        index = end;
+        continue;
+      }
+    }
+
+    for (const char of normalized) {
+      chars.push(char);
+      starts.push(index);
+      ends.push(end);
+    }
+    index = end;
+  }
+
+  return { text: chars.join(''), starts, ends };
+}
+
+/**
+ * 正規化済みの文字列から語句を探す
+ * 部分一致を優先し、fuzzy が有効な場合は誤字を許容した一致、順序一致の順に試す。
+ * @param {{ text: string, starts: number[], ends: number[] }} haystack - normalizeWithOffsets の結果
+ * @param {string} needle - foldText で正規化済みの語句
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzy=false] - あいまい一致を有効にするか
+ * @returns {{ kind: string, score: number, ranges: Array<[number, number]> }|null}
+ *   ranges は元の文字列での一致範囲 [start, end)
+ */
+export function findMatch(haystack, needle, { fuzzy = false } = {}) {
+  if (!needle) {
+    return null;
+  }
+
+  const exact = findAllOccurrences(haystack.text, needle);
+  if (exact.length > 0) {
+    const [firstStart] = exact[0];
+    // 先頭・単語の先頭での一致を上位にする
+    const atBoundary = firstStart === 0 || /[\s\p{P}]/u.test(haystack.text[firstStart - 1]);
+    return {
+      kind: MATCH_KINDS.EXACT,
+      score: MATCH_SCORES[MATCH_KINDS.EXACT] + (atBoundary ? 20 : 0),
+      ranges: toOriginalRanges(haystack, exact),
+    };
+  }
+
+  if (!fuzzy) {
+    return null;
+  }
+
+  const typo = findApproximate(haystack.text, needle, maxTypos(needle.length));
+  if (typo) {
+    // 置換として拾われた前後の空白は強調しない
+    let { start, end } = typo;
+    while (start < end - 1 && /\s/.test(haystack.text[start])) start++;
+    while (end > start + 1 && /\s/.test(haystack.text[end - 1])) end--;
+    return {
+      kind: MATCH_KINDS.TYPO,
+      score: MATCH_SCORES[MATCH_KINDS.TYPO] - typo.errors * 10,
+      ranges: toOriginalRanges(haystack, [[start, end]]),
+    };
+  }
+
+  const subsequence = findSubsequence(haystack.text, needle);
+  if (subsequence) {
+    return {
+      kind: MATCH_KINDS.SUBSEQUENCE,
+      score: Math.round(MATCH_SCORES[MATCH_KINDS.SUBSEQUENCE] * needle.length / subsequence.span),
+      ranges: toOriginalRanges(haystack, subsequence.ranges),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 範囲を重なりのないように結合（開始位置順）
+ * @param {Array<[number, number]>} ranges
+ * @returns {Array<[number, number]>}
+ */
+export function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+// ==========================================================================
+// 内部処理
+// ==========================================================================
+
+/**
+ * カタカナをひらがなに変換
+ * @param {string} text
+ * @returns {string}
+ * @private
+ */
+function foldKana(text) {
+  return text.replace(/[ァ-ヶヽヾ]/g,
+    char => String.fromCharCode(char.charCodeAt(0) - KANA_OFFSET));
+}
+
+/**
+ * 語句の長さに応じて許容する誤字の数
+ * 短い語句で誤字を許容すると無関係なタイトルまで一致するため、4文字未満は許容しない
+ * @param {number} length
+ * @returns {number}
+ * @private
+ */
+function maxTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * 部分一致する位置をすべて探す（重なりなし）
+ * @param {string} text
+ * @param {string} needle
+ * @returns {Array<[number, number]>} 正規化後の文字列での範囲
+ * @private
+ */
+function findAllOccurrences(text, needle) {
+  const ranges = [];
+  let index = text.indexOf(needle);
+  while (index !== -1) {
+    ranges.push([index, index + needle.length]);
+    index = text.indexOf(needle, index + needle.length);
+  }
+  return ranges;
+}
+
+/**
+ * 誤字（置換・挿入・削除・隣り合う文字の入れ替え）を許容して語句を含む部分文字列を探す
+ * 編集距離（入れ替えを1回と数える optimal string alignment 距離）が最小の、最も手前の一致を返す
+ * @param {string} text
+ * @param {string} needle
+ * @param {number} maxErrors - 許容する誤字の数
+ * @returns {{ start: number, end: number, errors: number }|null}
+ * @private
+ */
+function findApproximate(text, needle, maxErrors) {
+  if (maxErrors <= 0) {
+    return null;
+  }
+
+  const m = needle.length;
+  // prevCost[i]: needle の先頭 i 文字と、text の直前の位置で終わる部分文字列との最小編集距離
+  let prevCost = Array.from({ length: m + 1 }, (_, i) => i);
+  let prevStart = new Array(m + 1).fill(0);
+  // 2つ前の位置の値（入れ替えの判定用）
+  let prevPrevCost = null;
+  let prevPrevStart = null;
+  let best = null;
+
+  for (let j = 1; j <= text.length; j++) {
+    const cost = [0];
+    const start = [j];
+
+    for (let i = 1; i <= m; i++) {
+      let value = prevCost[i - 1] + (needle[i - 1] === text[j - 1] ? 0 : 1);
+      let from = prevStart[i - 1];
+
+      if (prevCost[i] + 1 < value) {
+        value = prevCost[i] + 1;
+        from = prevStart[i];
+      }
+      if (cost[i - 1] + 1 < value) {
+        value = cost[i - 1] + 1;
+        from = start[i - 1];
+      }
+      // 隣り合う2文字の入れ替え（"meetnig" → "meeting"）
+      if (prevPrevCost && i >= 2 &&
+          needle[i - 1] === text[j - 2] && needle[i - 2] === text[j - 1] &&
+          prevPrevCost[i - 2] + 1 < value) {
+        value = prevPrevCost[i - 2] + 1;
+        from = prevPrevStart[i - 2];
+      }
+
+      cost[i] = value;
+      start[i] = from;
+    }
+
+    if (cost[m] <= maxErrors && start[m] < j && (!best || cost[m] < best.errors)) {
+      best = { start: start[m], end: j, errors: cost[m] };
+    }
+
+    prevPrevCost = prevCost;
+    prevPrevStart = prevStart;
+    prevCost = cost;
+    prevStart = start;
+  }
+
+  return best;
+}
+
+/**
+ * 語句の文字が順番どおりに含まれる、最も短い範囲を探す
+ * 離れすぎた文字の一致は意図しない結果になりやすいため、範囲の長さを制限する
+ * @param {string} text
+ * @param {string} needle
+ * @returns {{ span: number, ranges: Array<[number, number]> }|null}
+ * @private
+ */
+function findSubsequence(text, needle) {
+  if (needle.length < 2) {
+    return null;
+  }
+
+  const maxSpan = needle.length * 3;
+  let best = null;
+
+  for (let first = text.indexOf(needle[0]); first !== -1; first = text.indexOf(needle[0], first + 1)) {
+    const positions = [first];
+    for (let i = 1; i < needle.length; i++) {
+      const found = text.indexOf(needle[i], positions[i - 1] + 1);
+      if (found === -1) break;
+      positions.push(found);
+    }
+
+    // この位置から一致しなければ、より後ろの位置からも一致しない
+    if (positions.length < needle.length) break;
+
+    const span = positions[positions.length - 1] + 1 - first;
+    if (span <= maxSpan && (!best || span < best.span)) {
+      best = { span, positions };
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  return {
+    span: best.span,
+    ranges: mergeRanges(best.positions.map(position => [position, position + 1])),
+  };
+}
+
+/**
+ * 正規化後の文字列での範囲を元の文字列での範囲に変換
+ * @param {{ starts: number[], ends: number[] }} haystack
+ * @param {Array<[number, number]>} ranges
+ * @returns {Array<[number, number]>}
+ * @private
+ */
+function toOriginalRanges(haystack, ranges) {
+  return ranges.map(([start, end]) => [haystack.starts[start], haystack.ends[end - 1]]);
+}
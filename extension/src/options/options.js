@@ -0,0 +1,1026 @@
+/**
+ * FolderLM - Options Page
+ *
+ * 拡張機能のオプションページ。NotebookLM のタブを開いていなくても
+ * 動作の設定・保存先と使用量の確認・インポート / エクスポート・データの整理・初期化を行える。
+ *
+ * 読み書きはすべて storageManager を通す。
+ * 他のタブでの変更は storageManager のタブ間同期で取り込み、表示を更新する。
+ *
+ * @module options/options
+ */
+
+import { storageManager } from '../storage/storageManager.js';
+import { MESSAGE_TYPES } from '../content/utils/messages.js';
+
+/**
+ * ノート一覧との照合に使う NotebookLM のタブの URL パターン
+ */
+const NOTEBOOKLM_TAB_URL = 'https://notebooklm.google.com/*';
+
+/**
+ * 保存先の表示名（キーは storageManager.STORAGE_BACKENDS の値）
+ */
+const BACKEND_LABELS = {
+  sync: '同期（すべての端末で共有）',
+  hybrid: 'ハイブリッド（フォルダのみ同期）',
+  local: 'この端末のみ',
+};
+
+/**
+ * 並び順の表示名（キーは storageManager.SORT_MODES の値）
+ */
+const SORT_MODE_LABELS = {
+  none: 'NotebookLM の順序',
+  folder: 'フォルダ順',
+  title: 'タイトル順',
+  manual: '手動（ドラッグで並べ替え）',
+};
+
+/**
+ * オン / オフで切り替える設定
+ */
+const TOGGLE_SETTINGS = [
+  {
+    key: 'multiFolderMode',
+    label: '複数フォルダ（ラベル）モード',
+    description: '1つのノートを複数のフォルダに所属させ、ラベルで絞り込めるようにします',
+  },
+  {
+    key: 'fuzzySearch',
+    label: 'あいまい検索',
+    description: '検索語の誤字や文字の抜けを許容し、一致度の高いノートから順に表示します',
+  },
+  {
+    key: 'sidebarEnabled',
+    label: 'フォルダのサイドバー',
+    description: 'ノート一覧の横にフォルダ一覧を常に表示し、ワンクリックで絞り込めるようにします',
+  },
+  {
+    key: 'groupByFolder',
+    label: 'フォルダごとにまとめて表示',
+    description: 'フォルダごとの見出しの下にノートをまとめて表示します（見出しは折りたためます）',
+  },
+];
+
+/**
+ * 見つからないノートとみなす日数の選択肢
+ */
+const STALE_NOTE_DAY_OPTIONS = [30, 60, 90, 180, 365];
+
+/**
+ * 操作結果のメッセージを表示する時間（ミリ秒）
+ */
+const STATUS_DURATION = 6000;
+
+/**
+ * OptionsPage クラス
+ * オプションページの表示と操作を管理
+ */
+class OptionsPage {
+  constructor() {
+    /** @type {boolean} データの読み込みに失敗したか（失敗時は上書きを防ぐため変更を受け付けない） */
+    this._loadFailed = false;
+
+    /** @type {{ json: string, fileName: string, summary: Object }|null} 確認中のインポートデータ */
+    this._pendingImport = null;
+
+    /** @type {number|null} 操作結果のメッセージを消すタイマー */
+    this._statusTimer = null;
+
+    /** @type {Object|null} この端末のノートの最終確認日時の記録（読み込めなかった場合は null） */
+    this._noteActivity = null;
+
+    /** @type {Set<string>} 見つからないノートの一覧で選択中のノートID */
+    this._selectedStaleNoteIds = new Set();
+  }
+
+  /**
+   * 初期化
+   */
+  async init() {
+    storageManager.onError((error) => {
+      if (error.type !== storageManager.ERROR_TYPES.VALIDATION_FAILED) {
+        this._showBanner(error.message);
+      }
+    });
+
+    try {
+      await storageManager.load();
+    } catch (error) {
+      // 初期値で動作すると保存済みのデータを上書きしてしまうため、表示のみにする
+      this._loadFailed = true;
+    }
+
+    if (!this._loadFailed) {
+      const activity = await storageManager.getNoteActivity();
+      this._noteActivity = activity.success ? activity.activity : null;
+    }
+
+    // 他のタブでの変更・元に戻す操作を表示に反映
+    storageManager.onChange((event) => {
+      if (['remote_changed', 'history_applied', 'backend_changed', 'migrated'].includes(event.type)) {
+        this.render();
+      }
+    });
+
+    // 閉じる前に保留中の保存を書き込む
+    window.addEventListener('pagehide', () => {
+      storageManager.debouncedSave.flush();
+    });
+
+    document.querySelector('.options-status-undo').addEventListener('click', () => {
+      this._undo();
+    });
+
+    this.render();
+  }
+
+  /**
+   * すべてのセクションを描画
+   * フォーカスしていた操作は描画後も同じ操作にフォーカスを戻す
+   */
+  render() {
+    const focusKey = document.activeElement?.getAttribute?.('data-focus-key');
+
+    this._fill('options-behavior', this._createBehaviorItems());
+    this._fill('options-storage', this._createStorageItems());
+    this._fill('options-transfer', this._createTransferItems());
+    this._fill('options-cleanup', this._createCleanupItems());
+    this._fill('options-reset', this._createResetItems());
+    this._fill('options-diagnostics', this._createDiagnosticsItems());
+
+    if (focusKey) {
+      document.querySelector(`[data-focus-key="${focusKey}"]`)?.focus();
+    }
+  }
+
+  // ==========================================================================
+  // セクション
+  // ==========================================================================
+
+  /**
+   * 動作の設定
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  _createBehaviorItems() {
+    const settings = storageManager.getSettings();
+    const items = TOGGLE_SETTINGS.map(({ key, label, description }) => {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = settings[key] === true;
+      checkbox.disabled = !this._canEdit();
+      checkbox.setAttribute('data-focus-key', `setting-${key}`);
+      checkbox.addEventListener('change', () => {
+        storageManager.updateSettings({ [key]: checkbox.checked });
+        this._showStatus('設定を保存しました');
+      });
+      return this._createItem(label, description, checkbox, { wrapInLabel: true });
+    });
+
+    const select = document.createElement('select');
+    select.id = 'options-sort-mode';
+    select.disabled = !this._canEdit();
+    select.setAttribute('data-focus-key', 'setting-sortMode');
+    for (const mode of Object.values(storageManager.SORT_MODES)) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = SORT_MODE_LABELS[mode] || mode;
+      select.appendChild(option);
+    }
+    select.value = storageManager.getSortMode();
+    select.addEventListener('change', () => {
+      const result = storageManager.setSortMode(select.value);
+      if (result.success) {
+        this._showStatus('設定を保存しました');
+      } else {
+        this._showStatus(result.error, { error: true });
+        select.value = storageManager.getSortMode();
+      }
+    });
+    items.push(this._createItem('ノートの並び順', 'ノート一覧のカードの並び順です', select, { labelFor: select.id }));
+
+    const shortcuts = storageManager.getShortcuts();
+    const paletteKey = shortcuts.commandPalette;
+    items.push(this._createItem(
+      'キーボードショートカット',
+      'キーの変更は、ノート一覧のフォルダメニューの「設定」から行えます' +
+        (paletteKey ? `（${paletteKey} でコマンドパレットを開きます）` : ''),
+      null
+    ));
+
+    return items;
+  }
+
+  /**
+   * 保存先と使用量
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  _createStorageItems() {
+    const items = [];
+
+    const select = document.createElement('select');
+    select.id = 'options-storage-backend';
+    select.disabled = !this._canEdit();
+    select.setAttribute('data-focus-key', 'storage-backend');
+    for (const mode of Object.values(storageManager.STORAGE_BACKENDS)) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = BACKEND_LABELS[mode] || mode;
+      select.appendChild(option);
+    }
+    select.value = storageManager.getBackendMode();
+    select.addEventListener('change', async () => {
+      select.disabled = true;
+      this._showStatus('データを移行しています…', { persistent: true });
+
+      const result = await storageManager.setBackendMode(select.value);
+      if (result.success) {
+        this._showStatus('保存先を変更しました');
+      } else {
+        this._showStatus(result.error, { error: true });
+      }
+      this.render();
+    });
+    items.push(this._createItem(
+      '保存先',
+      '同期を選ぶと Chrome にログインしている他の端末でもフォルダを使えます（容量は約100KBまで）',
+      select,
+      { labelFor: select.id }
+    ));
+
+    const { used, total, percentage } = storageManager.getStorageUsage();
+    const stats = storageManager.getDataStats();
+
+    const usage = document.createElement('div');
+    usage.className = 'options-usage';
+
+    const meter = document.createElement('meter');
+    meter.className = 'options-usage-meter';
+    meter.min = 0;
+    meter.max = total;
+    meter.low = total * 0.6;
+    meter.high = total * storageManager.LIMITS.STORAGE_WARNING_THRESHOLD;
+    meter.optimum = 0;
+    meter.value = used;
+    meter.setAttribute('aria-label', '同期ストレージの使用量');
+    usage.appendChild(meter);
+
+    const usageText = document.createElement('span');
+    usageText.className = 'options-usage-text';
+    usageText.textContent = `${percentage}%（${(used / 1024).toFixed(1)}KB / ${Math.round(total / 1024)}KB）`;
+    usage.appendChild(usageText);
+
+    items.push(this._createItem(
+      '同期ストレージの使用量',
+      `ノート割り当て ${stats.assignments}件 / 上限 ${stats.maxNotes}件`,
+      usage
+    ));
+
+    return items;
+  }
+
+  /**
+   * インポート / エクスポート
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  _createTransferItems() {
+    const items = [];
+
+    const exportBtn = this._createButton('エクスポート', () => this._handleExport(), { focusKey: 'export' });
+    items.push(this._createItem(
+      'エクスポート',
+      'フォルダ構成・ノートの割り当て・設定を JSON ファイルに書き出します',
+      exportBtn
+    ));
+
+    if (this._pendingImport) {
+      items.push(this._createImportConfirm());
+    } else {
+      const importBtn = this._createButton('ファイルを選択…', () => this._selectImportFile(), {
+        focusKey: 'import',
+        disabled: !this._canEdit(),
+      });
+      items.push(this._createItem(
+        'インポート',
+        'エクスポートしたファイルを読み込みます。読み込む前に内容を確認できます',
+        importBtn
+      ));
+    }
+
+    return items;
+  }
+
+  /**
+   * インポートの確認
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createImportConfirm() {
+    const { fileName, summary } = this._pendingImport;
+
+    const actions = document.createElement('div');
+    actions.className = 'options-actions';
+
+    actions.appendChild(this._createButton('統合', () => this._handleImport(storageManager.IMPORT_MODES.MERGE), {
+      focusKey: 'import-merge',
+      primary: true,
+      title: '既存のフォルダと割り当てに追加します（同名フォルダはまとめます）',
+    }));
+    actions.appendChild(this._createButton('置換', () => {
+      if (confirm('現在のフォルダと割り当てはすべて置き換えられます。よろしいですか？')) {
+        this._handleImport(storageManager.IMPORT_MODES.REPLACE);
+      }
+    }, {
+      focusKey: 'import-replace',
+      title: '既存のフォルダと割り当てをすべて置き換えます',
+    }));
+    actions.appendChild(this._createButton('キャンセル', () => {
+      this._pendingImport = null;
+      this.render();
+      document.querySelector('[data-focus-key="import"]')?.focus();
+    }, { focusKey: 'import-cancel' }));
+
+    return this._createItem(
+      `「${fileName}」を読み込みます`,
+      `フォルダ ${summary.folders}件・割り当て ${summary.assignments}件` +
+        (summary.labels > 0 ? `・ラベル ${summary.labels}件` : '') +
+        (summary.pins > 0 ? `・ピン留め ${summary.pins}件` : ''),
+      actions
+    );
+  }
+
+  /**
+   * データの整理
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  _createCleanupItems() {
+    const { emptyFolders } = storageManager.getDataStats();
+
+    const deleteBtn = this._createButton('空のフォルダを削除', () => this._deleteEmptyFolders(), {
+      focusKey: 'delete-empty-folders',
+      disabled: !this._canEdit() || emptyFolders === 0,
+    });
+
+    const orphanBtn = this._createButton('ノート一覧と照合', (event) => this._cleanupOrphanedNotes(event.currentTarget), {
+      focusKey: 'cleanup-orphaned',
+      disabled: !this._canEdit(),
+    });
+
+    return [
+      this._createItem(
+        '空のフォルダ',
+        emptyFolders > 0
+          ? `ノートが1件もないフォルダが ${emptyFolders}件あります（サブフォルダにノートがあるフォルダは残します）`
+          : 'ノートが1件もないフォルダはありません',
+        deleteBtn
+      ),
+      this._createItem(
+        '孤立した割り当て',
+        '開いている NotebookLM のノート一覧（「すべて」タブ）と照合し、一覧にないノートの割り当て・ラベル・ピン留めを削除します',
+        orphanBtn
+      ),
+      ...this._createStaleNoteItems(),
+    ];
+  }
+
+  /**
+   * 見つからないノート（削除されたノートブックの割り当て）の確認と削除
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  _createStaleNoteItems() {
+    const settings = storageManager.getSettings();
+    const days = settings.staleNoteDays;
+    const stale = storageManager.findStaleNotes(this._noteActivity, days);
+    const staleIds = new Set(stale.notes.map(note => note.noteId));
+
+    // 削除や他のタブでの変更で一覧からなくなったノートの選択を外す
+    for (const noteId of this._selectedStaleNoteIds) {
+      if (!staleIds.has(noteId)) {
+        this._selectedStaleNoteIds.delete(noteId);
+      }
+    }
+
+    const select = document.createElement('select');
+    select.id = 'options-stale-note-days';
+    select.disabled = !this._canEdit();
+    select.setAttribute('data-focus-key', 'setting-staleNoteDays');
+    const dayOptions = STALE_NOTE_DAY_OPTIONS.includes(days)
+      ? STALE_NOTE_DAY_OPTIONS
+      : [...STALE_NOTE_DAY_OPTIONS, days].sort((a, b) => a - b);
+    for (const value of dayOptions) {
+      const option = document.createElement('option');
+      option.value = String(value);
+      option.textContent = `${value}日以上`;
+      select.appendChild(option);
+    }
+    select.value = String(days);
+    select.addEventListener('change', () => {
+      storageManager.updateSettings({ staleNoteDays: Number(select.value) });
+      this.render();
+      this._showStatus('設定を保存しました');
+    });
+
+    let description;
+    if (!this._noteActivity) {
+      description = 'この端末の記録を読み込めませんでした';
+    } else if (stale.lastScanAt === null) {
+      description = 'まだ記録がありません。NotebookLM のノート一覧（「すべて」タブ）を開くと記録を始めます';
+    } else {
+      description = (stale.notes.length > 0
+        ? `ノート一覧で見つからないノートの割り当てが ${stale.notes.length}件あります`
+        : 'ノート一覧で見つからないノートの割り当てはありません') +
+        `（この端末で ${this._formatDate(stale.trackingSince)} から記録、最終確認 ${this._formatDate(stale.lastScanAt)}）`;
+    }
+
+    const items = [
+      this._createItem('見つからないノート', description, select, { labelFor: select.id }),
+    ];
+
+    const autoPurge = document.createElement('input');
+    autoPurge.type = 'checkbox';
+    autoPurge.checked = settings.autoPurgeStaleNotes;
+    autoPurge.disabled = !this._canEdit();
+    autoPurge.setAttribute('data-focus-key', 'setting-autoPurgeStaleNotes');
+    autoPurge.addEventListener('change', () => {
+      storageManager.updateSettings({ autoPurgeStaleNotes: autoPurge.checked });
+      this._showStatus('設定を保存しました');
+    });
+    const { AUTO_PURGE_MAX_RATIO, AUTO_PURGE_MAX_NOTES } = storageManager.LIMITS;
+    items.push(this._createItem(
+      '見つからないノートの割り当てを自動で削除',
+      'ノート一覧を開いたときに削除します。割り当てのあるノートの' +
+        `${Math.round(AUTO_PURGE_MAX_RATIO * 100)}%または${AUTO_PURGE_MAX_NOTES}件を超える場合は削除せず、ここで確認するよう案内します`,
+      autoPurge,
+      { wrapInLabel: true }
+    ));
+
+    if (stale.notes.length > 0) {
+      items.push(this._createStaleNoteList(stale.notes));
+    }
+
+    return items;
+  }
+
+  /**
+   * 見つからないノートの一覧と一括削除の操作
+   * @param {Array<{ noteId: string, title: string, seenAt: number, folderIds: string[], pinned: boolean }>} notes
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createStaleNoteList(notes) {
+    const container = document.createElement('div');
+    container.className = 'options-stale';
+
+    const list = document.createElement('ul');
+    list.className = 'options-stale-list';
+
+    for (const note of notes) {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this._selectedStaleNoteIds.has(note.noteId);
+      checkbox.disabled = !this._canEdit();
+      checkbox.setAttribute('data-focus-key', `stale-${note.noteId}`);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this._selectedStaleNoteIds.add(note.noteId);
+        } else {
+          this._selectedStaleNoteIds.delete(note.noteId);
+        }
+        this.render();
+      });
+
+      const title = document.createElement('span');
+      title.className = 'options-stale-title';
+      title.textContent = note.title || `（タイトル不明）${note.noteId.slice(0, 8)}`;
+      title.title = note.noteId;
+
+      const folderNames = note.folderIds
+        .map(folderId => storageManager.getFolder(folderId)?.name)
+        .filter(Boolean);
+      const meta = document.createElement('span');
+      meta.className = 'options-stale-meta';
+      meta.textContent = [
+        folderNames.length > 0 ? folderNames.join('、') : '未分類',
+        note.pinned ? 'ピン留め' : '',
+        `最終確認 ${this._formatDate(note.seenAt)}`,
+      ].filter(Boolean).join(' · ');
+
+      const text = document.createElement('span');
+      text.className = 'options-stale-text';
+      text.appendChild(title);
+      text.appendChild(meta);
+
+      const label = document.createElement('label');
+      label.className = 'options-stale-item';
+      label.appendChild(checkbox);
+      label.appendChild(text);
+
+      const item = document.createElement('li');
+      item.appendChild(label);
+      list.appendChild(item);
+    }
+
+    const selectedCount = this._selectedStaleNoteIds.size;
+    const allSelected = selectedCount === notes.length;
+
+    const actions = document.createElement('div');
+    actions.className = 'options-actions';
+    actions.appendChild(this._createButton(allSelected ? '選択を解除' : 'すべて選択', () => {
+      this._selectedStaleNoteIds = allSelected ? new Set() : new Set(notes.map(note => note.noteId));
+      this.render();
+    }, { focusKey: 'stale-select-all', disabled: !this._canEdit() }));
+    actions.appendChild(this._createButton(
+      selectedCount > 0 ? `選択した ${selectedCount}件を削除` : '選択を削除',
+      () => this._purgeStaleNotes([...this._selectedStaleNoteIds]),
+      { focusKey: 'stale-purge-selected', disabled: !this._canEdit() || selectedCount === 0, danger: true }
+    ));
+    actions.appendChild(this._createButton(
+      `すべて削除（${notes.length}件）`,
+      () => this._purgeStaleNotes(notes.map(note => note.noteId)),
+      { focusKey: 'stale-purge-all', disabled: !this._canEdit(), danger: true }
+    ));
+
+    container.appendChild(list);
+    container.appendChild(actions);
+    return container;
+  }
+
+  /**
+   * 初期化
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  _createResetItems() {
+    const resetSettingsBtn = this._createButton('設定を初期値に戻す', () => this._resetSettings(), {
+      focusKey: 'reset-settings',
+      disabled: !this._canEdit(),
+    });
+
+    const resetAllBtn = this._createButton('すべてのデータを削除', () => this._resetAllData(), {
+      focusKey: 'reset-all',
+      disabled: !this._canEdit(),
+      danger: true,
+    });
+
+    return [
+      this._createItem(
+        '設定',
+        '動作の設定とキーボードショートカットを初期値に戻します。フォルダ・保存済みビュー・自動割り当てルールは残ります',
+        resetSettingsBtn
+      ),
+      this._createItem(
+        'すべてのデータ',
+        'フォルダ・ノートの割り当て・設定をすべて削除します。必要であれば先にエクスポートしてください',
+        resetAllBtn
+      ),
+    ];
+  }
+
+  /**
+   * 診断情報
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  _createDiagnosticsItems() {
+    const info = this._collectDiagnostics();
+    const rows = [
+      ['拡張機能のバージョン', info.version],
+      ['保存先', BACKEND_LABELS[info.backend] || info.backend],
+      ['状態', info.loadFailed ? '読み込み失敗（表示のみ）' : (info.readOnly ? '読み取り専用' : '正常')],
+      ['同期ストレージの使用量', `${info.storage.percentage}%（${info.storage.used} バイト）`],
+      ['フォルダ', `${info.stats.folders}件（空のフォルダ ${info.stats.emptyFolders}件）`],
+      ['ノートの割り当て', `${info.stats.assignments}件 / 上限 ${info.stats.maxNotes}件`],
+      ['ラベル', `${info.stats.labels}件`],
+      ['ピン留め', `${info.stats.pins}件`],
+      ['保存済みビュー', `${info.stats.savedViews}件`],
+      ['自動割り当てルール', `${info.stats.autoAssignRules}件`],
+    ];
+
+    const list = document.createElement('dl');
+    list.className = 'options-diagnostics';
+    for (const [term, value] of rows) {
+      const dt = document.createElement('dt');
+      dt.textContent = term;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      list.appendChild(dt);
+      list.appendChild(dd);
+    }
+
+    const copyBtn = this._createButton('診断情報をコピー', async () => {
+      try {
+        await navigator.clipboard.writeText(JSON.stringify(this._collectDiagnostics(), null, 2));
+        this._showStatus('診断情報をコピーしました（フォルダ名やノートIDは含みません）');
+      } catch (error) {
+        this._showStatus('コピーできませんでした', { error: true });
+      }
+    }, { focusKey: 'copy-diagnostics' });
+
+    const actions = document.createElement('div');
+    actions.className = 'options-actions';
+    actions.appendChild(copyBtn);
+
+    return [list, actions];
+  }
+
+  // ==========================================================================
+  // 操作
+  // ==========================================================================
+
+  /**
+   * フォルダ構成を JSON ファイルとしてダウンロード
+   * @private
+   */
+  _handleExport() {
+    const data = storageManager.exportData();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const date = data.exportedAt.slice(0, 10);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `folderlm-export-${date}.json`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    this._showStatus('エクスポートしました');
+  }
+
+  /**
+   * インポートするファイルを選択
+   * @private
+   */
+  _selectImportFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+
+      let json;
+      try {
+        json = await file.text();
+      } catch (error) {
+        this._showStatus('ファイルを読み込めませんでした', { error: true });
+        return;
+      }
+
+      const preview = storageManager.previewImport(json);
+      if (!preview.success) {
+        this._showStatus(preview.error, { error: true });
+        return;
+      }
+
+      this._pendingImport = { json, fileName: file.name, summary: preview.summary };
+      this.render();
+      document.querySelector('[data-focus-key="import-merge"]')?.focus();
+    });
+    input.click();
+  }
+
+  /**
+   * インポートを実行
+   * @param {string} mode - インポートモード
+   * @private
+   */
+  async _handleImport(mode) {
+    if (!this._pendingImport) return;
+
+    const result = await storageManager.importData(this._pendingImport.json, { mode });
+    if (!result.success) {
+      this._showStatus(result.error, { error: true });
+      return;
+    }
+
+    this._pendingImport = null;
+    this.render();
+    const { foldersAdded, assignmentsImported, skippedFolders = 0, skippedNotes = 0 } = result.stats;
+    const skipped = skippedFolders + skippedNotes > 0
+      ? `。上限のためフォルダ ${skippedFolders}件・ノート ${skippedNotes}件は取り込みませんでした`
+      : '';
+    this._showStatus(
+      `インポートしました（フォルダ追加 ${foldersAdded}件・割り当て ${assignmentsImported}件）${skipped}`,
+      { undoable: true }
+    );
+  }
+
+  /**
+   * 空のフォルダを削除
+   * @private
+   */
+  _deleteEmptyFolders() {
+    const { emptyFolders } = storageManager.getDataStats();
+    if (!confirm(`ノートが1件もないフォルダ ${emptyFolders}件を削除しますか？`)) {
+      return;
+    }
+
+    const result = storageManager.deleteEmptyFolders();
+    this.render();
+    this._showStatus(`空のフォルダを ${result.deletedCount}件削除しました`, { undoable: result.deletedCount > 0 });
+  }
+
+  /**
+   * 開いている NotebookLM のノート一覧と照合し、一覧にないノートの割り当て・ラベル・ピン留めを削除
+   * 複数のタブがある場合はいずれかの一覧にあるノートを残す
+   * @param {HTMLButtonElement} button - 照合中は無効にするボタン
+   * @private
+   */
+  async _cleanupOrphanedNotes(button) {
+    button.disabled = true;
+    const noteIds = await this._getNotebookLMNoteIds();
+    button.disabled = !this._canEdit();
+
+    if (!noteIds) {
+      this._showStatus('NotebookLM のノート一覧（「すべて」タブ）を開き、ノートが表示されてから照合してください', { error: true });
+      return;
+    }
+
+    const orphanedIds = storageManager.findOrphanedNoteIds(noteIds);
+    if (orphanedIds.length === 0) {
+      this._showStatus('孤立した割り当てはありません');
+      return;
+    }
+    if (!confirm(`ノート一覧にないノート ${orphanedIds.length}件の割り当て・ラベル・ピン留めを削除しますか？\n` +
+        '別のアカウントのノート一覧と照合した場合は、そのアカウントのノートも削除されます。')) {
+      return;
+    }
+
+    const result = storageManager.cleanupOrphanedAssignments(noteIds);
+    if (!result.success) {
+      this._showStatus('割り当てを削除できませんでした', { error: true });
+      return;
+    }
+
+    this._selectedStaleNoteIds.clear();
+    this.render();
+    this._showStatus(`${result.deletedCount}件のノートの割り当てを削除しました`, { undoable: result.deletedCount > 0 });
+  }
+
+  /**
+   * 開いている NotebookLM のタブからノート一覧のノートIDを取得
+   * すべてのノートを検出できた一覧（「すべて」タブ）のみを使う
+   * @returns {Promise<string[]|null>} ノートID（照合できるタブがない場合は null）
+   * @private
+   */
+  async _getNotebookLMNoteIds() {
+    const tabs = await new Promise((resolve) => {
+      chrome.tabs.query({ url: NOTEBOOKLM_TAB_URL }, (result) => {
+        resolve(chrome.runtime.lastError ? [] : (result || []));
+      });
+    });
+
+    const responses = await Promise.all(tabs.map(tab => new Promise((resolve) => {
+      chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.GET_NOTE_IDS }, (response) => {
+        resolve(chrome.runtime.lastError ? null : (response || null));
+      });
+    })));
+
+    const complete = responses.filter(response => response?.success && response.complete);
+    if (complete.length === 0) {
+      return null;
+    }
+    return [...new Set(complete.flatMap(response => response.noteIds))];
+  }
+
+  /**
+   * 見つからないノートの割り当て・ラベル・ピン留めを削除
+   * @param {string[]} noteIds - 削除するノートID
+   * @private
+   */
+  _purgeStaleNotes(noteIds) {
+    if (noteIds.length === 0) {
+      return;
+    }
+    if (!confirm(`ノート一覧で見つからないノート ${noteIds.length}件の割り当て・ラベル・ピン留めを削除しますか？\n` +
+        'ノートブック自体は削除されません。')) {
+      return;
+    }
+
+    const result = storageManager.purgeNotes(noteIds);
+    if (!result.success) {
+      this._showStatus(result.error, { error: true });
+      return;
+    }
+
+    this._selectedStaleNoteIds.clear();
+    this.render();
+    this._showStatus(`${result.count}件のノートの割り当てを削除しました`, { undoable: result.count > 0 });
+  }
+
+  /**
+   * 設定を初期値に戻す
+   * @private
+   */
+  _resetSettings() {
+    if (!confirm('動作の設定とキーボードショートカットを初期値に戻しますか？')) {
+      return;
+    }
+
+    storageManager.resetSettings();
+    this.render();
+    this._showStatus('設定を初期値に戻しました', { undoable: true });
+  }
+
+  /**
+   * すべてのデータを削除
+   * @private
+   */
+  _resetAllData() {
+    if (!confirm('フォルダ・ノートの割り当て・設定をすべて削除します。\nすべての端末の FolderLM に反映されます。よろしいですか？')) {
+      return;
+    }
+
+    storageManager.resetAllData();
+    this._pendingImport = null;
+    this.render();
+    this._showStatus('すべてのデータを削除しました', { undoable: true });
+  }
+
+  /**
+   * 直前の操作を元に戻す（このページで行った操作のみ）
+   * @private
+   */
+  _undo() {
+    const result = storageManager.undo();
+    if (!result.success) {
+      this._showStatus(result.error, { error: true });
+      return;
+    }
+
+    this.render();
+    this._showStatus(`「${result.description}」を元に戻しました`);
+  }
+
+  // ==========================================================================
+  // 表示の補助
+  // ==========================================================================
+
+  /**
+   * 変更を受け付けるか
+   * @returns {boolean}
+   * @private
+   */
+  _canEdit() {
+    return !this._loadFailed && !storageManager.isReadOnly();
+  }
+
+  /**
+   * 診断情報を集める（フォルダ名やノートIDなどの内容は含めない）
+   * @returns {Object}
+   * @private
+   */
+  _collectDiagnostics() {
+    return {
+      version: chrome.runtime.getManifest().version,
+      backend: storageManager.getBackendMode(),
+      readOnly: storageManager.isReadOnly(),
+      loadFailed: this._loadFailed,
+      storage: storageManager.getStorageUsage(),
+      stats: storageManager.getDataStats(),
+      userAgent: navigator.userAgent,
+    };
+  }
+
+  /**
+   * 日時を日付の表記に変換
+   * @param {number|null} timestamp
+   * @returns {string}
+   * @private
+   */
+  _formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleDateString('ja-JP') : '-';
+  }
+
+  /**
+   * コンテナの中身を置き換える
+   * @param {string} id - コンテナの要素ID
+   * @param {HTMLElement[]} children - 中身
+   * @private
+   */
+  _fill(id, children) {
+    const container = document.getElementById(id);
+    container.textContent = '';
+    for (const child of children) {
+      container.appendChild(child);
+    }
+  }
+
+  /**
+   * 設定の行を作成
+   * @param {string} title - 見出し
+   * @param {string} description - 説明
+   * @param {HTMLElement|null} control - 操作の要素
+   * @param {Object} [options]
+   * @param {boolean} [options.wrapInLabel=false] - 行全体を control のラベルにする（チェックボックス用）
+   * @param {string} [options.labelFor] - 見出しを control のラベルにする場合の control の要素ID
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createItem(title, description, control, { wrapInLabel = false, labelFor } = {}) {
+    const item = document.createElement(wrapInLabel ? 'label' : 'div');
+    item.className = 'options-item';
+
+    const text = document.createElement('span');
+    text.className = 'options-item-text';
+
+    const titleElement = document.createElement(labelFor ? 'label' : 'span');
+    titleElement.className = 'options-item-title';
+    titleElement.textContent = title;
+    if (labelFor) {
+      titleElement.htmlFor = labelFor;
+    }
+    text.appendChild(titleElement);
+
+    if (description) {
+      const desc = document.createElement('span');
+      desc.className = 'options-item-description';
+      desc.textContent = description;
+      text.appendChild(desc);
+    }
+
+    item.appendChild(text);
+    if (control) {
+      item.appendChild(control);
+    }
+    return item;
+  }
+
+  /**
+   * ボタンを作成
+   * @param {string} text - 表示名
+   * @param {Function} onClick - クリック時の処理
+   * @param {Object} [options]
+   * @param {string} [options.focusKey] - 再描画後にフォーカスを戻すためのキー
+   * @param {boolean} [options.disabled=false]
+   * @param {boolean} [options.primary=false] - 主要な操作として表示
+   * @param {boolean} [options.danger=false] - 取り消しにくい操作として表示
+   * @param {string} [options.title] - ツールチップ
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createButton(text, onClick, { focusKey, disabled = false, primary = false, danger = false, title } = {}) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'options-button';
+    if (primary) btn.classList.add('options-button--primary');
+    if (danger) btn.classList.add('options-button--danger');
+    btn.textContent = text;
+    btn.disabled = disabled;
+    if (title) btn.title = title;
+    if (focusKey) btn.setAttribute('data-focus-key', focusKey);
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  /**
+   * 操作結果のメッセージを表示
+   * @param {string} message - メッセージ
+   * @param {Object} [options]
+   * @param {boolean} [options.error=false] - エラーとして表示
+   * @param {boolean} [options.undoable=false] - 「元に戻す」ボタンを表示
+   * @param {boolean} [options.persistent=false] - 自動で消さない
+   * @private
+   */
+  _showStatus(message, { error = false, undoable = false, persistent = false } = {}) {
+    const status = document.getElementById('options-status');
+    status.querySelector('.options-status-message').textContent = message;
+    status.querySelector('.options-status-undo').hidden = !undoable;
+    status.classList.toggle('error', error);
+    status.hidden = false;
+
+    clearTimeout(this._statusTimer);
+    this._statusTimer = persistent ? null : setTimeout(() => {
+      status.hidden = true;
+    }, STATUS_DURATION);
+  }
+
+  /**
+   * ページ上部に警告を表示
+   * @param {string} message - メッセージ
+   * @private
+   */
+  _showBanner(message) {
+    const banner = document.getElementById('options-banner');
+    banner.textContent = message;
+    banner.hidden = false;
+  }
+}
+
+// オプションページのインスタンス
+const page = new OptionsPage();
+
+// DOM 読み込み完了後に初期化
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => page.init());
+} else {
+  page.init();
+}
+
+export default page;
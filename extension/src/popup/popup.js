@@ -0,0 +1,422 @@
+/**
+ * FolderLM - Toolbar Popup
+ *
+ * ツールバーのアイコンから開くポップアップ。フォルダとノート数を一覧表示し、
+ * 選んだフォルダでアクティブな NotebookLM のタブを絞り込む。
+ * ノートブックのページで開いた場合は、そのノートブックをフォルダに割り当てられる。
+ *
+ * 絞り込みはタブのコンテンツスクリプトにメッセージ（utils/messages.js）を送って行う。
+ * 割り当ては storageManager に直接保存し、タブにはタブ間同期で反映する。
+ *
+ * @module popup/popup
+ */
+
+import { storageManager } from '../storage/storageManager.js';
+import { extractNoteIdFromUrl } from '../content/utils/idParser.js';
+import { MESSAGE_TYPES } from '../content/utils/messages.js';
+import { createIconElement, createFolderIconElement } from '../content/utils/icons.js';
+
+/**
+ * NotebookLM の URL
+ */
+const NOTEBOOKLM_URL = 'https://notebooklm.google.com/';
+
+/**
+ * PopupPage クラス
+ * ポップアップの表示と操作を管理
+ */
+class PopupPage {
+  constructor() {
+    /** @type {boolean} データの読み込みに失敗したか（失敗時は上書きを防ぐため変更を受け付けない） */
+    this._loadFailed = false;
+
+    /** @type {Object|null} アクティブなタブ */
+    this._tab = null;
+
+    /** @type {string|null} アクティブなタブで開いているノートブックのID */
+    this._noteId = null;
+
+    /** @type {{ ready: boolean, folderIds: string[] }|null} タブの状態（応答がなければ null） */
+    this._tabState = null;
+  }
+
+  /**
+   * 初期化
+   */
+  async init() {
+    try {
+      await storageManager.load();
+    } catch (error) {
+      this._loadFailed = true;
+    }
+
+    this._tab = await this._getActiveTab();
+    if (this._isNotebookLMTab()) {
+      this._noteId = extractNoteIdFromUrl(this._tab.url);
+      this._tabState = await this._sendMessage({ type: MESSAGE_TYPES.GET_STATE });
+    }
+
+    // 他のタブでの変更を表示に反映
+    storageManager.onChange((event) => {
+      if (['remote_changed', 'history_applied', 'migrated'].includes(event.type)) {
+        this.render();
+      }
+    });
+
+    // 閉じる前に保留中の保存を書き込む
+    window.addEventListener('pagehide', () => {
+      storageManager.debouncedSave.flush();
+    });
+
+    const optionsBtn = document.getElementById('popup-options');
+    optionsBtn.appendChild(createIconElement('settings', 18));
+    optionsBtn.addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+      window.close();
+    });
+
+    this.render();
+  }
+
+  /**
+   * ポップアップ全体を描画
+   */
+  render() {
+    this._renderContextMessage();
+    this._renderNotebook();
+    this._renderFolders();
+  }
+
+  // ==========================================================================
+  // 描画
+  // ==========================================================================
+
+  /**
+   * タブの状況に応じた案内を表示
+   * @private
+   */
+  _renderContextMessage() {
+    if (!this._isNotebookLMTab()) {
+      const openBtn = document.createElement('button');
+      openBtn.type = 'button';
+      openBtn.className = 'popup-button';
+      openBtn.textContent = 'NotebookLM を開く';
+      openBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: NOTEBOOKLM_URL });
+        window.close();
+      });
+      this._showMessage('NotebookLM のタブで開くと、フォルダで絞り込めます', { action: openBtn });
+    } else if (this._noteId) {
+      this._showMessage('ノート一覧のページで開くと、フォルダで絞り込めます');
+    } else if (!this._tabState) {
+      this._showMessage('FolderLM を読み込めていません。ページを再読み込みしてください', { error: true });
+    } else if (!this._tabState.ready) {
+      this._showMessage('FolderLM がこのページで動作していないため、絞り込めません');
+    } else {
+      this._hideMessage();
+    }
+  }
+
+  /**
+   * 開いているノートブックの割り当て
+   * @private
+   */
+  _renderNotebook() {
+    const section = document.getElementById('popup-notebook');
+    const body = document.getElementById('popup-notebook-body');
+    body.textContent = '';
+    section.hidden = !this._noteId;
+    if (!this._noteId) {
+      return;
+    }
+
+    const current = storageManager.getNoteFolder(this._noteId) || storageManager.UNCATEGORIZED_ID;
+
+    const label = document.createElement('label');
+    label.className = 'popup-field-label';
+    label.htmlFor = 'popup-notebook-folder';
+    label.textContent = 'フォルダに割り当て';
+    body.appendChild(label);
+
+    const select = document.createElement('select');
+    select.id = 'popup-notebook-folder';
+    select.className = 'popup-select';
+    select.disabled = !this._canEdit();
+    for (const { folder, depth } of storageManager.getFlattenedFolderTree()) {
+      const option = document.createElement('option');
+      option.value = folder.id;
+      option.textContent = `${'　'.repeat(depth)}${folder.name}`;
+      select.appendChild(option);
+    }
+    select.value = current;
+    select.addEventListener('change', () => this._assignNotebook(select.value));
+    body.appendChild(select);
+
+    // 複数フォルダモードのラベルはノート一覧の割り当てポップアップで編集する
+    const labels = storageManager.isMultiFolderMode()
+      ? storageManager.getNoteLabels(this._noteId).map(id => storageManager.getFolder(id)?.name).filter(Boolean)
+      : [];
+    if (labels.length > 0) {
+      const hint = document.createElement('p');
+      hint.className = 'popup-hint';
+      hint.textContent = `ラベル: ${labels.join('、')}（ラベルはノート一覧で編集できます）`;
+      body.appendChild(hint);
+    }
+  }
+
+  /**
+   * フォルダの一覧
+   * @private
+   */
+  _renderFolders() {
+    const list = document.getElementById('popup-folders');
+    list.textContent = '';
+
+    const canFilter = this._canFilter();
+    const selectedIds = this._tabState?.folderIds || [];
+    const noteCounts = storageManager.getFolderNoteCounts();
+
+    list.appendChild(this._createFolderItem(
+      { id: '', name: 'すべてのノート' },
+      null,
+      { depth: 0, selected: canFilter && selectedIds.length === 0, disabled: !canFilter }
+    ));
+
+    for (const { folder, depth } of storageManager.getFlattenedFolderTree()) {
+      list.appendChild(this._createFolderItem(folder, noteCounts.get(folder.id) || 0, {
+        depth,
+        selected: selectedIds.includes(folder.id),
+        disabled: !canFilter,
+      }));
+
+      // ドロップダウンと同じく「未分類」の隣に「ピン留め」を置く
+      if (folder.id === storageManager.UNCATEGORIZED_ID) {
+        const pinnedId = storageManager.PINNED_ID;
+        list.appendChild(this._createFolderItem(
+          { id: pinnedId, name: 'ピン留め' },
+          storageManager.getPinnedNoteIds().length,
+          { depth: 0, selected: selectedIds.includes(pinnedId), disabled: !canFilter }
+        ));
+      }
+    }
+  }
+
+  /**
+   * フォルダの行を作成
+   * @param {Object} folder - フォルダオブジェクト（「すべてのノート」「ピン留め」を含む）
+   * @param {number|null} noteCount - ノート数（サブフォルダを含む。表示しない場合は null）
+   * @param {Object} state - 表示状態
+   * @param {number} state.depth - 階層の深さ（ルート = 0）
+   * @param {boolean} state.selected - タブで絞り込み中か
+   * @param {boolean} state.disabled - 絞り込めないか
+   * @returns {HTMLLIElement}
+   * @private
+   */
+  _createFolderItem(folder, noteCount, { depth, selected, disabled }) {
+    const item = document.createElement('li');
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'popup-folder';
+    btn.disabled = disabled;
+    btn.setAttribute('data-folder-id', folder.id);
+    btn.style.setProperty('--popup-folder-depth', depth.toString());
+    if (selected) {
+      btn.classList.add('active');
+      btn.setAttribute('aria-current', 'true');
+    }
+
+    let icon;
+    if (folder.id === '') {
+      icon = createIconElement('inbox', 16);
+    } else if (folder.id === storageManager.PINNED_ID) {
+      icon = createIconElement('pin', 16);
+    } else {
+      icon = createFolderIconElement(folder, 16);
+    }
+    btn.appendChild(icon);
+
+    const name = document.createElement('span');
+    name.className = 'popup-folder-name';
+    name.textContent = folder.name;
+    btn.appendChild(name);
+
+    if (noteCount !== null) {
+      const count = document.createElement('span');
+      count.className = 'popup-folder-count';
+      count.textContent = noteCount.toString();
+      count.setAttribute('aria-label', `${noteCount}件のノート`);
+      btn.appendChild(count);
+    }
+
+    btn.addEventListener('click', () => this._selectFolder(folder.id || null));
+
+    item.appendChild(btn);
+    return item;
+  }
+
+  // ==========================================================================
+  // 操作
+  // ==========================================================================
+
+  /**
+   * タブをフォルダで絞り込んでポップアップを閉じる
+   * @param {string|null} folderId - フォルダID（null ですべてのノート）
+   * @private
+   */
+  async _selectFolder(folderId) {
+    const response = await this._sendMessage({ type: MESSAGE_TYPES.SELECT_FOLDER, folderId });
+    if (!response) {
+      this._showMessage('タブに接続できませんでした。ページを再読み込みしてください', { error: true });
+      return;
+    }
+    if (!response.success) {
+      this._showMessage(response.error, { error: true });
+      return;
+    }
+
+    window.close();
+  }
+
+  /**
+   * 開いているノートブックをフォルダに割り当て
+   * @param {string} folderId - フォルダID
+   * @private
+   */
+  async _assignNotebook(folderId) {
+    const result = storageManager.assignNote(this._noteId, folderId);
+    if (!result.success) {
+      this.render();
+      this._showMessage(result.error, { error: true });
+      return;
+    }
+
+    // ポップアップはすぐに閉じられることがあるため、待たずに保存する
+    try {
+      await storageManager.saveImmediate();
+    } catch (error) {
+      this.render();
+      this._showMessage('割り当てを保存できませんでした', { error: true });
+      return;
+    }
+    this.render();
+
+    const folder = storageManager.getFolder(folderId);
+    this._showMessage(`「${folder?.name || ''}」に割り当てました`);
+  }
+
+  // ==========================================================================
+  // 補助
+  // ==========================================================================
+
+  /**
+   * 変更を受け付けるか
+   * @returns {boolean}
+   * @private
+   */
+  _canEdit() {
+    return !this._loadFailed && !storageManager.isReadOnly();
+  }
+
+  /**
+   * アクティブなタブを絞り込めるか
+   * @returns {boolean}
+   * @private
+   */
+  _canFilter() {
+    return this._isNotebookLMTab() && !this._noteId && this._tabState?.ready === true;
+  }
+
+  /**
+   * アクティブなタブが NotebookLM か
+   * （URL は host_permissions のあるサイトでのみ取得できる）
+   * @returns {boolean}
+   * @private
+   */
+  _isNotebookLMTab() {
+    return typeof this._tab?.url === 'string' && this._tab.url.startsWith(NOTEBOOKLM_URL);
+  }
+
+  /**
+   * 現在のウィンドウのアクティブなタブを取得
+   * @returns {Promise<Object|null>}
+   * @private
+   */
+  _getActiveTab() {
+    return new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(tabs?.[0] || null);
+      });
+    });
+  }
+
+  /**
+   * アクティブなタブのコンテンツスクリプトにメッセージを送る
+   * @param {Object} message - utils/messages.js のメッセージ
+   * @returns {Promise<Object|null>} 応答（コンテンツスクリプトが読み込まれていなければ null）
+   * @private
+   */
+  _sendMessage(message) {
+    return new Promise((resolve) => {
+      if (!this._tab?.id) {
+        resolve(null);
+        return;
+      }
+      chrome.tabs.sendMessage(this._tab.id, message, (response) => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response || null);
+      });
+    });
+  }
+
+  /**
+   * 案内・操作結果のメッセージを表示
+   * @param {string} text - メッセージ
+   * @param {Object} [options]
+   * @param {boolean} [options.error=false] - エラーとして表示
+   * @param {HTMLElement} [options.action] - メッセージに添える操作
+   * @private
+   */
+  _showMessage(text, { error = false, action = null } = {}) {
+    const message = document.getElementById('popup-message');
+    message.textContent = '';
+
+    const textElement = document.createElement('span');
+    textElement.className = 'popup-message-text';
+    textElement.textContent = text;
+    message.appendChild(textElement);
+    if (action) {
+      message.appendChild(action);
+    }
+
+    message.classList.toggle('error', error);
+    message.hidden = false;
+  }
+
+  /**
+   * メッセージを隠す
+   * @private
+   */
+  _hideMessage() {
+    document.getElementById('popup-message').hidden = true;
+  }
+}
+
+// ポップアップのインスタンス
+const page = new PopupPage();
+
+// DOM 読み込み完了後に初期化
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => page.init());
+} else {
+  page.init();
+}
+
+export default page;
@@ -3,11 +3,17 @@
  * 
  * chrome.storage.sync を使用してフォルダ情報とノート割り当てを永続化するマネージャー。
  * データのバリデーション、デバウンス保存、エラーハンドリングを担当。
+ *
+ * chrome.storage を直接読み書きするのはサービスワーカーで動くインスタンス（owner）だけ。
+ * タブや拡張機能のページのインスタンス（client）は同じ API でメモリ上の状態を操作し、
+ * 読み込み・保存・保存先の変更をメッセージでサービスワーカーに依頼する（background/storageService.js）。
  * 
  * @module storage/storageManager
  */
 
 import { debounce } from '../content/utils/debounce.js';
+import { DEFAULT_SHORTCUTS, normalizeShortcut } from '../content/utils/shortcuts.js';
+import { STORAGE_MESSAGE_TYPES } from '../content/utils/messages.js';
 
 /**
  * ストレージのキー名
@@ -17,20 +23,166 @@ const STORAGE_KEYS = {
   NOTE_ASSIGNMENTS: 'noteAssignments', // legacy (single item)
   NOTE_ASSIGNMENTS_INDEX: 'noteAssignmentsIndex',
   NOTE_ASSIGNMENTS_CHUNK_PREFIX: 'noteAssignmentsChunk_',
+  NOTE_LABELS_INDEX: 'noteLabelsIndex',
+  NOTE_LABELS_CHUNK_PREFIX: 'noteLabelsChunk_',
+  NOTE_PINS_INDEX: 'notePinsIndex',
+  NOTE_PINS_CHUNK_PREFIX: 'notePinsChunk_',
   SETTINGS: 'settings',
   VERSION: 'version',
+  /** 最後に保存したタブ（セッション）の情報 */
+  LAST_WRITER: 'lastWriter',
 };
 
+/**
+ * 読み込み時に取得するキー
+ */
+const LOAD_KEYS = [
+  STORAGE_KEYS.FOLDERS,
+  STORAGE_KEYS.NOTE_ASSIGNMENTS,
+  STORAGE_KEYS.NOTE_ASSIGNMENTS_INDEX,
+  STORAGE_KEYS.NOTE_LABELS_INDEX,
+  STORAGE_KEYS.NOTE_PINS_INDEX,
+  STORAGE_KEYS.SETTINGS,
+  STORAGE_KEYS.VERSION,
+  STORAGE_KEYS.LAST_WRITER,
+];
+
+/**
+ * chrome.storage.local のキー名（同期しないデータ）
+ */
+const LOCAL_STORAGE_KEYS = {
+  MIGRATION_BACKUP: 'migrationBackup',
+  /** この端末で使用する保存先（STORAGE_BACKENDS） */
+  STORAGE_BACKEND: 'storageBackend',
+  /** ノートを一覧で最後に確認した日時（端末ごとの記録。ノート数に比例して大きくなるため同期しない） */
+  NOTE_ACTIVITY: 'noteActivity',
+};
+
+/**
+ * インスタンスの役割
+ * - owner: chrome.storage を直接読み書きする（サービスワーカー）
+ * - client: サービスワーカーに読み書きを依頼する（コンテンツスクリプト・ポップアップ・オプションページ）
+ */
+const ROLES = {
+  OWNER: 'owner',
+  CLIENT: 'client',
+};
+
+/**
+ * サービスワーカーで動作しているか
+ */
+const IS_SERVICE_WORKER = typeof ServiceWorkerGlobalScope !== 'undefined' &&
+  typeof self !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+
+/**
+ * ストレージ領域
+ */
+const STORAGE_AREAS = {
+  SYNC: 'sync',
+  LOCAL: 'local',
+};
+
+/**
+ * 保存先（バックエンド）
+ * - sync: すべて chrome.storage.sync（端末間で同期、容量制限あり）
+ * - local: すべて chrome.storage.local（この端末のみ、容量無制限）
+ * - hybrid: フォルダと設定は sync、ノート割り当てとラベルは local
+ * 保存先は端末ごとの設定として chrome.storage.local に保存する
+ */
+const STORAGE_BACKENDS = {
+  SYNC: 'sync',
+  LOCAL: 'local',
+  HYBRID: 'hybrid',
+};
+
+/**
+ * スキーママイグレーションの登録（バージョン順）
+ *
+ * 各ステップは論理データ { folders, noteAssignments, noteLabels, pinnedNoteIds, settings } を受け取り、
+ * `version` のスキーマに変換した論理データを返す。分割保存などの保存形式には依存しない。
+ * 失敗時は例外を投げる（マイグレーション全体がロールバックされる）。
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'フォルダ階層（parentId）の追加と並び順の正規化',
+    migrate(data) {
+      // 保存されている order の順に並べてから振り直す（order のないフォルダは配列の順で末尾に）
+      const rankOf = folder => (Number.isFinite(folder.order) ? folder.order : Infinity);
+      const folders = (Array.isArray(data.folders) ? data.folders : [])
+        .filter(folder => folder && typeof folder === 'object')
+        .map((folder, index) => ({ folder, index }))
+        .sort((a, b) => (rankOf(a.folder) - rankOf(b.folder)) || (a.index - b.index))
+        .map(({ folder }, index) => ({
+          ...folder,
+          order: index,
+          parentId: typeof folder.parentId === 'string' ? folder.parentId : null,
+        }));
+
+      return {
+        ...data,
+        folders,
+        noteLabels: data.noteLabels && typeof data.noteLabels === 'object' ? data.noteLabels : {},
+      };
+    },
+  },
+];
+
 /**
  * 現在のデータスキーマバージョン
  */
-const CURRENT_VERSION = 1;
+const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * エクスポートファイルの形式識別子
+ */
+const EXPORT_FORMAT = 'folderlm-export';
+
+/**
+ * インポートモード
+ */
+const IMPORT_MODES = {
+  /** 既存データに統合する */
+  MERGE: 'merge',
+  /** 既存データを置き換える */
+  REPLACE: 'replace',
+};
+
+/**
+ * ノートカードの並び順
+ */
+const SORT_MODES = {
+  /** NotebookLM の表示順のまま */
+  NONE: 'none',
+  /** フォルダ順（フォルダツリーの順にまとめる） */
+  FOLDER: 'folder',
+  /** タイトル順 */
+  TITLE: 'title',
+  /** 手動（ドラッグで並べた順） */
+  MANUAL: 'manual',
+};
+
+/**
+ * 自動割り当てルールの条件の種類
+ */
+const RULE_MATCH_TYPES = {
+  /** キーワード（カンマ区切り）のいずれかをタイトルに含む */
+  KEYWORDS: 'keywords',
+  /** 正規表現にタイトルが一致する（大文字・小文字は区別しない） */
+  REGEX: 'regex',
+};
 
 /**
  * 「未分類」フォルダのID（固定）
  */
 const UNCATEGORIZED_FOLDER_ID = '__uncategorized__';
 
+/**
+ * 「ピン留め」疑似フォルダのID（固定）
+ * フォルダ一覧には含まれず、フォルダ条件・見出しでピン留めしたノートを表す
+ */
+const PINNED_FOLDER_ID = '__pinned__';
+
 /**
  * デフォルトのフォルダデータ
  */
@@ -40,6 +192,7 @@ const DEFAULT_FOLDERS = [
     name: '未分類',
     order: 0,
     isDefault: true,
+    parentId: null,
   },
 ];
 
@@ -49,7 +202,13 @@ const DEFAULT_FOLDERS = [
 const LIMITS = {
   MAX_FOLDER_NAME_LENGTH: 30,
   MAX_FOLDERS: 200,
+  /** フォルダ階層の最大深さ（ルート = 1） */
+  MAX_FOLDER_DEPTH: 5,
   MAX_NOTES: 1000,
+  /** ノート割り当てを local に保存する場合（local / hybrid）のノート数上限 */
+  MAX_NOTES_LOCAL: 20000,
+  /** 1ノートあたりのラベル（追加フォルダ）の上限 */
+  MAX_LABELS_PER_NOTE: 10,
   /** chrome.storage.sync の容量上限（バイト） */
   STORAGE_QUOTA_BYTES: 102400, // 100KB
   /** chrome.storage.sync の1アイテム上限（バイト） */
@@ -58,6 +217,90 @@ const LIMITS = {
   STORAGE_ITEM_SAFE_BYTES: 7000,
   /** 警告を出す容量閾値（80%） */
   STORAGE_WARNING_THRESHOLD: 0.8,
+  /** 元に戻せる操作の数 */
+  MAX_HISTORY: 50,
+  /** 保存済みビューの上限 */
+  MAX_SAVED_VIEWS: 20,
+  MAX_VIEW_NAME_LENGTH: 30,
+  /** 保存済みビューに含める検索クエリの最大長 */
+  MAX_VIEW_QUERY_LENGTH: 200,
+  /** 手動の並び順に記録するノート数の上限（設定は1アイテムに保存するため） */
+  MAX_MANUAL_ORDER: 100,
+  /** ピン留めできるノート数の上限 */
+  MAX_PINNED_NOTES: 100,
+  /** サイドバーの幅（px） */
+  MIN_SIDEBAR_WIDTH: 180,
+  MAX_SIDEBAR_WIDTH: 480,
+  /** 自動割り当てルールの上限（設定は1アイテムに保存するため） */
+  MAX_AUTO_ASSIGN_RULES: 20,
+  MAX_RULE_PATTERN_LENGTH: 100,
+  /** 最終確認日時を更新する間隔（ミリ秒。これより短い間隔では書き込まない） */
+  NOTE_SEEN_INTERVAL_MS: 60 * 60 * 1000,
+  /** 最終確認日時と一緒に記録するタイトルの最大長 */
+  MAX_SEEN_TITLE_LENGTH: 100,
+  /** 見つからないノートとみなすまでの日数 */
+  MIN_STALE_NOTE_DAYS: 30,
+  MAX_STALE_NOTE_DAYS: 365,
+  /** 自動削除で一度に削除するノートの上限（割り当てのあるノートに対する割合と件数。超える場合は削除しない） */
+  AUTO_PURGE_MAX_RATIO: 0.2,
+  AUTO_PURGE_MAX_NOTES: 50,
+};
+
+/**
+ * フォルダに設定できる色（パレットのキー）
+ * 実際の色はライト/ダークテーマごとに content.css で定義する
+ */
+const FOLDER_COLORS = ['red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink', 'gray'];
+
+/**
+ * フォルダに設定できるアイコン（icons.js のアイコンタイプ）
+ */
+const FOLDER_ICONS = ['folder', 'star', 'book', 'briefcase', 'code', 'flag', 'heart', 'lightbulb'];
+
+/**
+ * 操作履歴（元に戻す / やり直し）の操作種別
+ */
+const HISTORY_TYPES = {
+  CREATE_FOLDER: 'create_folder',
+  RENAME_FOLDER: 'rename_folder',
+  UPDATE_FOLDER_APPEARANCE: 'update_folder_appearance',
+  DELETE_FOLDER: 'delete_folder',
+  DELETE_EMPTY_FOLDERS: 'delete_empty_folders',
+  REORDER_FOLDERS: 'reorder_folders',
+  MOVE_FOLDER: 'move_folder',
+  ASSIGN_NOTE: 'assign_note',
+  ASSIGN_NOTES: 'assign_notes',
+  AUTO_ASSIGN: 'auto_assign',
+  UNASSIGN_NOTE: 'unassign_note',
+  SET_NOTE_LABELS: 'set_note_labels',
+  PIN_NOTES: 'pin_notes',
+  PURGE_NOTES: 'purge_notes',
+  IMPORT: 'import',
+  RESET_SETTINGS: 'reset_settings',
+  RESET_ALL: 'reset_all',
+};
+
+/**
+ * 操作種別の表示名
+ */
+const HISTORY_LABELS = {
+  [HISTORY_TYPES.CREATE_FOLDER]: 'フォルダの作成',
+  [HISTORY_TYPES.RENAME_FOLDER]: 'フォルダ名の変更',
+  [HISTORY_TYPES.UPDATE_FOLDER_APPEARANCE]: 'フォルダの色・アイコンの変更',
+  [HISTORY_TYPES.DELETE_FOLDER]: 'フォルダの削除',
+  [HISTORY_TYPES.DELETE_EMPTY_FOLDERS]: '空のフォルダの削除',
+  [HISTORY_TYPES.REORDER_FOLDERS]: 'フォルダの並び替え',
+  [HISTORY_TYPES.MOVE_FOLDER]: 'フォルダの移動',
+  [HISTORY_TYPES.ASSIGN_NOTE]: 'ノートの割り当て',
+  [HISTORY_TYPES.ASSIGN_NOTES]: 'ノートの一括移動',
+  [HISTORY_TYPES.AUTO_ASSIGN]: 'ルールによる自動割り当て',
+  [HISTORY_TYPES.UNASSIGN_NOTE]: 'ノートの割り当て解除',
+  [HISTORY_TYPES.SET_NOTE_LABELS]: 'ラベルの変更',
+  [HISTORY_TYPES.PIN_NOTES]: 'ピン留めの変更',
+  [HISTORY_TYPES.PURGE_NOTES]: '見つからないノートの割り当ての削除',
+  [HISTORY_TYPES.IMPORT]: 'インポート',
+  [HISTORY_TYPES.RESET_SETTINGS]: '設定の初期化',
+  [HISTORY_TYPES.RESET_ALL]: 'すべてのデータの削除',
 };
 
 /**
@@ -68,12 +311,49 @@ const ERROR_TYPES = {
   LOAD_FAILED: 'LOAD_FAILED',
   SAVE_FAILED: 'SAVE_FAILED',
   VALIDATION_FAILED: 'VALIDATION_FAILED',
+  MIGRATION_FAILED: 'MIGRATION_FAILED',
+  VERSION_MISMATCH: 'VERSION_MISMATCH',
 };
 
 /**
  * デフォルト設定
  */
-const DEFAULT_SETTINGS = {};
+const DEFAULT_SETTINGS = {
+  /** 1つのノートを複数フォルダに所属させる（ラベル）モード */
+  multiFolderMode: false,
+  /** 検索で誤字や文字の抜けを許容し、一致度の高い順に並べる */
+  fuzzySearch: false,
+  /**
+   * 保存済みビュー（フォルダ条件と検索クエリの名前付きスナップショット）
+   * @type {Array<{ id: string, name: string, folderIds: string[], excludedFolderIds: string[], searchQuery: string }>}
+   */
+  savedViews: [],
+  /** ノートカードの並び順（SORT_MODES） */
+  sortMode: SORT_MODES.NONE,
+  /** 手動の並び順で先頭に並べるノートID（この順に表示し、残りは NotebookLM の順序で続ける） */
+  manualOrder: [],
+  /** ノート一覧をフォルダごとの見出しでまとめて表示する */
+  groupByFolder: false,
+  /** 見出しを折りたたんだフォルダID（未分類を含む） */
+  collapsedGroupIds: [],
+  /** ノート一覧の横にフォルダのサイドバーを常に表示する */
+  sidebarEnabled: false,
+  /** サイドバーの幅（px） */
+  sidebarWidth: 240,
+  /** サイドバーを折りたたんでいるか */
+  sidebarCollapsed: false,
+  /**
+   * 自動割り当てルール（配列の順が優先順位。最初に一致したルールのフォルダに割り当てる）
+   * @type {Array<{ id: string, matchType: string, pattern: string, folderId: string, enabled: boolean }>}
+   */
+  autoAssignRules: [],
+  /** キーボードショートカット（操作ID → キーの表記。空文字列は未設定） */
+  shortcuts: { ...DEFAULT_SHORTCUTS },
+  /** 見つからないノートとみなすまでの日数（ノート一覧で最後に確認してから） */
+  staleNoteDays: 90,
+  /** 見つからないノートの割り当てを自動で削除する */
+  autoPurgeStaleNotes: false,
+};
 
 /**
  * Storage Manager クラス
@@ -82,18 +362,69 @@ class StorageManager {
   constructor() {
     this.folders = [...DEFAULT_FOLDERS];
     this.noteAssignments = {};
+    /** @type {Object<string, string[]>} ノートID → ラベル（追加フォルダID）配列 */
+    this.noteLabels = {};
+    /** @type {string[]} ピン留めしたノートID（ピン留めした順） */
+    this.pinnedNoteIds = [];
     this.settings = { ...DEFAULT_SETTINGS };
     this.loaded = false;
     this._assignmentChunkCount = 0;
+    this._labelChunkCount = 0;
+    this._pinChunkCount = 0;
+
+    /** 保存先（STORAGE_BACKENDS） */
+    this._backendMode = STORAGE_BACKENDS.SYNC;
+
+    /** インスタンスの役割（ROLES） */
+    this._role = IS_SERVICE_WORKER ? ROLES.OWNER : ROLES.CLIENT;
+
+    // 操作履歴（元に戻す / やり直し）
+    this._undoStack = [];
+    this._redoStack = [];
+    /** 記録中の操作のネスト数（内部で呼ばれた操作は外側の操作として記録する） */
+    this._historyDepth = 0;
 
     // 保存処理をデバウンス（300ms）
-    this.debouncedSave = debounce(() => this._save(), 300);
+    // 失敗は _emitError で通知済みのため、ここでは握りつぶす（待つ必要がある場合は saveImmediate を使う）
+    this.debouncedSave = debounce(() => this._save().catch(() => {}), 300);
 
     // エラーリスナー
     this._errorListeners = [];
 
+    // 変更イベントリスナー
+    this._changeListeners = [];
+
+    // 読み取り専用（新しいバージョンのデータやマイグレーション失敗時に保存を止める）
+    this._readOnly = false;
+
+    // タブ間同期
+    /** このタブのセッションID（自分の書き込みを判別する） */
+    this._sessionId = `session_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+    /** 最後にストレージと一致していた状態（3-way マージの基準） */
+    this._syncedSnapshot = null;
+    /** 最後に取り込んだ書き込み元 */
+    this._lastKnownWriter = null;
+    /** @type {Function|null} chrome.storage.onChanged のリスナー */
+    this._boundHandleStorageChange = null;
+    /** @type {Promise|null} 実行中のリモート変更の取り込み */
+    this._remoteSyncPromise = null;
+
+    // サービスワーカーとの通信（client）
+    /** 最後に取り込んだサービスワーカーの状態のリビジョン */
+    this._revision = 0;
+    /** @type {Function|null} サービスワーカーからの通知のリスナー */
+    this._boundHandleServiceMessage = null;
+    /** @type {Promise|null} 実行中の保存の依頼（順に送る） */
+    this._commitPromise = null;
+
+    // 他のタブの変更の取り込みをデバウンス（連続した書き込みをまとめる）
+    this.debouncedRemoteSync = debounce(() => this._syncRemoteChanges(), 100);
+
     // 容量警告が表示されたかどうか
     this._quotaWarningShown = false;
+
+    /** @type {Promise<Object>|null} 読み込んだノートの最終確認日時の記録（owner） */
+    this._noteActivityPromise = null;
   }
 
   /**
@@ -133,41 +464,71 @@ class StorageManager {
     }
   }
 
+  /**
+   * 変更イベントリスナーを追加
+   * @param {Function} listener - (event: { type: string, ... }) => void
+   */
+  onChange(listener) {
+    if (typeof listener === 'function') {
+      this._changeListeners.push(listener);
+    }
+  }
+
+  /**
+   * 変更イベントリスナーを削除
+   * @param {Function} listener - 削除するリスナー
+   */
+  offChange(listener) {
+    this._changeListeners = this._changeListeners.filter(l => l !== listener);
+  }
+
+  /**
+   * 変更イベントを発火
+   * @param {Object} event - イベントオブジェクト
+   */
+  _notifyChange(event) {
+    const fullEvent = { ...event, timestamp: Date.now() };
+
+    for (const listener of this._changeListeners) {
+      try {
+        listener(fullEvent);
+      } catch (e) {
+        console.error('[FolderLM Storage] Change listener failed:', e);
+      }
+    }
+  }
+
+  /**
+   * 読み取り専用モードか（保存が止められているか）
+   * @returns {boolean}
+   */
+  isReadOnly() {
+    return this._readOnly;
+  }
+
   /**
    * ストレージからデータを読み込む
    * @returns {Promise<void>}
    */
   async load() {
     try {
-      const data = await this._getStorage([
-        STORAGE_KEYS.FOLDERS,
-        STORAGE_KEYS.NOTE_ASSIGNMENTS,
-        STORAGE_KEYS.NOTE_ASSIGNMENTS_INDEX,
-        STORAGE_KEYS.SETTINGS,
-        STORAGE_KEYS.VERSION,
-      ]);
-
-      // バージョンチェックとマイグレーション
-      const version = data[STORAGE_KEYS.VERSION] || 0;
-      if (version < CURRENT_VERSION) {
-        await this._migrate(version, data);
+      if (this._role === ROLES.CLIENT) {
+        await this._loadFromService();
+      } else {
+        await this._loadFromStorage();
       }
 
-      // データの読み込みとバリデーション
-      this.folders = this._validateFolders(data[STORAGE_KEYS.FOLDERS]);
-      const assignments = await this._loadNoteAssignments(data);
-      this.noteAssignments = this._validateNoteAssignments(assignments);
-      this.settings = this._validateSettings(data[STORAGE_KEYS.SETTINGS]);
-
       this.loaded = true;
       console.log('[FolderLM Storage] Data loaded:', {
         folders: this.folders.length,
         assignments: Object.keys(this.noteAssignments).length,
+        labels: Object.keys(this.noteLabels).length,
+        pins: this.pinnedNoteIds.length,
       });
 
     } catch (error) {
       console.error('[FolderLM Storage] Load failed:', error);
-      // エラー時は安全なデフォルト値を使用
+      // エラー時は安全なデフォルト値を使用（読み取り専用ならストレージは上書きされない）
       this._resetToDefaults();
 
       this._emitError(
@@ -180,35 +541,72 @@ class StorageManager {
     }
   }
 
+  /**
+   * chrome.storage から読み込む（owner）
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadFromStorage() {
+    this._backendMode = await this._loadBackendMode();
+    let data = await this._getDataStorage(LOAD_KEYS);
+
+    // バージョンチェックとマイグレーション
+    const version = data[STORAGE_KEYS.VERSION] || 0;
+    if (version > CURRENT_VERSION) {
+      // 新しいバージョンのデータは上書きしない（読み取り専用で動作）
+      this._readOnly = true;
+      this._emitError(
+        ERROR_TYPES.VERSION_MISMATCH,
+        '新しいバージョンの FolderLM で保存されたデータです。データ保護のため変更は保存されません。拡張機能を更新してください。',
+        { storedVersion: version, currentVersion: CURRENT_VERSION }
+      );
+    } else if (version < CURRENT_VERSION && this._hasStoredData(data)) {
+      const migrated = await this._migrate(version, data);
+      if (migrated) {
+        data = await this._getDataStorage(LOAD_KEYS);
+      }
+    }
+
+    // データの読み込みとバリデーション
+    this.folders = this._validateFolders(data[STORAGE_KEYS.FOLDERS]);
+    const assignments = await this._loadNoteAssignments(data);
+    this.noteAssignments = this._validateNoteAssignments(assignments);
+    const labels = await this._loadNoteLabels(data);
+    this.noteLabels = this._validateNoteLabels(labels);
+    this.pinnedNoteIds = this._validatePinnedNoteIds(await this._loadPinnedNoteIds(data));
+    this.settings = this._validateSettings(data[STORAGE_KEYS.SETTINGS]);
+
+    this._syncedSnapshot = this._createSnapshot();
+    this._lastKnownWriter = data[STORAGE_KEYS.LAST_WRITER] || null;
+    this._startSync();
+  }
+
   /**
    * ストレージにデータを保存（内部用）
    * @returns {Promise<void>}
    */
   async _save() {
+    if (this._readOnly) {
+      console.warn('[FolderLM Storage] Save skipped (read-only)');
+      return;
+    }
+
+    if (this._role === ROLES.CLIENT) {
+      await this._commitToService();
+      return;
+    }
+
     try {
+      // 他のタブの未取り込みの変更があれば先にマージ（古い状態での上書きを防ぐ）
+      await this._syncBeforeSave();
+
       // 保存前に容量チェック
       this._checkStorageUsage();
 
-      const assignmentChunks = this._chunkAssignments(this.noteAssignments);
-      const chunkCount = assignmentChunks.length;
-      const totalAssignments = Object.keys(this.noteAssignments).length;
-
-      const payload = {
-        [STORAGE_KEYS.FOLDERS]: this.folders,
-        [STORAGE_KEYS.SETTINGS]: this.settings,
-        [STORAGE_KEYS.VERSION]: CURRENT_VERSION,
-        [STORAGE_KEYS.NOTE_ASSIGNMENTS_INDEX]: {
-          chunkCount,
-          totalAssignments,
-          updatedAt: Date.now(),
-        },
-      };
-
-      assignmentChunks.forEach((chunk, index) => {
-        payload[`${STORAGE_KEYS.NOTE_ASSIGNMENTS_CHUNK_PREFIX}${index}`] = chunk;
-      });
+      const writer = { sessionId: this._sessionId, savedAt: Date.now() };
+      const { payload, chunkCount, labelChunkCount, pinChunkCount } = this._buildPayload(writer);
 
-      await this._setStorage(payload);
+      await this._setDataStorage(payload);
 
       const keysToRemove = [STORAGE_KEYS.NOTE_ASSIGNMENTS];
       if (this._assignmentChunkCount > chunkCount) {
@@ -216,11 +614,25 @@ class StorageManager {
           keysToRemove.push(`${STORAGE_KEYS.NOTE_ASSIGNMENTS_CHUNK_PREFIX}${i}`);
         }
       }
+      if (this._labelChunkCount > labelChunkCount) {
+        for (let i = labelChunkCount; i < this._labelChunkCount; i++) {
+          keysToRemove.push(`${STORAGE_KEYS.NOTE_LABELS_CHUNK_PREFIX}${i}`);
+        }
+      }
+      if (this._pinChunkCount > pinChunkCount) {
+        for (let i = pinChunkCount; i < this._pinChunkCount; i++) {
+          keysToRemove.push(`${STORAGE_KEYS.NOTE_PINS_CHUNK_PREFIX}${i}`);
+        }
+      }
       if (keysToRemove.length > 0) {
-        await this._removeStorage(keysToRemove);
+        await this._removeDataStorage(keysToRemove);
       }
 
       this._assignmentChunkCount = chunkCount;
+      this._labelChunkCount = labelChunkCount;
+      this._pinChunkCount = pinChunkCount;
+      this._syncedSnapshot = this._createSnapshot();
+      this._lastKnownWriter = writer;
 
       console.log('[FolderLM Storage] Data saved');
 
@@ -242,6 +654,58 @@ class StorageManager {
     }
   }
 
+  /**
+   * 保存するデータを作成
+   * @param {{ sessionId: string, savedAt: number }} writer - 書き込み元情報
+   * @returns {{ payload: Object, chunkCount: number, labelChunkCount: number, pinChunkCount: number }}
+   * @private
+   */
+  _buildPayload(writer) {
+    const assignmentChunks = this._chunkAssignments(this.noteAssignments);
+    const chunkCount = assignmentChunks.length;
+    const totalAssignments = Object.keys(this.noteAssignments).length;
+    const labelChunks = this._chunkAssignments(this.noteLabels);
+    const labelChunkCount = labelChunks.length;
+    const pinChunks = this._chunkNoteIds(this.pinnedNoteIds);
+    const pinChunkCount = pinChunks.length;
+
+    const payload = {
+      [STORAGE_KEYS.FOLDERS]: this.folders,
+      [STORAGE_KEYS.SETTINGS]: this.settings,
+      [STORAGE_KEYS.VERSION]: CURRENT_VERSION,
+      [STORAGE_KEYS.LAST_WRITER]: writer,
+      [STORAGE_KEYS.NOTE_ASSIGNMENTS_INDEX]: {
+        chunkCount,
+        totalAssignments,
+        updatedAt: Date.now(),
+      },
+      [STORAGE_KEYS.NOTE_LABELS_INDEX]: {
+        chunkCount: labelChunkCount,
+        totalLabels: Object.keys(this.noteLabels).length,
+        updatedAt: Date.now(),
+      },
+      [STORAGE_KEYS.NOTE_PINS_INDEX]: {
+        chunkCount: pinChunkCount,
+        totalPins: this.pinnedNoteIds.length,
+        updatedAt: Date.now(),
+      },
+    };
+
+    assignmentChunks.forEach((chunk, index) => {
+      payload[`${STORAGE_KEYS.NOTE_ASSIGNMENTS_CHUNK_PREFIX}${index}`] = chunk;
+    });
+
+    labelChunks.forEach((chunk, index) => {
+      payload[`${STORAGE_KEYS.NOTE_LABELS_CHUNK_PREFIX}${index}`] = chunk;
+    });
+
+    pinChunks.forEach((chunk, index) => {
+      payload[`${STORAGE_KEYS.NOTE_PINS_CHUNK_PREFIX}${index}`] = chunk;
+    });
+
+    return { payload, chunkCount, labelChunkCount, pinChunkCount };
+  }
+
   /**
    * データを保存（デバウンス付き）
    */
@@ -259,235 +723,3329 @@ class StorageManager {
   }
 
   // ==========================================================================
-  // フォルダ操作
+  // 操作履歴（元に戻す / やり直し）
+  //
+  // 各操作の前後の状態を比較し、変更されたフォルダ・ノートだけを前後のパッチとして記録する。
+  // 元に戻す際は「前」のパッチ、やり直す際は「後」のパッチを適用するため、
+  // 他のタブで変更された無関係なフォルダやノートには影響しない。
   // ==========================================================================
 
   /**
-   * すべてのフォルダを取得
-   * @returns {Array} フォルダ配列
+   * 元に戻せるか
+   * @returns {boolean}
    */
-  getFolders() {
-    return [...this.folders];
+  canUndo() {
+    return this._undoStack.length > 0;
   }
 
   /**
-   * フォルダを取得
-   * @param {string} folderId - フォルダID
-   * @returns {Object|null} フォルダオブジェクト
+   * やり直せるか
+   * @returns {boolean}
    */
-  getFolder(folderId) {
-    return this.folders.find(f => f.id === folderId) || null;
+  canRedo() {
+    return this._redoStack.length > 0;
   }
 
   /**
-   * フォルダを作成
-   * @param {string} name - フォルダ名
-   * @returns {{ success: boolean, folder?: Object, error?: string }}
+   * 直前の操作を元に戻す
+   * @returns {{ success: boolean, type?: string, description?: string, error?: string }}
    */
-  createFolder(name) {
-    // バリデーション
-    const validation = this._validateFolderName(name);
-    if (!validation.valid) {
-      return { success: false, error: validation.error };
+  undo() {
+    return this._applyHistory(this._undoStack, this._redoStack, 'before', 'undo');
+  }
+
+  /**
+   * 元に戻した操作をやり直す
+   * @returns {{ success: boolean, type?: string, description?: string, error?: string }}
+   */
+  redo() {
+    return this._applyHistory(this._redoStack, this._undoStack, 'after', 'redo');
+  }
+
+  /**
+   * 操作履歴を消去
+   */
+  clearHistory() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._notifyHistoryChange(null);
+  }
+
+  /**
+   * 操作を実行し、成功した場合は操作履歴に記録
+   * @param {string} type - HISTORY_TYPES のいずれか
+   * @param {Function} operation - 状態を変更する処理（{ success: false } を返した場合は記録しない）
+   * @returns {*} operation の戻り値
+   * @private
+   */
+  _withHistory(type, operation) {
+    // 他の操作の内部で呼ばれた場合は外側の操作としてまとめて記録する
+    if (this._historyDepth > 0) {
+      return operation();
     }
 
-    // 上限チェック
-    if (this.folders.length >= LIMITS.MAX_FOLDERS) {
-      return { success: false, error: `フォルダ数の上限（${LIMITS.MAX_FOLDERS}）に達しています` };
+    const before = this._createSnapshot();
+    let result;
+    this._historyDepth++;
+    try {
+      result = operation();
+    } finally {
+      this._historyDepth--;
     }
 
-    // 新しいフォルダを作成
-    const folder = {
-      id: this._generateId(),
-      name: validation.normalizedName,
-      order: this.folders.length,
-      isDefault: false,
-      createdAt: Date.now(),
-    };
+    if (result?.success !== false) {
+      this._recordHistory(type, before);
+    }
+    return result;
+  }
 
-    this.folders.push(folder);
-    this.save();
+  /**
+   * 操作の前後の差分を履歴に追加
+   * @param {string} type - 操作種別
+   * @param {Object} before - 操作前のスナップショット
+   * @private
+   */
+  _recordHistory(type, before) {
+    const patches = this._diffStates(before, this._createSnapshot());
+    if (!patches) {
+      return;
+    }
+
+    const entry = {
+      type,
+      description: HISTORY_LABELS[type] || type,
+      timestamp: Date.now(),
+      ...patches,
+    };
 
-    console.log('[FolderLM Storage] Folder created:', folder.name);
-    return { success: true, folder };
+    this._undoStack.push(entry);
+    if (this._undoStack.length > LIMITS.MAX_HISTORY) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+    this._notifyHistoryChange(entry);
   }
 
   /**
-   * フォルダ名を変更
-   * @param {string} folderId - フォルダID
-   * @param {string} newName - 新しいフォルダ名
-   * @returns {Promise<{ success: boolean, error?: string }>}
+   * 履歴のエントリを適用してスタック間で移動
+   * @param {Array} fromStack - 取り出すスタック
+   * @param {Array} toStack - 積むスタック
+   * @param {string} patchKey - 適用するパッチ（'before' | 'after'）
+   * @param {string} action - 'undo' | 'redo'
+   * @returns {{ success: boolean, type?: string, description?: string, error?: string }}
+   * @private
    */
-  async renameFolder(folderId, newName) {
-    const folder = this.getFolder(folderId);
-    if (!folder) {
-      return { success: false, error: 'フォルダが見つかりません' };
+  _applyHistory(fromStack, toStack, patchKey, action) {
+    if (this._readOnly) {
+      return { success: false, error: '読み取り専用のため変更できません' };
     }
 
-    // 「未分類」は名称変更不可
-    if (folder.isDefault) {
-      return { success: false, error: 'デフォルトフォルダの名前は変更できません' };
+    const entry = fromStack.pop();
+    if (!entry) {
+      return {
+        success: false,
+        error: action === 'undo' ? '元に戻す操作がありません' : 'やり直す操作がありません',
+      };
     }
 
-    // バリデーション
-    const validation = this._validateFolderName(newName, folderId);
-    if (!validation.valid) {
-      return { success: false, error: validation.error };
-    }
+    this._applyPatch(entry[patchKey]);
+    toStack.push(entry);
+    this.save();
 
-    folder.name = validation.normalizedName;
-    await this.saveImmediate();
+    console.log(`[FolderLM Storage] History ${action}:`, entry.type);
+    this._notifyChange({
+      type: 'history_applied',
+      action,
+      entryType: entry.type,
+      description: entry.description,
+      settingsChanged: Boolean(entry[patchKey].settings),
+    });
+    this._notifyHistoryChange(entry);
+    return { success: true, type: entry.type, description: entry.description };
+  }
 
-    console.log('[FolderLM Storage] Folder renamed:', folder.name);
-    return { success: true };
+  /**
+   * 履歴の状態変更を通知
+   * @param {Object|null} entry - 関係するエントリ
+   * @private
+   */
+  _notifyHistoryChange(entry) {
+    this._notifyChange({
+      type: 'history_changed',
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      entryType: entry?.type || null,
+    });
   }
 
   /**
-   * フォルダを削除
-   * @param {string} folderId - フォルダID
-   * @returns {{ success: boolean, error?: string }}
+   * 2つのスナップショットの差分をパッチとして取得
+   * @param {Object} before - 変更前
+   * @param {Object} after - 変更後
+   * @returns {{ before: Object, after: Object }|null} 差分がなければ null
+   * @private
    */
-  deleteFolder(folderId) {
-    const folder = this.getFolder(folderId);
-    if (!folder) {
-      return { success: false, error: 'フォルダが見つかりません' };
+  _diffStates(before, after) {
+    const patchBefore = { folders: {}, notes: {} };
+    const patchAfter = { folders: {}, notes: {} };
+    let changed = false;
+
+    // フォルダ（並び順は別に比較）
+    const toMap = folders => new Map(folders.map(({ order, ...folder }) => [folder.id, folder]));
+    const beforeFolders = toMap(before.folders);
+    const afterFolders = toMap(after.folders);
+    for (const id of new Set([...beforeFolders.keys(), ...afterFolders.keys()])) {
+      const b = beforeFolders.get(id) || null;
+      const a = afterFolders.get(id) || null;
+      if (!this._isSameValue(b, a)) {
+        patchBefore.folders[id] = b;
+        patchAfter.folders[id] = a;
+        changed = true;
+      }
     }
 
-    // 「未分類」は削除不可
-    if (folder.isDefault) {
-      return { success: false, error: 'デフォルトフォルダは削除できません' };
+    const beforeOrder = before.folders.map(f => f.id);
+    const afterOrder = after.folders.map(f => f.id);
+    if (!this._isSameValue(beforeOrder, afterOrder)) {
+      patchBefore.order = beforeOrder;
+      patchAfter.order = afterOrder;
+      changed = true;
     }
 
-    // フォルダに割り当てられたノートを「未分類」に移動
-    for (const [noteId, assignedFolderId] of Object.entries(this.noteAssignments)) {
-      if (assignedFolderId === folderId) {
-        this.noteAssignments[noteId] = UNCATEGORIZED_FOLDER_ID;
+    // ノート（割り当て・ラベル・ピン留め）
+    const beforePins = new Set(before.pinnedNoteIds);
+    const afterPins = new Set(after.pinnedNoteIds);
+    const noteIds = new Set([
+      ...Object.keys(before.noteAssignments), ...Object.keys(after.noteAssignments),
+      ...Object.keys(before.noteLabels), ...Object.keys(after.noteLabels),
+      ...beforePins, ...afterPins,
+    ]);
+    for (const noteId of noteIds) {
+      const b = {
+        folderId: before.noteAssignments[noteId] || null,
+        labels: before.noteLabels[noteId] || null,
+        pinned: beforePins.has(noteId),
+      };
+      const a = {
+        folderId: after.noteAssignments[noteId] || null,
+        labels: after.noteLabels[noteId] || null,
+        pinned: afterPins.has(noteId),
+      };
+      if (!this._isSameValue(b, a)) {
+        patchBefore.notes[noteId] = b;
+        patchAfter.notes[noteId] = a;
+        changed = true;
       }
     }
 
-    // フォルダを削除
-    this.folders = this.folders.filter(f => f.id !== folderId);
-    this.save();
+    // 設定（変更された項目のみ。他の項目をその後に変更しても戻さないように）
+    for (const key of new Set([...Object.keys(before.settings), ...Object.keys(after.settings)])) {
+      if (!this._isSameValue(before.settings[key], after.settings[key])) {
+        patchBefore.settings = { ...patchBefore.settings, [key]: before.settings[key] };
+        patchAfter.settings = { ...patchAfter.settings, [key]: after.settings[key] };
+        changed = true;
+      }
+    }
 
-    console.log('[FolderLM Storage] Folder deleted:', folder.name);
-    return { success: true };
+    return changed ? { before: patchBefore, after: patchAfter } : null;
   }
 
   /**
-   * フォルダの順序を変更
-   * @param {string[]} folderIds - 新しい順序でのフォルダID配列
-   * @returns {{ success: boolean, error?: string }}
+   * パッチを現在の状態に適用
+   * @param {Object} patch - _diffStates で作成したパッチ
+   * @private
    */
-  reorderFolders(folderIds) {
-    // 「未分類」が先頭にあることを確認
-    if (folderIds[0] !== UNCATEGORIZED_FOLDER_ID) {
-      return { success: false, error: 'デフォルトフォルダは先頭に配置する必要があります' };
+  _applyPatch(patch) {
+    const patchFolders = Object.entries(patch.folders || {});
+    if (patchFolders.length > 0 || patch.order) {
+      let folders = this.folders.filter(f => !(f.id in patch.folders));
+      for (const [, folder] of patchFolders) {
+        if (folder) {
+          folders.push({ ...folder });
+        }
+      }
+
+      // 記録された順序に並べ、記録にないフォルダ（他のタブで作成など）は末尾に残す
+      const order = patch.order || this.folders.map(f => f.id);
+      const rank = new Map(order.map((id, index) => [id, index]));
+      folders = folders
+        .map((folder, index) => ({ folder, rank: rank.get(folder.id) ?? order.length + index }))
+        .sort((a, b) => a.rank - b.rank)
+        .map(entry => entry.folder);
+
+      this.folders = this._validateFolders(folders);
+      this._renumberFolders();
     }
 
-    const newFolders = [];
-    for (let i = 0; i < folderIds.length; i++) {
-      const folder = this.getFolder(folderIds[i]);
-      if (folder) {
-        folder.order = i;
-        newFolders.push(folder);
+    const pins = new Set(this.pinnedNoteIds);
+    for (const [noteId, { folderId, labels, pinned }] of Object.entries(patch.notes || {})) {
+      if (folderId) {
+        this.noteAssignments[noteId] = folderId;
+      } else {
+        delete this.noteAssignments[noteId];
+      }
+
+      if (labels) {
+        this.noteLabels[noteId] = [...labels];
+      } else {
+        delete this.noteLabels[noteId];
       }
-    }
 
-    if (newFolders.length !== this.folders.length) {
-      return { success: false, error: 'フォルダIDが一致しません' };
+      if (pinned) {
+        pins.add(noteId);
+      } else {
+        pins.delete(noteId);
+      }
     }
 
-    this.folders = newFolders;
-    this.save();
+    this.noteAssignments = this._validateNoteAssignments(this.noteAssignments);
+    this.noteLabels = this._validateNoteLabels(this.noteLabels);
+    this.pinnedNoteIds = this._validatePinnedNoteIds([...pins]);
 
-    return { success: true };
+    if (patch.settings) {
+      this.settings = this._validateSettings({ ...this.settings, ...this._cloneState(patch.settings) });
+    }
   }
 
   // ==========================================================================
-  // ノート割り当て操作
+  // 保存先（バックエンド）
   // ==========================================================================
 
   /**
-   * ノートにフォルダを割り当て
-   * @param {string} noteId - ノートID
-   * @param {string} folderId - フォルダID
-   * @returns {{ success: boolean, error?: string }}
+   * 現在の保存先を取得
+   * @returns {string} STORAGE_BACKENDS のいずれか
    */
-  assignNote(noteId, folderId) {
-    if (!noteId) {
-      return { success: false, error: 'ノートIDが無効です' };
-    }
+  getBackendMode() {
+    return this._backendMode;
+  }
 
-    const folder = this.getFolder(folderId);
-    if (!folder) {
-      return { success: false, error: 'フォルダが見つかりません' };
+  /**
+   * 保存先を切り替え、既存のデータを新しい保存先に移行
+   * 新しい保存先への書き込みと読み戻しによる検証が済むまで旧保存先のデータは削除しない
+   * @param {string} mode - STORAGE_BACKENDS のいずれか
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async setBackendMode(mode) {
+    if (!Object.values(STORAGE_BACKENDS).includes(mode)) {
+      return { success: false, error: '無効な保存先です' };
     }
 
-    // 上限チェック
-    if (Object.keys(this.noteAssignments).length >= LIMITS.MAX_NOTES && !this.noteAssignments[noteId]) {
-      return { success: false, error: `ノート数の上限（${LIMITS.MAX_NOTES}）に達しています` };
+    const fromMode = this._backendMode;
+    if (mode === fromMode) {
+      return { success: true };
     }
 
-    this.noteAssignments[noteId] = folderId;
-    this.save();
+    if (this._readOnly) {
+      return { success: false, error: '読み取り専用のため保存先を変更できません' };
+    }
 
-    console.log('[FolderLM Storage] Note assigned:', noteId, '->', folder.name);
-    return { success: true };
-  }
+    // ノート割り当てを sync に戻す場合は容量に収まるか確認
+    if (this._getAreaForKey(STORAGE_KEYS.NOTE_ASSIGNMENTS_INDEX, mode) === STORAGE_AREAS.SYNC) {
+      if (this._getAllNoteIds().length > LIMITS.MAX_NOTES) {
+        return { success: false, error: `ノート数が同期ストレージの上限（${LIMITS.MAX_NOTES}）を超えています` };
+      }
+      if (this._estimateStorageUsage(mode) > LIMITS.STORAGE_QUOTA_BYTES * LIMITS.STORAGE_WARNING_THRESHOLD) {
+        return { success: false, error: '同期ストレージの容量が不足しています' };
+      }
+    }
 
-  /**
-   * ノートの割り当てを解除（未分類に移動）
-   * @param {string} noteId - ノートID
-   * @returns {{ success: boolean }}
-   */
-  unassignNote(noteId) {
-    if (this.noteAssignments[noteId]) {
-      this.noteAssignments[noteId] = UNCATEGORIZED_FOLDER_ID;
-      this.save();
+    if (this._role === ROLES.CLIENT) {
+      return this._requestBackendMode(mode);
     }
-    return { success: true };
-  }
 
-  /**
+    let payload = null;
+    try {
+      // 旧保存先に最新の状態を書き出してから移行する
+      await this.saveImmediate();
+      const expected = this._createSnapshot();
+
+      const writer = { sessionId: this._sessionId, savedAt: Date.now() };
+      ({ payload } = this._buildPayload(writer));
+      await this._setDataStorage(payload, mode);
+
+      // 読み戻して検証
+      const written = await this._readState(mode);
+      if (!this._isSameValue(written, expected)) {
+        throw new Error('移行後のデータが一致しません');
+      }
+
+      await this._setStorage({ [LOCAL_STORAGE_KEYS.STORAGE_BACKEND]: mode }, STORAGE_AREAS.LOCAL);
+      this._backendMode = mode;
+      this._lastKnownWriter = writer;
+      this._syncedSnapshot = expected;
+
+      // 旧保存先に残った不要なデータを削除
+      await this._removeStaleDataKeys(payload, mode);
+
+      console.log(`[FolderLM Storage] Storage backend changed: ${fromMode} -> ${mode}`);
+      this._notifyChange({ type: 'backend_changed', fromMode, toMode: mode });
+      return { success: true };
+
+    } catch (error) {
+      console.error('[FolderLM Storage] Backend migration failed:', error);
+
+      // 新しい保存先にだけ書き込んだデータを取り消す（旧保存先のデータはそのまま）
+      if (payload) {
+        try {
+          await this._removeStaleDataKeys(payload, fromMode, Object.keys(payload));
+        } catch (cleanupError) {
+          console.error('[FolderLM Storage] Failed to clean up backend migration:', cleanupError);
+        }
+      }
+
+      return { success: false, error: '保存先の切り替えに失敗しました。データは変更されていません。' };
+    }
+  }
+
+  /**
+   * この端末の保存先設定を読み込む
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _loadBackendMode() {
+    try {
+      const data = await this._getStorage([LOCAL_STORAGE_KEYS.STORAGE_BACKEND], STORAGE_AREAS.LOCAL);
+      const mode = data[LOCAL_STORAGE_KEYS.STORAGE_BACKEND];
+      return Object.values(STORAGE_BACKENDS).includes(mode) ? mode : STORAGE_BACKENDS.SYNC;
+    } catch (error) {
+      console.warn('[FolderLM Storage] Failed to load storage backend, using sync:', error);
+      return STORAGE_BACKENDS.SYNC;
+    }
+  }
+
+  /**
+   * ノート数の上限を取得（ノート割り当ての保存先で変わる）
+   * @returns {number}
+   * @private
+   */
+  _getMaxNotes() {
+    return this._getAreaForKey(STORAGE_KEYS.NOTE_ASSIGNMENTS_INDEX) === STORAGE_AREAS.SYNC
+      ? LIMITS.MAX_NOTES
+      : LIMITS.MAX_NOTES_LOCAL;
+  }
+
+  /**
+   * ノート割り当て・ラベル・ピン留めのキーか
+   * @param {string} key - ストレージキー
+   * @returns {boolean}
+   * @private
+   */
+  _isAssignmentKey(key) {
+    return key === STORAGE_KEYS.NOTE_ASSIGNMENTS ||
+      key === STORAGE_KEYS.NOTE_ASSIGNMENTS_INDEX ||
+      key === STORAGE_KEYS.NOTE_LABELS_INDEX ||
+      key === STORAGE_KEYS.NOTE_PINS_INDEX ||
+      key.startsWith(STORAGE_KEYS.NOTE_ASSIGNMENTS_CHUNK_PREFIX) ||
+      key.startsWith(STORAGE_KEYS.NOTE_LABELS_CHUNK_PREFIX) ||
+      key.startsWith(STORAGE_KEYS.NOTE_PINS_CHUNK_PREFIX);
+  }
+
+  /**
+   * キーの保存先のストレージ領域を取得
+   * 書き込み元情報は使用するすべての領域に書き込み、読み込みはこの領域から行う
+   * @param {string} key - ストレージキー
+   * @param {string} [mode] - 保存先（省略時は現在の保存先）
+   * @returns {string} STORAGE_AREAS のいずれか
+   * @private
+   */
+  _getAreaForKey(key, mode = this._backendMode) {
+    switch (mode) {
+      case STORAGE_BACKENDS.LOCAL:
+        return STORAGE_AREAS.LOCAL;
+      case STORAGE_BACKENDS.HYBRID:
+        return this._isAssignmentKey(key) ? STORAGE_AREAS.LOCAL : STORAGE_AREAS.SYNC;
+      default:
+        return STORAGE_AREAS.SYNC;
+    }
+  }
+
+  /**
+   * 保存先が使用するストレージ領域の一覧
+   * @param {string} [mode] - 保存先（省略時は現在の保存先）
+   * @returns {string[]}
+   * @private
+   */
+  _getBackendAreas(mode = this._backendMode) {
+    switch (mode) {
+      case STORAGE_BACKENDS.LOCAL:
+        return [STORAGE_AREAS.LOCAL];
+      case STORAGE_BACKENDS.HYBRID:
+        return [STORAGE_AREAS.SYNC, STORAGE_AREAS.LOCAL];
+      default:
+        return [STORAGE_AREAS.SYNC];
+    }
+  }
+
+  /**
+   * キーが保存先の指定した領域に保存されるか
+   * @param {string} key - ストレージキー
+   * @param {string} area - ストレージ領域
+   * @param {string} mode - 保存先
+   * @returns {boolean}
+   * @private
+   */
+  _isKeyStoredIn(key, area, mode) {
+    if (key === STORAGE_KEYS.LAST_WRITER) {
+      return this._getBackendAreas(mode).includes(area);
+    }
+    return this._getAreaForKey(key, mode) === area;
+  }
+
+  /**
+   * キーを保存先の領域ごとに振り分ける
+   * @param {string[]} keys - ストレージキー
+   * @param {string} mode - 保存先
+   * @returns {Map<string, string[]>} 領域 → キー
+   * @private
+   */
+  _groupKeysByArea(keys, mode) {
+    const groups = new Map();
+    for (const key of keys) {
+      const area = this._getAreaForKey(key, mode);
+      if (!groups.has(area)) {
+        groups.set(area, []);
+      }
+      groups.get(area).push(key);
+    }
+    return groups;
+  }
+
+  /**
+   * 保存先からデータを取得
+   * @param {string[]} keys - 取得するキー
+   * @param {string} [mode] - 保存先（省略時は現在の保存先）
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _getDataStorage(keys, mode = this._backendMode) {
+    const result = {};
+    for (const [area, areaKeys] of this._groupKeysByArea(keys, mode)) {
+      Object.assign(result, await this._getStorage(areaKeys, area));
+    }
+    return result;
+  }
+
+  /**
+   * 保存先にデータを保存
+   * @param {Object} data - 保存するデータ
+   * @param {string} [mode] - 保存先（省略時は現在の保存先）
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setDataStorage(data, mode = this._backendMode) {
+    for (const area of this._getBackendAreas(mode)) {
+      const areaData = Object.fromEntries(
+        Object.entries(data).filter(([key]) => this._isKeyStoredIn(key, area, mode))
+      );
+      if (Object.keys(areaData).length > 0) {
+        await this._setStorage(areaData, area);
+      }
+    }
+  }
+
+  /**
+   * 保存先からデータを削除
+   * @param {string[]} keys - 削除するキー
+   * @param {string} [mode] - 保存先（省略時は現在の保存先）
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeDataStorage(keys, mode = this._backendMode) {
+    for (const [area, areaKeys] of this._groupKeysByArea(keys, mode)) {
+      await this._removeStorage(areaKeys, area);
+    }
+  }
+
+  /**
+   * すべての領域から FolderLM のデータを取得
+   * @returns {Promise<Object<string, Object>>} 領域 → データ
+   * @private
+   */
+  async _getAllDataStorage() {
+    const result = {};
+    for (const area of Object.values(STORAGE_AREAS)) {
+      const data = await this._getStorage(null, area);
+      result[area] = Object.fromEntries(
+        Object.entries(data).filter(([key]) => this._isDataKey(key))
+      );
+    }
+    return result;
+  }
+
+  /**
+   * 保存先から状態を読み込む（現在の状態は変更しない）
+   * @param {string} mode - 保存先
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _readState(mode) {
+    const data = await this._getDataStorage(LOAD_KEYS, mode);
+    const folders = this._validateFolders(data[STORAGE_KEYS.FOLDERS]);
+    const noteAssignments = this._validateNoteAssignments(await this._loadNoteAssignments(data, mode), folders);
+    return this._cloneState({
+      folders,
+      noteAssignments,
+      noteLabels: this._validateNoteLabels(await this._loadNoteLabels(data, mode), folders, noteAssignments),
+      pinnedNoteIds: this._validatePinnedNoteIds(await this._loadPinnedNoteIds(data, mode)),
+      settings: this._validateSettings(data[STORAGE_KEYS.SETTINGS]),
+    });
+  }
+
+  /**
+   * 保存先のレイアウトに含まれないデータキーを各領域から削除
+   * @param {Object} payload - 現在のデータ
+   * @param {string} mode - 残す側の保存先
+   * @param {string[]} [candidateKeys] - 削除対象の候補（省略時は各領域のすべてのデータキー）
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeStaleDataKeys(payload, mode, candidateKeys = null) {
+    const allData = await this._getAllDataStorage();
+    for (const [area, areaData] of Object.entries(allData)) {
+      const staleKeys = Object.keys(areaData).filter(key =>
+        (!candidateKeys || candidateKeys.includes(key)) &&
+        !(this._isKeyStoredIn(key, area, mode) && (candidateKeys || key in payload))
+      );
+      await this._removeStorage(staleKeys, area);
+    }
+  }
+
+  // ==========================================================================
+  // タブ間同期
+  //
+  // 競合ポリシー: 最後に同期した状態を基準にした 3-way マージ。
+  // - ノート割り当て・ラベル・ピン留めはノート単位、フォルダはフォルダID単位、設定はキー単位で比較し、
+  //   このタブで未保存の変更がある項目はこのタブの値、それ以外は他のタブの値を採用する
+  //   （未保存の変更はこの後の保存で書き込まれるため、実質的に後勝ち）。
+  // - フォルダの並び順は、このタブで並び替えていればこのタブの順序、そうでなければ他のタブの順序。
+  // - 削除されたフォルダへの割り当ては未分類に戻る（バリデーションで除去される）。
+  // ==========================================================================
+
+  /**
+   * chrome.storage.onChanged の監視を開始
+   * @private
+   */
+  _startSync() {
+    if (this._role === ROLES.CLIENT) {
+      this._startServiceSync();
+      return;
+    }
+
+    if (this._boundHandleStorageChange || typeof chrome === 'undefined' || !chrome.storage?.onChanged) {
+      return;
+    }
+
+    this._boundHandleStorageChange = (changes, areaName) => this._handleStorageChange(changes, areaName);
+    chrome.storage.onChanged.addListener(this._boundHandleStorageChange);
+  }
+
+  /**
+   * chrome.storage.onChanged の監視を停止
+   */
+  stopSync() {
+    this._stopServiceSync();
+    this.debouncedRemoteSync.cancel();
+    if (this._boundHandleStorageChange && typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+      chrome.storage.onChanged.removeListener(this._boundHandleStorageChange);
+    }
+    this._boundHandleStorageChange = null;
+  }
+
+  /**
+   * ストレージ変更イベントの処理
+   * @param {Object} changes - 変更内容
+   * @param {string} areaName - ストレージ領域
+   * @private
+   */
+  _handleStorageChange(changes, areaName) {
+    if (!this.loaded) {
+      return;
+    }
+
+    // 別のタブで保存先が切り替えられた場合は新しい保存先から読み直す
+    const backendChange = areaName === STORAGE_AREAS.LOCAL
+      ? changes[LOCAL_STORAGE_KEYS.STORAGE_BACKEND]
+      : null;
+    if (backendChange && Object.values(STORAGE_BACKENDS).includes(backendChange.newValue) &&
+        backendChange.newValue !== this._backendMode) {
+      console.log('[FolderLM Storage] Storage backend changed in another tab:', backendChange.newValue);
+      this._backendMode = backendChange.newValue;
+      this.debouncedRemoteSync();
+      return;
+    }
+
+    if (!this._getBackendAreas().includes(areaName)) {
+      return;
+    }
+
+    const relevant = Object.keys(changes).some(key => this._isDataKey(key));
+    if (!relevant) {
+      return;
+    }
+
+    // 自分の書き込みは無視（チャンク削除など書き込み元を含まない変更は取り込み時に判定）
+    const writer = changes[STORAGE_KEYS.LAST_WRITER]?.newValue;
+    if (writer?.sessionId === this._sessionId) {
+      return;
+    }
+
+    this.debouncedRemoteSync();
+  }
+
+  /**
+   * FolderLM のデータキーか
+   * @param {string} key - ストレージキー
+   * @returns {boolean}
+   * @private
+   */
+  _isDataKey(key) {
+    return Object.values(STORAGE_KEYS).includes(key) ||
+      key.startsWith(STORAGE_KEYS.NOTE_ASSIGNMENTS_CHUNK_PREFIX) ||
+      key.startsWith(STORAGE_KEYS.NOTE_LABELS_CHUNK_PREFIX) ||
+      key.startsWith(STORAGE_KEYS.NOTE_PINS_CHUNK_PREFIX);
+  }
+
+  /**
+   * 書き込み元がこのタブ、または取り込み済みか
+   * @param {Object|null} writer - 書き込み元情報
+   * @returns {boolean}
+   * @private
+   */
+  _isKnownWriter(writer) {
+    if (!writer) {
+      return !this._lastKnownWriter;
+    }
+
+    return writer.sessionId === this._sessionId ||
+      (this._lastKnownWriter?.sessionId === writer.sessionId &&
+        this._lastKnownWriter?.savedAt === writer.savedAt);
+  }
+
+  /**
+   * 保存前に他のタブの変更を確認し、未取り込みならマージ
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _syncBeforeSave() {
+    if (!this.loaded) {
+      return;
+    }
+
+    if (this._remoteSyncPromise) {
+      await this._remoteSyncPromise;
+    }
+
+    const data = await this._getDataStorage([STORAGE_KEYS.LAST_WRITER]);
+    if (!this._isKnownWriter(data[STORAGE_KEYS.LAST_WRITER] || null)) {
+      this.debouncedRemoteSync.cancel();
+      await this._syncRemoteChanges({ scheduleSave: false });
+    }
+  }
+
+  /**
+   * 他のタブの変更を取り込む（同時実行はまとめる）
+   * @param {Object} [options]
+   * @param {boolean} [options.scheduleSave=true] - このタブの未保存の変更が残る場合に保存を予約するか
+   * @returns {Promise<void>}
+   * @private
+   */
+  _syncRemoteChanges({ scheduleSave = true } = {}) {
+    if (!this._remoteSyncPromise) {
+      this._remoteSyncPromise = this._applyRemoteChanges(scheduleSave)
+        .catch(error => {
+          console.error('[FolderLM Storage] Remote sync failed:', error);
+        })
+        .finally(() => {
+          this._remoteSyncPromise = null;
+        });
+    }
+    return this._remoteSyncPromise;
+  }
+
+  /**
+   * ストレージの最新状態を読み込み、このタブの状態とマージ
+   * @param {boolean} scheduleSave - このタブの未保存の変更が残る場合に保存を予約するか
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applyRemoteChanges(scheduleSave) {
+    const data = await this._getDataStorage(LOAD_KEYS);
+    const writer = data[STORAGE_KEYS.LAST_WRITER] || null;
+    if (this._isKnownWriter(writer)) {
+      return;
+    }
+
+    const version = data[STORAGE_KEYS.VERSION] || 0;
+    if (version > CURRENT_VERSION) {
+      if (!this._readOnly) {
+        this._readOnly = true;
+        this._emitError(
+          ERROR_TYPES.VERSION_MISMATCH,
+          '別のタブで新しいバージョンの FolderLM がデータを保存しました。データ保護のため変更は保存されません。ページを再読み込みしてください。',
+          { storedVersion: version, currentVersion: CURRENT_VERSION }
+        );
+      }
+      return;
+    }
+
+    const remoteFolders = this._validateFolders(data[STORAGE_KEYS.FOLDERS]);
+    const remoteAssignments = this._validateNoteAssignments(
+      await this._loadNoteAssignments(data), remoteFolders
+    );
+    const remote = this._cloneState({
+      folders: remoteFolders,
+      noteAssignments: remoteAssignments,
+      noteLabels: this._validateNoteLabels(await this._loadNoteLabels(data), remoteFolders, remoteAssignments),
+      pinnedNoteIds: this._validatePinnedNoteIds(await this._loadPinnedNoteIds(data)),
+      settings: this._validateSettings(data[STORAGE_KEYS.SETTINGS]),
+    });
+
+    this._lastKnownWriter = writer;
+    this._mergeIncoming(remote, this._syncedSnapshot || remote, scheduleSave);
+  }
+
+  /**
+   * 他のタブ・端末の状態をこのタブの状態にマージし、変更があれば通知
+   * @param {Object} remote - 他のタブ・端末の状態（以後の基準になる）
+   * @param {Object} base - マージの基準（最後に同期した状態）
+   * @param {boolean} scheduleSave - このタブの未保存の変更が残る場合に保存を予約するか
+   * @private
+   */
+  _mergeIncoming(remote, base, scheduleSave) {
+    const previous = this._createSnapshot();
+
+    this._setState(this._mergeStates(base, previous, remote));
+    this._syncedSnapshot = this._cloneState(remote);
+
+    const merged = this._createSnapshot();
+    const foldersChanged = !this._isSameValue(previous.folders, merged.folders);
+    const assignmentsChanged = !this._isSameValue(previous.noteAssignments, merged.noteAssignments) ||
+      !this._isSameValue(previous.noteLabels, merged.noteLabels) ||
+      !this._isSameValue(previous.pinnedNoteIds, merged.pinnedNoteIds);
+    const settingsChanged = !this._isSameValue(previous.settings, merged.settings);
+    const hasLocalChanges = !this._isSameValue(merged, remote);
+
+    // このタブの未保存の変更が残る場合は保存し直す
+    if (hasLocalChanges && scheduleSave && !this._readOnly) {
+      this.save();
+    }
+
+    if (foldersChanged || assignmentsChanged || settingsChanged) {
+      console.log('[FolderLM Storage] Remote changes merged:', {
+        foldersChanged,
+        assignmentsChanged,
+        settingsChanged,
+        hasLocalChanges,
+      });
+      this._notifyChange({
+        type: 'remote_changed',
+        foldersChanged,
+        assignmentsChanged,
+        settingsChanged,
+        hasLocalChanges,
+      });
+    }
+  }
+
+  /**
+   * 状態全体を 3-way マージ
+   * @param {Object} base - 基準（最後に同期した状態）
+   * @param {Object} local - このタブの状態
+   * @param {Object} remote - 他のタブの状態
+   * @returns {Object} バリデーション済みの状態
+   * @private
+   */
+  _mergeStates(base, local, remote) {
+    const folders = this._validateFolders(this._mergeFolders(base.folders, local.folders, remote.folders));
+    const noteAssignments = this._validateNoteAssignments(
+      this._mergeRecords(base.noteAssignments, local.noteAssignments, remote.noteAssignments),
+      folders
+    );
+    const noteLabels = this._validateNoteLabels(
+      this._mergeRecords(base.noteLabels, local.noteLabels, remote.noteLabels),
+      folders,
+      noteAssignments
+    );
+    const pinnedNoteIds = this._validatePinnedNoteIds(
+      this._mergeNoteIds(base.pinnedNoteIds, local.pinnedNoteIds, remote.pinnedNoteIds)
+    );
+    const settings = this._validateSettings(
+      this._mergeRecords(base.settings, local.settings, remote.settings)
+    );
+
+    return { folders, noteAssignments, noteLabels, pinnedNoteIds, settings };
+  }
+
+  /**
+   * レコード（キー → 値）を 3-way マージ
+   * このタブで基準から変更されたキーはこのタブの値、それ以外は他のタブの値を採用する
+   * @param {Object} base - 基準（最後に同期した状態）
+   * @param {Object} local - このタブの状態
+   * @param {Object} remote - 他のタブの状態
+   * @returns {Object}
+   * @private
+   */
+  _mergeRecords(base = {}, local = {}, remote = {}) {
+    const result = {};
+    const keys = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+
+    for (const key of keys) {
+      const localChanged = !this._isSameValue(local[key], base[key]);
+      const value = localChanged ? local[key] : remote[key];
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * ノートIDの集合（ピン留めなど）を 3-way マージ
+   * このタブで追加・削除したIDはこのタブの状態、それ以外は他のタブの状態を採用する
+   * @param {string[]} base - 基準（最後に同期した状態）
+   * @param {string[]} local - このタブの状態
+   * @param {string[]} remote - 他のタブの状態
+   * @returns {string[]} 他のタブの順序に、このタブで追加したIDを続けた配列
+   * @private
+   */
+  _mergeNoteIds(base = [], local = [], remote = []) {
+    const toRecord = ids => Object.fromEntries(ids.map(id => [id, true]));
+    const merged = this._mergeRecords(toRecord(base), toRecord(local), toRecord(remote));
+    return [...new Set([...remote, ...local])].filter(id => merged[id]);
+  }
+
+  /**
+   * フォルダ配列を 3-way マージ
+   * @param {Array} base - 基準（最後に同期した状態）
+   * @param {Array} local - このタブの状態
+   * @param {Array} remote - 他のタブの状態
+   * @returns {Array}
+   * @private
+   */
+  _mergeFolders(base, local, remote) {
+    // 並び順は order ではなく配列の順序で扱う
+    const toRecord = folders => Object.fromEntries(
+      folders.map(({ order, ...folder }) => [folder.id, folder])
+    );
+    const merged = this._mergeRecords(toRecord(base), toRecord(local), toRecord(remote));
+
+    // このタブで並び替えた場合はこのタブの順序を優先
+    const baseIds = base.map(f => f.id);
+    const localIds = local.map(f => f.id);
+    const remoteIds = remote.map(f => f.id);
+    const reordered = !this._isSameValue(
+      localIds.filter(id => baseIds.includes(id)),
+      baseIds.filter(id => localIds.includes(id))
+    );
+    const [primaryIds, secondaryIds] = reordered ? [localIds, remoteIds] : [remoteIds, localIds];
+
+    const orderedIds = [...new Set([...primaryIds, ...secondaryIds])]
+      .filter(id => merged[id]);
+
+    return orderedIds.map((id, index) => ({ ...merged[id], order: index }));
+  }
+
+  /**
+   * 現在の状態のスナップショットを作成
+   * @returns {{ folders: Array, noteAssignments: Object, noteLabels: Object, pinnedNoteIds: string[], settings: Object }}
+   * @private
+   */
+  _createSnapshot() {
+    return this._cloneState({
+      folders: this.folders,
+      noteAssignments: this.noteAssignments,
+      noteLabels: this.noteLabels,
+      pinnedNoteIds: this.pinnedNoteIds,
+      settings: this.settings,
+    });
+  }
+
+  /**
+   * 状態を置き換える
+   * @param {Object} state - 状態（コピーして保持する）
+   * @private
+   */
+  _setState(state) {
+    const copy = this._cloneState(state);
+    this.folders = copy.folders;
+    this._renumberFolders();
+    this.noteAssignments = copy.noteAssignments;
+    this.noteLabels = copy.noteLabels;
+    this.pinnedNoteIds = copy.pinnedNoteIds;
+    this.settings = copy.settings;
+  }
+
+  /**
+   * 状態をディープコピー
+   * @param {Object} state - 状態
+   * @returns {Object}
+   * @private
+   */
+  _cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  /**
+   * 2つの値が同じ内容か（オブジェクトのキー順序は無視して比較）
+   * @param {*} a
+   * @param {*} b
+   * @returns {boolean}
+   * @private
+   */
+  _isSameValue(a, b) {
+    return this._stableStringify(a) === this._stableStringify(b);
+  }
+
+  /**
+   * キーを並べ替えて JSON 文字列化
+   * @param {*} value
+   * @returns {string|undefined}
+   * @private
+   */
+  _stableStringify(value) {
+    return JSON.stringify(value, (key, v) => {
+      if (v && typeof v === 'object' && !Array.isArray(v)) {
+        return Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]));
+      }
+      return v;
+    });
+  }
+
+  // ==========================================================================
+  // サービスワーカーとの通信
+  //
+  // client は読み込み時にサービスワーカーの状態を受け取り、保存時は「最後に受け取った状態（基準）」と
+  // 「現在の状態」を送る。サービスワーカーは依頼を1つずつ、タブ間同期と同じ 3-way マージで取り込んで保存し、
+  // リビジョン付きの状態を応答とすべてのタブへの通知で返す。
+  // 応答と通知は順序が前後することがあるため、取り込み済みより古いリビジョンの状態は無視する。
+  // ==========================================================================
+
+  /**
+   * サービスワーカーから読み込む（client）
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadFromService() {
+    const response = await this._request({ type: STORAGE_MESSAGE_TYPES.LOAD });
+    if (!response?.success) {
+      throw new Error(response?.error || 'サービスワーカーに接続できませんでした');
+    }
+
+    this._readOnly = response.readOnly === true;
+    if (Object.values(STORAGE_BACKENDS).includes(response.backendMode)) {
+      this._backendMode = response.backendMode;
+    }
+    this._setState(response.state);
+    this._syncedSnapshot = this._cloneState(response.state);
+    this._revision = response.revision;
+    this._startSync();
+
+    this._replayServiceNotices(response);
+  }
+
+  /**
+   * 変更をサービスワーカーに送って保存する（client）
+   * 前の依頼の応答を待ってから送る（基準の状態を最新にするため）
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _commitToService() {
+    const previous = this._commitPromise;
+    const current = (async () => {
+      if (previous) {
+        await previous.catch(() => {});
+      }
+      await this._sendCommit();
+    })();
+
+    this._commitPromise = current;
+    try {
+      await current;
+    } finally {
+      if (this._commitPromise === current) {
+        this._commitPromise = null;
+      }
+    }
+  }
+
+  /**
+   * 保存の依頼を送り、応答の状態を取り込む
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendCommit() {
+    const base = this._syncedSnapshot;
+    const state = this._createSnapshot();
+    if (this._isSameValue(base, state)) {
+      return;
+    }
+
+    const response = await this._request({
+      type: STORAGE_MESSAGE_TYPES.COMMIT,
+      sessionId: this._sessionId,
+      base,
+      state,
+    });
+
+    if (!response) {
+      const error = new Error('サービスワーカーに接続できませんでした');
+      this._emitError(ERROR_TYPES.SAVE_FAILED, '保存に失敗しました: ' + error.message, { originalError: error });
+      throw error;
+    }
+
+    this._replayServiceNotices(response);
+    if (!response.success) {
+      // 容量超過などはサービスワーカーのエラーとして通知済み
+      if (!response.errors?.length) {
+        this._emitError(ERROR_TYPES.SAVE_FAILED, '保存に失敗しました: ' + response.error);
+      }
+      throw new Error(response.error);
+    }
+
+    // 送った状態を基準にマージし、送信後の変更を残す
+    this._applyServicePayload(response, state);
+    console.log('[FolderLM Storage] Data saved');
+  }
+
+  /**
+   * 保存先の切り替えをサービスワーカーに依頼する（client）
+   * @param {string} mode - STORAGE_BACKENDS のいずれか
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   * @private
+   */
+  async _requestBackendMode(mode) {
+    const fromMode = this._backendMode;
+    const failure = { success: false, error: '保存先の切り替えに失敗しました。データは変更されていません。' };
+
+    try {
+      // 保留中の変更を先に保存してから移行する
+      await this.saveImmediate();
+    } catch (error) {
+      return failure;
+    }
+
+    const response = await this._request({
+      type: STORAGE_MESSAGE_TYPES.SET_BACKEND,
+      sessionId: this._sessionId,
+      mode,
+    });
+    if (!response) {
+      return failure;
+    }
+
+    this._replayServiceNotices(response);
+    if (!response.success) {
+      return { success: false, error: response.error || failure.error };
+    }
+
+    this._applyServicePayload(response);
+    console.log(`[FolderLM Storage] Storage backend changed: ${fromMode} -> ${mode}`);
+    this._notifyChange({ type: 'backend_changed', fromMode, toMode: mode });
+    return { success: true };
+  }
+
+  /**
+   * サービスワーカーからの通知の受信を開始（client）
+   * @private
+   */
+  _startServiceSync() {
+    if (this._boundHandleServiceMessage || typeof chrome === 'undefined' || !chrome.runtime?.onMessage) {
+      return;
+    }
+
+    this._boundHandleServiceMessage = (message) => {
+      this._handleServiceMessage(message);
+    };
+    chrome.runtime.onMessage.addListener(this._boundHandleServiceMessage);
+  }
+
+  /**
+   * サービスワーカーからの通知の受信を停止
+   * @private
+   */
+  _stopServiceSync() {
+    if (this._boundHandleServiceMessage && typeof chrome !== 'undefined' && chrome.runtime?.onMessage) {
+      chrome.runtime.onMessage.removeListener(this._boundHandleServiceMessage);
+    }
+    this._boundHandleServiceMessage = null;
+  }
+
+  /**
+   * サービスワーカーからの通知を処理
+   * @param {Object} message - 受信したメッセージ
+   * @private
+   */
+  _handleServiceMessage(message) {
+    if (!this.loaded || !message) {
+      return;
+    }
+
+    if (message.type === STORAGE_MESSAGE_TYPES.CHANGED) {
+      // 自分の保存は応答で取り込む
+      if (message.writer === this._sessionId) {
+        return;
+      }
+      this._applyServicePayload(message);
+    } else if (message.type === STORAGE_MESSAGE_TYPES.ERROR) {
+      if (message.readOnly) {
+        this._readOnly = true;
+      }
+      this._replayServiceNotices({ errors: [message.error] });
+    }
+  }
+
+  /**
+   * サービスワーカーの状態を取り込む
+   * @param {{ state: Object, revision: number, backendMode: string, readOnly: boolean }} payload - 応答または通知
+   * @param {Object|null} [base=null] - マージの基準（省略時は最後に同期した状態）
+   * @private
+   */
+  _applyServicePayload(payload, base = null) {
+    if (payload.readOnly) {
+      this._readOnly = true;
+    }
+    if (Object.values(STORAGE_BACKENDS).includes(payload.backendMode)) {
+      this._backendMode = payload.backendMode;
+    }
+
+    if (!payload.state || payload.revision <= this._revision) {
+      return;
+    }
+
+    this._revision = payload.revision;
+    this._mergeIncoming(payload.state, base || this._syncedSnapshot || payload.state, true);
+  }
+
+  /**
+   * サービスワーカーで発生したエラー・イベントをこのインスタンスのリスナーに伝える
+   * @param {{ errors?: Array<{ type: string, message: string, data?: Object }>, events?: Object[] }} notices
+   * @private
+   */
+  _replayServiceNotices({ errors = [], events = [] } = {}) {
+    for (const error of errors) {
+      this._emitError(error.type, error.message, error.data);
+    }
+    for (const event of events) {
+      this._notifyChange(event);
+    }
+  }
+
+  /**
+   * サービスワーカーにメッセージを送る
+   * @param {Object} message - STORAGE_MESSAGE_TYPES のメッセージ
+   * @returns {Promise<Object|null>} 応答（接続できなければ null）
+   * @private
+   */
+  _request(message) {
+    return new Promise((resolve) => {
+      if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        chrome.runtime.sendMessage(message, (response) => {
+          if (chrome.runtime.lastError) {
+            console.warn('[FolderLM Storage] Service worker request failed:', chrome.runtime.lastError.message);
+            resolve(null);
+            return;
+          }
+          resolve(response || null);
+        });
+      } catch (error) {
+        // 拡張機能の更新後など、コンテキストが無効になっている
+        console.warn('[FolderLM Storage] Service worker request failed:', error);
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * 現在の状態を取得（サービスワーカーがタブに配る）
+   * @returns {{ folders: Array, noteAssignments: Object, noteLabels: Object, pinnedNoteIds: string[], settings: Object }}
+   */
+  getSnapshot() {
+    return this._createSnapshot();
+  }
+
+  /**
+   * タブの変更を取り込んで保存（サービスワーカー用）
+   * タブが最後に受け取った状態を基準に、タブの状態とこの状態を 3-way マージする
+   * @param {Object} base - タブが最後に受け取った状態
+   * @param {Object} state - タブの現在の状態
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async commitState(base, state) {
+    if (this._readOnly) {
+      return { success: false, error: '読み取り専用のため保存できません' };
+    }
+
+    // 読み込みに失敗したタブの初期状態で上書きしない
+    if (!this.loaded || !base || !state) {
+      return { success: false, error: 'データを読み込めていないため保存できません' };
+    }
+
+    if (this._remoteSyncPromise) {
+      await this._remoteSyncPromise;
+    }
+
+    this._setState(this._mergeStates(base, state, this._createSnapshot()));
+
+    try {
+      await this.saveImmediate();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  }
+
+  // ==========================================================================
+  // フォルダ操作
+  // ==========================================================================
+
+  /**
+   * すべてのフォルダを取得
+   * @returns {Array} フォルダ配列
+   */
+  getFolders() {
+    return [...this.folders];
+  }
+
+  /**
+   * フォルダを取得
+   * @param {string} folderId - フォルダID
+   * @returns {Object|null} フォルダオブジェクト
+   */
+  getFolder(folderId) {
+    return this.folders.find(f => f.id === folderId) || null;
+  }
+
+  /**
+   * 子フォルダを取得（並び順）
+   * @param {string|null} parentId - 親フォルダID（null でルート）
+   * @returns {Array} フォルダ配列
+   */
+  getChildFolders(parentId = null) {
+    return this.folders.filter(f => (f.parentId || null) === parentId);
+  }
+
+  /**
+   * 子孫フォルダのIDを取得（自身は含まない）
+   * @param {string} folderId - フォルダID
+   * @returns {string[]}
+   */
+  getDescendantFolderIds(folderId) {
+    const result = [];
+    const queue = [folderId];
+
+    while (queue.length > 0) {
+      const currentId = queue.shift();
+      for (const child of this.getChildFolders(currentId)) {
+        if (!result.includes(child.id) && child.id !== folderId) {
+          result.push(child.id);
+          queue.push(child.id);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * ルートから指定フォルダまでのパスを取得
+   * @param {string} folderId - フォルダID
+   * @returns {Array} ルート → 指定フォルダの順のフォルダ配列
+   */
+  getFolderPath(folderId) {
+    const path = [];
+    const visited = new Set();
+    let current = this.getFolder(folderId);
+
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      path.unshift(current);
+      current = current.parentId ? this.getFolder(current.parentId) : null;
+    }
+
+    return path;
+  }
+
+  /**
+   * フォルダの階層の深さを取得（ルート = 1）
+   * @param {string} folderId - フォルダID
+   * @returns {number}
+   */
+  getFolderDepth(folderId) {
+    return this.getFolderPath(folderId).length;
+  }
+
+  /**
+   * フォルダツリーを表示順に平坦化して取得
+   * @returns {Array<{ folder: Object, depth: number, hasChildren: boolean }>}
+   */
+  getFlattenedFolderTree() {
+    const result = [];
+    const visited = new Set();
+
+    const walk = (parentId, depth) => {
+      for (const folder of this.getChildFolders(parentId)) {
+        if (visited.has(folder.id)) continue;
+        visited.add(folder.id);
+
+        const hasChildren = this.folders.some(f => f.parentId === folder.id);
+        result.push({ folder, depth, hasChildren });
+        walk(folder.id, depth + 1);
+      }
+    };
+
+    walk(null, 0);
+    return result;
+  }
+
+  /**
+   * フォルダを作成
+   * @param {string} name - フォルダ名
+   * @param {string|null} [parentId=null] - 親フォルダID（null でルート）
+   * @returns {{ success: boolean, folder?: Object, error?: string }}
+   */
+  createFolder(name, parentId = null) {
+    return this._withHistory(HISTORY_TYPES.CREATE_FOLDER, () => {
+      // 親フォルダのチェック
+      const parentCheck = this._validateParent(parentId);
+      if (!parentCheck.valid) {
+        return { success: false, error: parentCheck.error };
+      }
+
+      // バリデーション
+      const validation = this._validateFolderName(name, null, parentId);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      // 上限チェック
+      if (this.folders.length >= LIMITS.MAX_FOLDERS) {
+        return { success: false, error: `フォルダ数の上限（${LIMITS.MAX_FOLDERS}）に達しています` };
+      }
+
+      // 新しいフォルダを作成
+      const folder = {
+        id: this._generateId(),
+        name: validation.normalizedName,
+        order: this.folders.length,
+        isDefault: false,
+        createdAt: Date.now(),
+        parentId,
+      };
+
+      this._insertFolder(folder, parentId, -1);
+      this.save();
+
+      console.log('[FolderLM Storage] Folder created:', folder.name);
+      return { success: true, folder };
+    });
+  }
+
+  /**
+   * フォルダ名を変更
+   * @param {string} folderId - フォルダID
+   * @param {string} newName - 新しいフォルダ名
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async renameFolder(folderId, newName) {
+    const result = this._withHistory(HISTORY_TYPES.RENAME_FOLDER, () => {
+      const folder = this.getFolder(folderId);
+      if (!folder) {
+        return { success: false, error: 'フォルダが見つかりません' };
+      }
+
+      // 「未分類」は名称変更不可
+      if (folder.isDefault) {
+        return { success: false, error: 'デフォルトフォルダの名前は変更できません' };
+      }
+
+      // バリデーション
+      const validation = this._validateFolderName(newName, folderId, folder.parentId || null);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      folder.name = validation.normalizedName;
+      return { success: true };
+    });
+
+    if (result.success) {
+      await this.saveImmediate();
+      console.log('[FolderLM Storage] Folder renamed:', this.getFolder(folderId)?.name);
+    }
+    return result;
+  }
+
+  /**
+   * フォルダの色とアイコンを変更
+   * 未設定（null）の場合は既定の表示に戻す
+   * @param {string} folderId - フォルダID
+   * @param {Object} appearance - 外観
+   * @param {string|null} [appearance.color] - FOLDER_COLORS のいずれか
+   * @param {string|null} [appearance.icon] - FOLDER_ICONS のいずれか
+   * @returns {{ success: boolean, error?: string }}
+   */
+  updateFolderAppearance(folderId, { color, icon } = {}) {
+    return this._withHistory(HISTORY_TYPES.UPDATE_FOLDER_APPEARANCE, () => {
+      const folder = this.getFolder(folderId);
+      if (!folder) {
+        return { success: false, error: 'フォルダが見つかりません' };
+      }
+
+      if (folder.isDefault) {
+        return { success: false, error: 'デフォルトフォルダの外観は変更できません' };
+      }
+
+      if (color !== undefined && color !== null && !FOLDER_COLORS.includes(color)) {
+        return { success: false, error: '無効な色です' };
+      }
+
+      if (icon !== undefined && icon !== null && !FOLDER_ICONS.includes(icon)) {
+        return { success: false, error: '無効なアイコンです' };
+      }
+
+      // 既定値はキーごと削除して保存容量を節約する
+      if (color !== undefined) {
+        if (color) {
+          folder.color = color;
+        } else {
+          delete folder.color;
+        }
+      }
+
+      if (icon !== undefined) {
+        if (icon && icon !== 'folder') {
+          folder.icon = icon;
+        } else {
+          delete folder.icon;
+        }
+      }
+
+      this.save();
+
+      console.log('[FolderLM Storage] Folder appearance updated:', folder.name);
+      return { success: true };
+    });
+  }
+
+  /**
+   * フォルダを削除
+   * @param {string} folderId - フォルダID
+   * @returns {{ success: boolean, error?: string }}
+   */
+  deleteFolder(folderId) {
+    return this._withHistory(HISTORY_TYPES.DELETE_FOLDER, () => {
+      const folder = this.getFolder(folderId);
+      if (!folder) {
+        return { success: false, error: 'フォルダが見つかりません' };
+      }
+
+      // 「未分類」は削除不可
+      if (folder.isDefault) {
+        return { success: false, error: 'デフォルトフォルダは削除できません' };
+      }
+
+      // フォルダに割り当てられたノートを「未分類」に移動
+      for (const [noteId, assignedFolderId] of Object.entries(this.noteAssignments)) {
+        if (assignedFolderId === folderId) {
+          this.noteAssignments[noteId] = UNCATEGORIZED_FOLDER_ID;
+        }
+      }
+
+      // ラベルからも削除
+      this._removeLabelReferences(new Set([folderId]));
+
+      // サブフォルダは削除したフォルダの親に引き上げる
+      const parentId = folder.parentId || null;
+      const children = this.getChildFolders(folderId);
+      for (const child of children) {
+        child.parentId = parentId;
+      }
+
+      // フォルダを削除
+      this.folders = this.folders.filter(f => f.id !== folderId);
+
+      // 引き上げたサブフォルダの名前が親の階層のフォルダと重複する場合は連番を付ける（既存のフォルダ名を優先）
+      const childIds = new Set(children.map(child => child.id));
+      this._dedupeSiblingNames([
+        ...this.folders.filter(f => !childIds.has(f.id)),
+        ...children,
+      ]);
+      this._renumberFolders();
+      this.save();
+
+      console.log('[FolderLM Storage] Folder deleted:', folder.name);
+      return { success: true };
+    });
+  }
+
+  /**
+   * フォルダの順序を変更
+   * @param {string[]} folderIds - 新しい順序でのフォルダID配列
+   * @returns {{ success: boolean, error?: string }}
+   */
+  reorderFolders(folderIds) {
+    return this._withHistory(HISTORY_TYPES.REORDER_FOLDERS, () => {
+      // 「未分類」が先頭にあることを確認
+      if (folderIds[0] !== UNCATEGORIZED_FOLDER_ID) {
+        return { success: false, error: 'デフォルトフォルダは先頭に配置する必要があります' };
+      }
+
+      const newFolders = [];
+      for (let i = 0; i < folderIds.length; i++) {
+        const folder = this.getFolder(folderIds[i]);
+        if (folder) {
+          folder.order = i;
+          newFolders.push(folder);
+        }
+      }
+
+      if (newFolders.length !== this.folders.length) {
+        return { success: false, error: 'フォルダIDが一致しません' };
+      }
+
+      this.folders = newFolders;
+      this.save();
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * フォルダを移動（親の変更と兄弟間の位置指定）
+   * @param {string} folderId - 移動するフォルダID
+   * @param {string|null} newParentId - 移動先の親フォルダID（null でルート）
+   * @param {number} [index=-1] - 移動先の兄弟間での位置（-1 で末尾）
+   * @returns {{ success: boolean, error?: string }}
+   */
+  moveFolder(folderId, newParentId = null, index = -1) {
+    return this._withHistory(HISTORY_TYPES.MOVE_FOLDER, () => {
+      const folder = this.getFolder(folderId);
+      if (!folder) {
+        return { success: false, error: 'フォルダが見つかりません' };
+      }
+
+      if (folder.isDefault) {
+        return { success: false, error: 'デフォルトフォルダは移動できません' };
+      }
+
+      const parentCheck = this._validateParent(newParentId, folderId);
+      if (!parentCheck.valid) {
+        return { success: false, error: parentCheck.error };
+      }
+
+      // 移動後の深さチェック（サブツリー全体が上限内に収まること）
+      const subtreeHeight = this._getSubtreeHeight(folderId);
+      const parentDepth = newParentId ? this.getFolderDepth(newParentId) : 0;
+      if (parentDepth + subtreeHeight > LIMITS.MAX_FOLDER_DEPTH) {
+        return { success: false, error: `フォルダの階層は${LIMITS.MAX_FOLDER_DEPTH}段までです` };
+      }
+
+      // 移動先での名前の重複チェック
+      if ((folder.parentId || null) !== newParentId) {
+        const validation = this._validateFolderName(folder.name, folderId, newParentId);
+        if (!validation.valid) {
+          return { success: false, error: '移動先に同名のフォルダが既に存在します' };
+        }
+      }
+
+      this.folders = this.folders.filter(f => f.id !== folderId);
+      folder.parentId = newParentId;
+      this._insertFolder(folder, newParentId, index);
+      this.save();
+
+      console.log('[FolderLM Storage] Folder moved:', folder.name, '->', newParentId || 'root');
+      return { success: true };
+    });
+  }
+
+  /**
+   * フォルダの親を変更（移動先の末尾に配置）
+   * @param {string} folderId - フォルダID
+   * @param {string|null} newParentId - 新しい親フォルダID（null でルート）
+   * @returns {{ success: boolean, error?: string }}
+   */
+  reparentFolder(folderId, newParentId) {
+    return this.moveFolder(folderId, newParentId, -1);
+  }
+
+  // ==========================================================================
+  // ノート割り当て操作
+  // ==========================================================================
+
+  /**
+   * ノートにフォルダを割り当て
+   * @param {string} noteId - ノートID
+   * @param {string} folderId - フォルダID
+   * @returns {{ success: boolean, error?: string }}
+   */
+  assignNote(noteId, folderId) {
+    return this._withHistory(HISTORY_TYPES.ASSIGN_NOTE, () => {
+      if (!noteId) {
+        return { success: false, error: 'ノートIDが無効です' };
+      }
+
+      const folder = this.getFolder(folderId);
+      if (!folder) {
+        return { success: false, error: 'フォルダが見つかりません' };
+      }
+
+      // 上限チェック
+      if (Object.keys(this.noteAssignments).length >= this._getMaxNotes() && !this.noteAssignments[noteId]) {
+        return { success: false, error: `ノート数の上限（${this._getMaxNotes()}）に達しています` };
+      }
+
+      this.noteAssignments[noteId] = folderId;
+
+      // 割り当てフォルダと同じラベルは重複するため外す
+      const labels = this.noteLabels[noteId];
+      if (labels?.includes(folderId)) {
+        const remaining = labels.filter(id => id !== folderId);
+        if (remaining.length > 0) {
+          this.noteLabels[noteId] = remaining;
+        } else {
+          delete this.noteLabels[noteId];
+        }
+      }
+
+      this.save();
+
+      console.log('[FolderLM Storage] Note assigned:', noteId, '->', folder.name);
+      return { success: true };
+    });
+  }
+
+  /**
+   * 複数のノートをまとめてフォルダに割り当て（保存は1回のみ）
+   * 未分類を指定した場合、複数フォルダモードではラベルも外してどのフォルダにも所属しない状態にする。
+   * @param {string[]} noteIds - ノートID配列
+   * @param {string} folderId - フォルダID
+   * @returns {{ success: boolean, count?: number, error?: string }}
+   */
+  assignNotes(noteIds, folderId) {
+    return this._withHistory(HISTORY_TYPES.ASSIGN_NOTES, () => {
+      if (!Array.isArray(noteIds)) {
+        return { success: false, error: 'ノートIDが無効です' };
+      }
+
+      const ids = [...new Set(noteIds.filter(Boolean))];
+      if (ids.length === 0) {
+        return { success: false, error: 'ノートが選択されていません' };
+      }
+
+      const folder = this.getFolder(folderId);
+      if (!folder) {
+        return { success: false, error: 'フォルダが見つかりません' };
+      }
+
+      // 上限チェック（新たに記録されるノートのみ数える）
+      const knownIds = new Set(this._getAllNoteIds());
+      const newCount = ids.filter(id => !knownIds.has(id)).length;
+      if (knownIds.size + newCount > this._getMaxNotes()) {
+        return { success: false, error: `ノート数の上限（${this._getMaxNotes()}）に達しています` };
+      }
+
+      const clearLabels = folder.isDefault && this.isMultiFolderMode();
+      for (const noteId of ids) {
+        this.noteAssignments[noteId] = folderId;
+
+        const labels = this.noteLabels[noteId];
+        if (!labels) continue;
+
+        // 割り当てフォルダと同じラベルは重複するため外す
+        const remaining = clearLabels ? [] : labels.filter(id => id !== folderId);
+        if (remaining.length > 0) {
+          this.noteLabels[noteId] = remaining;
+        } else {
+          delete this.noteLabels[noteId];
+        }
+      }
+
+      this.save();
+
+      console.log('[FolderLM Storage] Notes assigned:', ids.length, '->', folder.name);
+      return { success: true, count: ids.length };
+    });
+  }
+
+  /**
+   * 複数のノートをそれぞれのフォルダに割り当てる（自動割り当てルールの適用。1つの操作として記録する）
+   * @param {Object<string, string>} assignments - ノートID → フォルダID
+   * @returns {{ success: boolean, count?: number, error?: string }}
+   */
+  assignNotesToFolders(assignments) {
+    return this._withHistory(HISTORY_TYPES.AUTO_ASSIGN, () => {
+      if (!assignments || typeof assignments !== 'object') {
+        return { success: false, error: 'ノートIDが無効です' };
+      }
+
+      const byFolder = new Map();
+      for (const [noteId, folderId] of Object.entries(assignments)) {
+        if (!byFolder.has(folderId)) {
+          byFolder.set(folderId, []);
+        }
+        byFolder.get(folderId).push(noteId);
+      }
+      if (byFolder.size === 0) {
+        return { success: false, error: 'ノートが選択されていません' };
+      }
+
+      // 途中で失敗して一部だけ割り当てた状態を残さないよう、先にすべて検証する
+      if ([...byFolder.keys()].some(folderId => !this.getFolder(folderId))) {
+        return { success: false, error: 'フォルダが見つかりません' };
+      }
+
+      const knownIds = new Set(this._getAllNoteIds());
+      const newCount = Object.keys(assignments).filter(id => !knownIds.has(id)).length;
+      if (knownIds.size + newCount > this._getMaxNotes()) {
+        return { success: false, error: `ノート数の上限（${this._getMaxNotes()}）に達しています` };
+      }
+
+      let count = 0;
+      for (const [folderId, noteIds] of byFolder) {
+        count += this.assignNotes(noteIds, folderId).count || 0;
+      }
+
+      return { success: true, count };
+    });
+  }
+
+  /**
+   * ノートの割り当てを解除（未分類に移動）
+   * @param {string} noteId - ノートID
+   * @returns {{ success: boolean }}
+   */
+  unassignNote(noteId) {
+    return this._withHistory(HISTORY_TYPES.UNASSIGN_NOTE, () => {
+      if (this.noteAssignments[noteId]) {
+        this.noteAssignments[noteId] = UNCATEGORIZED_FOLDER_ID;
+        this.save();
+      }
+      return { success: true };
+    });
+  }
+
+  /**
    * ノートが割り当てられているフォルダIDを取得
    * @param {string} noteId - ノートID
-   * @returns {string|null} フォルダID
+   * @returns {string|null} フォルダID
+   */
+  getNoteFolder(noteId) {
+    return this.noteAssignments[noteId] || null;
+  }
+
+  /**
+   * 指定フォルダに割り当てられたノートIDを取得
+   * @param {string} folderId - フォルダID
+   * @returns {string[]} ノートID配列
+   */
+  getNotesByFolder(folderId) {
+    return Object.entries(this.noteAssignments)
+      .filter(([, assignedFolderId]) => assignedFolderId === folderId)
+      .map(([noteId]) => noteId);
+  }
+
+  /**
+   * ノートのラベル（割り当てフォルダ以外に所属するフォルダID）を取得
+   * @param {string} noteId - ノートID
+   * @returns {string[]} フォルダID配列
+   */
+  getNoteLabels(noteId) {
+    return [...(this.noteLabels[noteId] || [])];
+  }
+
+  /**
+   * ノートが所属するすべてのフォルダIDを取得
+   * 割り当てフォルダ（未分類を除く）を先頭に、複数フォルダモードではラベルを続ける
+   * @param {string} noteId - ノートID
+   * @returns {string[]} フォルダID配列
+   */
+  getNoteFolderIds(noteId) {
+    const result = [];
+    const primary = this.noteAssignments[noteId];
+    if (primary && primary !== UNCATEGORIZED_FOLDER_ID) {
+      result.push(primary);
+    }
+
+    if (this.isMultiFolderMode()) {
+      for (const folderId of this.noteLabels[noteId] || []) {
+        if (!result.includes(folderId)) {
+          result.push(folderId);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * ノートのラベルを設定
+   * @param {string} noteId - ノートID
+   * @param {string[]} folderIds - ラベルとして付けるフォルダID配列
+   * @returns {{ success: boolean, error?: string }}
+   */
+  setNoteLabels(noteId, folderIds) {
+    return this._withHistory(HISTORY_TYPES.SET_NOTE_LABELS, () => {
+      if (!noteId) {
+        return { success: false, error: 'ノートIDが無効です' };
+      }
+
+      if (!Array.isArray(folderIds)) {
+        return { success: false, error: 'フォルダIDが無効です' };
+      }
+
+      const primary = this.noteAssignments[noteId];
+      const labels = [];
+      for (const folderId of folderIds) {
+        const folder = this.getFolder(folderId);
+        if (!folder) {
+          return { success: false, error: 'フォルダが見つかりません' };
+        }
+        // 未分類と割り当てフォルダはラベルにしない
+        if (folder.isDefault || folderId === primary || labels.includes(folderId)) {
+          continue;
+        }
+        labels.push(folderId);
+      }
+
+      if (labels.length > LIMITS.MAX_LABELS_PER_NOTE) {
+        return { success: false, error: `1つのノートに付けられるラベルは${LIMITS.MAX_LABELS_PER_NOTE}個までです` };
+      }
+
+      if (labels.length > 0 && !this.noteLabels[noteId] &&
+          !this.noteAssignments[noteId] &&
+          this._getAllNoteIds().length >= this._getMaxNotes()) {
+        return { success: false, error: `ノート数の上限（${this._getMaxNotes()}）に達しています` };
+      }
+
+      if (labels.length > 0) {
+        this.noteLabels[noteId] = labels;
+      } else {
+        delete this.noteLabels[noteId];
+      }
+      this.save();
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * 複数フォルダモードでノートのフォルダ所属を切り替え
+   * 割り当てフォルダがなければ割り当てフォルダに、あればラベルとして追加する。
+   * 未分類を指定した場合はすべての所属を解除する。
+   * @param {string} noteId - ノートID
+   * @param {string} folderId - フォルダID
+   * @returns {{ success: boolean, folderIds?: string[], error?: string }}
+   */
+  toggleNoteFolder(noteId, folderId) {
+    return this._withHistory(HISTORY_TYPES.SET_NOTE_LABELS, () => {
+      if (!noteId) {
+        return { success: false, error: 'ノートIDが無効です' };
+      }
+
+      const folder = this.getFolder(folderId);
+      if (!folder) {
+        return { success: false, error: 'フォルダが見つかりません' };
+      }
+
+      if (folder.isDefault) {
+        delete this.noteLabels[noteId];
+        return this._withFolderIds(noteId, this.assignNote(noteId, folderId));
+      }
+
+      const primary = this.noteAssignments[noteId];
+      const labels = this.getNoteLabels(noteId);
+
+      if (primary === folderId) {
+        // 割り当てフォルダを外す（ラベルは残す）
+        return this._withFolderIds(noteId, this.assignNote(noteId, UNCATEGORIZED_FOLDER_ID));
+      }
+
+      if (labels.includes(folderId)) {
+        return this._withFolderIds(noteId, this.setNoteLabels(noteId, labels.filter(id => id !== folderId)));
+      }
+
+      if (!primary || primary === UNCATEGORIZED_FOLDER_ID) {
+        return this._withFolderIds(noteId, this.assignNote(noteId, folderId));
+      }
+
+      return this._withFolderIds(noteId, this.setNoteLabels(noteId, [...labels, folderId]));
+    });
+  }
+
+  /**
+   * 操作結果に現在の所属フォルダIDを付与
+   * @param {string} noteId - ノートID
+   * @param {{ success: boolean, error?: string }} result - 操作結果
+   * @returns {{ success: boolean, folderIds?: string[], error?: string }}
+   */
+  _withFolderIds(noteId, result) {
+    return result.success ? { ...result, folderIds: this.getNoteFolderIds(noteId) } : result;
+  }
+
+  /**
+   * フォルダごとのノート数を取得
+   * 複数フォルダモードではラベルとして所属するノートも数える
+   * @param {Object} [options]
+   * @param {boolean} [options.rollup=true] - サブフォルダのノート数を親に合算するか
+   * @returns {Map<string, number>}
+   */
+  getFolderNoteCounts({ rollup = true } = {}) {
+    const counts = new Map();
+
+    // 全フォルダを0で初期化
+    for (const folder of this.folders) {
+      counts.set(folder.id, 0);
+    }
+
+    // フォルダごとの祖先IDをキャッシュ（自身を含む）
+    const scopeCache = new Map();
+    const getScope = (folderId) => {
+      if (!rollup) return [folderId];
+      if (!scopeCache.has(folderId)) {
+        scopeCache.set(folderId, this.getFolderPath(folderId).map(f => f.id));
+      }
+      return scopeCache.get(folderId);
+    };
+
+    // ノートごとに所属フォルダ（と祖先）を重複なくカウント
+    for (const noteId of this._getAllNoteIds()) {
+      const memberIds = this.getNoteFolderIds(noteId);
+      if (memberIds.length === 0) {
+        if (this.noteAssignments[noteId] === UNCATEGORIZED_FOLDER_ID) {
+          memberIds.push(UNCATEGORIZED_FOLDER_ID);
+        } else {
+          continue;
+        }
+      }
+
+      const counted = new Set();
+      for (const folderId of memberIds) {
+        for (const id of getScope(folderId)) {
+          counted.add(id);
+        }
+      }
+
+      for (const id of counted) {
+        if (counts.has(id)) {
+          counts.set(id, counts.get(id) + 1);
+        }
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * 割り当てまたはラベルを持つすべてのノートIDを取得
+   * @returns {string[]}
+   */
+  _getAllNoteIds() {
+    const ids = new Set(Object.keys(this.noteAssignments));
+    for (const noteId of Object.keys(this.noteLabels)) {
+      ids.add(noteId);
+    }
+    return [...ids];
+  }
+
+  /**
+   * 指定フォルダへのラベル参照を削除
+   * @param {Set<string>} folderIds - 削除するフォルダIDの集合
+   */
+  _removeLabelReferences(folderIds) {
+    for (const [noteId, labels] of Object.entries(this.noteLabels)) {
+      const remaining = labels.filter(id => !folderIds.has(id));
+      if (remaining.length === 0) {
+        delete this.noteLabels[noteId];
+      } else if (remaining.length !== labels.length) {
+        this.noteLabels[noteId] = remaining;
+      }
+    }
+  }
+
+  // ==========================================================================
+  // ピン留め
+  // ==========================================================================
+
+  /**
+   * ノートがピン留めされているか
+   * @param {string} noteId - ノートID
+   * @returns {boolean}
+   */
+  isNotePinned(noteId) {
+    return this.pinnedNoteIds.includes(noteId);
+  }
+
+  /**
+   * ピン留めしたノートIDを取得
+   * @returns {string[]} ノートID配列（ピン留めした順）
+   */
+  getPinnedNoteIds() {
+    return [...this.pinnedNoteIds];
+  }
+
+  /**
+   * 複数のノートのピン留めをまとめて設定
+   * @param {string[]} noteIds - ノートID配列
+   * @param {boolean} pinned - ピン留めするか（false で解除）
+   * @returns {{ success: boolean, count?: number, error?: string }} count は状態が変わったノート数
+   */
+  setNotesPinned(noteIds, pinned) {
+    return this._withHistory(HISTORY_TYPES.PIN_NOTES, () => {
+      if (!Array.isArray(noteIds) || noteIds.some(id => typeof id !== 'string' || !id)) {
+        return { success: false, error: 'ノートIDが無効です' };
+      }
+
+      const current = new Set(this.pinnedNoteIds);
+      const targets = [...new Set(noteIds)].filter(id => current.has(id) !== pinned);
+      if (targets.length === 0) {
+        return { success: true, count: 0 };
+      }
+
+      if (pinned) {
+        if (current.size + targets.length > LIMITS.MAX_PINNED_NOTES) {
+          return { success: false, error: `ピン留めできるノートは${LIMITS.MAX_PINNED_NOTES}件までです` };
+        }
+        this.pinnedNoteIds = [...this.pinnedNoteIds, ...targets];
+      } else {
+        const removed = new Set(targets);
+        this.pinnedNoteIds = this.pinnedNoteIds.filter(id => !removed.has(id));
+      }
+      this.save();
+
+      return { success: true, count: targets.length };
+    });
+  }
+
+  /**
+   * ノートのピン留めを切り替え
+   * @param {string} noteId - ノートID
+   * @returns {{ success: boolean, pinned?: boolean, error?: string }}
+   */
+  toggleNotePin(noteId) {
+    const pinned = !this.isNotePinned(noteId);
+    const result = this.setNotesPinned([noteId], pinned);
+    return result.success ? { success: true, pinned } : result;
+  }
+
+  // ==========================================================================
+  // 設定
+  // ==========================================================================
+
+  /**
+   * 設定を取得
+   * @returns {Object}
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * 設定を更新
+   * @param {Object} partial - 更新する設定項目
+   * @returns {{ success: boolean, settings: Object }}
+   */
+  updateSettings(partial) {
+    this.settings = this._validateSettings({ ...this.settings, ...partial });
+    this.save();
+    return { success: true, settings: this.getSettings() };
+  }
+
+  /**
+   * 設定を初期値に戻す
+   * ユーザーが作成した保存済みビューと自動割り当てルールは残す
+   * @returns {{ success: boolean, settings: Object }}
+   */
+  resetSettings() {
+    return this._withHistory(HISTORY_TYPES.RESET_SETTINGS, () => {
+      const { savedViews, autoAssignRules } = this.settings;
+      this.settings = this._validateSettings({ ...DEFAULT_SETTINGS, savedViews, autoAssignRules });
+      this.save();
+      return { success: true, settings: this.getSettings() };
+    });
+  }
+
+  /**
+   * 複数フォルダ（ラベル）モードが有効か
+   * @returns {boolean}
+   */
+  isMultiFolderMode() {
+    return this.settings.multiFolderMode === true;
+  }
+
+  // ==========================================================================
+  // 保存済みビュー
+  // ==========================================================================
+
+  /**
+   * 保存済みビューを並び順で取得
+   * @returns {Array<{ id: string, name: string, folderIds: string[], excludedFolderIds: string[], searchQuery: string }>}
+   */
+  getSavedViews() {
+    return this.settings.savedViews.map(view => this._cloneView(view));
+  }
+
+  /**
+   * 保存済みビューを取得
+   * @param {string} viewId - ビューID
+   * @returns {Object|null}
+   */
+  getSavedView(viewId) {
+    const view = this.settings.savedViews.find(v => v.id === viewId);
+    return view ? this._cloneView(view) : null;
+  }
+
+  /**
+   * 現在の条件をビューとして保存
+   * @param {string} name - ビュー名
+   * @param {Object} filter - 保存する条件
+   * @param {string[]} [filter.folderIds] - 選択中のフォルダID
+   * @param {string[]} [filter.excludedFolderIds] - 除外中のフォルダID
+   * @param {string} [filter.searchQuery] - 検索クエリ
+   * @returns {{ success: boolean, view?: Object, error?: string }}
+   */
+  createSavedView(name, { folderIds = [], excludedFolderIds = [], searchQuery = '' } = {}) {
+    const validation = this._validateViewName(name);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
+    if (this.settings.savedViews.length >= LIMITS.MAX_SAVED_VIEWS) {
+      return { success: false, error: `ビューは${LIMITS.MAX_SAVED_VIEWS}個までです` };
+    }
+
+    const view = this._normalizeView({
+      id: this._generateId('view'),
+      name: validation.name,
+      folderIds,
+      excludedFolderIds,
+      searchQuery,
+    });
+    if (!view) {
+      return { success: false, error: 'ビューの条件が不正です' };
+    }
+
+    this.settings = { ...this.settings, savedViews: [...this.settings.savedViews, view] };
+    this.save();
+
+    console.log('[FolderLM Storage] Saved view created:', view.name);
+    return { success: true, view: this._cloneView(view) };
+  }
+
+  /**
+   * ビュー名を変更
+   * @param {string} viewId - ビューID
+   * @param {string} name - 新しいビュー名
+   * @returns {{ success: boolean, error?: string }}
+   */
+  renameSavedView(viewId, name) {
+    const index = this.settings.savedViews.findIndex(v => v.id === viewId);
+    if (index < 0) {
+      return { success: false, error: 'ビューが見つかりません' };
+    }
+
+    const validation = this._validateViewName(name, viewId);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
+    const savedViews = [...this.settings.savedViews];
+    savedViews[index] = { ...savedViews[index], name: validation.name };
+    this.settings = { ...this.settings, savedViews };
+    this.save();
+
+    return { success: true };
+  }
+
+  /**
+   * ビューを削除
+   * @param {string} viewId - ビューID
+   * @returns {{ success: boolean, error?: string }}
+   */
+  deleteSavedView(viewId) {
+    const savedViews = this.settings.savedViews.filter(v => v.id !== viewId);
+    if (savedViews.length === this.settings.savedViews.length) {
+      return { success: false, error: 'ビューが見つかりません' };
+    }
+
+    this.settings = { ...this.settings, savedViews };
+    this.save();
+
+    return { success: true };
+  }
+
+  /**
+   * ビューの並び順を変更
+   * @param {string[]} viewIds - 新しい順序のビューID配列（すべてのビューを含む）
+   * @returns {{ success: boolean, error?: string }}
+   */
+  reorderSavedViews(viewIds) {
+    const current = this.settings.savedViews;
+    if (!Array.isArray(viewIds) || viewIds.length !== current.length ||
+        new Set(viewIds).size !== viewIds.length) {
+      return { success: false, error: 'ビューIDが一致しません' };
+    }
+
+    const viewMap = new Map(current.map(v => [v.id, v]));
+    if (!viewIds.every(id => viewMap.has(id))) {
+      return { success: false, error: 'ビューIDが一致しません' };
+    }
+
+    this.settings = { ...this.settings, savedViews: viewIds.map(id => viewMap.get(id)) };
+    this.save();
+
+    return { success: true };
+  }
+
+  /**
+   * ビューを指定位置に移動
+   * @param {string} viewId - ビューID
+   * @param {number} toIndex - 移動先のインデックス
+   * @returns {{ success: boolean, error?: string }}
+   */
+  moveSavedView(viewId, toIndex) {
+    const viewIds = this.settings.savedViews.map(v => v.id);
+    const fromIndex = viewIds.indexOf(viewId);
+    if (fromIndex < 0) {
+      return { success: false, error: 'ビューが見つかりません' };
+    }
+
+    const clamped = Math.max(0, Math.min(toIndex, viewIds.length - 1));
+    if (clamped === fromIndex) {
+      return { success: true };
+    }
+
+    viewIds.splice(fromIndex, 1);
+    viewIds.splice(clamped, 0, viewId);
+    return this.reorderSavedViews(viewIds);
+  }
+
+  /**
+   * ビュー名のバリデーション
+   * @param {string} name - ビュー名
+   * @param {string} [excludeId] - 重複チェックから除外するビューID（名前変更時）
+   * @returns {{ valid: boolean, name?: string, error?: string }}
+   * @private
+   */
+  _validateViewName(name, excludeId = null) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      return { valid: false, error: 'ビュー名を入力してください' };
+    }
+
+    if (trimmed.length > LIMITS.MAX_VIEW_NAME_LENGTH) {
+      return { valid: false, error: `ビュー名は${LIMITS.MAX_VIEW_NAME_LENGTH}文字以内で入力してください` };
+    }
+
+    if (this.settings.savedViews.some(v => v.id !== excludeId && v.name === trimmed)) {
+      return { valid: false, error: '同名のビューが既に存在します' };
+    }
+
+    return { valid: true, name: trimmed };
+  }
+
+  /**
+   * ビューを正規化（不正な場合は null）
+   * @param {Object} view - ビュー
+   * @returns {Object|null}
+   * @private
+   */
+  _normalizeView(view) {
+    if (!view || typeof view !== 'object' || typeof view.id !== 'string' || !view.id) {
+      return null;
+    }
+
+    const name = typeof view.name === 'string' ? view.name.trim().slice(0, LIMITS.MAX_VIEW_NAME_LENGTH) : '';
+    if (!name) {
+      return null;
+    }
+
+    const toIds = (ids) => Array.isArray(ids)
+      ? [...new Set(ids.filter(id => typeof id === 'string' && id))]
+      : [];
+    const excludedFolderIds = toIds(view.excludedFolderIds);
+
+    return {
+      id: view.id,
+      name,
+      folderIds: toIds(view.folderIds).filter(id => !excludedFolderIds.includes(id)),
+      excludedFolderIds,
+      searchQuery: typeof view.searchQuery === 'string'
+        ? view.searchQuery.slice(0, LIMITS.MAX_VIEW_QUERY_LENGTH)
+        : '',
+    };
+  }
+
+  /**
+   * ビューを複製（呼び出し側での変更が内部状態に影響しないように）
+   * @param {Object} view - ビュー
+   * @returns {Object}
+   * @private
+   */
+  _cloneView(view) {
+    return {
+      ...view,
+      folderIds: [...view.folderIds],
+      excludedFolderIds: [...view.excludedFolderIds],
+    };
+  }
+
+  // ==========================================================================
+  // 自動割り当てルール
+  // ==========================================================================
+
+  /**
+   * 自動割り当てルールを優先順位の順で取得
+   * @returns {Array<{ id: string, matchType: string, pattern: string, folderId: string, enabled: boolean }>}
+   */
+  getAutoAssignRules() {
+    return this.settings.autoAssignRules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * 自動割り当てルールを追加（優先順位は最後）
+   * @param {Object} rule - ルール
+   * @param {string} rule.matchType - RULE_MATCH_TYPES のいずれか
+   * @param {string} rule.pattern - キーワード（カンマ区切り）または正規表現
+   * @param {string} rule.folderId - 割り当て先のフォルダID
+   * @param {boolean} [rule.enabled=true] - 有効か
+   * @returns {{ success: boolean, rule?: Object, error?: string }}
+   */
+  createAutoAssignRule({ matchType, pattern, folderId, enabled = true } = {}) {
+    if (this.settings.autoAssignRules.length >= LIMITS.MAX_AUTO_ASSIGN_RULES) {
+      return { success: false, error: `ルールは${LIMITS.MAX_AUTO_ASSIGN_RULES}個までです` };
+    }
+
+    const validation = this._validateRule({ matchType, pattern, folderId });
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
+    const rule = {
+      id: this._generateId('rule'),
+      matchType,
+      pattern: validation.pattern,
+      folderId,
+      enabled: enabled !== false,
+    };
+
+    this.settings = { ...this.settings, autoAssignRules: [...this.settings.autoAssignRules, rule] };
+    this.save();
+
+    console.log('[FolderLM Storage] Auto-assign rule created:', rule.pattern);
+    return { success: true, rule: { ...rule } };
+  }
+
+  /**
+   * 自動割り当てルールを更新
+   * @param {string} ruleId - ルールID
+   * @param {Object} partial - 更新する項目（matchType / pattern / folderId / enabled）
+   * @returns {{ success: boolean, rule?: Object, error?: string }}
+   */
+  updateAutoAssignRule(ruleId, partial = {}) {
+    const index = this.settings.autoAssignRules.findIndex(r => r.id === ruleId);
+    if (index < 0) {
+      return { success: false, error: 'ルールが見つかりません' };
+    }
+
+    const current = this.settings.autoAssignRules[index];
+    const next = {
+      ...current,
+      ...(partial.matchType !== undefined && { matchType: partial.matchType }),
+      ...(partial.pattern !== undefined && { pattern: partial.pattern }),
+      ...(partial.folderId !== undefined && { folderId: partial.folderId }),
+      ...(partial.enabled !== undefined && { enabled: partial.enabled === true }),
+    };
+
+    // 有効・無効の切り替えだけなら、削除済みフォルダを指すルールでも許可する
+    const conditionChanged = next.matchType !== current.matchType ||
+      next.pattern !== current.pattern || next.folderId !== current.folderId;
+    if (conditionChanged) {
+      const validation = this._validateRule(next);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+      next.pattern = validation.pattern;
+    }
+
+    const autoAssignRules = [...this.settings.autoAssignRules];
+    autoAssignRules[index] = next;
+    this.settings = { ...this.settings, autoAssignRules };
+    this.save();
+
+    return { success: true, rule: { ...next } };
+  }
+
+  /**
+   * 自動割り当てルールを削除
+   * @param {string} ruleId - ルールID
+   * @returns {{ success: boolean, error?: string }}
+   */
+  deleteAutoAssignRule(ruleId) {
+    const autoAssignRules = this.settings.autoAssignRules.filter(r => r.id !== ruleId);
+    if (autoAssignRules.length === this.settings.autoAssignRules.length) {
+      return { success: false, error: 'ルールが見つかりません' };
+    }
+
+    this.settings = { ...this.settings, autoAssignRules };
+    this.save();
+
+    return { success: true };
+  }
+
+  /**
+   * 自動割り当てルールの優先順位を変更
+   * @param {string} ruleId - ルールID
+   * @param {number} toIndex - 移動先のインデックス（0 が最優先）
+   * @returns {{ success: boolean, error?: string }}
+   */
+  moveAutoAssignRule(ruleId, toIndex) {
+    const rules = [...this.settings.autoAssignRules];
+    const fromIndex = rules.findIndex(r => r.id === ruleId);
+    if (fromIndex < 0) {
+      return { success: false, error: 'ルールが見つかりません' };
+    }
+
+    const clamped = Math.max(0, Math.min(toIndex, rules.length - 1));
+    if (clamped === fromIndex) {
+      return { success: true };
+    }
+
+    const [rule] = rules.splice(fromIndex, 1);
+    rules.splice(clamped, 0, rule);
+    this.settings = { ...this.settings, autoAssignRules: rules };
+    this.save();
+
+    return { success: true };
+  }
+
+  /**
+   * 自動割り当てルールのバリデーション
+   * @param {Object} rule - ルール（matchType / pattern / folderId）
+   * @returns {{ valid: boolean, pattern?: string, error?: string }}
+   * @private
+   */
+  _validateRule({ matchType, pattern, folderId }) {
+    if (!Object.values(RULE_MATCH_TYPES).includes(matchType)) {
+      return { valid: false, error: '条件の種類が不正です' };
+    }
+
+    const trimmed = typeof pattern === 'string' ? pattern.trim() : '';
+    if (!trimmed) {
+      return {
+        valid: false,
+        error: matchType === RULE_MATCH_TYPES.REGEX ? '正規表現を入力してください' : 'キーワードを入力してください',
+      };
+    }
+
+    if (trimmed.length > LIMITS.MAX_RULE_PATTERN_LENGTH) {
+      return { valid: false, error: `条件は${LIMITS.MAX_RULE_PATTERN_LENGTH}文字以内で入力してください` };
+    }
+
+    if (matchType === RULE_MATCH_TYPES.REGEX) {
+      try {
+        new RegExp(trimmed, 'i');
+      } catch (e) {
+        return { valid: false, error: '正規表現が正しくありません' };
+      }
+    }
+
+    const folder = this.getFolder(folderId);
+    if (!folder || folder.isDefault) {
+      return { valid: false, error: '割り当て先のフォルダを選択してください' };
+    }
+
+    return { valid: true, pattern: trimmed };
+  }
+
+  /**
+   * 自動割り当てルールを正規化（不正な場合は null）
+   * @param {Object} rule - ルール
+   * @returns {Object|null}
+   * @private
+   */
+  _normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object' || typeof rule.id !== 'string' || !rule.id) {
+      return null;
+    }
+
+    if (!Object.values(RULE_MATCH_TYPES).includes(rule.matchType)) {
+      return null;
+    }
+
+    const pattern = typeof rule.pattern === 'string'
+      ? rule.pattern.trim().slice(0, LIMITS.MAX_RULE_PATTERN_LENGTH)
+      : '';
+    if (!pattern || typeof rule.folderId !== 'string' || !rule.folderId) {
+      return null;
+    }
+
+    return {
+      id: rule.id,
+      matchType: rule.matchType,
+      pattern,
+      folderId: rule.folderId,
+      enabled: rule.enabled !== false,
+    };
+  }
+
+  // ==========================================================================
+  // キーボードショートカット
+  // ==========================================================================
+
+  /**
+   * キーボードショートカットを取得
+   * @returns {Object<string, string>} 操作ID → キーの表記（空文字列は未設定）
+   */
+  getShortcuts() {
+    return { ...this.settings.shortcuts };
+  }
+
+  /**
+   * 操作のキーを変更
+   * @param {string} actionId - 操作ID
+   * @param {string} shortcut - キーの表記（空文字列で未設定にする）
+   * @returns {{ success: boolean, shortcut?: string, error?: string, conflictActionId?: string }}
+   *   他の操作が同じキーを使っている場合は conflictActionId にその操作IDを返す
+   */
+  setShortcut(actionId, shortcut) {
+    if (!(actionId in DEFAULT_SHORTCUTS)) {
+      return { success: false, error: '操作が見つかりません' };
+    }
+
+    const normalized = normalizeShortcut(shortcut);
+    if (normalized === null) {
+      return { success: false, error: 'キーの指定が正しくありません' };
+    }
+
+    if (normalized) {
+      const conflictActionId = Object.keys(this.settings.shortcuts)
+        .find(id => id !== actionId && this.settings.shortcuts[id] === normalized);
+      if (conflictActionId) {
+        return { success: false, error: 'このキーは他の操作に割り当て済みです', conflictActionId };
+      }
+    }
+
+    this.settings = {
+      ...this.settings,
+      shortcuts: { ...this.settings.shortcuts, [actionId]: normalized },
+    };
+    this.save();
+
+    return { success: true, shortcut: normalized };
+  }
+
+  /**
+   * キーボードショートカットを初期設定に戻す
+   * @returns {{ success: boolean }}
+   */
+  resetShortcuts() {
+    this.settings = { ...this.settings, shortcuts: { ...DEFAULT_SHORTCUTS } };
+    this.save();
+    return { success: true };
+  }
+
+  // ==========================================================================
+  // 並び順
+  // ==========================================================================
+
+  /**
+   * ノートカードの並び順を取得
+   * @returns {string} SORT_MODES のいずれか
+   */
+  getSortMode() {
+    return this.settings.sortMode;
+  }
+
+  /**
+   * ノートカードの並び順を設定
+   * @param {string} mode - SORT_MODES のいずれか
+   * @returns {{ success: boolean, error?: string }}
    */
-  getNoteFolder(noteId) {
-    return this.noteAssignments[noteId] || null;
+  setSortMode(mode) {
+    if (!Object.values(SORT_MODES).includes(mode)) {
+      return { success: false, error: `不明な並び順です: ${mode}` };
+    }
+
+    if (this.settings.sortMode !== mode) {
+      this.updateSettings({ sortMode: mode });
+    }
+    return { success: true };
   }
 
   /**
-   * 指定フォルダに割り当てられたノートIDを取得
-   * @param {string} folderId - フォルダID
-   * @returns {string[]} ノートID配列
+   * 手動の並び順を取得
+   * @returns {string[]} 先頭に並べるノートIDの配列
    */
-  getNotesByFolder(folderId) {
-    return Object.entries(this.noteAssignments)
-      .filter(([, assignedFolderId]) => assignedFolderId === folderId)
-      .map(([noteId]) => noteId);
+  getManualOrder() {
+    return [...this.settings.manualOrder];
   }
 
   /**
-   * フォルダごとのノート数を取得
-   * @returns {Map<string, number>}
+   * 手動の並び順を設定
+   * 上限を超えた分は記録せず、NotebookLM の順序で表示される。
+   * @param {string[]} noteIds - 先頭に並べるノートIDの配列
+   * @returns {{ success: boolean, truncated: boolean }}
    */
-  getFolderNoteCounts() {
-    const counts = new Map();
-    
-    // 全フォルダを0で初期化
-    for (const folder of this.folders) {
-      counts.set(folder.id, 0);
+  setManualOrder(noteIds) {
+    const ids = Array.isArray(noteIds) ? noteIds : [];
+    this.updateSettings({ manualOrder: ids });
+    return {
+      success: true,
+      truncated: new Set(ids).size > this.settings.manualOrder.length,
+    };
+  }
+
+  /**
+   * フォルダごとの見出しでまとめて表示するか
+   * @returns {boolean}
+   */
+  isGroupByFolder() {
+    return this.settings.groupByFolder === true;
+  }
+
+  /**
+   * 見出しが折りたたまれているか
+   * @param {string} folderId - フォルダID（未分類は UNCATEGORIZED_ID、ピン留めは PINNED_ID）
+   * @returns {boolean}
+   */
+  isGroupCollapsed(folderId) {
+    return this.settings.collapsedGroupIds.includes(folderId);
+  }
+
+  /**
+   * 見出しの折りたたみ状態を設定
+   * 削除済みのフォルダの状態は保存時に取り除く。
+   * @param {string} folderId - フォルダID（未分類は UNCATEGORIZED_ID、ピン留めは PINNED_ID）
+   * @param {boolean} collapsed - 折りたたむか
+   * @returns {{ success: boolean, error?: string }}
+   */
+  setGroupCollapsed(folderId, collapsed) {
+    const isGroup = id => id === PINNED_FOLDER_ID || Boolean(this.getFolder(id));
+    if (!isGroup(folderId)) {
+      return { success: false, error: 'フォルダが見つかりません' };
+    }
+
+    const collapsedGroupIds = this.settings.collapsedGroupIds
+      .filter(id => id !== folderId && isGroup(id));
+    if (collapsed) {
+      collapsedGroupIds.push(folderId);
+    }
+    this.updateSettings({ collapsedGroupIds });
+    return { success: true };
+  }
+
+  // ==========================================================================
+  // 見つからないノートの整理
+  //
+  // ノート一覧を正常に検出できたとき（NotebookLM の「すべて」タブ）に、一覧にあったノートの日時を
+  // 最終確認日時として chrome.storage.local に記録する（端末ごと。記録は owner だけが読み書きする）。
+  // 最後に記録した一覧の日時より staleNoteDays 日以上前から確認できていないノートを「見つからないノート」とし、
+  // 削除されたノートブックの割り当てとして整理できるようにする。
+  // 記録のないノート（他の端末で割り当てた、記録を始める前から割り当てていたなど）は、次の記録の日時から数える。
+  // ==========================================================================
+
+  /**
+   * 一覧にあったノートを確認済みとして記録
+   * 正常に検出できた「すべて」タブの一覧（一部だけの一覧ではないもの）を渡すこと
+   * @param {Array<{ noteId: string, title: string }>} notes - 一覧にあったノート
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async markNotesSeen(notes) {
+    if (!Array.isArray(notes)) {
+      return { success: false, error: 'ノートの一覧が無効です' };
+    }
+
+    if (this._role === ROLES.CLIENT) {
+      const response = await this._request({ type: STORAGE_MESSAGE_TYPES.MARK_SEEN, notes });
+      return response?.success
+        ? { success: true }
+        : { success: false, error: response?.error || 'サービスワーカーに接続できませんでした' };
+    }
+
+    try {
+      const activity = await this._loadNoteActivity();
+      const now = Date.now();
+      const trackedIds = this._getTrackedNoteIds();
+      let changed = false;
+
+      for (const { noteId, title } of notes) {
+        if (!trackedIds.has(noteId)) {
+          continue;
+        }
+        const seenTitle = typeof title === 'string' ? title.trim().slice(0, LIMITS.MAX_SEEN_TITLE_LENGTH) : '';
+        const entry = activity.notes[noteId];
+        if (!entry || now - entry.seenAt >= LIMITS.NOTE_SEEN_INTERVAL_MS || (seenTitle && entry.title !== seenTitle)) {
+          activity.notes[noteId] = { seenAt: now, title: seenTitle || entry?.title || '' };
+          changed = true;
+        }
+      }
+
+      for (const noteId of trackedIds) {
+        if (!activity.notes[noteId]) {
+          activity.notes[noteId] = { seenAt: now, title: '' };
+          changed = true;
+        }
+      }
+
+      // 割り当て・ラベル・ピン留めがなくなったノートの記録は残さない
+      for (const noteId of Object.keys(activity.notes)) {
+        if (!trackedIds.has(noteId)) {
+          delete activity.notes[noteId];
+          changed = true;
+        }
+      }
+
+      if (activity.trackingSince === null) {
+        activity.trackingSince = now;
+        changed = true;
+      }
+      if (activity.lastScanAt === null || now - activity.lastScanAt >= LIMITS.NOTE_SEEN_INTERVAL_MS) {
+        activity.lastScanAt = now;
+        changed = true;
+      }
+
+      if (changed) {
+        await this._setStorage({ [LOCAL_STORAGE_KEYS.NOTE_ACTIVITY]: activity }, STORAGE_AREAS.LOCAL);
+      }
+      return { success: true };
+
+    } catch (error) {
+      console.error('[FolderLM Storage] Failed to save note activity:', error);
+      // 書き込めなかった変更を捨てて次回読み直す
+      this._noteActivityPromise = null;
+      return { success: false, error: '最終確認日時を保存できませんでした' };
+    }
+  }
+
+  /**
+   * ノートの最終確認日時の記録を取得
+   * @returns {Promise<{ success: boolean, activity?: { trackingSince: number|null, lastScanAt: number|null, notes: Object<string, { seenAt: number, title: string }> }, error?: string }>}
+   */
+  async getNoteActivity() {
+    if (this._role === ROLES.CLIENT) {
+      const response = await this._request({ type: STORAGE_MESSAGE_TYPES.GET_ACTIVITY });
+      return response?.success
+        ? { success: true, activity: this._normalizeNoteActivity(response.activity) }
+        : { success: false, error: response?.error || 'サービスワーカーに接続できませんでした' };
+    }
+
+    try {
+      const activity = await this._loadNoteActivity();
+      return { success: true, activity: JSON.parse(JSON.stringify(activity)) };
+    } catch (error) {
+      console.error('[FolderLM Storage] Failed to load note activity:', error);
+      this._noteActivityPromise = null;
+      return { success: false, error: '最終確認日時を読み込めませんでした' };
+    }
+  }
+
+  /**
+   * 見つからないノート（指定日数以上、一覧で確認できていないノート）を取得
+   * @param {number} [days] - 日数（省略時は設定の staleNoteDays）
+   * @returns {Promise<{ success: boolean, notes: Array, trackedCount: number, lastScanAt: number|null, error?: string }>}
+   *   findStaleNotes の結果。記録を読み込めなかった場合は notes が空で success が false
+   */
+  async getStaleNotes(days = this.settings.staleNoteDays) {
+    const result = await this.getNoteActivity();
+    if (!result.success) {
+      return { ...this.findStaleNotes(null, days), success: false, error: result.error };
     }
+    return { success: true, ...this.findStaleNotes(result.activity, days) };
+  }
 
-    // 割り当てをカウント
-    for (const folderId of Object.values(this.noteAssignments)) {
-      if (counts.has(folderId)) {
-        counts.set(folderId, counts.get(folderId) + 1);
+  /**
+   * 最終確認日時の記録から見つからないノートを探す
+   * 最後に記録した一覧の日時より指定日数以上前から確認できていないノートを、最終確認日時の古い順に返す
+   * @param {Object|null} activity - getNoteActivity で取得した記録
+   * @param {number} [days] - 日数（省略時は設定の staleNoteDays）
+   * @returns {{ notes: Array<{ noteId: string, title: string, seenAt: number, folderIds: string[], pinned: boolean }>, trackedCount: number, lastScanAt: number|null, trackingSince: number|null }}
+   *   trackedCount は割り当て・ラベル・ピン留めのあるノート数
+   */
+  findStaleNotes(activity, days = this.settings.staleNoteDays) {
+    const { trackingSince, lastScanAt, notes: entries } = this._normalizeNoteActivity(activity);
+    const trackedIds = this._getTrackedNoteIds();
+    const threshold = this._clampStaleNoteDays(days) * 24 * 60 * 60 * 1000;
+    const notes = [];
+
+    if (lastScanAt !== null) {
+      for (const noteId of trackedIds) {
+        const entry = entries[noteId];
+        if (!entry || lastScanAt - entry.seenAt < threshold) {
+          continue;
+        }
+        notes.push({
+          noteId,
+          title: entry.title,
+          seenAt: entry.seenAt,
+          folderIds: this.getNoteFolderIds(noteId),
+          pinned: this.isNotePinned(noteId),
+        });
       }
     }
 
-    return counts;
+    notes.sort((a, b) => a.seenAt - b.seenAt);
+    return { notes, trackedCount: trackedIds.size, lastScanAt, trackingSince };
+  }
+
+  /**
+   * ノートの割り当て・ラベル・ピン留めをまとめて削除
+   * （削除されたノートブックのデータの整理用。元に戻すことができる）
+   * @param {string[]} noteIds - ノートID配列
+   * @returns {{ success: boolean, count?: number, error?: string }} count はデータを削除したノート数
+   */
+  purgeNotes(noteIds) {
+    return this._withHistory(HISTORY_TYPES.PURGE_NOTES, () => {
+      if (!Array.isArray(noteIds) || noteIds.some(id => typeof id !== 'string' || !id)) {
+        return { success: false, error: 'ノートIDが無効です' };
+      }
+
+      const targets = new Set(noteIds);
+      const trackedIds = this._getTrackedNoteIds();
+      const count = [...targets].filter(noteId => trackedIds.has(noteId)).length;
+      if (count === 0) {
+        return { success: true, count: 0 };
+      }
+
+      for (const noteId of targets) {
+        delete this.noteAssignments[noteId];
+        delete this.noteLabels[noteId];
+      }
+      this.pinnedNoteIds = this.pinnedNoteIds.filter(noteId => !targets.has(noteId));
+      this.save();
+      console.log(`[FolderLM Storage] Purged ${count} notes`);
+      return { success: true, count };
+    });
+  }
+
+  /**
+   * 割り当て・ラベル・ピン留めのいずれかがあるノートIDを取得
+   * @returns {Set<string>}
+   * @private
+   */
+  _getTrackedNoteIds() {
+    return new Set([...this._getAllNoteIds(), ...this.pinnedNoteIds]);
+  }
+
+  /**
+   * 最終確認日時の記録を読み込む（owner。読み込んだ記録を使い続ける）
+   * @returns {Promise<Object>}
+   * @private
+   */
+  _loadNoteActivity() {
+    if (!this._noteActivityPromise) {
+      this._noteActivityPromise = this._getStorage([LOCAL_STORAGE_KEYS.NOTE_ACTIVITY], STORAGE_AREAS.LOCAL)
+        .then(data => this._normalizeNoteActivity(data[LOCAL_STORAGE_KEYS.NOTE_ACTIVITY]));
+      this._noteActivityPromise.catch(() => {
+        this._noteActivityPromise = null;
+      });
+    }
+    return this._noteActivityPromise;
+  }
+
+  /**
+   * 最終確認日時の記録のバリデーション
+   * @param {*} activity - 保存されていた記録
+   * @returns {{ trackingSince: number|null, lastScanAt: number|null, notes: Object<string, { seenAt: number, title: string }> }}
+   * @private
+   */
+  _normalizeNoteActivity(activity) {
+    const toTime = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+    const notes = {};
+
+    if (activity?.notes && typeof activity.notes === 'object') {
+      for (const [noteId, entry] of Object.entries(activity.notes)) {
+        const seenAt = toTime(entry?.seenAt);
+        if (noteId && seenAt !== null) {
+          notes[noteId] = {
+            seenAt,
+            title: typeof entry.title === 'string' ? entry.title.slice(0, LIMITS.MAX_SEEN_TITLE_LENGTH) : '',
+          };
+        }
+      }
+    }
+
+    return {
+      trackingSince: toTime(activity?.trackingSince),
+      lastScanAt: toTime(activity?.lastScanAt),
+      notes,
+    };
+  }
+
+  /**
+   * 見つからないノートとみなす日数を範囲内に丸める
+   * @param {number} days
+   * @returns {number}
+   * @private
+   */
+  _clampStaleNoteDays(days) {
+    if (!Number.isFinite(days)) {
+      return DEFAULT_SETTINGS.staleNoteDays;
+    }
+    return Math.round(Math.min(Math.max(days, LIMITS.MIN_STALE_NOTE_DAYS), LIMITS.MAX_STALE_NOTE_DAYS));
+  }
+
+  // ==========================================================================
+  // インポート / エクスポート
+  // ==========================================================================
+
+  /**
+   * フォルダ構成とノート割り当てをエクスポート用データとして取得
+   * @returns {Object} エクスポートデータ（JSON シリアライズ可能）
+   */
+  exportData() {
+    return {
+      format: EXPORT_FORMAT,
+      schemaVersion: CURRENT_VERSION,
+      exportedAt: new Date().toISOString(),
+      folders: this.folders.map(f => ({ ...f })),
+      noteAssignments: { ...this.noteAssignments },
+      noteLabels: Object.fromEntries(
+        Object.entries(this.noteLabels).map(([noteId, labels]) => [noteId, [...labels]])
+      ),
+      pinnedNoteIds: [...this.pinnedNoteIds],
+      settings: { ...this.settings },
+    };
+  }
+
+  /**
+   * インポートデータの内容を確認（保存はしない）
+   * @param {string|Object} json - エクスポートファイルの内容
+   * @returns {{ success: boolean, summary?: { folders: number, assignments: number, labels: number, pins: number, exportedAt: string|null }, error?: string }}
+   */
+  previewImport(json) {
+    const parsed = this._parseImportData(json);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    const { folders, noteAssignments, noteLabels, pinnedNoteIds, exportedAt } = parsed.data;
+    return {
+      success: true,
+      summary: {
+        folders: folders.filter(f => !f.isDefault).length,
+        assignments: Object.keys(noteAssignments).length,
+        labels: Object.keys(noteLabels).length,
+        pins: pinnedNoteIds.length,
+        exportedAt,
+      },
+    };
+  }
+
+  /**
+   * エクスポートデータをインポート
+   * @param {string|Object} json - エクスポートファイルの内容
+   * @param {Object} [options]
+   * @param {string} [options.mode='merge'] - 'merge'（統合）または 'replace'（置換）
+   * @returns {Promise<{ success: boolean, stats?: Object, error?: string }>}
+   *   stats の skippedFolders / skippedNotes は上限のため取り込まなかったフォルダ数・ノート数
+   */
+  async importData(json, { mode = IMPORT_MODES.MERGE } = {}) {
+    if (mode !== IMPORT_MODES.MERGE && mode !== IMPORT_MODES.REPLACE) {
+      return { success: false, error: `不明なインポートモードです: ${mode}` };
+    }
+
+    const parsed = this._parseImportData(json);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    const stats = this._withHistory(HISTORY_TYPES.IMPORT, () => (
+      mode === IMPORT_MODES.REPLACE
+        ? this._replaceWithImport(parsed.data)
+        : this._mergeImport(parsed.data)
+    ));
+
+    try {
+      await this.saveImmediate();
+    } catch (error) {
+      return { success: false, error: 'インポートしたデータの保存に失敗しました' };
+    }
+
+    console.log(`[FolderLM Storage] Data imported (${mode}):`, stats);
+    return { success: true, stats };
+  }
+
+  /**
+   * インポートデータを解析・検証
+   * @param {string|Object} json - エクスポートファイルの内容
+   * @returns {{ success: boolean, data?: Object, error?: string }}
+   */
+  _parseImportData(json) {
+    let raw = json;
+    if (typeof json === 'string') {
+      try {
+        raw = JSON.parse(json);
+      } catch (e) {
+        return { success: false, error: 'ファイルが JSON として読み込めません' };
+      }
+    }
+
+    if (!raw || typeof raw !== 'object' || raw.format !== EXPORT_FORMAT) {
+      return { success: false, error: 'FolderLM のエクスポートファイルではありません' };
+    }
+
+    if (!Number.isInteger(raw.schemaVersion) || raw.schemaVersion < 1) {
+      return { success: false, error: 'スキーマバージョンが不正です' };
+    }
+
+    if (raw.schemaVersion > CURRENT_VERSION) {
+      return { success: false, error: '新しいバージョンの FolderLM で作成されたファイルのため読み込めません' };
+    }
+
+    if (!Array.isArray(raw.folders)) {
+      return { success: false, error: 'フォルダ情報が含まれていません' };
+    }
+
+    // 古いスキーマのファイルは現在のスキーマに変換
+    if (raw.schemaVersion < CURRENT_VERSION) {
+      const { data: migrated, error } = this._runMigrations({
+        folders: raw.folders,
+        noteAssignments: raw.noteAssignments,
+        noteLabels: raw.noteLabels,
+        pinnedNoteIds: raw.pinnedNoteIds,
+        settings: raw.settings,
+      }, raw.schemaVersion);
+
+      if (error) {
+        return { success: false, error: '古い形式のファイルを変換できませんでした' };
+      }
+      raw = { ...raw, ...migrated };
+    }
+
+    // フォルダ名を正規化し、無効な名前のフォルダは除外
+    const candidates = raw.folders
+      .filter(f => f && typeof f === 'object')
+      .map(f => ({ ...f, name: typeof f.name === 'string' ? f.name.trim() : f.name }))
+      .filter(f => f.id === UNCATEGORIZED_FOLDER_ID ||
+        (typeof f.name === 'string' && f.name.length > 0 && f.name.length <= LIMITS.MAX_FOLDER_NAME_LENGTH));
+
+    const folders = this._validateFolders(candidates).map(f =>
+      f.id === UNCATEGORIZED_FOLDER_ID
+        ? { ...DEFAULT_FOLDERS[0] }
+        : { ...f, isDefault: false, parentId: f.parentId || null }
+    );
+
+    if (folders.length > LIMITS.MAX_FOLDERS) {
+      return { success: false, error: `フォルダ数が上限（${LIMITS.MAX_FOLDERS}）を超えています` };
+    }
+
+    this._dedupeSiblingNames(folders);
+
+    const noteAssignments = this._validateNoteAssignments(raw.noteAssignments, folders);
+    const noteLabels = this._validateNoteLabels(raw.noteLabels, folders, noteAssignments);
+    // ピン留めを含まない古いファイルは空として扱う
+    const pinnedNoteIds = this._validatePinnedNoteIds(raw.pinnedNoteIds);
+
+    return {
+      success: true,
+      data: {
+        folders,
+        noteAssignments,
+        noteLabels,
+        pinnedNoteIds,
+        settings: raw.settings,
+        exportedAt: typeof raw.exportedAt === 'string' ? raw.exportedAt : null,
+      },
+    };
+  }
+
+  /**
+   * 同じ階層で重複するフォルダ名（大文字小文字無視）に連番を付けて一意にする
+   * @param {Array} folders - フォルダ配列（直接書き換える）
+   */
+  _dedupeSiblingNames(folders) {
+    const usedNames = new Set();
+    const keyOf = (folder, name) => `${folder.parentId || ''}/${name.toLowerCase()}`;
+
+    for (const folder of folders) {
+      if (folder.isDefault) continue;
+
+      let name = folder.name;
+      let counter = 2;
+      while (usedNames.has(keyOf(folder, name))) {
+        const suffix = ` (${counter++})`;
+        name = folder.name.slice(0, LIMITS.MAX_FOLDER_NAME_LENGTH - suffix.length) + suffix;
+      }
+
+      usedNames.add(keyOf(folder, name));
+      folder.name = name;
+    }
+  }
+
+  /**
+   * インポートデータで既存データを置き換える
+   * @param {Object} data - 検証済みインポートデータ
+   * @returns {Object} 統計情報
+   */
+  _replaceWithImport(data) {
+    // 「未分類」を先頭に配置
+    const defaultFolder = data.folders.find(f => f.isDefault) || { ...DEFAULT_FOLDERS[0] };
+    this.folders = [defaultFolder, ...data.folders.filter(f => !f.isDefault)];
+    this._renumberFolders();
+
+    // 割り当てまたはラベルのあるノートを上限まで取り込み、上限を超えたノートはラベル・ピン留めも取り込まない
+    const allNoteIds = [...new Set([...Object.keys(data.noteAssignments), ...Object.keys(data.noteLabels)])];
+    const keptIds = new Set(allNoteIds.slice(0, this._getMaxNotes()));
+    const skippedIds = new Set(allNoteIds.filter(id => !keptIds.has(id)));
+
+    this.noteAssignments = Object.fromEntries(
+      Object.entries(data.noteAssignments).filter(([noteId]) => keptIds.has(noteId))
+    );
+    this.noteLabels = this._validateNoteLabels(Object.fromEntries(
+      Object.entries(data.noteLabels).filter(([noteId]) => keptIds.has(noteId))
+    ));
+    this.pinnedNoteIds = data.pinnedNoteIds.filter(noteId => !skippedIds.has(noteId));
+    if (data.settings) {
+      this.settings = this._validateSettings(data.settings);
+    }
+
+    return {
+      foldersAdded: this.folders.length - 1,
+      foldersMerged: 0,
+      assignmentsImported: Object.keys(this.noteAssignments).length,
+      labelsImported: Object.keys(this.noteLabels).length,
+      pinsImported: this.pinnedNoteIds.length,
+      skippedNotes: skippedIds.size,
+    };
+  }
+
+  /**
+   * インポートデータを既存データに統合する
+   * 同じ階層に同名（大文字小文字無視）のフォルダがあれば既存フォルダにまとめる
+   * @param {Object} data - 検証済みインポートデータ
+   * @returns {Object} 統計情報
+   */
+  _mergeImport(data) {
+    const importedMap = new Map(data.folders.map(f => [f.id, f]));
+    const idMap = new Map([[UNCATEGORIZED_FOLDER_ID, UNCATEGORIZED_FOLDER_ID]]);
+    let foldersAdded = 0;
+    let foldersMerged = 0;
+    /** @type {Set<string>} 上限のため追加しなかったフォルダ（インポート側のID） */
+    const skippedFolderIds = new Set();
+
+    // 親を先に処理するため、インポート側の階層の浅い順に並べる
+    const depthOf = (folder) => {
+      let depth = 0;
+      let current = folder;
+      while (current?.parentId) {
+        depth++;
+        current = importedMap.get(current.parentId);
+      }
+      return depth;
+    };
+    const ordered = data.folders
+      .filter(f => !f.isDefault)
+      .map((folder, index) => ({ folder, index, depth: depthOf(folder) }))
+      .sort((a, b) => a.depth - b.depth || a.index - b.index)
+      .map(entry => entry.folder);
+
+    for (const imported of ordered) {
+      let parentId = imported.parentId ? idMap.get(imported.parentId) || null : null;
+
+      // 階層の上限を超える場合は上限の階層に配置
+      if (parentId && this.getFolderDepth(parentId) >= LIMITS.MAX_FOLDER_DEPTH) {
+        parentId = this.getFolderPath(parentId)[LIMITS.MAX_FOLDER_DEPTH - 2].id;
+      }
+
+      const lowerName = imported.name.toLowerCase();
+      const existing = this.getChildFolders(parentId)
+        .find(f => f.name.toLowerCase() === lowerName);
+
+      if (existing) {
+        idMap.set(imported.id, existing.id);
+        foldersMerged++;
+        continue;
+      }
+
+      if (this.folders.length >= LIMITS.MAX_FOLDERS) {
+        skippedFolderIds.add(imported.id);
+        continue;
+      }
+
+      const folder = {
+        ...imported,
+        id: this.getFolder(imported.id) ? this._generateId() : imported.id,
+        isDefault: false,
+        parentId,
+        createdAt: imported.createdAt || Date.now(),
+      };
+      this._insertFolder(folder, parentId, -1);
+      idMap.set(imported.id, folder.id);
+      foldersAdded++;
+    }
+
+    // ノート割り当て: インポート側でフォルダに入っているノートはインポート側を優先
+    let assignmentsImported = 0;
+    // 上限（ノート数・フォルダ数）のため取り込めなかったノート
+    const skippedNoteIds = new Set();
+    for (const [noteId, importedFolderId] of Object.entries(data.noteAssignments)) {
+      const folderId = idMap.get(importedFolderId);
+      if (!folderId) {
+        if (skippedFolderIds.has(importedFolderId)) {
+          skippedNoteIds.add(noteId);
+        }
+        continue;
+      }
+
+      const current = this.noteAssignments[noteId];
+      if (folderId === UNCATEGORIZED_FOLDER_ID && current) continue;
+
+      if (!current && !this.noteLabels[noteId] && this._getAllNoteIds().length >= this._getMaxNotes()) {
+        skippedNoteIds.add(noteId);
+        continue;
+      }
+
+      this.noteAssignments[noteId] = folderId;
+      assignmentsImported++;
+    }
+
+    // ラベル: 既存のラベルとの和集合
+    let labelsImported = 0;
+    for (const [noteId, importedLabels] of Object.entries(data.noteLabels)) {
+      const primary = this.noteAssignments[noteId];
+      const merged = [...(this.noteLabels[noteId] || [])];
+      for (const importedId of importedLabels) {
+        const folderId = idMap.get(importedId);
+        if (folderId && folderId !== primary && !merged.includes(folderId)) {
+          merged.push(folderId);
+        }
+      }
+
+      const labels = merged.slice(0, LIMITS.MAX_LABELS_PER_NOTE);
+      if (labels.length > 0 && (this.noteLabels[noteId] || []).length !== labels.length) {
+        // 新しいノートはノート数の上限を確認（setNoteLabels と同じ）
+        if (!primary && !this.noteLabels[noteId] && this._getAllNoteIds().length >= this._getMaxNotes()) {
+          skippedNoteIds.add(noteId);
+          continue;
+        }
+        this.noteLabels[noteId] = labels;
+        labelsImported++;
+      }
+    }
+
+    // ピン留め: 既存のピン留めとの和集合（上限を超えた分は取り込まない）
+    const currentPins = new Set(this.pinnedNoteIds);
+    const addedPins = data.pinnedNoteIds
+      .filter(noteId => !currentPins.has(noteId))
+      .slice(0, Math.max(0, LIMITS.MAX_PINNED_NOTES - currentPins.size));
+    this.pinnedNoteIds = [...this.pinnedNoteIds, ...addedPins];
+
+    return {
+      foldersAdded,
+      foldersMerged,
+      skippedFolders: skippedFolderIds.size,
+      assignmentsImported,
+      labelsImported,
+      pinsImported: addedPins.length,
+      skippedNotes: skippedNoteIds.size,
+    };
   }
 
   // ==========================================================================
@@ -495,14 +4053,37 @@ class StorageManager {
   // ==========================================================================
 
   /**
-   * chrome.storage.sync からデータを取得
-   * @param {string[]} keys - 取得するキー
+   * chrome.storage の領域を取得
+   * @param {string} area - STORAGE_AREAS のいずれか
+   * @returns {Object|null} 利用できない場合は null
+   */
+  _getStorageArea(area) {
+    if (typeof chrome !== 'undefined' && chrome.storage?.[area]) {
+      return chrome.storage[area];
+    }
+    return null;
+  }
+
+  /**
+   * localStorage フォールバック時のキープレフィックスを取得
+   * @param {string} area - STORAGE_AREAS のいずれか
+   * @returns {string}
+   */
+  _getFallbackPrefix(area) {
+    return area === STORAGE_AREAS.LOCAL ? 'folderlm_local_' : 'folderlm_';
+  }
+
+  /**
+   * chrome.storage からデータを取得
+   * @param {string[]|null} keys - 取得するキー（null ですべて）
+   * @param {string} [area='sync'] - ストレージ領域
    * @returns {Promise<Object>}
    */
-  _getStorage(keys) {
+  _getStorage(keys, area = STORAGE_AREAS.SYNC) {
     return new Promise((resolve, reject) => {
-      if (typeof chrome !== 'undefined' && chrome.storage?.sync) {
-        chrome.storage.sync.get(keys, (result) => {
+      const storageArea = this._getStorageArea(area);
+      if (storageArea) {
+        storageArea.get(keys, (result) => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
           } else {
@@ -512,9 +4093,14 @@ class StorageManager {
       } else {
         // 開発環境用フォールバック（localStorage）
         console.warn('[FolderLM Storage] Using localStorage fallback');
+        const prefix = this._getFallbackPrefix(area);
+        const otherPrefix = this._getFallbackPrefix(STORAGE_AREAS.LOCAL);
+        const targetKeys = keys ?? Object.keys(localStorage)
+          .filter(k => k.startsWith(prefix) && (area === STORAGE_AREAS.LOCAL || !k.startsWith(otherPrefix)))
+          .map(k => k.slice(prefix.length));
         const result = {};
-        for (const key of keys) {
-          const value = localStorage.getItem(`folderlm_${key}`);
+        for (const key of targetKeys) {
+          const value = localStorage.getItem(`${prefix}${key}`);
           if (value) {
             try {
               result[key] = JSON.parse(value);
@@ -529,14 +4115,16 @@ class StorageManager {
   }
 
   /**
-   * chrome.storage.sync にデータを保存
+   * chrome.storage にデータを保存
    * @param {Object} data - 保存するデータ
+   * @param {string} [area='sync'] - ストレージ領域
    * @returns {Promise<void>}
    */
-  _setStorage(data) {
+  _setStorage(data, area = STORAGE_AREAS.SYNC) {
     return new Promise((resolve, reject) => {
-      if (typeof chrome !== 'undefined' && chrome.storage?.sync) {
-        chrome.storage.sync.set(data, () => {
+      const storageArea = this._getStorageArea(area);
+      if (storageArea) {
+        storageArea.set(data, () => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
           } else {
@@ -546,8 +4134,9 @@ class StorageManager {
       } else {
         // 開発環境用フォールバック（localStorage）
         console.warn('[FolderLM Storage] Using localStorage fallback');
+        const prefix = this._getFallbackPrefix(area);
         for (const [key, value] of Object.entries(data)) {
-          localStorage.setItem(`folderlm_${key}`, JSON.stringify(value));
+          localStorage.setItem(`${prefix}${key}`, JSON.stringify(value));
         }
         resolve();
       }
@@ -555,18 +4144,20 @@ class StorageManager {
   }
 
   /**
-   * chrome.storage.sync からデータを削除
+   * chrome.storage からデータを削除
    * @param {string[]} keys - 削除するキー
+   * @param {string} [area='sync'] - ストレージ領域
    * @returns {Promise<void>}
    */
-  _removeStorage(keys) {
+  _removeStorage(keys, area = STORAGE_AREAS.SYNC) {
     if (!Array.isArray(keys) || keys.length === 0) {
       return Promise.resolve();
     }
 
     return new Promise((resolve, reject) => {
-      if (typeof chrome !== 'undefined' && chrome.storage?.sync) {
-        chrome.storage.sync.remove(keys, () => {
+      const storageArea = this._getStorageArea(area);
+      if (storageArea) {
+        storageArea.remove(keys, () => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
           } else {
@@ -576,8 +4167,9 @@ class StorageManager {
       } else {
         // 開発環境用フォールバック（localStorage）
         console.warn('[FolderLM Storage] Using localStorage fallback');
+        const prefix = this._getFallbackPrefix(area);
         for (const key of keys) {
-          localStorage.removeItem(`folderlm_${key}`);
+          localStorage.removeItem(`${prefix}${key}`);
         }
         resolve();
       }
@@ -585,32 +4177,70 @@ class StorageManager {
   }
 
   /**
-   * ノート割り当ての読み込み（分割保存対応）
+   * ノート割り当ての読み込み（分割保存対応）
+   * @param {Object} data - 読み込み済みデータ
+   * @param {string} [mode] - 保存先（省略時は現在の保存先）
+   * @returns {Promise<Object>} ノート割り当てオブジェクト
+   */
+  async _loadNoteAssignments(data, mode = this._backendMode) {
+    const index = data[STORAGE_KEYS.NOTE_ASSIGNMENTS_INDEX];
+    if (index && typeof index.chunkCount === 'number' && index.chunkCount >= 0) {
+      const chunkKeys = this._getAssignmentChunkKeys(index.chunkCount);
+      const chunkData = chunkKeys.length > 0 ? await this._getDataStorage(chunkKeys, mode) : {};
+      this._assignmentChunkCount = index.chunkCount;
+      return this._mergeAssignmentChunks(chunkData, chunkKeys);
+    }
+
+    this._assignmentChunkCount = 0;
+    return data[STORAGE_KEYS.NOTE_ASSIGNMENTS];
+  }
+
+  /**
+   * ノートラベルの読み込み（分割保存）
+   * @param {Object} data - 読み込み済みデータ
+   * @param {string} [mode] - 保存先（省略時は現在の保存先）
+   * @returns {Promise<Object>} ノートラベルオブジェクト
+   */
+  async _loadNoteLabels(data, mode = this._backendMode) {
+    const index = data[STORAGE_KEYS.NOTE_LABELS_INDEX];
+    if (!index || typeof index.chunkCount !== 'number' || index.chunkCount < 0) {
+      this._labelChunkCount = 0;
+      return {};
+    }
+
+    const chunkKeys = this._getAssignmentChunkKeys(index.chunkCount, STORAGE_KEYS.NOTE_LABELS_CHUNK_PREFIX);
+    const chunkData = chunkKeys.length > 0 ? await this._getDataStorage(chunkKeys, mode) : {};
+    this._labelChunkCount = index.chunkCount;
+    return this._mergeAssignmentChunks(chunkData, chunkKeys);
+  }
+
+  /**
+   * ピン留めの読み込み（分割保存）
    * @param {Object} data - 読み込み済みデータ
-   * @returns {Promise<Object>} ノート割り当てオブジェクト
+   * @param {string} [mode] - 保存先（省略時は現在の保存先）
+   * @returns {Promise<string[]>} ピン留めしたノートID配列
    */
-  async _loadNoteAssignments(data) {
-    const index = data[STORAGE_KEYS.NOTE_ASSIGNMENTS_INDEX];
-    if (index && typeof index.chunkCount === 'number' && index.chunkCount >= 0) {
-      const chunkKeys = this._getAssignmentChunkKeys(index.chunkCount);
-      const chunkData = chunkKeys.length > 0 ? await this._getStorage(chunkKeys) : {};
-      this._assignmentChunkCount = index.chunkCount;
-      return this._mergeAssignmentChunks(chunkData, chunkKeys);
+  async _loadPinnedNoteIds(data, mode = this._backendMode) {
+    const index = data[STORAGE_KEYS.NOTE_PINS_INDEX];
+    if (!index || typeof index.chunkCount !== 'number' || index.chunkCount < 0) {
+      this._pinChunkCount = 0;
+      return [];
     }
 
-    this._assignmentChunkCount = 0;
-    return data[STORAGE_KEYS.NOTE_ASSIGNMENTS];
+    const chunkKeys = this._getAssignmentChunkKeys(index.chunkCount, STORAGE_KEYS.NOTE_PINS_CHUNK_PREFIX);
+    const chunkData = chunkKeys.length > 0 ? await this._getDataStorage(chunkKeys, mode) : {};
+    this._pinChunkCount = index.chunkCount;
+    return chunkKeys.flatMap(key => (Array.isArray(chunkData[key]) ? chunkData[key] : []));
   }
 
   /**
    * ノート割り当ての分割キー一覧を生成
    * @param {number} count
+   * @param {string} [prefix] - キーのプレフィックス
    * @returns {string[]}
    */
-  _getAssignmentChunkKeys(count) {
-    return Array.from({ length: count }, (_, index) =>
-      `${STORAGE_KEYS.NOTE_ASSIGNMENTS_CHUNK_PREFIX}${index}`
-    );
+  _getAssignmentChunkKeys(count, prefix = STORAGE_KEYS.NOTE_ASSIGNMENTS_CHUNK_PREFIX) {
+    return Array.from({ length: count }, (_, index) => `${prefix}${index}`);
   }
 
   /**
@@ -631,8 +4261,8 @@ class StorageManager {
   }
 
   /**
-   * ノート割り当てを1アイテム上限を考慮して分割
-   * @param {Object} assignments
+   * ノート割り当て（またはラベル）を1アイテム上限を考慮して分割
+   * @param {Object} assignments - ノートID → フォルダID（ラベルの場合はフォルダID配列）
    * @returns {Array<Object>}
    */
   _chunkAssignments(assignments) {
@@ -640,8 +4270,8 @@ class StorageManager {
     const chunks = [];
     let current = {};
 
-    for (const [noteId, folderId] of entries) {
-      current[noteId] = folderId;
+    for (const [noteId, value] of entries) {
+      current[noteId] = value;
 
       if (this._estimateBytes(current) > LIMITS.STORAGE_ITEM_SAFE_BYTES) {
         delete current[noteId];
@@ -650,7 +4280,7 @@ class StorageManager {
           chunks.push(current);
         }
 
-        current = { [noteId]: folderId };
+        current = { [noteId]: value };
       }
     }
 
@@ -661,6 +4291,37 @@ class StorageManager {
     return chunks;
   }
 
+  /**
+   * ノートID配列を1アイテム上限を考慮して分割
+   * ピン留めは値を持たないため、キー・値の組ではなくIDの配列として保存する
+   * @param {string[]} noteIds
+   * @returns {Array<string[]>}
+   */
+  _chunkNoteIds(noteIds) {
+    const chunks = [];
+    let current = [];
+
+    for (const noteId of noteIds || []) {
+      current.push(noteId);
+
+      if (this._estimateBytes(current) > LIMITS.STORAGE_ITEM_SAFE_BYTES) {
+        current.pop();
+
+        if (current.length > 0) {
+          chunks.push(current);
+        }
+
+        current = [noteId];
+      }
+    }
+
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
   /**
    * 保存サイズを概算（バイト）
    * @param {Object} data
@@ -674,9 +4335,10 @@ class StorageManager {
    * フォルダ名のバリデーション
    * @param {string} name - フォルダ名
    * @param {string} [excludeId] - 除外するフォルダID（リネーム時）
+   * @param {string|null} [parentId] - 重複を確認する親フォルダID（同じ階層内でのみ重複不可）
    * @returns {{ valid: boolean, normalizedName?: string, error?: string }}
    */
-  _validateFolderName(name, excludeId = null) {
+  _validateFolderName(name, excludeId = null, parentId = null) {
     if (!name || typeof name !== 'string') {
       return { valid: false, error: 'フォルダ名を入力してください' };
     }
@@ -692,10 +4354,12 @@ class StorageManager {
       return { valid: false, error: `フォルダ名は${LIMITS.MAX_FOLDER_NAME_LENGTH}文字以内にしてください` };
     }
 
-    // 重複チェック（大文字小文字無視）
+    // 重複チェック（同じ階層内・大文字小文字無視）
     const lowerName = normalizedName.toLowerCase();
-    const duplicate = this.folders.find(f => 
-      f.id !== excludeId && f.name.toLowerCase() === lowerName
+    const duplicate = this.folders.find(f =>
+      f.id !== excludeId &&
+      (f.parentId || null) === parentId &&
+      f.name.toLowerCase() === lowerName
     );
 
     if (duplicate) {
@@ -705,6 +4369,86 @@ class StorageManager {
     return { valid: true, normalizedName };
   }
 
+  /**
+   * 親フォルダとして指定できるか検証
+   * @param {string|null} parentId - 親フォルダID（null でルート）
+   * @param {string} [movingFolderId] - 移動対象のフォルダID（循環チェック用）
+   * @returns {{ valid: boolean, error?: string }}
+   */
+  _validateParent(parentId, movingFolderId = null) {
+    if (parentId === null) {
+      return { valid: true };
+    }
+
+    const parent = this.getFolder(parentId);
+    if (!parent) {
+      return { valid: false, error: '親フォルダが見つかりません' };
+    }
+
+    if (parent.isDefault) {
+      return { valid: false, error: 'デフォルトフォルダにはサブフォルダを作成できません' };
+    }
+
+    if (movingFolderId) {
+      if (parentId === movingFolderId || this.getDescendantFolderIds(movingFolderId).includes(parentId)) {
+        return { valid: false, error: 'フォルダを自身のサブフォルダに移動することはできません' };
+      }
+    } else if (this.getFolderDepth(parentId) >= LIMITS.MAX_FOLDER_DEPTH) {
+      return { valid: false, error: `フォルダの階層は${LIMITS.MAX_FOLDER_DEPTH}段までです` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * サブツリーの高さを取得（子がなければ 1）
+   * @param {string} folderId - フォルダID
+   * @returns {number}
+   */
+  _getSubtreeHeight(folderId) {
+    const children = this.getChildFolders(folderId);
+    if (children.length === 0) {
+      return 1;
+    }
+    return 1 + Math.max(...children.map(child => this._getSubtreeHeight(child.id)));
+  }
+
+  /**
+   * フォルダ配列に挿入（兄弟間の位置を指定）
+   * @param {Object} folder - 挿入するフォルダ（this.folders には未登録）
+   * @param {string|null} parentId - 親フォルダID
+   * @param {number} index - 兄弟間での位置（-1 で末尾）
+   */
+  _insertFolder(folder, parentId, index) {
+    const siblings = this.getChildFolders(parentId);
+    let insertAt;
+
+    if (index >= 0 && index < siblings.length) {
+      // 指定位置の兄弟の直前に挿入
+      insertAt = this.folders.indexOf(siblings[index]);
+    } else if (siblings.length > 0) {
+      // 最後の兄弟の直後に挿入
+      insertAt = this.folders.indexOf(siblings[siblings.length - 1]) + 1;
+    } else if (parentId) {
+      // 兄弟がいなければ親の直後に挿入
+      insertAt = this.folders.findIndex(f => f.id === parentId) + 1;
+    } else {
+      insertAt = this.folders.length;
+    }
+
+    this.folders.splice(insertAt, 0, folder);
+    this._renumberFolders();
+  }
+
+  /**
+   * 配列順に order を振り直す
+   */
+  _renumberFolders() {
+    this.folders.forEach((folder, index) => {
+      folder.order = index;
+    });
+  }
+
   /**
    * フォルダ配列のバリデーション
    * @param {Array} folders - フォルダ配列
@@ -722,23 +4466,71 @@ class StorageManager {
     }
 
     // 無効なフォルダを除去
-    return folders.filter(f => 
+    const validFolders = folders.filter(f =>
       f && typeof f.id === 'string' && typeof f.name === 'string'
     );
+
+    // 親フォルダの参照を検証（存在しない親・デフォルトフォルダ・循環参照はルートに戻す）
+    const folderMap = new Map(validFolders.map(f => [f.id, f]));
+    for (const folder of validFolders) {
+      const parent = typeof folder.parentId === 'string' ? folderMap.get(folder.parentId) : null;
+      if (!parent || parent.isDefault || folder.isDefault) {
+        folder.parentId = null;
+      }
+    }
+
+    for (const folder of validFolders) {
+      const visited = new Set([folder.id]);
+      let current = folder.parentId ? folderMap.get(folder.parentId) : null;
+      while (current) {
+        if (visited.has(current.id)) {
+          folder.parentId = null;
+          break;
+        }
+        visited.add(current.id);
+        current = current.parentId ? folderMap.get(current.parentId) : null;
+      }
+    }
+
+    // 未知の色・アイコンは既定の表示に戻す（デフォルトフォルダは常に既定）
+    for (const folder of validFolders) {
+      if ('color' in folder && (folder.isDefault || !FOLDER_COLORS.includes(folder.color))) {
+        delete folder.color;
+      }
+      if ('icon' in folder && (folder.isDefault || !FOLDER_ICONS.includes(folder.icon) || folder.icon === 'folder')) {
+        delete folder.icon;
+      }
+    }
+
+    // 最大深さを超えるフォルダは上限の階層まで引き上げる
+    for (const folder of validFolders) {
+      const ancestors = [];
+      let current = folder.parentId ? folderMap.get(folder.parentId) : null;
+      while (current) {
+        ancestors.unshift(current);
+        current = current.parentId ? folderMap.get(current.parentId) : null;
+      }
+      if (ancestors.length >= LIMITS.MAX_FOLDER_DEPTH) {
+        folder.parentId = ancestors[LIMITS.MAX_FOLDER_DEPTH - 2].id;
+      }
+    }
+
+    return validFolders;
   }
 
   /**
    * ノート割り当てのバリデーション
    * @param {Object} assignments - 割り当てオブジェクト
+   * @param {Array} [folders] - 参照先のフォルダ配列（省略時は現在のフォルダ）
    * @returns {Object} バリデーション済み割り当てオブジェクト
    */
-  _validateNoteAssignments(assignments) {
+  _validateNoteAssignments(assignments, folders = this.folders) {
     if (!assignments || typeof assignments !== 'object') {
       return {};
     }
 
     const validAssignments = {};
-    const folderIds = new Set(this.folders.map(f => f.id));
+    const folderIds = new Set(folders.map(f => f.id));
 
     for (const [noteId, folderId] of Object.entries(assignments)) {
       if (typeof noteId === 'string' && folderIds.has(folderId)) {
@@ -749,12 +4541,60 @@ class StorageManager {
     return validAssignments;
   }
 
+  /**
+   * ノートラベルのバリデーション
+   * @param {Object} labels - ラベルオブジェクト
+   * @param {Array} [folders] - 参照先のフォルダ配列（省略時は現在のフォルダ）
+   * @param {Object} [assignments] - 参照先のノート割り当て（省略時は現在の割り当て）
+   * @returns {Object} バリデーション済みラベルオブジェクト
+   */
+  _validateNoteLabels(labels, folders = this.folders, assignments = this.noteAssignments) {
+    if (!labels || typeof labels !== 'object') {
+      return {};
+    }
+
+    const validLabels = {};
+    const labelFolderIds = new Set(folders.filter(f => !f.isDefault).map(f => f.id));
+
+    for (const [noteId, folderIds] of Object.entries(labels)) {
+      if (typeof noteId !== 'string' || !Array.isArray(folderIds)) continue;
+
+      const primary = assignments[noteId];
+      const valid = [...new Set(folderIds)]
+        .filter(id => labelFolderIds.has(id) && id !== primary)
+        .slice(0, LIMITS.MAX_LABELS_PER_NOTE);
+
+      if (valid.length > 0) {
+        validLabels[noteId] = valid;
+      }
+    }
+
+    return validLabels;
+  }
+
+  /**
+   * ピン留めのバリデーション
+   * 重複と文字列以外を除き、上限を超えた分（ピン留めの新しい側）は切り捨てる
+   * @param {*} noteIds - ピン留めしたノートID配列
+   * @returns {string[]}
+   */
+  _validatePinnedNoteIds(noteIds) {
+    if (!Array.isArray(noteIds)) {
+      return [];
+    }
+
+    return [...new Set(noteIds.filter(id => typeof id === 'string' && id))]
+      .slice(0, LIMITS.MAX_PINNED_NOTES);
+  }
+
   /**
    * データをデフォルト値にリセット
    */
   _resetToDefaults() {
     this.folders = [...DEFAULT_FOLDERS];
     this.noteAssignments = {};
+    this.noteLabels = {};
+    this.pinnedNoteIds = [];
     this.settings = { ...DEFAULT_SETTINGS };
     this.loaded = true;
   }
@@ -769,19 +4609,265 @@ class StorageManager {
       return { ...DEFAULT_SETTINGS };
     }
 
-    return { ...DEFAULT_SETTINGS };
+    const validSettings = { ...DEFAULT_SETTINGS };
+
+    if (typeof settings.multiFolderMode === 'boolean') {
+      validSettings.multiFolderMode = settings.multiFolderMode;
+    }
+
+    if (typeof settings.fuzzySearch === 'boolean') {
+      validSettings.fuzzySearch = settings.fuzzySearch;
+    }
+
+    if (Array.isArray(settings.savedViews)) {
+      const ids = new Set();
+      const names = new Set();
+      validSettings.savedViews = settings.savedViews
+        .map(view => this._normalizeView(view))
+        .filter(view => {
+          if (!view || ids.has(view.id) || names.has(view.name)) return false;
+          ids.add(view.id);
+          names.add(view.name);
+          return true;
+        })
+        .slice(0, LIMITS.MAX_SAVED_VIEWS);
+    }
+
+    if (Object.values(SORT_MODES).includes(settings.sortMode)) {
+      validSettings.sortMode = settings.sortMode;
+    }
+
+    if (Array.isArray(settings.manualOrder)) {
+      validSettings.manualOrder = [...new Set(
+        settings.manualOrder.filter(id => typeof id === 'string' && id)
+      )].slice(0, LIMITS.MAX_MANUAL_ORDER);
+    }
+
+    if (typeof settings.groupByFolder === 'boolean') {
+      validSettings.groupByFolder = settings.groupByFolder;
+    }
+
+    if (Array.isArray(settings.collapsedGroupIds)) {
+      // フォルダ（未分類を含む）に加えて「ピン留め」の見出しがある
+      validSettings.collapsedGroupIds = [...new Set(
+        settings.collapsedGroupIds.filter(id => typeof id === 'string' && id)
+      )].slice(0, LIMITS.MAX_FOLDERS + 2);
+    }
+
+    if (typeof settings.sidebarEnabled === 'boolean') {
+      validSettings.sidebarEnabled = settings.sidebarEnabled;
+    }
+
+    if (Number.isFinite(settings.sidebarWidth)) {
+      validSettings.sidebarWidth = Math.round(Math.min(
+        Math.max(settings.sidebarWidth, LIMITS.MIN_SIDEBAR_WIDTH),
+        LIMITS.MAX_SIDEBAR_WIDTH
+      ));
+    }
+
+    if (typeof settings.sidebarCollapsed === 'boolean') {
+      validSettings.sidebarCollapsed = settings.sidebarCollapsed;
+    }
+
+    if (Array.isArray(settings.autoAssignRules)) {
+      // 割り当て先のフォルダが削除されたルールも残す（エディタで警告し、評価時に読み飛ばす）
+      const ids = new Set();
+      validSettings.autoAssignRules = settings.autoAssignRules
+        .map(rule => this._normalizeRule(rule))
+        .filter(rule => {
+          if (!rule || ids.has(rule.id)) return false;
+          ids.add(rule.id);
+          return true;
+        })
+        .slice(0, LIMITS.MAX_AUTO_ASSIGN_RULES);
+    }
+
+    if (settings.shortcuts && typeof settings.shortcuts === 'object') {
+      // 未知の操作は捨て、同じキーが重複した場合は先の操作を優先する
+      const used = new Set();
+      const shortcuts = {};
+      for (const [actionId, defaultShortcut] of Object.entries(DEFAULT_SHORTCUTS)) {
+        const stored = actionId in settings.shortcuts
+          ? normalizeShortcut(settings.shortcuts[actionId])
+          : defaultShortcut;
+        const shortcut = stored === null || used.has(stored) ? '' : stored;
+        if (shortcut) {
+          used.add(shortcut);
+        }
+        shortcuts[actionId] = shortcut;
+      }
+      validSettings.shortcuts = shortcuts;
+    }
+
+    if (Number.isFinite(settings.staleNoteDays)) {
+      validSettings.staleNoteDays = this._clampStaleNoteDays(settings.staleNoteDays);
+    }
+
+    if (typeof settings.autoPurgeStaleNotes === 'boolean') {
+      validSettings.autoPurgeStaleNotes = settings.autoPurgeStaleNotes;
+    }
+
+    return validSettings;
+  }
+
+  /**
+   * 保存済みのデータがあるか（新規インストールでないか）
+   * @param {Object} data - 読み込み済みデータ
+   * @returns {boolean}
+   */
+  _hasStoredData(data) {
+    return [
+      STORAGE_KEYS.FOLDERS,
+      STORAGE_KEYS.NOTE_ASSIGNMENTS,
+      STORAGE_KEYS.NOTE_ASSIGNMENTS_INDEX,
+    ].some(key => data[key] !== undefined && data[key] !== null);
   }
 
   /**
    * データマイグレーション
+   * 移行前のデータを chrome.storage.local にバックアップし、登録済みのステップを順に適用する。
+   * いずれかのステップや保存に失敗した場合は移行前の状態に戻し、読み取り専用で動作する。
    * @param {number} fromVersion - 現在のバージョン
    * @param {Object} data - 現在のデータ
+   * @returns {Promise<boolean>} 移行に成功したか
    */
   async _migrate(fromVersion, data) {
     console.log(`[FolderLM Storage] Migrating from version ${fromVersion} to ${CURRENT_VERSION}`);
-    
-    // 将来のバージョンアップ時にここにマイグレーションロジックを追加
-    // if (fromVersion < 2) { ... }
+
+    let snapshot;
+    let logical;
+    try {
+      // ピン留めも移行前に読み込む（移行後の保存で失われないように）
+      logical = {
+        folders: data[STORAGE_KEYS.FOLDERS],
+        noteAssignments: await this._loadNoteAssignments(data),
+        noteLabels: await this._loadNoteLabels(data),
+        pinnedNoteIds: await this._loadPinnedNoteIds(data),
+        settings: data[STORAGE_KEYS.SETTINGS],
+      };
+
+      snapshot = await this._getAllDataStorage();
+      await this._setStorage({
+        [LOCAL_STORAGE_KEYS.MIGRATION_BACKUP]: {
+          fromVersion,
+          toVersion: CURRENT_VERSION,
+          createdAt: Date.now(),
+          data: snapshot,
+          // 分割保存されたピン留めを結合した一覧（復元時の確認用）
+          pinnedNoteIds: logical.pinnedNoteIds,
+        },
+      }, STORAGE_AREAS.LOCAL);
+    } catch (error) {
+      // バックアップが取れない場合は移行しない
+      this._readOnly = true;
+      this._emitError(
+        ERROR_TYPES.MIGRATION_FAILED,
+        'データ移行前のバックアップに失敗したため、移行を中止しました。変更は保存されません。',
+        { fromVersion, toVersion: CURRENT_VERSION, steps: [], originalError: error }
+      );
+      return false;
+    }
+
+    const { data: migrated, steps, failedStep, error } = this._runMigrations(logical, fromVersion);
+
+    if (!error) {
+      try {
+        this.folders = this._validateFolders(migrated.folders);
+        this.noteAssignments = this._validateNoteAssignments(migrated.noteAssignments);
+        this.noteLabels = this._validateNoteLabels(migrated.noteLabels);
+        this.pinnedNoteIds = this._validatePinnedNoteIds(migrated.pinnedNoteIds);
+        this.settings = this._validateSettings(migrated.settings);
+        await this._save();
+
+        console.log('[FolderLM Storage] Migration completed:', steps);
+        this._notifyChange({
+          type: 'migrated',
+          fromVersion,
+          toVersion: CURRENT_VERSION,
+          steps,
+          backupKey: LOCAL_STORAGE_KEYS.MIGRATION_BACKUP,
+        });
+        return true;
+      } catch (saveError) {
+        await this._restoreSnapshot(snapshot);
+        return this._handleMigrationFailure(fromVersion, steps, null, saveError);
+      }
+    }
+
+    return this._handleMigrationFailure(fromVersion, steps, failedStep, error);
+  }
+
+  /**
+   * マイグレーションステップを順に適用（ストレージには書き込まない）
+   * @param {Object} data - 論理データ
+   * @param {number} fromVersion - 開始バージョン
+   * @returns {{ data: Object, steps: Array<{ version: number, description: string }>, failedStep?: Object, error?: Error }}
+   */
+  _runMigrations(data, fromVersion) {
+    const steps = [];
+    let current = JSON.parse(JSON.stringify(data));
+
+    for (const step of MIGRATIONS) {
+      if (step.version <= fromVersion) continue;
+
+      try {
+        current = step.migrate(current);
+        steps.push({ version: step.version, description: step.description });
+      } catch (error) {
+        return {
+          data,
+          steps,
+          failedStep: { version: step.version, description: step.description },
+          error,
+        };
+      }
+    }
+
+    return { data: current, steps };
+  }
+
+  /**
+   * マイグレーション失敗時の処理（読み取り専用に切り替えて通知）
+   * @param {number} fromVersion - 開始バージョン
+   * @param {Array} steps - 完了したステップ
+   * @param {Object|null} failedStep - 失敗したステップ
+   * @param {Error} error - 発生したエラー
+   * @returns {boolean} 常に false
+   */
+  _handleMigrationFailure(fromVersion, steps, failedStep, error) {
+    this._readOnly = true;
+    this._emitError(
+      ERROR_TYPES.MIGRATION_FAILED,
+      'データの移行に失敗したため、移行前の状態に戻しました。変更は保存されません。',
+      {
+        fromVersion,
+        toVersion: CURRENT_VERSION,
+        steps,
+        failedStep,
+        backupKey: LOCAL_STORAGE_KEYS.MIGRATION_BACKUP,
+        originalError: error,
+      }
+    );
+    return false;
+  }
+
+  /**
+   * スナップショットの状態にストレージを戻す
+   * @param {Object<string, Object>} snapshot - 移行前の全データ（ストレージ領域 → データ）
+   * @returns {Promise<void>}
+   */
+  async _restoreSnapshot(snapshot) {
+    try {
+      const currentData = await this._getAllDataStorage();
+      for (const [area, areaData] of Object.entries(snapshot)) {
+        const addedKeys = Object.keys(currentData[area] || {}).filter(key => !(key in areaData));
+        await this._removeStorage(addedKeys, area);
+        await this._setStorage(areaData, area);
+      }
+      console.log('[FolderLM Storage] Storage restored from migration snapshot');
+    } catch (error) {
+      console.error('[FolderLM Storage] Failed to restore snapshot:', error);
+    }
   }
 
   /**
@@ -809,12 +4895,7 @@ class StorageManager {
     const suggestions = [];
 
     // 空のフォルダを削除する提案
-    const emptyFolders = this.folders.filter(f => {
-      if (f.isDefault) return false;
-      const noteCount = Object.values(this.noteAssignments)
-        .filter(folderId => folderId === f.id).length;
-      return noteCount === 0;
-    });
+    const emptyFolders = this._findEmptyFolders();
 
     if (emptyFolders.length > 0) {
       suggestions.push({
@@ -825,6 +4906,20 @@ class StorageManager {
       });
     }
 
+    // ノート割り当てを local に移す提案（同期ストレージのみ使用している場合）
+    if (this._backendMode === STORAGE_BACKENDS.SYNC && Object.keys(this.noteAssignments).length > 0) {
+      suggestions.push({
+        action: 'SWITCH_STORAGE_BACKEND',
+        description: '保存先を「ハイブリッド」に切り替えると、ノート割り当てがこの端末に保存され容量の制限がなくなります。',
+        savings: this._estimateBytes({
+          [STORAGE_KEYS.NOTE_ASSIGNMENTS]: this.noteAssignments,
+          [STORAGE_KEYS.NOTE_LABELS_INDEX]: this.noteLabels,
+          [STORAGE_KEYS.NOTE_PINS_INDEX]: this.pinnedNoteIds,
+        }),
+        backend: STORAGE_BACKENDS.HYBRID,
+      });
+    }
+
     // 古い割り当て（存在しないノートへの参照）を削除する提案
     // ※ 実際のノート存在確認は Content Script 側で行う必要がある
     const orphanedAssignments = Object.keys(this.noteAssignments).length;
@@ -840,31 +4935,39 @@ class StorageManager {
   }
 
   /**
-   * 現在のストレージ使用量を推定（バイト）
+   * chrome.storage.sync の使用量を推定（バイト）
+   * local に保存するデータは容量制限がないため含めない
+   * @param {string} [mode] - 保存先（省略時は現在の保存先）
    * @returns {number}
    */
-  _estimateStorageUsage() {
+  _estimateStorageUsage(mode = this._backendMode) {
     const data = {
       [STORAGE_KEYS.FOLDERS]: this.folders,
       [STORAGE_KEYS.NOTE_ASSIGNMENTS]: this.noteAssignments,
+      [STORAGE_KEYS.NOTE_LABELS_INDEX]: this.noteLabels,
+      [STORAGE_KEYS.NOTE_PINS_INDEX]: this.pinnedNoteIds,
       [STORAGE_KEYS.SETTINGS]: this.settings,
       [STORAGE_KEYS.VERSION]: CURRENT_VERSION,
     };
 
+    const syncData = Object.fromEntries(
+      Object.entries(data).filter(([key]) => this._getAreaForKey(key, mode) === STORAGE_AREAS.SYNC)
+    );
+
     // JSON文字列の長さ×2（UTF-16）で概算
-    return this._estimateBytes(data);
+    return Object.keys(syncData).length > 0 ? this._estimateBytes(syncData) : 0;
   }
 
   /**
-   * ストレージ使用状況を取得
-   * @returns {{ used: number, total: number, percentage: number }}
+   * ストレージ使用状況を取得（chrome.storage.sync の使用量）
+   * @returns {{ used: number, total: number, percentage: number, backend: string }}
    */
   getStorageUsage() {
     const used = this._estimateStorageUsage();
     const total = LIMITS.STORAGE_QUOTA_BYTES;
     const percentage = Math.round((used / total) * 100);
 
-    return { used, total, percentage };
+    return { used, total, percentage, backend: this._backendMode };
   }
 
   /**
@@ -894,32 +4997,99 @@ class StorageManager {
     }
   }
 
+  /**
+   * 保存しているデータの件数を取得（診断・データの整理用）
+   * @returns {{ folders: number, emptyFolders: number, assignments: number, labels: number, pins: number, maxNotes: number, savedViews: number, autoAssignRules: number }}
+   */
+  getDataStats() {
+    return {
+      folders: this.folders.filter(f => !f.isDefault).length,
+      emptyFolders: this._findEmptyFolders().length,
+      assignments: Object.keys(this.noteAssignments).length,
+      labels: Object.keys(this.noteLabels).length,
+      pins: this.pinnedNoteIds.length,
+      maxNotes: this._getMaxNotes(),
+      savedViews: this.settings.savedViews.length,
+      autoAssignRules: this.settings.autoAssignRules.length,
+    };
+  }
+
+  /**
+   * すべてのフォルダ・割り当て・設定を削除して初期状態に戻す
+   * 保存先（STORAGE_BACKENDS）は変更しない
+   * @returns {{ success: boolean }}
+   */
+  resetAllData() {
+    return this._withHistory(HISTORY_TYPES.RESET_ALL, () => {
+      this.folders = DEFAULT_FOLDERS.map(folder => ({ ...folder }));
+      this.noteAssignments = {};
+      this.noteLabels = {};
+      this.pinnedNoteIds = [];
+      this.settings = { ...DEFAULT_SETTINGS };
+      this.save();
+
+      console.log('[FolderLM Storage] All data reset');
+      return { success: true };
+    });
+  }
+
   /**
    * 空のフォルダを一括削除
    * @returns {{ success: boolean, deletedCount: number }}
    */
   deleteEmptyFolders() {
-    const emptyFolders = this.folders.filter(f => {
-      if (f.isDefault) return false;
-      const noteCount = Object.values(this.noteAssignments)
-        .filter(folderId => folderId === f.id).length;
-      return noteCount === 0;
+    return this._withHistory(HISTORY_TYPES.DELETE_EMPTY_FOLDERS, () => {
+      const emptyFolders = this._findEmptyFolders();
+
+      if (emptyFolders.length === 0) {
+        return { success: true, deletedCount: 0 };
+      }
+
+      const emptyFolderIds = new Set(emptyFolders.map(f => f.id));
+      this.folders = this.folders.filter(f => !emptyFolderIds.has(f.id));
+      this._removeLabelReferences(emptyFolderIds);
+      this._renumberFolders();
+      this.save();
+
+      console.log(`[FolderLM Storage] Deleted ${emptyFolders.length} empty folders`);
+      return { success: true, deletedCount: emptyFolders.length };
     });
+  }
 
-    if (emptyFolders.length === 0) {
-      return { success: true, deletedCount: 0 };
+  /**
+   * 空のフォルダを取得（サブフォルダを含めてノートが1件もないもの）
+   * @returns {Array} フォルダ配列
+   */
+  _findEmptyFolders() {
+    const counts = this.getFolderNoteCounts({ rollup: true });
+
+    // 複数フォルダモードが無効でもラベルとして使われているフォルダ（と祖先）は空とみなさない
+    const labelledIds = new Set();
+    for (const folderId of new Set(Object.values(this.noteLabels).flat())) {
+      for (const folder of this.getFolderPath(folderId)) {
+        labelledIds.add(folder.id);
+      }
     }
 
-    const emptyFolderIds = new Set(emptyFolders.map(f => f.id));
-    this.folders = this.folders.filter(f => !emptyFolderIds.has(f.id));
-    this.save();
+    return this.folders.filter(f =>
+      !f.isDefault && (counts.get(f.id) || 0) === 0 && !labelledIds.has(f.id)
+    );
+  }
 
-    console.log(`[FolderLM Storage] Deleted ${emptyFolders.length} empty folders`);
-    return { success: true, deletedCount: emptyFolders.length };
+  /**
+   * 有効なノートIDに含まれない、割り当て・ラベル・ピン留めのあるノートを取得
+   * @param {string[]} validNoteIds - 有効なノートIDの配列
+   * @returns {string[]} 孤立したノートID
+   */
+  findOrphanedNoteIds(validNoteIds) {
+    const validIds = new Set(Array.isArray(validNoteIds) ? validNoteIds : []);
+    return [...this._getTrackedNoteIds()].filter(noteId => !validIds.has(noteId));
   }
 
   /**
    * 孤立したノート割り当てを削除
+   * 一覧を一部しか検出できていない場合に呼ぶと有効なノートのデータも削除されるため、
+   * 通常は最終確認日時にもとづく getStaleNotes / purgeNotes を使う
    * @param {string[]} validNoteIds - 有効なノートIDの配列
    * @returns {{ success: boolean, deletedCount: number }}
    */
@@ -928,33 +5098,22 @@ class StorageManager {
       return { success: false, deletedCount: 0 };
     }
 
-    const validIds = new Set(validNoteIds);
-    const originalCount = Object.keys(this.noteAssignments).length;
-
-    const cleanedAssignments = {};
-    for (const [noteId, folderId] of Object.entries(this.noteAssignments)) {
-      if (validIds.has(noteId)) {
-        cleanedAssignments[noteId] = folderId;
-      }
-    }
-
-    const deletedCount = originalCount - Object.keys(cleanedAssignments).length;
-
-    if (deletedCount > 0) {
-      this.noteAssignments = cleanedAssignments;
-      this.save();
-      console.log(`[FolderLM Storage] Cleaned up ${deletedCount} orphaned assignments`);
+    const orphanedIds = this.findOrphanedNoteIds(validNoteIds);
+    if (orphanedIds.length === 0) {
+      return { success: true, deletedCount: 0 };
     }
 
-    return { success: true, deletedCount };
+    const result = this.purgeNotes(orphanedIds);
+    return { success: result.success, deletedCount: result.count ?? 0 };
   }
 
   /**
    * 一意のIDを生成
+   * @param {string} [prefix='folder'] - IDの接頭辞
    * @returns {string}
    */
-  _generateId() {
-    return `folder_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  _generateId(prefix = 'folder') {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   }
 
   // ==========================================================================
@@ -968,11 +5127,67 @@ class StorageManager {
     return UNCATEGORIZED_FOLDER_ID;
   }
 
+  /**
+   * 「ピン留め」疑似フォルダのIDを取得
+   */
+  get PINNED_ID() {
+    return PINNED_FOLDER_ID;
+  }
+
   /**
    * 制限値を取得
    */
   get LIMITS() {
-    return { ...LIMITS };
+    return { ...LIMITS, MAX_NOTES: this._getMaxNotes() };
+  }
+
+  /**
+   * 操作履歴の操作種別を取得
+   */
+  get HISTORY_TYPES() {
+    return { ...HISTORY_TYPES };
+  }
+
+  /**
+   * 保存先の種類を取得
+   */
+  get STORAGE_BACKENDS() {
+    return { ...STORAGE_BACKENDS };
+  }
+
+  /**
+   * フォルダに設定できる色を取得
+   */
+  get FOLDER_COLORS() {
+    return [...FOLDER_COLORS];
+  }
+
+  /**
+   * フォルダに設定できるアイコンを取得
+   */
+  get FOLDER_ICONS() {
+    return [...FOLDER_ICONS];
+  }
+
+  /**
+   * ノートカードの並び順の種類を取得
+   */
+  get SORT_MODES() {
+    return { ...SORT_MODES };
+  }
+
+  /**
+   * 自動割り当てルールの条件の種類を取得
+   */
+  get RULE_MATCH_TYPES() {
+    return { ...RULE_MATCH_TYPES };
+  }
+
+  /**
+   * インポートモードを取得
+   */
+  get IMPORT_MODES() {
+    return { ...IMPORT_MODES };
   }
 
   /**